@@ -17,6 +17,7 @@ export class PixelCanvas {
     canvasEl.height = this.gridHeight * this.pixelSize;
     
     this.pixels = this._createGrid();
+    this.storageKey = CONFIG.STORAGE_KEY; // One per canvas, see setStorageKey
     this.selectedColor = CONFIG.PALETTE[0];
     this.isAuthorized = false;
     this.eraserMode = false;
@@ -447,6 +448,24 @@ export class PixelCanvas {
   
   clear() { this.pixels = this._createGrid(); this._render(); this._saveToStorage(); }
   
+  // Re-grid after the server resizes the canvas, moving pixels by the anchor's offset
+  resize(width, height, offsetX = 0, offsetY = 0) {
+    const old = this.pixels;
+    this.hoverX = this.hoverY = null;
+    this.gridWidth = width;
+    this.gridHeight = height;
+    this.canvas.width = width * this.pixelSize;
+    this.canvas.height = height * this.pixelSize;
+    this.pixels = this._createGrid();
+    old.forEach((row, y) => row.forEach((color, x) => {
+      const nx = x + offsetX, ny = y + offsetY;
+      if (color && nx >= 0 && nx < width && ny >= 0 && ny < height) this.pixels[ny][nx] = color;
+    }));
+    this._updateMaxZoomForScreen();
+    this._render();
+    this._saveToStorage();
+  }
+  
   _saveToStorage() {
     const pixels = [];
     for (let y = 0; y < this.gridHeight; y++) {
@@ -454,9 +473,12 @@ export class PixelCanvas {
         if (this.pixels[y][x]) pixels.push({ x, y, color: this.pixels[y][x] });
       }
     }
-    try { localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify({ pixels })); } catch {}
+    try { localStorage.setItem(this.storageKey, JSON.stringify({ pixels })); } catch {}
   }
   
+  // The local copy is kept per canvas
+  setStorageKey(id) { this.storageKey = id && id !== 'default' ? `${CONFIG.STORAGE_KEY}:${id}` : CONFIG.STORAGE_KEY; }
+  
   loadFromArray(pixels) {
     this.pixels = this._createGrid();
     for (const { x, y, color } of pixels) {
@@ -469,7 +491,7 @@ export class PixelCanvas {
   
   loadFromStorage() {
     try {
-      const data = localStorage.getItem(CONFIG.STORAGE_KEY);
+      const data = localStorage.getItem(this.storageKey);
       if (data) { this.loadFromArray(JSON.parse(data).pixels || []); return true; }
     } catch {}
     return false;
@@ -3,7 +3,7 @@
  */
 
 import { getChainInfo } from './utils.js';
-import { clearToken } from './api.js';
+import { authAPI } from './api.js';
 
 export class WalletManager {
   constructor() {
@@ -140,7 +140,7 @@ export class WalletManager {
   
   async disconnect() {
     this.provider = this.signer = this.address = this.chainId = null;
-    clearToken();
+    await authAPI.logout();
     this.onDisconnect?.();
   }
   
@@ -164,8 +164,15 @@ export class WalletManager {
   }
   
   async signMessage(message) {
-    if (!this.signer) throw new Error('No signer available');
-    return this.signer.signMessage(message);
+    if (!this.provider || !this.address) throw new Error('No signer available');
+    // Re-resolve so an account switch in the wallet signs with the active account
+    this.signer = await this.provider.getSigner(this.address);
+    try {
+      return await this.signer.signMessage(message);
+    } catch (e) {
+      if (e.code === 4001 || e.code === 'ACTION_REJECTED') throw new Error('Signature rejected');
+      throw e;
+    }
   }
   
   async tryRehydrate() {
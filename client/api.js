@@ -4,10 +4,12 @@
 
 const API_BASE = '/api';
 let authToken = null;
+let refreshing = null;
 
-export function setToken(token) {
+export function setToken(token, refreshToken) {
   authToken = token;
   token ? localStorage.setItem('romelia_token', token) : localStorage.removeItem('romelia_token');
+  if (refreshToken) localStorage.setItem('romelia_refresh_token', refreshToken);
 }
 
 export function getToken() {
@@ -15,21 +17,73 @@ export function getToken() {
   return authToken;
 }
 
+export const getRefreshToken = () => localStorage.getItem('romelia_refresh_token');
+
+// Cookie session mode: the tokens are HttpOnly cookies; the readable CSRF cookie marks a session
+const readCookie = (name) => document.cookie.split('; ').find(c => c.startsWith(`${name}=`))?.slice(name.length + 1) || null;
+const csrfToken = () => readCookie('rp_csrf');
+
+export const hasSession = () => !!getToken() || !!csrfToken();
+
+function authHeaders(method = 'GET') {
+  const headers = {};
+  const token = getToken();
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+  else if (method !== 'GET' && csrfToken()) headers['X-CSRF-Token'] = decodeURIComponent(csrfToken());
+  return headers;
+}
+
 export function clearToken() {
   authToken = null;
   localStorage.removeItem('romelia_token');
+  localStorage.removeItem('romelia_refresh_token');
 }
 
-async function apiFetch(endpoint, options = {}) {
-  const token = getToken();
-  const headers = { 'Content-Type': 'application/json', ...options.headers };
-  if (token) headers['Authorization'] = `Bearer ${token}`;
-  
-  const res = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+// Single-flight: concurrent 401s share one rotation, since a refresh token only works once. Tabs take
+// turns through a Web Lock, so one that waited picks up the pair the other tab stored instead of
+// spending the same token again (the server's grace window covers browsers without locks)
+function refreshSession(chainId) {
+  if (!refreshing) {
+    const stale = getRefreshToken();
+    const rotate = async () => {
+      const refreshToken = getRefreshToken();
+      if (stale && refreshToken && refreshToken !== stale) { authToken = null; return { token: getToken() }; }
+      if (!refreshToken && !csrfToken()) throw new Error('Session expired');
+      // Cookie mode sends the refresh cookie itself, guarded by the CSRF header
+      const res = await fetch(`${API_BASE}/auth/refresh`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', ...(!refreshToken && { 'X-CSRF-Token': decodeURIComponent(csrfToken()) }) },
+        body: JSON.stringify({ refreshToken: refreshToken || undefined, chainId }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const err = new Error(data.error || 'Session expired');
+        err.code = data.code;
+        throw err;
+      }
+      setToken(data.token, data.refreshToken);
+      window.dispatchEvent(new CustomEvent('auth:refreshed', { detail: { token: data.token } }));
+      return data;
+    };
+    refreshing = (navigator.locks ? navigator.locks.request('romelia_refresh', rotate) : rotate()).finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function apiFetch(endpoint, options = {}, retried = false) {
+  const headers = { 'Content-Type': 'application/json', ...authHeaders(options.method), ...options.headers };
+  const res = await fetch(`${API_BASE}${endpoint}`, { ...options, headers, credentials: 'same-origin' });
   
   if (res.status === 401) {
     const data = await res.json();
     if (data.code === 'TOKEN_EXPIRED') {
+      if (!retried && (getRefreshToken() || csrfToken())) {
+        try {
+          await refreshSession();
+          return apiFetch(endpoint, options, true);
+        } catch {}
+      }
       clearToken();
       window.dispatchEvent(new CustomEvent('auth:expired'));
     }
@@ -45,27 +99,52 @@ async function apiFetch(endpoint, options = {}) {
 }
 
 export const authAPI = {
-  async connect(address, chainId) {
+  getNonce: (address, chainId) => apiFetch(`/auth/nonce?address=${encodeURIComponent(address)}&chainId=${encodeURIComponent(chainId)}`),
+  
+  async connect(address, chainId, message, signature) {
     const result = await apiFetch('/auth/connect', {
       method: 'POST',
-      body: JSON.stringify({ address, chainId }),
+      body: JSON.stringify({ address, chainId, message, signature }),
     });
     
-    if (result.token) setToken(result.token);
+    if (result.token) setToken(result.token, result.refreshToken);
     return result;
   },
   
-  async refresh(chainId) {
-    const result = await apiFetch('/auth/refresh', { method: 'POST', body: JSON.stringify({ chainId }) });
-    if (result.token) setToken(result.token);
-    return result;
-  },
+  // Rotate the refresh token for a new access token (optionally for another chain)
+  refresh: (chainId) => refreshSession(chainId),
   
   verify: () => apiFetch('/auth/verify'),
-  logout: () => clearToken(),
+  
+  async logout() {
+    // Revoke server-side first; the local tokens go regardless
+    const refreshToken = getRefreshToken();
+    if (hasSession() || refreshToken) {
+      await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', ...authHeaders('POST') },
+        body: JSON.stringify({ refreshToken }),
+      }).catch(() => {});
+    }
+    clearToken();
+  },
+  
+  getSessions: () => apiFetch('/auth/sessions'),
+  revokeSession: (id) => apiFetch(`/auth/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+  revokeOtherSessions: () => apiFetch('/auth/sessions', { method: 'DELETE' }),
 };
 
+// The default canvas keeps its original /canvas routes
+const canvasPath = (id) => (id && id !== 'default' ? `/canvases/${encodeURIComponent(id)}` : '/canvas');
+
 export const canvasAPI = {
-  getCanvas: () => apiFetch('/canvas'),
-  getConfig: () => apiFetch('/canvas/config'),
+  getCanvas: (id) => apiFetch(canvasPath(id)),
+  getConfig: (id) => apiFetch(`${canvasPath(id)}/config`),
+  listCanvases: () => apiFetch('/canvases'),
+};
+
+export const seasonsAPI = {
+  list: (canvas) => apiFetch(`/seasons${canvas && canvas !== 'default' ? `?canvas=${encodeURIComponent(canvas)}` : ''}`),
+  get: (id) => apiFetch(`/seasons/${encodeURIComponent(id)}`),
 };
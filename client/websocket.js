@@ -12,9 +12,12 @@ class WebSocketClient {
     this.maxReconnectDelay = 10000;
     this.userAddress = null;
     this.authToken = null;
+    this.cookieSession = false;
     this.pendingPixels = [];
     this.authenticated = false;
+    this.pendingAuth = 0;
     this.openMode = false;
+    this.canvasId = null;
     this.pingInterval = null;
     this.connectionCheckInterval = null;
     this.lastPongTime = Date.now();
@@ -64,21 +67,41 @@ class WebSocketClient {
   setAddress(address) { this.userAddress = address; }
   setOpenMode(enabled) { this.openMode = enabled; }
   
+  // Broadcasts are per canvas, so switching canvases means a new connection; queued pixels were for the old one
+  setCanvas(id) {
+    if (id === this.canvasId) return;
+    this.canvasId = id;
+    this.pendingPixels = [];
+    if (this.ws) this.reconnect();
+  }
+  
+  // Tokens are sent in-band, so refreshes and wallet switches don't cost a reconnect.
+  // A socket that is still connecting picks the token up in onopen.
   setToken(token) {
-    const hadToken = !!this.authToken;
+    const changed = token !== this.authToken || (!token && this.authenticated);
     this.authToken = token;
-    
-    // Reconnect with new token if:
-    // - We have a new token and didn't have one before
-    // - WebSocket is either OPEN or still CONNECTING (race condition fix)
-    if (token && !hadToken && this.ws) {
+    if (!token) this.cookieSession = false;
+    if (changed && this.isConnected()) this._authenticate();
+  }
+  
+  // Attach, replace or (with no token) drop the socket's identity; pixels queue until auth_result
+  _authenticate() {
+    this.authenticated = false;
+    this.pendingAuth++;
+    this._send('auth', { token: this.authToken });
+  }
+
+  // Cookie session mode: the browser sends the HttpOnly session cookie with the upgrade,
+  // so a new cookie session still needs a fresh connection
+  setCookieSession(active) {
+    const wasActive = this.cookieSession;
+    this.cookieSession = active;
+    if (active && !wasActive && this.ws) {
       const state = this.ws.readyState;
-      if (state === WebSocket.OPEN || state === WebSocket.CONNECTING) {
-        this.reconnect();
-      }
+      if (state === WebSocket.OPEN || state === WebSocket.CONNECTING) this.reconnect();
     }
   }
-
+  
   reconnect() {
     if (this.isReconnecting) return;
     this.isReconnecting = true;
@@ -102,9 +125,10 @@ class WebSocketClient {
   connect() {
     if (this.ws?.readyState === WebSocket.OPEN || this.ws?.readyState === WebSocket.CONNECTING) return;
 
+    // The token goes in the first message rather than the URL, keeping it out of access logs
     const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    let url = `${protocol}//${location.host}/ws`;
-    if (this.authToken) url += `?token=${encodeURIComponent(this.authToken)}`;
+    const query = this.canvasId && this.canvasId !== 'default' ? `?canvas=${encodeURIComponent(this.canvasId)}` : '';
+    const url = `${protocol}//${location.host}/ws${query}`;
 
     logger.info('WS', 'Connecting...');
     this.ws = new WebSocket(url);
@@ -112,10 +136,12 @@ class WebSocketClient {
     this.ws.onopen = () => {
       logger.info('WS', 'Connected');
       this.reconnectDelay = 500;
-      this.authenticated = !!this.authToken;
+      this.authenticated = false;
+      this.pendingAuth = 0;
       this.lastPongTime = Date.now();
       this.missedPongs = 0;
       this._startTimers();
+      if (this.authToken) this._authenticate();
       this._emit('connected');
       this._flushPending();
     };
@@ -136,6 +162,22 @@ class WebSocketClient {
       // Don't reconnect if we intentionally closed
       if (event.code === 1000) return;
       
+      // The canvas is gone - fall back to the default one
+      if (event.code === 4404) {
+        logger.warn('WS', `Unknown canvas: ${this.canvasId}`);
+        this.canvasId = 'default';
+        this._emit('canvas_unknown');
+      }
+      
+      // Session cookie rejected at the handshake - drop it and carry on anonymously until the app re-auths
+      if (event.code === 1008 && (this.authToken || this.cookieSession)) {
+        logger.warn('WS', `Auth rejected: ${event.reason}`);
+        this.authToken = null;
+        this.cookieSession = false;
+        this.authenticated = false;
+        this._emit('auth_rejected', { reason: event.reason });
+      }
+      
       logger.warn('WS', `Disconnected (code: ${event.code}), reconnecting in ${this.reconnectDelay}ms...`);
       setTimeout(() => this.connect(), this.reconnectDelay);
       this.reconnectDelay = Math.min(this.reconnectDelay * 1.5, this.maxReconnectDelay);
@@ -147,7 +189,29 @@ class WebSocketClient {
   }
 
   _handleMessage(type, data) {
-    if (type === 'welcome' && data.status) this._emit('status', data.status);
+    if (type === 'welcome') {
+      if (data.status) this._emit('status', data.status);
+      if (data.authenticated && !this.pendingAuth) {
+        this.authenticated = true;
+        this._flushPending();
+      }
+    }
+    else if (type === 'auth_result') {
+      // Only the answer to the latest auth message counts
+      if (--this.pendingAuth > 0) return;
+      this.pendingAuth = 0;
+      this.authenticated = data.authenticated;
+      if (data.ok) return this._flushPending();
+      logger.warn('WS', `Auth rejected: ${data.code}`);
+      this.authToken = null;
+      this._emit('auth_rejected', { reason: data.code });
+    }
+    else if (type === 'auth_expired') {
+      // The socket stays open as a viewer; the app refreshes and hands us a new token
+      this.authenticated = false;
+      this.cookieSession = false;
+      this._emit('auth_rejected', { reason: data.code });
+    }
     else if (type === 'pong') {
       this.lastPongTime = Date.now();
       this.missedPongs = 0;
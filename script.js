@@ -4,7 +4,7 @@
 
 import { CONFIG } from './client/config.js';
 import { shortenAddress, getChainInfo, isChainAllowed, logger } from './client/utils.js';
-import { authAPI, canvasAPI, getToken, setToken, clearToken } from './client/api.js';
+import { authAPI, canvasAPI, seasonsAPI, getToken, setToken, clearToken, hasSession } from './client/api.js';
 import { wsClient } from './client/websocket.js';
 import { WalletManager } from './client/WalletManager.js';
 import { PixelCanvas } from './client/PixelCanvas.js';
@@ -14,11 +14,17 @@ class App {
     this.wallet = new WalletManager();
     this.canvas = null;
     this.isAuthorized = false;
-    this.isAdmin = false;
+    this.canErase = false;
+    this.tier = null;
+    this.basePalette = CONFIG.PALETTE;
+    this.canvasId = new URLSearchParams(location.search).get('canvas') || 'default';
+    this.season = null; // A past season being looked at - read-only until back on the live canvas
     this.eraserMode = false;
     this.backendAvailable = false;
     this.canvasStatus = { pixelCount: 0, totalSlots: 0, isFull: false, clearAt: null };
     this.countdownInterval = null;
+    this.nextPlacementAt = 0;
+    this.cooldownInterval = null;
     
     this.el = {
       connectBtn: document.getElementById('connect-btn'),
@@ -39,6 +45,10 @@ class App {
       canvasOverlay: document.getElementById('canvas-overlay'),
       canvasElement: document.getElementById('pixel-canvas'),
       palette: document.getElementById('palette'),
+      canvasSection: document.getElementById('canvas-section'),
+      canvasSelect: document.getElementById('canvas-select'),
+      seasonSection: document.getElementById('season-section'),
+      seasonSelect: document.getElementById('season-select'),
       cursorCoords: document.getElementById('cursor-coords'),
       canvasSize: document.getElementById('canvas-size'),
       pixelCount: document.getElementById('pixel-count'),
@@ -54,6 +64,7 @@ class App {
   async _init() {
     await this._loadConfig();
     this.canvas = new PixelCanvas(this.el.canvasElement, CONFIG.CANVAS);
+    this.canvas.setStorageKey(this.canvasId);
     await this._loadCanvas();
     
     this.el.canvasSize.textContent = `${CONFIG.CANVAS.width} × ${CONFIG.CANVAS.height}`;
@@ -82,6 +93,10 @@ class App {
     this._setupEvents();
     this._buildNetworkOptions();
     this._setupWebSocket();
+    this._loadCanvasList();
+    this._loadSeasonList();
+    const season = new URLSearchParams(location.search).get('season');
+    if (season) this._viewSeason(season);
     
     await this.wallet.tryRehydrate();
     await this._checkAuth();
@@ -91,9 +106,14 @@ class App {
   async _loadConfig() {
     if (!CONFIG.USE_BACKEND) return;
     try {
-      const cfg = await canvasAPI.getConfig();
+      const cfg = await canvasAPI.getConfig(this.canvasId).catch((e) => {
+        // An unknown ?canvas= falls back to the default canvas
+        if (this.canvasId === 'default') throw e;
+        this.canvasId = 'default';
+        return canvasAPI.getConfig();
+      });
       Object.assign(CONFIG.CANVAS, { width: cfg.width, height: cfg.height });
-      CONFIG.PALETTE = cfg.palette;
+      CONFIG.PALETTE = this.basePalette = cfg.palette;
       this.backendAvailable = true;
     } catch (e) {
       logger.warn('App', 'Backend unavailable:', e.message);
@@ -103,7 +123,7 @@ class App {
   async _loadCanvas() {
     if (CONFIG.USE_BACKEND && this.backendAvailable) {
       try {
-        const data = await canvasAPI.getCanvas();
+        const data = await canvasAPI.getCanvas(this.canvasId);
         this.canvas.loadFromArray(data.pixels || []);
         return;
       } catch {}
@@ -111,14 +131,123 @@ class App {
     this.canvas.loadFromStorage();
   }
   
+  // The switcher only shows when there is more than one canvas to pick from
+  async _loadCanvasList() {
+    if (!CONFIG.USE_BACKEND || !this.backendAvailable || !this.el.canvasSelect) return;
+    try {
+      const { canvases } = await canvasAPI.listCanvases();
+      this.el.canvasSelect.innerHTML = '';
+      canvases.forEach(c => {
+        const option = document.createElement('option');
+        option.value = c.id;
+        option.textContent = `${c.name} (${c.width} × ${c.height})`;
+        this.el.canvasSelect.appendChild(option);
+      });
+      this.el.canvasSelect.value = this.canvasId;
+      this.el.canvasSelect.onchange = () => this._switchCanvas(this.el.canvasSelect.value);
+      this.el.canvasSection.classList.toggle('hidden', canvases.length < 2);
+    } catch {}
+  }
+  
+  async _switchCanvas(id) {
+    if (id === this.canvasId) return;
+    this.canvasId = id;
+    this.season = null;
+    await this._loadConfig();
+    
+    const url = new URL(location.href);
+    url.searchParams.delete('season');
+    if (this.canvasId === 'default') url.searchParams.delete('canvas');
+    else url.searchParams.set('canvas', this.canvasId);
+    history.replaceState(null, '', url);
+    this._resizeCanvas(CONFIG.CANVAS.width, CONFIG.CANVAS.height);
+    this._applyBasePalette(CONFIG.PALETTE);
+    this.canvas.setStorageKey(this.canvasId);
+    this.canvas.loadFromArray([]);
+    wsClient.setCanvas(this.canvasId);
+    await this._loadCanvas();
+    this._updatePixelCounter();
+    this._updateUI();
+    if (this.el.canvasSelect) this.el.canvasSelect.value = this.canvasId;
+    this._loadSeasonList();
+  }
+  
+  // The archive picker only shows once the canvas has a past season
+  async _loadSeasonList() {
+    if (!CONFIG.USE_BACKEND || !this.backendAvailable || !this.el.seasonSelect) return;
+    try {
+      const { seasons } = await seasonsAPI.list(this.canvasId);
+      this.el.seasonSelect.innerHTML = '';
+      seasons.forEach(s => {
+        const option = document.createElement('option');
+        option.value = s.current ? '' : s.id;
+        option.textContent = s.current ? `${s.name} (live)` : `${s.name} (ended ${s.endedAt.slice(0, 10)})`;
+        this.el.seasonSelect.appendChild(option);
+      });
+      this.el.seasonSelect.value = this.season ? this.season.id : '';
+      this.el.seasonSelect.onchange = () => this._viewSeason(this.el.seasonSelect.value || null);
+      this.el.seasonSection.classList.toggle('hidden', seasons.length < 2);
+    } catch {}
+  }
+  
+  // Show a past season's final canvas read-only; no id goes back to the live one
+  async _viewSeason(id) {
+    let season = null;
+    if (id) {
+      season = await seasonsAPI.get(id).catch(() => null);
+      if (!season || season.canvas !== this.canvasId) { this._notify('⚠️ Season not found', 'warn'); id = null; season = null; }
+      else if (season.current) season = null;
+    }
+    
+    const url = new URL(location.href);
+    if (season) url.searchParams.set('season', season.id);
+    else url.searchParams.delete('season');
+    history.replaceState(null, '', url);
+    
+    if (season) {
+      this.season = season;
+      // Kept apart from the live canvas's local copy
+      this.canvas.setStorageKey(`season-${season.id}`);
+      this._resizeCanvas(season.width, season.height);
+      this.canvas.loadFromArray(season.pixels);
+    } else if (this.season) {
+      this.season = null;
+      await this._loadConfig();
+      this.canvas.setStorageKey(this.canvasId);
+      this._resizeCanvas(CONFIG.CANVAS.width, CONFIG.CANVAS.height);
+      this._applyBasePalette(CONFIG.PALETTE);
+      await this._loadCanvas();
+    }
+    this._updatePixelCounter();
+    this._updateUI();
+    if (this.el.seasonSelect) this.el.seasonSelect.value = this.season ? this.season.id : '';
+  }
+  
+  // The live canvas started a new season: it is empty again, maybe at a new size and palette
+  _handleSeason({ ended, started, config }) {
+    this._loadSeasonList();
+    if (this.season) return this._notify(`🏁 ${ended.name} ended - ${started.name} is live`);
+    this._resizeCanvas(config.width, config.height);
+    this.canvas.clear();
+    this._applyBasePalette(config.palette);
+    this._updateCanvasStatus({ pixelCount: 0, totalSlots: config.width * config.height, isFull: false, clearAt: null });
+    this._notify(`🏁 ${ended.name} is over - ${started.name} begins!`);
+  }
+  
+  // A canvas's own palette, plus the tier's extra colors
+  _applyBasePalette(palette) {
+    CONFIG.PALETTE = this.basePalette = palette;
+    this._setupPalette();
+    this._applyTier(this.tier);
+    if (!CONFIG.PALETTE.includes(this.canvas.selectedColor)) this._selectColor(CONFIG.PALETTE[0]);
+  }
+  
   async _checkAuth() {
-    const token = getToken();
-    if (!token) return;
+    if (!hasSession()) return;
     try {
       const r = await authAPI.verify();
-      this.isAuthorized = r.isAuthorized;
-      this.isAdmin = r.isAdmin || false;
-      wsClient.setToken(token);
+      this._applyAuth(r);
+      this._syncSocketAuth();
     } catch {
       clearToken();
       wsClient.setToken(null);
@@ -128,27 +257,45 @@ class App {
   _setupWebSocket() {
     if (!CONFIG.USE_BACKEND) return;
     
-    wsClient.on('pixel', (d) => { this.canvas.handleRemotePixel(d.x, d.y, d.color); this._updatePixelCounter(); });
-    wsClient.on('batch', (pixels) => { pixels.forEach(p => this.canvas.handleRemotePixel(p.x, p.y, p.color)); this._updatePixelCounter(); });
-    wsClient.on('status', (s) => this._updateCanvasStatus(s));
-    wsClient.on('cleared', () => { this.canvas.clear(); this._updateCanvasStatus({ pixelCount: 0, isFull: false, clearAt: null }); this._notify('✨ Canvas cleared!'); });
+    // While a past season is shown, live updates are picked up on the way back instead
+    wsClient.on('pixel', (d) => { if (this.season) return; this.canvas.handleRemotePixel(d.x, d.y, d.color); this._updatePixelCounter(); });
+    wsClient.on('batch', (pixels) => { if (this.season) return; pixels.forEach(p => this.canvas.handleRemotePixel(p.x, p.y, p.color)); this._updatePixelCounter(); });
+    wsClient.on('status', (s) => { if (!this.season) this._updateCanvasStatus(s); });
+    wsClient.on('resize', (d) => { if (this.season) return; this._resizeCanvas(d.width, d.height, d.offset); this._refreshCanvas(); this._notify(`📐 Canvas resized to ${d.width} × ${d.height}`); });
+    wsClient.on('cleared', () => { if (this.season) return; this.canvas.clear(); this._updateCanvasStatus({ pixelCount: 0, isFull: false, clearAt: null }); this._notify('✨ Canvas cleared!'); });
+    wsClient.on('season', (d) => this._handleSeason(d));
     wsClient.on('connected', () => { this._updateConnectionStatus('connected'); if (this.wallet.address) wsClient.setAddress(this.wallet.address); this._refreshCanvas(); });
     wsClient.on('disconnected', () => this._updateConnectionStatus('disconnected'));
-    wsClient.on('error', (d) => { if (d.code === 'AUTH_REQUIRED') this._notify('⚠️ Sign in to save pixels', 'warn'); });
+    wsClient.on('error', (d) => {
+      if (d.code === 'AUTH_REQUIRED') this._notify('⚠️ Sign in to save pixels', 'warn');
+      else if (d.code === 'BANNED') this._notify('⛔ This wallet is banned from drawing', 'warn');
+      else if (d.code === 'DENYLISTED') this._notify('⛔ This wallet is blocked from drawing', 'warn');
+      else if (d.code === 'DEAUTHORIZED') this._handleDeauthorized();
+      else if (d.code === 'COOLDOWN') { this._applyCooldown(d.nextPlacementAt); this._notify(`⏳ Cooldown - wait ${Math.ceil(d.retryAfterMs / 1000)}s`, 'warn'); }
+    });
+    wsClient.on('cooldown', (d) => this._applyCooldown(d.nextPlacementAt));
+    wsClient.on('auth_rejected', () => this._handleAuthRejected());
+    wsClient.on('deauthorized', () => this._handleDeauthorized());
+    wsClient.on('canvas', (cfg) => { this._applyBasePalette(cfg.palette); this._loadCanvasList(); });
+    wsClient.on('canvas_deleted', () => { this._notify('🗑️ This canvas was deleted', 'warn'); this._switchCanvas('default'); this._loadCanvasList(); });
+    wsClient.on('canvas_unknown', () => { this._notify('⚠️ That canvas no longer exists', 'warn'); this._switchCanvas('default'); this._loadCanvasList(); });
     
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'visible' && !wsClient.isConnected()) wsClient.connect();
     });
     
     wsClient.setOpenMode(CONFIG.OPEN_MODE || false);
+    wsClient.setCanvas(this.canvasId);
     this._updateConnectionStatus('connecting');
     wsClient.connect();
   }
   
   async _refreshCanvas() {
-    if (!CONFIG.USE_BACKEND || !this.backendAvailable) return;
+    if (!CONFIG.USE_BACKEND || !this.backendAvailable || this.season) return;
     try {
-      const data = await canvasAPI.getCanvas();
+      const data = await canvasAPI.getCanvas(this.canvasId);
+      // A resize may have happened while disconnected
+      if (data.width && (data.width !== CONFIG.CANVAS.width || data.height !== CONFIG.CANVAS.height)) this._resizeCanvas(data.width, data.height);
       // Only update canvas if we received actual pixel data - don't clear on empty/failed responses
       if (data.pixels && data.pixels.length > 0) {
         this.canvas.loadFromArray(data.pixels);
@@ -159,6 +306,12 @@ class App {
     }
   }
   
+  _resizeCanvas(width, height, offset = { x: 0, y: 0 }) {
+    Object.assign(CONFIG.CANVAS, { width, height });
+    this.el.canvasSize.textContent = `${width} × ${height}`;
+    this.canvas.resize(width, height, offset.x, offset.y);
+  }
+  
   _updateConnectionStatus(status) {
     const dot = document.getElementById('status-dot');
     const text = document.getElementById('ws-status-text');
@@ -168,10 +321,11 @@ class App {
   }
   
   _setupPalette() {
+    const selected = CONFIG.PALETTE.includes(this.canvas.selectedColor) ? this.canvas.selectedColor : CONFIG.PALETTE[0];
     this.el.palette.innerHTML = '';
     CONFIG.PALETTE.forEach((color, i) => {
       const btn = document.createElement('button');
-      btn.className = 'palette-btn' + (i === 0 ? ' selected' : '');
+      btn.className = 'palette-btn' + (color === selected ? ' selected' : '');
       btn.style.backgroundColor = color;
       btn.dataset.color = color;
       btn.title = `Press ${i + 1}`;
@@ -204,20 +358,21 @@ class App {
     this.el.walletModal?.addEventListener('click', (e) => { if (e.target === this.el.walletModal) this.el.walletModal.classList.add('hidden'); });
     
     document.addEventListener('keydown', (e) => {
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
       const n = parseInt(e.key);
       if (n >= 1 && n <= CONFIG.PALETTE.length) { this._disableEraser(); this._selectColor(CONFIG.PALETTE[n - 1]); }
-      if (e.key.toLowerCase() === 'e' && this.isAdmin) this._toggleEraser();
+      if (e.key.toLowerCase() === 'e' && this.canErase) this._toggleEraser();
       if (e.key === 'Escape') { this.el.networkModal.classList.add('hidden'); this.el.walletModal?.classList.add('hidden'); }
     });
     
     this.el.eraserBtn?.addEventListener('click', () => this._toggleEraser());
     this.el.zoomDisplay?.addEventListener('click', () => this.canvas.cycleZoom());
-    window.addEventListener('auth:expired', () => { this.isAuthorized = this.isAdmin = false; this._updateUI(); });
+    window.addEventListener('auth:expired', () => { this.isAuthorized = this.canErase = false; this._updateUI(); });
+    window.addEventListener('auth:refreshed', () => this._syncSocketAuth());
   }
   
   _toggleEraser() {
-    if (!this.isAdmin) return;
+    if (!this.canErase) return;
     this.eraserMode = !this.eraserMode;
     this.canvas.setEraserMode(this.eraserMode);
     this.el.eraserBtn?.classList.toggle('active', this.eraserMode);
@@ -282,11 +437,9 @@ class App {
     
     if (CONFIG.USE_BACKEND && this.backendAvailable) {
       try {
-        const r = await authAPI.connect(address, chainId);
-        this.isAuthorized = r.isAuthorized;
-        this.isAdmin = r.isAdmin || false;
-        const token = getToken();
-        if (token) wsClient.setToken(token);
+        const r = (await this._resumeSession(address)) || (await this._signIn(address, chainId));
+        this._applyAuth(r);
+        this._syncSocketAuth();
       } catch (e) {
         logger.warn('App', 'Auth failed:', e.message);
         this.isAuthorized = CONFIG.OPEN_MODE;
@@ -299,8 +452,81 @@ class App {
     this._updateUI();
   }
   
+  // Sign-In With Ethereum: the server builds the message, the wallet signs it verbatim
+  async _signIn(address, chainId) {
+    const { message } = await authAPI.getNonce(address, chainId);
+    const signature = await this.wallet.signMessage(message);
+    return authAPI.connect(address, chainId, message, signature);
+  }
+  
+  // Reuse a stored token for the same wallet instead of prompting for a new signature
+  async _resumeSession(address) {
+    if (!hasSession()) return null;
+    try {
+      const r = await authAPI.verify();
+      return r.address === address.toLowerCase() ? r : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  // The socket refused our access token (expired or revoked) - try the refresh token once
+  async _handleAuthRejected() {
+    if (!CONFIG.USE_BACKEND || !this.backendAvailable) return;
+    try {
+      const r = await authAPI.refresh();
+      if (r.isAuthorized !== undefined) this._applyAuth(r);
+      this._syncSocketAuth();
+    } catch {
+      clearToken();
+      this.isAuthorized = this.canErase = false;
+      this._notify('⚠️ Session expired, reconnect your wallet', 'warn');
+    }
+    this._updateUI();
+  }
+  
+  // Re-verification found the gating NFT gone - refresh to pick up what we may still do (roles can allow drawing)
+  async _handleDeauthorized() {
+    this._notify('⚠️ The gating NFT is no longer in this wallet', 'warn');
+    try {
+      this._applyAuth(await authAPI.refresh());
+      this._syncSocketAuth();
+    } catch {
+      this.isAuthorized = false;
+    }
+    this._updateUI();
+  }
+  
+  // Bearer tokens are handed to the socket; cookie sessions ride on the upgrade request
+  _syncSocketAuth() {
+    const token = getToken();
+    if (token) wsClient.setToken(token);
+    else wsClient.setCookieSession(hasSession());
+  }
+  
+  // Roles are granted server-side: trusted artists draw without the NFT, banned wallets never do
+  _applyAuth(r) {
+    const permissions = r.permissions || [];
+    this.isAuthorized = !r.roles?.includes('banned') && (r.isAuthorized || permissions.includes('pixel:place'));
+    this.canErase = permissions.includes('pixel:erase');
+    this._applyTier(r.tier);
+    if (r.verification === 'unavailable') this._notify('⚠️ NFT ownership could not be verified right now - try again shortly', 'warn');
+  }
+  
+  // Higher holdings tiers unlock extra colors on top of the base palette
+  _applyTier(tier) {
+    this.tier = tier || null;
+    const palette = [...new Set([...this.basePalette, ...(tier?.extraColors || [])])];
+    if (palette.join() === CONFIG.PALETTE.join()) return;
+    CONFIG.PALETTE = palette;
+    this._setupPalette();
+    if (!palette.includes(this.canvas.selectedColor)) this._selectColor(palette[0]);
+  }
+  
   _handleDisconnect() {
-    this.isAuthorized = this.isAdmin = false;
+    this.isAuthorized = this.canErase = false;
+    this._applyTier(null);
+    this._applyCooldown(0);
     wsClient.setAddress(null);
     wsClient.setToken(null);
     clearToken();
@@ -309,12 +535,16 @@ class App {
   
   async _handleAccountChange(address) {
     wsClient.setAddress(address);
+    this._applyCooldown(0); // the new wallet's own cooldown arrives when the socket re-authenticates
     if (CONFIG.USE_BACKEND && this.backendAvailable) {
       try {
-        const r = await authAPI.connect(address, this.wallet.chainId);
-        this.isAuthorized = r.isAuthorized;
-        this.isAdmin = r.isAdmin || false;
-      } catch {}
+        const r = await this._signIn(address, this.wallet.chainId);
+        this._applyAuth(r);
+        this._syncSocketAuth();
+      } catch (e) {
+        logger.warn('App', 'Auth failed:', e.message);
+        this.isAuthorized = this.canErase = false;
+      }
     }
     this._updateUI();
   }
@@ -328,10 +558,8 @@ class App {
       if (CONFIG.USE_BACKEND && this.backendAvailable) {
         try {
           const r = await authAPI.refresh(chainId);
-          this.isAuthorized = r.isAuthorized;
-          this.isAdmin = r.isAdmin || false;
-          const token = getToken();
-          if (token) wsClient.setToken(token);
+          this._applyAuth(r);
+          this._syncSocketAuth();
         } catch { this.isAuthorized = CONFIG.OPEN_MODE; }
       }
     }
@@ -375,7 +603,12 @@ class App {
           this.el.authMessage.textContent = '⚠️ Wrong network - please switch';
         } else if (this.isAuthorized) {
           this.el.authBanner.className = 'auth-banner authorized';
-          this.el.authMessage.textContent = '✓ NFT holders can draw';
+          const tier = this.tier?.id !== 'default' && this.tier;
+          const wait = this.nextPlacementAt - Date.now();
+          if (wait > 0) this.el.authMessage.textContent = `⏳ Next pixel in ${Math.ceil(wait / 1000)}s`;
+          else this.el.authMessage.textContent = tier
+            ? `✓ ${tier.name} tier${tier.cooldownMs ? ` - ${Math.ceil(tier.cooldownMs / 1000)}s cooldown` : ''}`
+            : '✓ NFT holders can draw';
         } else {
           this.el.authBanner.className = 'auth-banner view-only';
           this.el.authMessage.textContent = '👀 View only - need eligible NFT';
@@ -387,12 +620,26 @@ class App {
       this.el.authMessage.textContent = 'Connect wallet to draw';
     }
     
-    const canPlace = open || (connected && this.isAuthorized && isChainAllowed(chain));
+    const canPlace = !this.season && (open || (connected && this.isAuthorized && isChainAllowed(chain)));
     this.el.canvasOverlay.classList.toggle('hidden', canPlace);
-    this.canvas.setAuthorized(canPlace);
+    this.el.canvasOverlay.firstElementChild.textContent = this.season ? `${this.season.name} - archived` : 'View Only';
+    this.canvas.setAuthorized(canPlace && this.nextPlacementAt <= Date.now());
     
-    this.el.eraserSection?.classList.toggle('hidden', !this.isAdmin);
-    if (!this.isAdmin && this.eraserMode) this._disableEraser();
+    this.el.eraserSection?.classList.toggle('hidden', !this.canErase);
+    if (!this.canErase && this.eraserMode) this._disableEraser();
+  }
+  
+  // The server says when the next placement is allowed; hold the canvas until then
+  _applyCooldown(at) {
+    clearInterval(this.cooldownInterval);
+    this.nextPlacementAt = at || 0;
+    if (this.nextPlacementAt > Date.now()) {
+      this.cooldownInterval = setInterval(() => {
+        if (this.nextPlacementAt <= Date.now()) clearInterval(this.cooldownInterval);
+        this._updateUI();
+      }, 1000);
+    }
+    this._updateUI();
   }
   
   _updatePixelCounter() {
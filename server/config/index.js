@@ -30,6 +30,8 @@ function getDatabasePath() {
 const config = {
   port: parseInt(process.env.PORT || '3001', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Absolute origin for link previews (og:image, og:url); falls back to SIWE_URI, then the request's own
+  publicUrl: process.env.PUBLIC_URL || process.env.SIWE_URI || null,
   
   database: {
     path: getDatabasePath(),
@@ -37,9 +39,29 @@ const config = {
   
   jwt: {
     secret: process.env.JWT_SECRET || 'change-this-in-production-to-a-secure-random-string',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    // Opaque refresh tokens; each use rotates them and extends the session
+    refreshTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+    // A token spent this recently rotates again instead of counting as reuse - tabs refreshing at once share one
+    refreshGraceMs: parseInt(process.env.REFRESH_TOKEN_GRACE_MS || '10000', 10),
   },
   
+  // 'token': tokens in the JSON body (client keeps them in localStorage)
+  // 'cookie': HttpOnly cookies plus a double-submit CSRF token
+  session: {
+    mode: process.env.SESSION_MODE === 'cookie' ? 'cookie' : 'token',
+    cookieSecure: process.env.SESSION_COOKIE_SECURE ? process.env.SESSION_COOKIE_SECURE === 'true' : process.env.NODE_ENV === 'production',
+    cookieSameSite: process.env.SESSION_COOKIE_SAMESITE || 'strict',
+  },
+  
+  // Sign-In With Ethereum (EIP-4361) - domain/uri default to the request host when unset
+  siwe: {
+    domain: process.env.SIWE_DOMAIN || null,
+    uri: process.env.SIWE_URI || null,
+    statement: process.env.SIWE_STATEMENT || 'Sign in to (r) EMI / Place to place pixels.',
+    ttlMs: parseInt(process.env.SIWE_TTL_MS || '300000', 10),
+  },
+
   cors: {
     origin: process.env.CORS_ORIGIN 
       ? (process.env.CORS_ORIGIN.includes(',') ? process.env.CORS_ORIGIN.split(',').map(o => o.trim()) : process.env.CORS_ORIGIN)
@@ -51,12 +73,32 @@ const config = {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10),
     pixelMaxRequests: parseInt(process.env.PIXEL_RATE_LIMIT || '30', 10),
+    // Wait between placements per wallet (r/place style); tiers can override it
+    pixelCooldownMs: parseInt(process.env.PIXEL_COOLDOWN_MS || '0', 10),
   },
   
   canvas: {
     width: parseInt(process.env.CANVAS_WIDTH || '220', 10),
     height: parseInt(process.env.CANVAS_HEIGHT || '150', 10),
     palette: ['#ff0000', '#ff7f00', '#ffff00', '#00ff00', '#0000ff', '#4b0082', '#9400d3', '#000000', '#ffffff'],
+    // History rows between keyframes used to rebuild past canvas states
+    keyframeInterval: parseInt(process.env.CANVAS_KEYFRAME_INTERVAL || '5000', 10),
+    // History rows kept across all canvases; the oldest are pruned past it
+    historyMaxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES || '100000', 10),
+  },
+  
+  timelapse: {
+    // Rendered timelapses, keyed by their parameters; the oldest are dropped past cacheSize files.
+    // Defaults to a timelapse/ directory beside the database in use
+    cacheDir: process.env.TIMELAPSE_CACHE_DIR || null,
+    cacheSize: parseInt(process.env.TIMELAPSE_CACHE_SIZE || '50', 10),
+    maxFrames: parseInt(process.env.TIMELAPSE_MAX_FRAMES || '600', 10),
+    // frames x scaled width x scaled height one render may produce
+    maxPixels: parseInt(process.env.TIMELAPSE_MAX_PIXELS || '50000000', 10),
+    // Renders running or waiting for the worker; past this new ones get 503 TIMELAPSE_BUSY
+    maxQueue: parseInt(process.env.TIMELAPSE_MAX_QUEUE || '4', 10),
+    // Timelapse requests per client (IP or API key) per RATE_LIMIT_WINDOW_MS
+    rateLimit: parseInt(process.env.TIMELAPSE_RATE_LIMIT || '10', 10),
   },
   
   openMode: process.env.OPEN_MODE === 'true',
@@ -73,9 +115,31 @@ const config = {
     contracts: {
       erc721: process.env.ERC721_CONTRACTS ? JSON.parse(process.env.ERC721_CONTRACTS) : [],
       erc1155: process.env.ERC1155_CONTRACTS ? JSON.parse(process.env.ERC1155_CONTRACTS) : [],
+      erc20: process.env.ERC20_CONTRACTS ? JSON.parse(process.env.ERC20_CONTRACTS) : [],
     },
+    // 'any': one passing rule is enough; 'all': a passing rule in every group (NFTs and ERC-20s by default)
+    mode: process.env.NFT_GATING_MODE === 'all' ? 'all' : 'any',
+    // Honour delegate.xyz v2 delegations from vaults to the connecting wallet
+    delegation: process.env.NFT_DELEGATION_ENABLED === 'true',
+    // Where checks are read from, tried in order: 'rpc' (rpcUrls), 'alchemy', 'snapshot' (a static JSON file)
+    providers: {
+      order: (process.env.NFT_PROVIDERS || 'rpc').split(',').map(p => p.trim()).filter(Boolean),
+      alchemyApiKey: process.env.ALCHEMY_API_KEY || null,
+      snapshotFile: process.env.NFT_SNAPSHOT_FILE || null,
+      timeoutMs: parseInt(process.env.NFT_PROVIDER_TIMEOUT_MS || '5000', 10),
+      breakerThreshold: parseInt(process.env.NFT_BREAKER_THRESHOLD || '5', 10),
+      breakerResetMs: parseInt(process.env.NFT_BREAKER_RESET_MS || '30000', 10),
+    },
+    // When no provider can answer: 'closed' refuses the wallet, 'open' lets it through
+    failPolicy: process.env.NFT_FAIL_POLICY === 'open' ? 'open' : 'closed',
+    cacheTtlMs: parseInt(process.env.NFT_CACHE_TTL_MS || '300000', 10),
+    reverifyIntervalMs: parseInt(process.env.NFT_REVERIFY_INTERVAL_MS || '60000', 10),
+    activeWindowMs: parseInt(process.env.NFT_ACTIVE_WINDOW_MS || '1800000', 10),
   },
   
+  // Holdings-based tiers, lowest first: [{ id, name, minHoldings, collections, cooldownMs, maxBatch, extraColors, rateLimit }]
+  tiers: process.env.TIERS ? JSON.parse(process.env.TIERS) : [],
+  
   adminWallets: process.env.ADMIN_WALLETS ? process.env.ADMIN_WALLETS.split(',').map(a => a.trim().toLowerCase()) : [],
   
   redis: {
@@ -93,6 +157,7 @@ if (config.nodeEnv === 'production') {
   if (config.jwt.secret === 'change-this-in-production-to-a-secure-random-string') errors.push('JWT_SECRET must be set');
   if (config.jwt.secret.length < 32) errors.push('JWT_SECRET must be 32+ chars');
   if ([config.cors.origin].flat().includes('*')) errors.push('CORS_ORIGIN cannot be "*"');
+  if (!config.siwe.domain || !config.siwe.uri) errors.push('SIWE_DOMAIN and SIWE_URI must be set');
   if (errors.length) throw new Error(`Config errors:\n${errors.join('\n')}`);
 }
 
@@ -9,17 +9,24 @@ import compression from 'compression';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
 import { randomUUID, randomBytes } from 'crypto';
 
 import config from './config/index.js';
 import routes from './routes/index.js';
 import { generalLimiter } from './middleware/rateLimit.js';
+import { apiKeyAuth } from './middleware/auth.js';
+import { csrfProtection } from './middleware/cookieSession.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { initWebSocket, getClientCount, closeAll as closeWebSockets } from './websocket/index.js';
 import { closeDatabase, databaseAPI, initDatabase } from './models/database.js';
 import logger, { requestLogger } from './utils/logger.js';
 import { metricsMiddleware } from './services/metrics.js';
 import { startAutoBackup, stopAutoBackup } from './services/backup.js';
+import { startReverifier, stopReverifier } from './services/ownership.js';
+import { validateContracts } from './services/nft.js';
+import { loadRevoked } from './services/sessions.js';
+import { publicOrigin, renderPage } from './services/page.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -81,10 +88,18 @@ app.use(helmet({
 app.use(cors(config.cors));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use('/api', generalLimiter);
+app.use('/api', apiKeyAuth, generalLimiter, csrfProtection);
 app.use(requestLogger);
 app.use('/api', routes);
 
+// The page, with absolute link-preview URLs - ahead of static, which would serve index.html as is
+app.get(['/', '/index.html'], (req, res, next) => {
+  readFile(join(__dirname, '..', 'index.html'), 'utf8').then((html) => {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.type('html').send(renderPage(html, publicOrigin(req), req.query.canvas));
+  }).catch(next);
+});
+
 app.use(express.static(join(__dirname, '..'), {
   maxAge: config.nodeEnv === 'production' ? '1d' : 0,
   etag: true,
@@ -93,20 +108,20 @@ app.use(express.static(join(__dirname, '..'), {
   },
 }));
 
-app.get('/', (req, res) => {
-  res.setHeader('Cache-Control', 'no-cache');
-  res.sendFile(join(__dirname, '..', 'index.html'));
-});
-
 app.use('/api', notFoundHandler);
 app.use(errorHandler);
 
 async function start() {
+  // Malformed gating rules are logged and dropped before any check reads them
+  config.nft.contracts = validateContracts(config.nft.contracts);
+  
   // Initialize database first (waits for Railway volume mount)
   await initDatabase();
+  loadRevoked();
   
   await initWebSocket(server);
   if (config.nodeEnv === 'production') startAutoBackup();
+  if (config.nft.enabled) startReverifier();
   
   server.listen(config.port, () => {
     logger.info({ port: config.port, env: config.nodeEnv, canvas: `${config.canvas.width}×${config.canvas.height}` }, 'Server started');
@@ -121,6 +136,7 @@ start().catch(err => { logger.error({ err }, 'Failed to start'); process.exit(1)
 async function shutdown(signal) {
   logger.info({ signal }, 'Shutting down...');
   stopAutoBackup();
+  stopReverifier();
   server.close(() => {
     closeWebSockets();
     closeDatabase();
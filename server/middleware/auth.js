@@ -4,19 +4,58 @@
 
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
+import { isRevoked } from '../services/sessions.js';
+import { verifyContractSignature } from '../services/contractSignature.js';
+import { isBanned, canPlace, hasPermission } from '../services/roles.js';
+import { resolveApiKey } from '../services/apiKeys.js';
+import { markActive, isDeauthorized, checkRoomOwnership } from '../services/ownership.js';
+import { isDenylisted } from '../services/access.js';
+import { cookieMode, readCookie, ACCESS_COOKIE } from './cookieSession.js';
+
+// Role permissions an API key can exercise, and the scope that grants each
+const PERMISSION_SCOPES = { 'backups:manage': 'admin:backup' };
+
+// Identity an API key acts as; `isAuthorized` lets pixels:write keys through requireAuthorization
+export function apiKeyUser(key) {
+  return { address: `apikey:${key.id}`, chainId: null, isAuthorized: key.scopes.includes('pixels:write'), isAdmin: false, apiKey: key };
+}
+
+/**
+ * Resolve an `X-API-Key` header onto req.apiKey / req.user. Mounted ahead of the
+ * rate limiter so keys get their own limits; a bad key is rejected, not treated as anonymous.
+ */
+export function apiKeyAuth(req, res, next) {
+  const raw = req.headers['x-api-key'];
+  if (!raw || req.apiKey) return next();
+  
+  const key = resolveApiKey(raw, req.ip);
+  if (!key) return res.status(401).json({ error: 'Invalid API key', code: 'INVALID_API_KEY' });
+  req.apiKey = key;
+  req.user = apiKeyUser(key);
+  next();
+}
+
+// Bearer header first; in cookie session mode the HttpOnly access cookie
+export function getAccessToken(req) {
+  return req.headers['authorization']?.split(' ')[1] || (cookieMode() ? readCookie(req, ACCESS_COOKIE) : null);
+}
 
 export function authenticateToken(req, res, next) {
-  const token = req.headers['authorization']?.split(' ')[1];
+  if (req.headers['x-api-key']) return apiKeyAuth(req, res, next);
+  const token = getAccessToken(req);
   
   if (!token) return res.status(401).json({ error: 'Authentication required', code: 'NO_TOKEN' });
   
   try {
     const decoded = jwt.verify(token, config.jwt.secret);
+    if (isRevoked(decoded.sid)) return res.status(401).json({ error: 'Token revoked', code: 'TOKEN_REVOKED' });
     req.user = {
       address: decoded.address,
       chainId: decoded.chainId,
       isAuthorized: decoded.isAuthorized,
       isAdmin: decoded.isAdmin || false,
+      sessionId: decoded.sid,
+      tier: decoded.tier,
     };
     next();
   } catch (e) {
@@ -26,37 +65,74 @@ export function authenticateToken(req, res, next) {
 }
 
 export function optionalAuth(req, res, next) {
-  const token = req.headers['authorization']?.split(' ')[1];
+  if (req.headers['x-api-key']) return apiKeyAuth(req, res, next);
+  const token = getAccessToken(req);
   if (!token) { req.user = null; return next(); }
   
   try {
     const decoded = jwt.verify(token, config.jwt.secret);
-    req.user = { address: decoded.address, chainId: decoded.chainId, isAuthorized: decoded.isAuthorized, isAdmin: decoded.isAdmin || false };
+    req.user = isRevoked(decoded.sid) ? null : { address: decoded.address, chainId: decoded.chainId, isAuthorized: decoded.isAuthorized, isAdmin: decoded.isAdmin || false, sessionId: decoded.sid, tier: decoded.tier };
   } catch { req.user = null; }
   next();
 }
 
 export function requireAuthorization(req, res, next) {
   if (!req.user) return res.status(401).json({ error: 'Authentication required', code: 'NO_AUTH' });
-  if (!req.user.isAuthorized) return res.status(403).json({ error: 'NFT required', code: 'NOT_AUTHORIZED' });
-  next();
+  if (isBanned(req.user.address)) return res.status(403).json({ error: 'Wallet is banned', code: 'BANNED' });
+  if (isDenylisted(req.user.address)) return res.status(403).json({ error: 'Wallet is denylisted', code: 'DENYLISTED' });
+  markActive(req.user.address);
+  // req.canvas is set on canvas routes (see middleware/canvas.js); one with contracts of its own is checked against them first
+  const room = req.canvas || null;
+  if (room?.contracts) return checkRoomOwnership(req.user.address, room).then(() => authorizePlacement(req, res, next, room), next);
+  authorizePlacement(req, res, next, room);
 }
 
-export function requireAdmin(req, res, next) {
-  if (!req.user) return res.status(401).json({ error: 'Authentication required', code: 'NO_AUTH' });
-  const isAdmin = req.user.isAdmin || config.adminWallets.includes(req.user.address.toLowerCase());
-  if (!isAdmin) return res.status(403).json({ error: 'Admin required', code: 'NOT_ADMIN' });
-  req.user.isAdmin = true;
+function authorizePlacement(req, res, next, room) {
+  if (!canPlace(req.user, room)) {
+    if (room?.gating === 'allowlist') return res.status(403).json({ error: 'This canvas is allowlist-only', code: 'NOT_AUTHORIZED' });
+    if (!room?.contracts && isDeauthorized(req.user.address)) return res.status(403).json({ error: 'NFT no longer held', code: 'DEAUTHORIZED' });
+    return res.status(403).json({ error: 'NFT required', code: 'NOT_AUTHORIZED' });
+  }
   next();
 }
 
+/**
+ * Require a role permission (see services/roles.js), looked up live rather than trusted from the token
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required', code: 'NO_AUTH' });
+    if (req.apiKey) {
+      const scope = PERMISSION_SCOPES[permission];
+      if (!scope || !req.apiKey.scopes.includes(scope)) return res.status(403).json({ error: 'API key scope required', code: 'INSUFFICIENT_SCOPE', scope: scope || null });
+      return next();
+    }
+    if (!hasPermission(req.user.address, permission)) return res.status(403).json({ error: 'Permission required', code: 'FORBIDDEN', permission });
+    next();
+  };
+}
+
+/**
+ * Require a scope of API key callers; wallet sessions and anonymous requests pass through
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) return res.status(403).json({ error: 'API key scope required', code: 'INSUFFICIENT_SCOPE', scope });
+    next();
+  };
+}
+
 export function generateToken(payload) {
   return jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
 }
 
-export async function verifySignature(address, message, signature) {
+/**
+ * EOA recovery first; contract wallets (EIP-1271/6492) are checked on `chainId` when that fails
+ */
+export async function verifySignature(address, message, signature, chainId) {
   const { ethers } = await import('ethers');
   try {
-    return ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase();
-  } catch { return false; }
+    if (ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()) return true;
+  } catch {}
+  return verifyContractSignature(address, message, signature, chainId);
 }
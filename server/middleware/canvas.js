@@ -0,0 +1,15 @@
+/**
+ * Canvas Middleware - resolves which canvas (room) a request is for
+ */
+
+import { getRoom, DEFAULT_CANVAS } from '../services/rooms.js';
+
+// req.canvas from :canvasId, or the default canvas on /api/canvas and /api/pixels
+export function resolveCanvas(req, res, next) {
+  try {
+    req.canvas = getRoom(req.params.canvasId || DEFAULT_CANVAS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
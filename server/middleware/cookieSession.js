@@ -0,0 +1,77 @@
+/**
+ * Cookie Session Middleware - HttpOnly session cookies and double-submit CSRF
+ * (only active when SESSION_MODE=cookie)
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import { parseCookies, serializeCookie, appendCookie } from '../utils/cookies.js';
+
+export const ACCESS_COOKIE = 'rp_access';
+export const REFRESH_COOKIE = 'rp_refresh';
+export const CSRF_COOKIE = 'rp_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Signed-in by the SIWE signature itself; SameSite covers login CSRF
+const CSRF_EXEMPT = ['/auth/connect'];
+
+export const cookieMode = () => config.session.mode === 'cookie';
+
+export function readCookie(req, name) {
+  if (!req.cookies) req.cookies = parseCookies(req.headers.cookie);
+  return req.cookies[name] || null;
+}
+
+function cookieOptions(maxAge, extra = {}) {
+  return { maxAge, secure: config.session.cookieSecure, sameSite: config.session.cookieSameSite, ...extra };
+}
+
+/**
+ * Put an auth result's tokens into cookies. The CSRF token is kept across
+ * refreshes and only rotated when a new session starts.
+ */
+export function setSessionCookies(req, res, { token, refreshToken }, { newSession = false } = {}) {
+  const exp = jwt.decode(token)?.exp;
+  const accessMaxAge = exp ? exp * 1000 - Date.now() : undefined;
+  const csrf = (!newSession && readCookie(req, CSRF_COOKIE)) || randomBytes(24).toString('base64url');
+  
+  appendCookie(res, serializeCookie(ACCESS_COOKIE, token, cookieOptions(accessMaxAge, { httpOnly: true })));
+  appendCookie(res, serializeCookie(REFRESH_COOKIE, refreshToken, cookieOptions(config.jwt.refreshTtlMs, { httpOnly: true, path: '/api/auth' })));
+  appendCookie(res, serializeCookie(CSRF_COOKIE, csrf, cookieOptions(config.jwt.refreshTtlMs)));
+  return csrf;
+}
+
+export function clearSessionCookies(res) {
+  appendCookie(res, serializeCookie(ACCESS_COOKIE, '', cookieOptions(0, { httpOnly: true })));
+  appendCookie(res, serializeCookie(REFRESH_COOKIE, '', cookieOptions(0, { httpOnly: true, path: '/api/auth' })));
+  appendCookie(res, serializeCookie(CSRF_COOKIE, '', cookieOptions(0)));
+}
+
+/**
+ * Double-submit check for state-changing requests that ride on session cookies.
+ * Header-authenticated requests (Bearer, API key) can't be forged cross-site and skip it.
+ */
+export function csrfProtection(req, res, next) {
+  if (!cookieMode() || SAFE_METHODS.includes(req.method) || CSRF_EXEMPT.includes(req.path)) return next();
+  if (req.headers['authorization'] || req.headers['x-api-key']) return next();
+  if (!readCookie(req, ACCESS_COOKIE) && !readCookie(req, REFRESH_COOKIE)) return next();
+  
+  const expected = Buffer.from(readCookie(req, CSRF_COOKIE) || '');
+  const given = Buffer.from(String(req.headers[CSRF_HEADER] || ''));
+  if (!expected.length || given.length !== expected.length || !timingSafeEqual(given, expected)) return res.status(403).json({ error: 'CSRF token missing or invalid', code: 'CSRF_FAILED' });
+  next();
+}
+
+/**
+ * Whether a browser Origin may use cookie auth - CORS_ORIGIN when set, otherwise same host
+ */
+export function originAllowed(origin, host) {
+  if (!origin) return false;
+  const allowed = [config.cors.origin].flat();
+  if (!allowed.includes('*')) return allowed.includes(origin);
+  try { return new URL(origin).host === host; } catch { return false; }
+}
+
+export default { cookieMode, readCookie, setSessionCookies, clearSessionCookies, csrfProtection, originAllowed };
@@ -28,6 +28,7 @@ export function errorHandler(err, req, res, _next) {
   if (err.isOperational) return res.status(err.statusCode).json({ error: err.message, code: err.code });
   if (err.name === 'ValidationError') return res.status(400).json({ error: err.message, code: 'VALIDATION_ERROR' });
   if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON', code: 'INVALID_JSON' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
   if (err.code?.startsWith('SQLITE_')) return res.status(500).json({ error: 'Database error', code: 'DATABASE_ERROR' });
   
   res.status(500).json({ error: config.nodeEnv === 'development' ? err.message : 'Unexpected error', code: 'INTERNAL_ERROR' });
@@ -6,3 +6,4 @@ export * from './auth.js';
 export * from './rateLimit.js';
 export * from './errorHandler.js';
 export * from './validation.js';
+export * from './canvas.js';
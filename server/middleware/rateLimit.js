@@ -4,25 +4,55 @@
 
 import rateLimit from 'express-rate-limit';
 import config from '../config/index.js';
+import { tierFor } from '../services/tiers.js';
+import { claimPlacement } from '../services/cooldown.js';
+import { asyncHandler } from './errorHandler.js';
 
+// API keys are limited per key, at their own limit when one was set
 export const generalLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.maxRequests,
+  max: (req) => req.apiKey?.rateLimit || config.rateLimit.maxRequests,
   message: { error: 'Too many requests', code: 'RATE_LIMITED' },
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => req.user?.address || req.ip,
 });
 
+// Each holdings tier sets its own placement rate
 export const pixelLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.pixelMaxRequests,
+  max: (req) => tierFor(req.user).rateLimit,
   message: { error: 'Pixel rate limit exceeded', code: 'PIXEL_RATE_LIMITED' },
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => req.user?.address || req.ip,
 });
 
+/**
+ * Tier cooldown between placements (a batch counts as one). Runs after
+ * validation so a rejected request doesn't start the clock. The next allowed
+ * placement time is left on `req.nextPlacementAt` for the response.
+ */
+export const pixelCooldown = asyncHandler(async (req, res, next) => {
+  const claimed = await claimPlacement(req.user);
+  if (!claimed.ok) {
+    res.setHeader('Retry-After', Math.ceil(claimed.retryAfterMs / 1000));
+    return res.status(429).json({ error: 'Cooldown active', code: 'COOLDOWN', retryAfterMs: claimed.retryAfterMs, nextPlacementAt: claimed.nextPlacementAt });
+  }
+  req.nextPlacementAt = claimed.nextPlacementAt;
+  next();
+});
+
+// Timelapse renders are expensive, cache hits or not; counted per API key, else per IP
+export const timelapseLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: () => config.timelapse.rateLimit,
+  message: { error: 'Too many timelapse requests', code: 'RATE_LIMITED' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
+});
+
 export const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 20,
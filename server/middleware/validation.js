@@ -1,24 +1,31 @@
 /**
  * Validation Middleware
+ *
+ * Bounds and palette are the canvas's when the route resolved one (req.canvas), else the default's.
  */
 
 import config from '../config/index.js';
 import { AppError } from './errorHandler.js';
+import { tierFor, paletteFor, fullPalette } from '../services/tiers.js';
+
+const canvasOf = (req) => req.canvas || config.canvas;
 
 export function validatePixel(req, res, next) {
   const { x, y, color } = req.body;
+  const { width, height, palette } = canvasOf(req);
   
   if (x === undefined || y === undefined || !color) throw new AppError('Missing x, y, or color', 400, 'VALIDATION_ERROR');
   
   const xNum = parseInt(x, 10), yNum = parseInt(y, 10);
   if (isNaN(xNum) || isNaN(yNum)) throw new AppError('Invalid coordinates', 400, 'INVALID_COORDINATES');
-  if (xNum < 0 || xNum >= config.canvas.width || yNum < 0 || yNum >= config.canvas.height) {
-    throw new AppError(`Out of bounds (0-${config.canvas.width - 1}, 0-${config.canvas.height - 1})`, 400, 'OUT_OF_BOUNDS');
+  if (xNum < 0 || xNum >= width || yNum < 0 || yNum >= height) {
+    throw new AppError(`Out of bounds (0-${width - 1}, 0-${height - 1})`, 400, 'OUT_OF_BOUNDS');
   }
   if (!/^#[0-9A-Fa-f]{6}$/.test(color)) throw new AppError('Invalid color format (#RRGGBB)', 400, 'INVALID_COLOR');
   
+  // Higher tiers unlock extra colors on top of the base palette
   const normalized = color.toLowerCase();
-  if (!config.canvas.palette.includes(normalized)) throw new AppError('Color not in palette', 400, 'COLOR_NOT_IN_PALETTE');
+  if (!paletteFor(tierFor(req.user), palette).includes(normalized)) throw new AppError('Color not in palette', 400, 'COLOR_NOT_IN_PALETTE');
   
   req.body.x = xNum;
   req.body.y = yNum;
@@ -26,16 +33,44 @@ export function validatePixel(req, res, next) {
   next();
 }
 
+/**
+ * Batch limits and palette come from the wallet's tier; invalid entries are dropped.
+ * Runs before the cooldown so a rejected batch doesn't start the clock.
+ */
+export function validatePixelBatch(req, res, next) {
+  const { pixels } = req.body;
+  const tier = tierFor(req.user);
+  if (!Array.isArray(pixels) || !pixels.length) throw new AppError('Pixels array required', 400, 'INVALID_REQUEST');
+  if (pixels.length > tier.maxBatch) throw new AppError(`Max ${tier.maxBatch} pixels per batch`, 400, 'BATCH_TOO_LARGE');
+  
+  const { width, height, palette: base } = canvasOf(req);
+  const palette = paletteFor(tier, base);
+  const valid = pixels
+    .filter(p => p.x !== undefined && p.y !== undefined && p.color && /^#[0-9A-Fa-f]{6}$/.test(p.color))
+    .map(p => ({ x: parseInt(p.x, 10), y: parseInt(p.y, 10), color: p.color.toLowerCase() }))
+    .filter(p => !isNaN(p.x) && !isNaN(p.y) && p.x >= 0 && p.x < width && p.y >= 0 && p.y < height)
+    .filter(p => palette.includes(p.color));
+  
+  if (!valid.length) throw new AppError('No valid pixels', 400, 'INVALID_PIXELS');
+  req.body.pixels = valid;
+  next();
+}
+
 export function validateCanvasImport(req, res, next) {
   const { pixels } = req.body;
   if (!pixels || !Array.isArray(pixels)) throw new AppError('pixels array required', 400, 'VALIDATION_ERROR');
   
+  // Any color a tier could have placed, so exports round-trip
+  const { width, height, palette: base } = canvasOf(req);
+  const palette = fullPalette(base);
   for (const { x, y, color } of pixels) {
     if (x === undefined || y === undefined || !color) throw new AppError('Invalid pixel data', 400, 'INVALID_PIXEL_DATA');
     const xNum = parseInt(x, 10), yNum = parseInt(y, 10);
     if (isNaN(xNum) || isNaN(yNum)) throw new AppError(`Invalid coords: ${x}, ${y}`, 400, 'INVALID_COORDINATES');
-    if (xNum < 0 || xNum >= config.canvas.width || yNum < 0 || yNum >= config.canvas.height) throw new AppError(`Out of bounds: ${xNum}, ${yNum}`, 400, 'OUT_OF_BOUNDS');
+    if (xNum < 0 || xNum >= width || yNum < 0 || yNum >= height) throw new AppError(`Out of bounds: ${xNum}, ${yNum}`, 400, 'OUT_OF_BOUNDS');
     if (!/^#[0-9A-Fa-f]{6}$/.test(color)) throw new AppError(`Invalid color: ${color}`, 400, 'INVALID_COLOR');
+    if (!palette.includes(color.toLowerCase())) throw new AppError(`Color not in palette: ${color}`, 400, 'COLOR_NOT_IN_PALETTE');
   }
+  req.body.pixels = pixels.map(p => ({ x: parseInt(p.x, 10), y: parseInt(p.y, 10), color: p.color.toLowerCase() }));
   next();
 }
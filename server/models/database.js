@@ -9,9 +9,19 @@ import { dirname, join } from 'path';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
-// In-memory cache
-const cache = { pixels: new Map(), count: 0, initialized: false };
-const statsCache = { data: null, ts: 0, ttl: 5000 };
+// The canvas everything before multiple canvases belonged to; /api/canvas and /api/pixels still mean it
+export const DEFAULT_CANVAS = 'default';
+
+// In-memory cache per canvas; `version` changes with every write to it (seeded from the clock so it never repeats across restarts)
+const stores = new Map();
+const STATS_TTL_MS = 5000;
+
+function storeFor(id) {
+  if (!stores.has(id)) stores.set(id, { pixels: new Map(), count: 0, version: Date.now(), sinceKeyframe: 0, stats: null, statsAt: 0 });
+  return stores.get(id);
+}
+
+const PIXELS_TABLE = `(canvas_id TEXT NOT NULL DEFAULT '${DEFAULT_CANVAS}', x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (canvas_id, x, y))`;
 
 // Database instance - initialized lazily
 let db = null;
@@ -120,36 +130,164 @@ async function initDatabase() {
 
   // Schema
   db.exec(`
-    CREATE TABLE IF NOT EXISTS pixels (x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (x, y));
-    CREATE TABLE IF NOT EXISTS pixel_history (id INTEGER PRIMARY KEY AUTOINCREMENT, x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')));
+    CREATE TABLE IF NOT EXISTS canvases (id TEXT PRIMARY KEY, name TEXT NOT NULL, width INTEGER NOT NULL, height INTEGER NOT NULL, palette TEXT, gating TEXT NOT NULL DEFAULT 'nft', contracts TEXT, allowlist TEXT, created_by TEXT, created_at TEXT DEFAULT (datetime('now')));
+    CREATE TABLE IF NOT EXISTS pixels ${PIXELS_TABLE};
+    CREATE TABLE IF NOT EXISTS pixel_history (id INTEGER PRIMARY KEY AUTOINCREMENT, canvas_id TEXT NOT NULL DEFAULT '${DEFAULT_CANVAS}', x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')));
     CREATE TABLE IF NOT EXISTS users (address TEXT PRIMARY KEY, first_seen TEXT DEFAULT (datetime('now')), last_seen TEXT DEFAULT (datetime('now')), pixel_count INTEGER DEFAULT 0);
-    CREATE TABLE IF NOT EXISTS canvas_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')));
+    CREATE TABLE IF NOT EXISTS canvas_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, canvas_id TEXT NOT NULL DEFAULT '${DEFAULT_CANVAS}', data TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')));
+    CREATE TABLE IF NOT EXISTS sessions (id TEXT PRIMARY KEY, address TEXT NOT NULL, chain_id INTEGER, user_agent TEXT, ip TEXT, created_at TEXT DEFAULT (datetime('now')), expires_at TEXT NOT NULL, revoked_at TEXT);
     CREATE INDEX IF NOT EXISTS idx_history_at ON pixel_history(placed_at DESC);
     CREATE INDEX IF NOT EXISTS idx_history_by ON pixel_history(placed_by);
+    CREATE TABLE IF NOT EXISTS refresh_tokens (token_hash TEXT PRIMARY KEY, session_id TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')), expires_at TEXT NOT NULL, used_at TEXT, replaced_by TEXT, revoked_at TEXT);
+    CREATE INDEX IF NOT EXISTS idx_sessions_address ON sessions(address);
+    CREATE INDEX IF NOT EXISTS idx_refresh_session ON refresh_tokens(session_id);
+    CREATE TABLE IF NOT EXISTS roles (address TEXT NOT NULL, role TEXT NOT NULL, granted_by TEXT, granted_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (address, role));
+    CREATE TABLE IF NOT EXISTS api_keys (id TEXT PRIMARY KEY, name TEXT NOT NULL, key_hash TEXT NOT NULL UNIQUE, prefix TEXT NOT NULL, scopes TEXT NOT NULL, rate_limit INTEGER, created_by TEXT, created_at TEXT DEFAULT (datetime('now')), last_used_at TEXT, last_used_ip TEXT, revoked_at TEXT);
+    CREATE TABLE IF NOT EXISTS allowlist (address TEXT PRIMARY KEY, note TEXT, added_by TEXT, added_at TEXT DEFAULT (datetime('now')), expires_at TEXT);
+    CREATE TABLE IF NOT EXISTS denylist (address TEXT PRIMARY KEY, note TEXT, added_by TEXT, added_at TEXT DEFAULT (datetime('now')), expires_at TEXT);
+    CREATE TABLE IF NOT EXISTS seasons (id INTEGER PRIMARY KEY AUTOINCREMENT, canvas_id TEXT NOT NULL, number INTEGER NOT NULL, name TEXT NOT NULL, started_at TEXT DEFAULT (datetime('now')), start_history_id INTEGER NOT NULL, ended_at TEXT, end_history_id INTEGER, ended_by TEXT, width INTEGER, height INTEGER, palette TEXT, pixel_count INTEGER, placements INTEGER, final TEXT, png BLOB, UNIQUE (canvas_id, number));
+    CREATE TABLE IF NOT EXISTS season_history (season_id INTEGER NOT NULL, id INTEGER NOT NULL, x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT, PRIMARY KEY (season_id, id));
   `);
   
+  // Keyframes are snapshots tagged with the last history row they include; older databases lack the column
+  if (!db.prepare('PRAGMA table_info(canvas_snapshots)').all().some(c => c.name === 'history_id')) db.exec('ALTER TABLE canvas_snapshots ADD COLUMN history_id INTEGER');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_snapshots_history ON canvas_snapshots(history_id)');
+  
+  // A canvas's own gating contracts and allowlist (JSON); older databases lack the columns
+  const canvasColumns = db.prepare('PRAGMA table_info(canvases)').all().map(c => c.name);
+  for (const column of ['contracts', 'allowlist']) {
+    if (!canvasColumns.includes(column)) db.exec(`ALTER TABLE canvases ADD COLUMN ${column} TEXT`);
+  }
+  // The successor a spent refresh token was rotated into; older databases lack the column
+  if (!db.prepare('PRAGMA table_info(refresh_tokens)').all().some(c => c.name === 'replaced_by')) db.exec('ALTER TABLE refresh_tokens ADD COLUMN replaced_by TEXT');
+  
+  // Databases from before multiple canvases hold one; it becomes the default canvas
+  const hasCanvasId = (table) => db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === 'canvas_id');
+  if (!hasCanvasId('pixels')) {
+    db.transaction(() => db.exec(`
+      CREATE TABLE pixels_by_canvas ${PIXELS_TABLE};
+      INSERT INTO pixels_by_canvas (x, y, color, placed_by, placed_at) SELECT x, y, color, placed_by, placed_at FROM pixels;
+      DROP TABLE pixels;
+      ALTER TABLE pixels_by_canvas RENAME TO pixels;
+    `))();
+  }
+  for (const table of ['pixel_history', 'canvas_snapshots']) {
+    if (!hasCanvasId(table)) db.exec(`ALTER TABLE ${table} ADD COLUMN canvas_id TEXT NOT NULL DEFAULT '${DEFAULT_CANVAS}'`);
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_history_canvas ON pixel_history(canvas_id, id);
+    CREATE INDEX IF NOT EXISTS idx_snapshots_canvas ON canvas_snapshots(canvas_id, history_id);
+  `);
+  
+  // The default canvas is sized by CANVAS_WIDTH/HEIGHT when it is created (or by a size stored before canvases had rows),
+  // then by resizes; config.canvas mirrors it
+  const legacy = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'canvas_settings'`).get()
+    && Object.fromEntries(db.prepare('SELECT key, value FROM canvas_settings').all().map(s => [s.key, Number(s.value)]));
+  db.prepare('INSERT OR IGNORE INTO canvases (id, name, width, height) VALUES (?, ?, ?, ?)').run(DEFAULT_CANVAS, 'Main', legacy?.width || config.canvas.width, legacy?.height || config.canvas.height);
+  if (legacy) db.exec('DROP TABLE canvas_settings');
+  const main = db.prepare('SELECT width, height FROM canvases WHERE id = ?').get(DEFAULT_CANVAS);
+  Object.assign(config.canvas, { width: main.width, height: main.height });
+  
   // Initialize prepared statements
   stmt = {
-    setPixel: db.prepare(`INSERT INTO pixels (x, y, color, placed_by, placed_at) VALUES (?, ?, ?, ?, datetime('now')) ON CONFLICT(x, y) DO UPDATE SET color = excluded.color, placed_by = excluded.placed_by, placed_at = excluded.placed_at`),
-    deletePixel: db.prepare('DELETE FROM pixels WHERE x = ? AND y = ?'),
-    addHistory: db.prepare('INSERT INTO pixel_history (x, y, color, placed_by) VALUES (?, ?, ?, ?)'),
-    getHistory: db.prepare('SELECT x, y, color, placed_by, placed_at FROM pixel_history ORDER BY id DESC LIMIT ?'),
-    getUserHistory: db.prepare('SELECT x, y, color, placed_at FROM pixel_history WHERE placed_by = ? ORDER BY id DESC LIMIT ?'),
+    setPixel: db.prepare(`INSERT INTO pixels (canvas_id, x, y, color, placed_by, placed_at) VALUES (?, ?, ?, ?, ?, datetime('now')) ON CONFLICT(canvas_id, x, y) DO UPDATE SET color = excluded.color, placed_by = excluded.placed_by, placed_at = excluded.placed_at`),
+    deletePixel: db.prepare('DELETE FROM pixels WHERE canvas_id = ? AND x = ? AND y = ?'),
+    addHistory: db.prepare('INSERT INTO pixel_history (canvas_id, x, y, color, placed_by) VALUES (?, ?, ?, ?, ?)'),
+    getHistory: db.prepare('SELECT id, x, y, color, placed_by, placed_at FROM pixel_history WHERE canvas_id = ? ORDER BY id DESC LIMIT ?'),
+    getHistoryEntry: db.prepare('SELECT id, x, y, color, placed_by, placed_at FROM pixel_history WHERE canvas_id = ? AND id = ?'),
+    getHistoryIdAt: db.prepare('SELECT id FROM pixel_history WHERE canvas_id = ? AND placed_at <= ? ORDER BY placed_at DESC, id DESC LIMIT 1'),
+    getHistoryBetween: db.prepare('SELECT id, x, y, color, placed_at FROM pixel_history WHERE canvas_id = ? AND id > ? AND id <= ? ORDER BY id'),
+    getHistoryBounds: db.prepare('SELECT MIN(id) as first, MAX(id) as last FROM pixel_history WHERE canvas_id = ?'),
+    countHistorySince: db.prepare('SELECT COUNT(*) as count FROM pixel_history WHERE canvas_id = ? AND id > ?'),
+    getUserHistory: db.prepare('SELECT x, y, color, placed_at FROM pixel_history WHERE canvas_id = ? AND placed_by = ? ORDER BY id DESC LIMIT ?'),
     upsertUser: db.prepare(`INSERT INTO users (address) VALUES (?) ON CONFLICT(address) DO UPDATE SET last_seen = datetime('now')`),
     incUserPixels: db.prepare('UPDATE users SET pixel_count = pixel_count + 1 WHERE address = ?'),
     getUser: db.prepare('SELECT * FROM users WHERE address = ?'),
     getStats: db.prepare('SELECT (SELECT COUNT(*) FROM users) as total_users'),
-    getHistoryCount: db.prepare('SELECT COUNT(*) as count FROM pixel_history'),
-    clearCanvas: db.prepare('DELETE FROM pixels'),
-    saveSnapshot: db.prepare('INSERT INTO canvas_snapshots (data) VALUES (?)'),
-    pruneHistory: db.prepare('DELETE FROM pixel_history WHERE id <= (SELECT id FROM pixel_history ORDER BY id DESC LIMIT 1 OFFSET ?)'),
+    getHistoryCount: db.prepare('SELECT COUNT(*) as count FROM pixel_history WHERE canvas_id = ?'),
+    countAllHistory: db.prepare('SELECT COUNT(*) as count FROM pixel_history'),
+    clearCanvas: db.prepare('DELETE FROM pixels WHERE canvas_id = ?'),
+    getPixels: db.prepare('SELECT x, y, color, placed_by, placed_at FROM pixels WHERE canvas_id = ?'),
+    restorePixel: db.prepare('INSERT INTO pixels (canvas_id, x, y, color, placed_by, placed_at) VALUES (?, ?, ?, ?, ?, ?)'),
+    listRooms: db.prepare('SELECT * FROM canvases ORDER BY created_at, id'),
+    getRoom: db.prepare('SELECT * FROM canvases WHERE id = ?'),
+    createRoom: db.prepare('INSERT INTO canvases (id, name, width, height, palette, gating, contracts, allowlist, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+    updateRoom: db.prepare('UPDATE canvases SET name = ?, palette = ?, gating = ?, contracts = ?, allowlist = ? WHERE id = ?'),
+    setRoomSize: db.prepare('UPDATE canvases SET width = ?, height = ? WHERE id = ?'),
+    deleteRoom: db.prepare('DELETE FROM canvases WHERE id = ?'),
+    deleteRoomHistory: db.prepare('DELETE FROM pixel_history WHERE canvas_id = ?'),
+    deleteRoomSnapshots: db.prepare('DELETE FROM canvas_snapshots WHERE canvas_id = ?'),
+    saveSnapshot: db.prepare('INSERT INTO canvas_snapshots (canvas_id, data) VALUES (?, ?)'),
+    saveKeyframe: db.prepare('INSERT INTO canvas_snapshots (canvas_id, data, history_id) VALUES (?, ?, (SELECT COALESCE(MAX(id), 0) FROM pixel_history))'),
+    getLatestKeyframe: db.prepare('SELECT id, history_id FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL ORDER BY id DESC LIMIT 1'),
+    getKeyframeAt: db.prepare('SELECT * FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND created_at <= ? ORDER BY id DESC LIMIT 1'),
+    getKeyframeBefore: db.prepare('SELECT * FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND history_id < ? ORDER BY id DESC LIMIT 1'),
+    getKeyframesBetween: db.prepare('SELECT * FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND created_at > ? AND created_at <= ? ORDER BY id'),
+    // Keyframes without their pixels: what a timeline covers can be known before it is loaded
+    getKeyframeInfoAt: db.prepare(`SELECT id, history_id, created_at, json_extract(data, '$.width') as width, json_extract(data, '$.height') as height FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND created_at <= ? ORDER BY id DESC LIMIT 1`),
+    getKeyframesInfoBetween: db.prepare(`SELECT id, history_id, created_at, json_extract(data, '$.width') as width, json_extract(data, '$.height') as height FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND created_at > ? AND created_at <= ? ORDER BY id`),
+    getFirstKeyframeTime: db.prepare('SELECT MIN(created_at) as at FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL'),
+    getLastHistoryId: db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM pixel_history'),
+    setRoomPalette: db.prepare('UPDATE canvases SET palette = ? WHERE id = ?'),
+    listSeasons: db.prepare('SELECT id, canvas_id, number, name, started_at, start_history_id, ended_at, end_history_id, ended_by, width, height, palette, pixel_count, placements FROM seasons WHERE canvas_id = ? ORDER BY number DESC'),
+    getSeason: db.prepare('SELECT id, canvas_id, number, name, started_at, start_history_id, ended_at, end_history_id, ended_by, width, height, palette, pixel_count, placements, final FROM seasons WHERE id = ?'),
+    getSeasonPng: db.prepare('SELECT png FROM seasons WHERE id = ?'),
+    getCurrentSeason: db.prepare('SELECT * FROM seasons WHERE canvas_id = ? AND ended_at IS NULL'),
+    // A canvas's first season covers whatever history it already has
+    startFirstSeason: db.prepare(`INSERT INTO seasons (canvas_id, number, name, started_at, start_history_id) VALUES (?, 1, 'Season 1', COALESCE((SELECT MIN(placed_at) FROM pixel_history WHERE canvas_id = ?), datetime('now')), ?)`),
+    startSeason: db.prepare('INSERT INTO seasons (canvas_id, number, name, start_history_id) VALUES (?, ?, ?, ?)'),
+    renameSeason: db.prepare('UPDATE seasons SET name = ? WHERE id = ?'),
+    endSeason: db.prepare(`UPDATE seasons SET ended_at = datetime('now'), end_history_id = ?, ended_by = ?, width = ?, height = ?, palette = ?, pixel_count = ?, placements = ?, final = ?, png = ? WHERE id = ?`),
+    archiveSeasonHistory: db.prepare('INSERT INTO season_history (season_id, id, x, y, color, placed_by, placed_at) SELECT ?, id, x, y, color, placed_by, placed_at FROM pixel_history WHERE canvas_id = ? AND id > ? AND id <= ?'),
+    getSeasonHistory: db.prepare('SELECT id, x, y, color, placed_by, placed_at FROM season_history WHERE season_id = ? ORDER BY id LIMIT ? OFFSET ?'),
+    getLiveSeasonHistory: db.prepare('SELECT id, x, y, color, placed_by, placed_at FROM pixel_history WHERE canvas_id = ? AND id > ? ORDER BY id LIMIT ? OFFSET ?'),
+    deleteRoomSeasonHistory: db.prepare('DELETE FROM season_history WHERE season_id IN (SELECT id FROM seasons WHERE canvas_id = ?)'),
+    deleteRoomSeasons: db.prepare('DELETE FROM seasons WHERE canvas_id = ?'),
+    getPruneCutoff: db.prepare('SELECT id FROM pixel_history ORDER BY id DESC LIMIT 1 OFFSET ?'),
+    // The last row each canvas loses to a prune up to a cutoff
+    getPrunedThrough: db.prepare('SELECT canvas_id, MAX(id) as id FROM pixel_history WHERE id <= ? GROUP BY canvas_id'),
+    pruneKeyframes: db.prepare('DELETE FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL AND history_id < ?'),
+    pruneHistory: db.prepare('DELETE FROM pixel_history WHERE id <= ?'),
+    createSession: db.prepare('INSERT INTO sessions (id, address, chain_id, user_agent, ip, expires_at) VALUES (?, ?, ?, ?, ?, ?)'),
+    getSession: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+    getActiveSessions: db.prepare(`SELECT id, chain_id, user_agent, ip, created_at, expires_at FROM sessions WHERE address = ? AND revoked_at IS NULL AND expires_at > datetime('now') ORDER BY created_at DESC`),
+    revokeSession: db.prepare(`UPDATE sessions SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`),
+    revokeAddressSessions: db.prepare(`UPDATE sessions SET revoked_at = datetime('now') WHERE address = ? AND id != ? AND revoked_at IS NULL AND expires_at > datetime('now') RETURNING id, expires_at`),
+    getRevokedSessions: db.prepare(`SELECT id, expires_at FROM sessions WHERE revoked_at IS NOT NULL AND expires_at > datetime('now')`),
+    pruneSessions: db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`),
+    extendSession: db.prepare('UPDATE sessions SET expires_at = ? WHERE id = ?'),
+    addRefreshToken: db.prepare('INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, ?)'),
+    getRefreshToken: db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?'),
+    useRefreshToken: db.prepare(`UPDATE refresh_tokens SET used_at = datetime('now'), replaced_by = ? WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL`),
+    inRefreshGrace: db.prepare(`SELECT replaced_by FROM refresh_tokens WHERE token_hash = ? AND revoked_at IS NULL AND used_at >= datetime('now', ?)`),
+    revokeRefreshTokens: db.prepare(`UPDATE refresh_tokens SET revoked_at = datetime('now') WHERE session_id = ? AND revoked_at IS NULL`),
+    pruneRefreshTokens: db.prepare(`DELETE FROM refresh_tokens WHERE expires_at <= datetime('now')`),
+    getRoles: db.prepare('SELECT role FROM roles WHERE address = ?'),
+    listRoles: db.prepare('SELECT * FROM roles ORDER BY granted_at DESC'),
+    listRolesByRole: db.prepare('SELECT * FROM roles WHERE role = ? ORDER BY granted_at DESC'),
+    grantRole: db.prepare('INSERT OR IGNORE INTO roles (address, role, granted_by) VALUES (?, ?, ?)'),
+    revokeRole: db.prepare('DELETE FROM roles WHERE address = ? AND role = ?'),
+    createApiKey: db.prepare('INSERT INTO api_keys (id, name, key_hash, prefix, scopes, rate_limit, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    getApiKey: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+    getApiKeyByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+    listApiKeys: db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC'),
+    touchApiKey: db.prepare(`UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?`),
+    revokeApiKey: db.prepare(`UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`),
+    ...Object.fromEntries(['allowlist', 'denylist'].map(list => [list, {
+      get: db.prepare(`SELECT * FROM ${list} WHERE address = ? AND (expires_at IS NULL OR expires_at > datetime('now'))`),
+      list: db.prepare(`SELECT * FROM ${list} ORDER BY added_at DESC`),
+      listActive: db.prepare(`SELECT * FROM ${list} WHERE expires_at IS NULL OR expires_at > datetime('now') ORDER BY added_at DESC`),
+      upsert: db.prepare(`INSERT INTO ${list} (address, note, added_by, expires_at) VALUES (?, ?, ?, ?) ON CONFLICT(address) DO UPDATE SET note = excluded.note, added_by = excluded.added_by, added_at = datetime('now'), expires_at = excluded.expires_at`),
+      remove: db.prepare(`DELETE FROM ${list} WHERE address = ?`),
+    }])),
   };
   
-  // Load existing pixels into cache
-  const rows = db.prepare('SELECT x, y, color, placed_by, placed_at FROM pixels').all();
-  rows.forEach(p => cache.pixels.set(`${p.x},${p.y}`, p));
-  cache.count = rows.length;
-  cache.initialized = true;
+  // Load existing pixels into their canvases' caches
+  for (const { canvas_id, ...p } of db.prepare('SELECT canvas_id, x, y, color, placed_by, placed_at FROM pixels').all()) {
+    storeFor(canvas_id).pixels.set(`${p.x},${p.y}`, p);
+  }
+  stores.forEach(store => { store.count = store.pixels.size; });
+  const cache = storeFor(DEFAULT_CANVAS);
   
   // Auto-import backup if database is empty
   if (cache.count === 0) {
@@ -158,18 +296,28 @@ async function initDatabase() {
       logger.info({ pixelCount: backup.pixels.length }, 'Database empty, importing backup...');
       const importTx = db.transaction((pixels) => {
         for (const p of pixels) {
-          stmt.setPixel.run(p.x, p.y, p.color, null);
+          stmt.setPixel.run(DEFAULT_CANVAS, p.x, p.y, p.color, null);
           cache.pixels.set(`${p.x},${p.y}`, { x: p.x, y: p.y, color: p.color, placed_by: null, placed_at: new Date().toISOString() });
         }
       });
       importTx(backup.pixels);
       cache.count = backup.pixels.length;
       logger.info({ pixelCount: cache.count }, 'Backup imported successfully');
+      stmt.saveKeyframe.run(DEFAULT_CANVAS, keyframeData(DEFAULT_CANVAS));
     }
   }
   
+  // Past states can only be rebuilt from a keyframe - start each canvas with one of it as it is now.
+  // Every canvas is always in a season; one from before seasons existed starts its first
+  for (const { id } of stmt.listRooms.all()) {
+    const latest = stmt.getLatestKeyframe.get(id);
+    if (!latest) stmt.saveKeyframe.run(id, keyframeData(id));
+    storeFor(id).sinceKeyframe = latest ? stmt.countHistorySince.get(id, latest.history_id).count : 0;
+    if (!stmt.getCurrentSeason.get(id)) stmt.startFirstSeason.run(id, id, 0);
+  }
+  
   dbInitialized = true;
-  logger.info({ pixels: cache.count }, 'Database initialized, cache loaded');
+  logger.info({ pixels: cache.count, canvases: stores.size }, 'Database initialized, cache loaded');
   
   return db;
 }
@@ -178,10 +326,33 @@ async function initDatabase() {
 export { initDatabase };
 
 // History pruning configuration
-const HISTORY_MAX_ENTRIES = 100000;
 const PRUNE_CHECK_INTERVAL = 500;
 let placementsSincePrune = 0;
 
+function parseKeyframe(row) {
+  if (!row) return null;
+  const { width, height, pixels } = JSON.parse(row.data);
+  return { id: row.id, historyId: row.history_id, createdAt: row.created_at, width, height, pixels };
+}
+
+const keyframeInfo = (row) => row && { id: row.id, historyId: row.history_id, createdAt: row.created_at, width: row.width, height: row.height };
+
+// The default canvas's size lives in config.canvas (kept in step with its row); others' in their rows
+const sizeOf = (id) => (id === DEFAULT_CANVAS ? config.canvas : stmt.getRoom.get(id));
+
+function keyframeData(id) {
+  const { width, height } = sizeOf(id);
+  return JSON.stringify({ version: 1, width, height, timestamp: new Date().toISOString(), pixels: canvasAPI(id).getAllPixels() });
+}
+
+// Keyframe a canvas every CANVAS_KEYFRAME_INTERVAL of its history rows so rebuilding a past state replays at most that many
+function maybeKeyframe(id, store, rows) {
+  store.sinceKeyframe += rows;
+  if (store.sinceKeyframe < config.canvas.keyframeInterval) return;
+  store.sinceKeyframe = 0;
+  stmt.saveKeyframe.run(id, keyframeData(id));
+}
+
 // Lazy-initialized transaction functions
 let transactions = null;
 
@@ -195,49 +366,115 @@ function getTransactions() {
   if (transactions) return transactions;
   ensureInitialized();
   
+  const touch = (store) => { store.version++; store.stats = null; };
+  
   transactions = {
-    placePixel: db.transaction((x, y, color, addr) => {
-      stmt.setPixel.run(x, y, color, addr);
-      stmt.addHistory.run(x, y, color, addr);
+    placePixel: db.transaction((id, x, y, color, addr) => {
+      const store = storeFor(id);
+      stmt.setPixel.run(id, x, y, color, addr);
+      stmt.addHistory.run(id, x, y, color, addr);
       if (addr) { stmt.upsertUser.run(addr); stmt.incUserPixels.run(addr); }
       
       const key = `${x},${y}`;
-      if (!cache.pixels.has(key)) cache.count++;
-      cache.pixels.set(key, { x, y, color, placed_by: addr, placed_at: new Date().toISOString() });
-      statsCache.data = null;
+      if (!store.pixels.has(key)) store.count++;
+      store.pixels.set(key, { x, y, color, placed_by: addr, placed_at: new Date().toISOString() });
+      touch(store);
+      maybeKeyframe(id, store, 1);
       maybePruneHistory();
     }),
     
-    placeBatch: db.transaction((pixels, addr) => {
+    placeBatch: db.transaction((id, pixels, addr) => {
+      const store = storeFor(id);
       let newCount = 0;
       for (const { x, y, color } of pixels) {
-        stmt.setPixel.run(x, y, color, addr);
-        stmt.addHistory.run(x, y, color, addr);
+        stmt.setPixel.run(id, x, y, color, addr);
+        stmt.addHistory.run(id, x, y, color, addr);
         const key = `${x},${y}`;
-        if (!cache.pixels.has(key)) newCount++;
-        cache.pixels.set(key, { x, y, color, placed_by: addr, placed_at: new Date().toISOString() });
+        if (!store.pixels.has(key)) newCount++;
+        store.pixels.set(key, { x, y, color, placed_by: addr, placed_at: new Date().toISOString() });
       }
       if (addr) { stmt.upsertUser.run(addr); db.prepare('UPDATE users SET pixel_count = pixel_count + ? WHERE address = ?').run(pixels.length, addr); }
-      cache.count += newCount;
-      statsCache.data = null;
+      store.count += newCount;
+      touch(store);
+      maybeKeyframe(id, store, pixels.length);
       maybePruneHistory();
     }),
     
-    erase: db.transaction((x, y, admin) => {
-      stmt.deletePixel.run(x, y);
-      stmt.addHistory.run(x, y, 'ERASED', admin);
+    erase: db.transaction((id, x, y, admin) => {
+      const store = storeFor(id);
+      stmt.deletePixel.run(id, x, y);
+      stmt.addHistory.run(id, x, y, 'ERASED', admin);
       const key = `${x},${y}`;
-      if (cache.pixels.has(key)) { cache.pixels.delete(key); cache.count--; }
-      statsCache.data = null;
+      if (store.pixels.has(key)) { store.pixels.delete(key); store.count--; }
+      touch(store);
+      maybeKeyframe(id, store, 1);
     }),
     
-    bulkImport: db.transaction((list) => {
+    // Entries without a color clear their pixel
+    bulkImport: db.transaction((id, list) => {
+      const store = storeFor(id);
       for (const p of list) {
-        stmt.setPixel.run(p.x, p.y, p.color, null);
         const key = `${p.x},${p.y}`;
-        if (!cache.pixels.has(key)) cache.count++;
-        cache.pixels.set(key, { x: p.x, y: p.y, color: p.color, placed_by: null, placed_at: new Date().toISOString() });
+        if (!p.color) {
+          stmt.deletePixel.run(id, p.x, p.y);
+          if (store.pixels.delete(key)) store.count--;
+          continue;
+        }
+        stmt.setPixel.run(id, p.x, p.y, p.color, null);
+        if (!store.pixels.has(key)) store.count++;
+        store.pixels.set(key, { x: p.x, y: p.y, color: p.color, placed_by: null, placed_at: new Date().toISOString() });
+      }
+      touch(store);
+    }),
+    
+    // Shift every pixel by (dx, dy) onto a width x height canvas, dropping what falls off
+    resize: db.transaction((id, width, height, dx, dy) => {
+      const store = storeFor(id);
+      const rows = stmt.getPixels.all(id);
+      stmt.clearCanvas.run(id);
+      store.pixels.clear();
+      for (const p of rows) {
+        const x = p.x + dx, y = p.y + dy;
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        stmt.restorePixel.run(id, x, y, p.color, p.placed_by, p.placed_at);
+        store.pixels.set(`${x},${y}`, { ...p, x, y });
       }
+      stmt.setRoomSize.run(width, height, id);
+      store.count = store.pixels.size;
+      touch(store);
+      return rows.length - store.count;
+    }),
+    
+    /**
+     * Freeze the current season - its final pixels, PNG and history slice - then empty
+     * the canvas, give it the next season's size and palette, and open that season
+     */
+    endSeason: db.transaction((id, { png, palette, endedBy, next }) => {
+      const store = storeFor(id);
+      const current = stmt.getCurrentSeason.get(id);
+      const last = stmt.getLastHistoryId.get().id;
+      const { width, height } = sizeOf(id);
+      const { changes: placements } = stmt.archiveSeasonHistory.run(current.id, id, current.start_history_id, last);
+      stmt.endSeason.run(last, endedBy, width, height, JSON.stringify(palette), store.count, placements, JSON.stringify(canvasAPI(id).getAllPixels()), png, current.id);
+      
+      stmt.clearCanvas.run(id);
+      store.pixels.clear();
+      store.count = 0;
+      stmt.setRoomSize.run(next.width, next.height, id);
+      if (next.palette !== undefined) stmt.setRoomPalette.run(next.palette && JSON.stringify(next.palette), id);
+      const number = current.number + 1;
+      const started = stmt.startSeason.run(id, number, next.name || `Season ${number}`, last).lastInsertRowid;
+      touch(store);
+      return { ended: current.id, started: Number(started) };
+    }),
+    
+    deleteRoom: db.transaction((id) => {
+      stmt.clearCanvas.run(id);
+      stmt.deleteRoomSeasonHistory.run(id);
+      stmt.deleteRoomSeasons.run(id);
+      stmt.deleteRoomHistory.run(id);
+      stmt.deleteRoomSnapshots.run(id);
+      return stmt.deleteRoom.run(id).changes > 0;
     }),
   };
   
@@ -249,68 +486,239 @@ function maybePruneHistory() {
   if (placementsSincePrune < PRUNE_CHECK_INTERVAL) return;
   placementsSincePrune = 0;
   
-  const { count } = stmt.getHistoryCount.get();
-  if (count > HISTORY_MAX_ENTRIES) {
-    const result = stmt.pruneHistory.run(HISTORY_MAX_ENTRIES);
-    if (result.changes > 0) {
-      logger.info({ deleted: result.changes, remaining: HISTORY_MAX_ENTRIES }, 'Pruned pixel history');
+  const max = config.canvas.historyMaxEntries;
+  const { count } = stmt.countAllHistory.get();
+  if (count <= max) return;
+  
+  const cutoff = stmt.getPruneCutoff.get(max).id;
+  // History ids are shared, so each canvas's keyframes are checked against its own last pruned row:
+  // one before it can't be replayed any more. A canvas left without a replayable one is keyframed as it is now
+  for (const { canvas_id: id, id: through } of stmt.getPrunedThrough.all(cutoff)) {
+    if (stmt.getLatestKeyframe.get(id)?.history_id < through) {
+      stmt.saveKeyframe.run(id, keyframeData(id));
+      storeFor(id).sinceKeyframe = 0;
     }
+    stmt.pruneKeyframes.run(id, through);
   }
+  const result = stmt.pruneHistory.run(cutoff);
+  logger.info({ deleted: result.changes, remaining: max }, 'Pruned pixel history');
+}
+
+// Room settings are stored as JSON, or null where the room has none of its own
+const toJson = (value) => (value ? JSON.stringify(value) : null);
+
+const canvasAPIs = new Map();
+
+/**
+ * Pixels, history and keyframes of one canvas. History ids are shared by every
+ * canvas, so a keyframe's history_id still marks the last row it includes.
+ */
+export function canvasAPI(id = DEFAULT_CANVAS) {
+  if (canvasAPIs.has(id)) return canvasAPIs.get(id);
+  
+  const api = {
+    getPixel: (x, y) => storeFor(id).pixels.get(`${x},${y}`) || null,
+    getAllPixels: () => Array.from(storeFor(id).pixels.values()).map(p => ({ x: p.x, y: p.y, color: p.color })),
+    
+    getCanvasBinary() {
+      const pixels = Array.from(storeFor(id).pixels.values());
+      const buf = Buffer.alloc(pixels.length * 7);
+      let off = 0;
+      for (const p of pixels) {
+        buf.writeUInt16LE(p.x, off);
+        buf.writeUInt16LE(p.y, off + 2);
+        const hex = p.color.replace('#', '');
+        buf.writeUInt8(parseInt(hex.slice(0, 2), 16), off + 4);
+        buf.writeUInt8(parseInt(hex.slice(2, 4), 16), off + 5);
+        buf.writeUInt8(parseInt(hex.slice(4, 6), 16), off + 6);
+        off += 7;
+      }
+      return buf.toString('base64');
+    },
+    
+    placePixel: (x, y, color, addr) => getTransactions().placePixel(id, x, y, color, addr),
+    placePixelsBatch: (pixels, addr) => { if (pixels?.length) getTransactions().placeBatch(id, pixels, addr); },
+    erasePixel: (x, y, admin) => getTransactions().erase(id, x, y, admin),
+    
+    getRecentHistory: (limit) => { ensureInitialized(); return stmt.getHistory.all(id, limit); },
+    getUserHistory: (addr, limit) => { ensureInitialized(); return stmt.getUserHistory.all(id, addr, limit); },
+    
+    getStats() {
+      ensureInitialized();
+      const store = storeFor(id);
+      if (store.stats && Date.now() - store.statsAt < STATS_TTL_MS) return store.stats;
+      const s = stmt.getStats.get();
+      const h = stmt.getHistoryCount.get(id);
+      store.stats = { total_pixels: store.count, total_users: s.total_users, total_placements: h.count };
+      store.statsAt = Date.now();
+      return store.stats;
+    },
+    
+    getPixelCount: () => storeFor(id).count,
+    getCanvasVersion: () => storeFor(id).version,
+    
+    clearCanvas() {
+      ensureInitialized();
+      const store = storeFor(id);
+      stmt.clearCanvas.run(id);
+      store.pixels.clear();
+      store.count = 0;
+      store.version++;
+      store.stats = null;
+      api.saveKeyframe();
+    },
+    
+    saveSnapshot() { ensureInitialized(); stmt.saveSnapshot.run(id, keyframeData(id)); },
+    
+    bulkImport(pixels) {
+      getTransactions().bulkImport(id, pixels);
+      api.saveKeyframe();
+    },
+    
+    // Grow or crop the canvas live; the keyframe after it lets timelines cross the change
+    resizeCanvas(width, height, dx = 0, dy = 0) {
+      const removed = getTransactions().resize(id, width, height, dx, dy);
+      if (id === DEFAULT_CANVAS) Object.assign(config.canvas, { width, height });
+      api.saveKeyframe();
+      return { kept: storeFor(id).count, removed };
+    },
+    
+    // Keyframes - the canvas after a given history row; clears and imports (which leave no history) write one too
+    saveKeyframe() { ensureInitialized(); stmt.saveKeyframe.run(id, keyframeData(id)); storeFor(id).sinceKeyframe = 0; },
+    getKeyframeAt: (sqlTime) => { ensureInitialized(); return parseKeyframe(stmt.getKeyframeAt.get(id, sqlTime)); },
+    getKeyframeBefore: (historyId) => { ensureInitialized(); return parseKeyframe(stmt.getKeyframeBefore.get(id, historyId)); },
+    getKeyframesBetween: (afterSql, toSql) => { ensureInitialized(); return stmt.getKeyframesBetween.all(id, afterSql, toSql).map(parseKeyframe); },
+    getKeyframeInfoAt: (sqlTime) => { ensureInitialized(); return keyframeInfo(stmt.getKeyframeInfoAt.get(id, sqlTime)) || null; },
+    getKeyframesInfoBetween: (afterSql, toSql) => { ensureInitialized(); return stmt.getKeyframesInfoBetween.all(id, afterSql, toSql).map(keyframeInfo); },
+    getFirstKeyframeTime: () => { ensureInitialized(); return stmt.getFirstKeyframeTime.get(id).at; },
+    getHistoryEntry: (historyId) => { ensureInitialized(); return stmt.getHistoryEntry.get(id, historyId) || null; },
+    getHistoryIdAt: (sqlTime) => { ensureInitialized(); return stmt.getHistoryIdAt.get(id, sqlTime)?.id || 0; },
+    getHistoryBetween: (afterId, toId) => { ensureInitialized(); return stmt.getHistoryBetween.all(id, afterId, toId); },
+    getHistoryBounds: () => { ensureInitialized(); return stmt.getHistoryBounds.get(id); },
+    
+    // Seasons; ending one keyframes the fresh canvas so timelines can cross it
+    listSeasons: () => { ensureInitialized(); return stmt.listSeasons.all(id); },
+    getCurrentSeason: () => { ensureInitialized(); return stmt.getCurrentSeason.get(id); },
+    endSeason(options) {
+      const result = getTransactions().endSeason(id, options);
+      if (id === DEFAULT_CANVAS) Object.assign(config.canvas, { width: options.next.width, height: options.next.height });
+      api.saveKeyframe();
+      return result;
+    },
+  };
+  
+  canvasAPIs.set(id, api);
+  return api;
 }
 
 export const databaseAPI = {
-  getPixel: (x, y) => cache.pixels.get(`${x},${y}`) || null,
-  getAllPixels: () => Array.from(cache.pixels.values()).map(p => ({ x: p.x, y: p.y, color: p.color })),
-  
-  getCanvasBinary() {
-    const pixels = Array.from(cache.pixels.values());
-    const buf = Buffer.alloc(pixels.length * 7);
-    let off = 0;
-    for (const p of pixels) {
-      buf.writeUInt16LE(p.x, off);
-      buf.writeUInt16LE(p.y, off + 2);
-      const hex = p.color.replace('#', '');
-      buf.writeUInt8(parseInt(hex.slice(0, 2), 16), off + 4);
-      buf.writeUInt8(parseInt(hex.slice(2, 4), 16), off + 5);
-      buf.writeUInt8(parseInt(hex.slice(4, 6), 16), off + 6);
-      off += 7;
-    }
-    return buf.toString('base64');
+  // The default canvas; canvas(id) for the others
+  ...canvasAPI(DEFAULT_CANVAS),
+  canvas: canvasAPI,
+  
+  getUser(addr) { ensureInitialized(); stmt.upsertUser.run(addr); return stmt.getUser.get(addr); },
+  
+  // Canvases (rooms); a new one starts with a keyframe so its history can be replayed from creation
+  listRooms: () => { ensureInitialized(); return stmt.listRooms.all(); },
+  getRoom: (id) => { ensureInitialized(); return stmt.getRoom.get(id) || null; },
+  createRoom({ id, name, width, height, palette, gating, contracts, allowlist, createdBy }) {
+    ensureInitialized();
+    db.transaction(() => {
+      stmt.createRoom.run(id, name, width, height, toJson(palette), gating, toJson(contracts), toJson(allowlist), createdBy || null);
+      stmt.saveKeyframe.run(id, keyframeData(id));
+      stmt.startSeason.run(id, 1, 'Season 1', stmt.getLastHistoryId.get().id);
+    })();
+  },
+  updateRoom: (id, { name, palette, gating, contracts, allowlist }) => { ensureInitialized(); stmt.updateRoom.run(name, toJson(palette), gating, toJson(contracts), toJson(allowlist), id); },
+  deleteRoom(id) {
+    const deleted = getTransactions().deleteRoom(id);
+    stores.delete(id);
+    return deleted;
   },
   
-  placePixel: (x, y, color, addr) => getTransactions().placePixel(x, y, color, addr),
-  placePixelsBatch: (pixels, addr) => { if (pixels?.length) getTransactions().placeBatch(pixels, addr); },
-  erasePixel: (x, y, admin) => getTransactions().erase(x, y, admin),
+  // Seasons by id, whichever canvas they belong to
+  getSeason: (id) => { ensureInitialized(); return stmt.getSeason.get(id) || null; },
+  getSeasonPng: (id) => { ensureInitialized(); return stmt.getSeasonPng.get(id)?.png || null; },
+  renameSeason: (id, name) => { ensureInitialized(); stmt.renameSeason.run(name, id); },
+  // An ended season's archived rows, or a current one's from live history
+  getSeasonHistory(season, limit, offset) {
+    ensureInitialized();
+    return season.ended_at ? stmt.getSeasonHistory.all(season.id, limit, offset) : stmt.getLiveSeasonHistory.all(season.canvas_id, season.start_history_id, limit, offset);
+  },
   
-  getRecentHistory: (limit) => { ensureInitialized(); return stmt.getHistory.all(limit); },
-  getUserHistory: (addr, limit) => { ensureInitialized(); return stmt.getUserHistory.all(addr, limit); },
+  // Sessions - one row per sign-in, i.e. per refresh token family
+  createSession({ id, address, chainId, userAgent, ip, expiresAt, refreshHash }) {
+    ensureInitialized();
+    db.transaction(() => {
+      stmt.createSession.run(id, address, chainId ?? null, userAgent || null, ip || null, expiresAt);
+      stmt.addRefreshToken.run(refreshHash, id, expiresAt);
+    })();
+  },
+  getSession: (id) => { ensureInitialized(); return stmt.getSession.get(id) || null; },
+  getActiveSessions: (addr) => { ensureInitialized(); return stmt.getActiveSessions.all(addr); },
   
-  getUser(addr) { ensureInitialized(); stmt.upsertUser.run(addr); return stmt.getUser.get(addr); },
+  revokeSession(id) {
+    ensureInitialized();
+    return db.transaction(() => {
+      stmt.revokeRefreshTokens.run(id);
+      return stmt.revokeSession.run(id).changes > 0;
+    })();
+  },
   
-  getStats() {
+  revokeSessionsForAddress(addr, exceptId = null) {
     ensureInitialized();
-    if (statsCache.data && Date.now() - statsCache.ts < statsCache.ttl) return statsCache.data;
-    const s = stmt.getStats.get();
-    const h = stmt.getHistoryCount.get();
-    statsCache.data = { total_pixels: cache.count, total_users: s.total_users, total_placements: h.count };
-    statsCache.ts = Date.now();
-    return statsCache.data;
+    return db.transaction(() => {
+      const rows = stmt.revokeAddressSessions.all(addr, exceptId || '');
+      rows.forEach(r => stmt.revokeRefreshTokens.run(r.id));
+      return rows;
+    })();
   },
   
-  getPixelCount: () => cache.count,
+  getRevokedSessions: () => { ensureInitialized(); return stmt.getRevokedSessions.all(); },
+  pruneSessions: () => { ensureInitialized(); stmt.pruneRefreshTokens.run(); return stmt.pruneSessions.run().changes; },
   
-  clearCanvas() { ensureInitialized(); stmt.clearCanvas.run(); cache.pixels.clear(); cache.count = 0; statsCache.data = null; },
+  getRefreshToken: (hash) => { ensureInitialized(); return stmt.getRefreshToken.get(hash) || null; },
   
-  saveSnapshot() {
+  // Mark `hash` used and chain its successor; false if it was already spent - more than graceMs ago,
+  // or into another successor. Within the grace window the same successor is handed out again, never a new one
+  rotateRefreshToken(hash, nextHash, sessionId, expiresAt, graceMs = 0) {
     ensureInitialized();
-    const data = JSON.stringify({ version: 1, width: config.canvas.width, height: config.canvas.height, timestamp: new Date().toISOString(), pixels: this.getAllPixels() });
-    stmt.saveSnapshot.run(data);
+    return db.transaction(() => {
+      if (stmt.useRefreshToken.run(nextHash, hash).changes === 0) {
+        return graceMs > 0 && stmt.inRefreshGrace.get(hash, `-${graceMs / 1000} seconds`)?.replaced_by === nextHash;
+      }
+      stmt.addRefreshToken.run(nextHash, sessionId, expiresAt);
+      stmt.extendSession.run(expiresAt, sessionId);
+      return true;
+    })();
   },
   
-  bulkImport(pixels) {
-    getTransactions().bulkImport(pixels);
-    statsCache.data = null;
+  // Roles
+  getRoles: (addr) => { ensureInitialized(); return stmt.getRoles.all(addr).map(r => r.role); },
+  listRoles: (role = null) => { ensureInitialized(); return role ? stmt.listRolesByRole.all(role) : stmt.listRoles.all(); },
+  grantRole: (addr, role, grantedBy) => { ensureInitialized(); return stmt.grantRole.run(addr, role, grantedBy || null).changes > 0; },
+  revokeRole: (addr, role) => { ensureInitialized(); return stmt.revokeRole.run(addr, role).changes > 0; },
+  
+  // API keys (only the SHA-256 of each key is stored)
+  createApiKey({ id, name, keyHash, prefix, scopes, rateLimit, createdBy }) {
+    ensureInitialized();
+    stmt.createApiKey.run(id, name, keyHash, prefix, JSON.stringify(scopes), rateLimit ?? null, createdBy || null);
+  },
+  getApiKey: (id) => { ensureInitialized(); return stmt.getApiKey.get(id) || null; },
+  getApiKeyByHash: (hash) => { ensureInitialized(); return stmt.getApiKeyByHash.get(hash) || null; },
+  listApiKeys: () => { ensureInitialized(); return stmt.listApiKeys.all(); },
+  touchApiKey: (id, ip) => { ensureInitialized(); stmt.touchApiKey.run(ip || null, id); },
+  revokeApiKey: (id) => { ensureInitialized(); return stmt.revokeApiKey.run(id).changes > 0; },
+  
+  // Access lists - `list` is 'allowlist' or 'denylist'; lookups skip expired entries
+  getAccessEntry: (list, addr) => { ensureInitialized(); return stmt[list].get.get(addr) || null; },
+  listAccessEntries: (list, includeExpired = false) => { ensureInitialized(); return (includeExpired ? stmt[list].list : stmt[list].listActive).all(); },
+  setAccessEntry: (list, { address, note, addedBy, expiresAt }) => { ensureInitialized(); stmt[list].upsert.run(address, note || null, addedBy || null, expiresAt || null); },
+  setAccessEntries(list, entries) {
+    ensureInitialized();
+    db.transaction(() => { for (const e of entries) stmt[list].upsert.run(e.address, e.note || null, e.addedBy || null, e.expiresAt || null); })();
   },
+  removeAccessEntry: (list, addr) => { ensureInitialized(); return stmt[list].remove.run(addr).changes > 0; },
 };
 
 export function closeDatabase() {
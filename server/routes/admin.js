@@ -0,0 +1,144 @@
+/**
+ * Admin Routes
+ */
+
+import express, { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import sessionStore from '../services/sessions.js';
+import rolesService from '../services/roles.js';
+import apiKeyService from '../services/apiKeys.js';
+import accessService from '../services/access.js';
+import roomsService from '../services/rooms.js';
+import canvasService from '../services/canvas.js';
+import { broadcast, disconnectApiKey } from '../websocket/index.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+
+router.use(authenticateToken);
+
+router.param('address', (req, res, next, address) => {
+  if (!ADDRESS_RE.test(address)) return res.status(400).json({ error: 'Invalid address', code: 'INVALID_ADDRESS' });
+  req.params.address = address.toLowerCase();
+  next();
+});
+
+router.param('list', (req, res, next, list) => {
+  if (!accessService.LISTS.includes(list)) return res.status(400).json({ error: 'Unknown list', code: 'INVALID_LIST', lists: accessService.LISTS });
+  next();
+});
+
+router.get('/sessions/:address', requirePermission('sessions:manage'), (req, res) => {
+  res.json({ address: req.params.address, sessions: sessionStore.listSessions(req.params.address) });
+});
+
+// Revoke every live session for a wallet
+router.delete('/sessions/:address', requirePermission('sessions:manage'), asyncHandler(async (req, res) => {
+  const revoked = await sessionStore.revokeAllForAddress(req.params.address);
+  logger.info({ admin: req.user.address, address: req.params.address, revoked: revoked.length }, 'Sessions revoked by admin');
+  res.json({ success: true, address: req.params.address, revoked: revoked.length });
+}));
+
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+  res.json({ roles: rolesService.listRoles(req.query.role || null), available: rolesService.ROLES });
+});
+
+router.get('/roles/:address', requirePermission('roles:manage'), (req, res) => {
+  res.json({ address: req.params.address, ...rolesService.describe(req.params.address) });
+});
+
+router.put('/roles/:address/:role', requirePermission('roles:manage'), (req, res) => {
+  const granted = rolesService.grantRole(req.params.address, req.params.role, req.user.address);
+  logger.info({ admin: req.user.address, address: req.params.address, role: req.params.role }, 'Role granted');
+  res.status(granted ? 201 : 200).json({ success: true, address: req.params.address, role: req.params.role, ...rolesService.describe(req.params.address) });
+});
+
+router.delete('/roles/:address/:role', requirePermission('roles:manage'), (req, res) => {
+  if (req.params.role === 'admin' && req.params.address === req.user.address) {
+    return res.status(400).json({ error: 'Cannot revoke your own admin role', code: 'SELF_DEMOTION' });
+  }
+  if (!rolesService.revokeRole(req.params.address, req.params.role)) return res.status(404).json({ error: 'Role not granted', code: 'ROLE_NOT_FOUND' });
+  logger.info({ admin: req.user.address, address: req.params.address, role: req.params.role }, 'Role revoked');
+  res.json({ success: true, address: req.params.address, role: req.params.role, ...rolesService.describe(req.params.address) });
+});
+
+router.get('/api-keys', requirePermission('apikeys:manage'), (req, res) => {
+  res.json({ keys: apiKeyService.listApiKeys(), scopes: apiKeyService.SCOPES });
+});
+
+// The raw key is in this response only - it cannot be retrieved later
+router.post('/api-keys', requirePermission('apikeys:manage'), (req, res) => {
+  const { name, scopes, rateLimit } = req.body || {};
+  const key = apiKeyService.createApiKey({ name, scopes, rateLimit: rateLimit ?? null, createdBy: req.user.address });
+  logger.info({ admin: req.user.address, id: key.id, name: key.name, scopes: key.scopes }, 'API key created');
+  res.status(201).json(key);
+});
+
+router.delete('/api-keys/:id', requirePermission('apikeys:manage'), (req, res) => {
+  if (!apiKeyService.revokeApiKey(req.params.id)) return res.status(404).json({ error: 'API key not found', code: 'API_KEY_NOT_FOUND' });
+  const closed = disconnectApiKey(req.params.id);
+  logger.info({ admin: req.user.address, id: req.params.id, closed }, 'API key revoked');
+  res.json({ success: true, id: req.params.id });
+});
+
+// Expired entries are left out unless ?includeExpired=true
+router.get('/access', requirePermission('access:manage'), (req, res) => {
+  const includeExpired = req.query.includeExpired === 'true';
+  res.json(Object.fromEntries(accessService.LISTS.map(list => [list, accessService.listEntries(list, { includeExpired })])));
+});
+
+router.get('/access/:list', requirePermission('access:manage'), (req, res) => {
+  res.json({ list: req.params.list, entries: accessService.listEntries(req.params.list, { includeExpired: req.query.includeExpired === 'true' }) });
+});
+
+router.put('/access/:list/:address', requirePermission('access:manage'), (req, res) => {
+  const { note, expiresAt } = req.body || {};
+  const { created, ...entry } = accessService.addEntry(req.params.list, req.params.address, { note, expiresAt, addedBy: req.user.address });
+  logger.info({ admin: req.user.address, address: entry.address, list: entry.list, expiresAt: entry.expiresAt }, 'Access entry set');
+  res.status(created ? 201 : 200).json({ success: true, ...entry });
+});
+
+router.delete('/access/:list/:address', requirePermission('access:manage'), (req, res) => {
+  if (!accessService.removeEntry(req.params.list, req.params.address)) return res.status(404).json({ error: 'Address not listed', code: 'ACCESS_ENTRY_NOT_FOUND' });
+  logger.info({ admin: req.user.address, address: req.params.address, list: req.params.list }, 'Access entry removed');
+  res.json({ success: true, address: req.params.address, list: req.params.list });
+});
+
+router.get('/canvases', requirePermission('canvases:manage'), (req, res) => {
+  res.json({ canvases: roomsService.listRooms(), gating: roomsService.GATING });
+});
+
+// { id, name, width, height, palette, gating, contracts, allowlist }; all but id are optional
+router.post('/canvases', requirePermission('canvases:manage'), (req, res) => {
+  const room = roomsService.createRoom(req.body || {}, req.user.address);
+  logger.info({ admin: req.user.address, canvas: room.id, width: room.width, height: room.height, gating: room.gating }, 'Canvas created');
+  res.status(201).json(room);
+});
+
+// { name, palette, gating, contracts, allowlist }; resize through POST /api/canvases/:id/resize
+router.patch('/canvases/:id', requirePermission('canvases:manage'), (req, res) => {
+  const room = roomsService.updateRoom(req.params.id, req.body || {});
+  broadcast('canvas', canvasService.getConfig(room.id), room.id);
+  logger.info({ admin: req.user.address, canvas: room.id, changes: Object.keys(req.body || {}) }, 'Canvas updated');
+  res.json(room);
+});
+
+router.delete('/canvases/:id', requirePermission('canvases:manage'), (req, res) => {
+  roomsService.deleteRoom(req.params.id);
+  broadcast('canvas_deleted', { canvas: req.params.id }, req.params.id);
+  logger.info({ admin: req.user.address, canvas: req.params.id }, 'Canvas deleted');
+  res.json({ success: true, id: req.params.id });
+});
+
+// CSV as the request body (text/csv) or as `csv` in a JSON body
+router.post('/access/:list/import', requirePermission('access:manage'), express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+  if (!csv) return res.status(400).json({ error: 'CSV body required', code: 'INVALID_CSV' });
+  const result = accessService.importCsv(req.params.list, csv, req.user.address);
+  logger.info({ admin: req.user.address, list: result.list, imported: result.imported, skipped: result.skipped.length }, 'Access list imported');
+  res.json({ success: true, ...result });
+});
+
+export default router;
@@ -3,40 +3,123 @@
  */
 
 import { Router } from 'express';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 import { authLimiter } from '../middleware/rateLimit.js';
+import { cookieMode, readCookie, setSessionCookies, clearSessionCookies, REFRESH_COOKIE } from '../middleware/cookieSession.js';
 import authService from '../services/auth.js';
+import siweService from '../services/siwe.js';
+import sessionStore from '../services/sessions.js';
+import rolesService from '../services/roles.js';
+import { tierFor, describeTier } from '../services/tiers.js';
 import { incrementCounter } from '../services/metrics.js';
 import config from '../config/index.js';
 
 const router = Router();
+const ADDRESS_RE = /^0x[a-fA-F0-9]{40}$/;
+
+const sessionMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// In cookie session mode the tokens go into HttpOnly cookies instead of the body
+function sendAuth(req, res, result, { newSession = false } = {}) {
+  if (!cookieMode()) return res.json(result);
+  const { token, refreshToken, ...rest } = result;
+  const csrfToken = setSessionCookies(req, res, { token, refreshToken }, { newSession });
+  res.json({ ...rest, sessionMode: 'cookie', csrfToken });
+}
+
+const bodyOrCookieRefreshToken = (req) => req.body?.refreshToken || (cookieMode() ? readCookie(req, REFRESH_COOKIE) : null);
+
+// SIWE domain/URI the client must sign for. Without SIWE_DOMAIN/SIWE_URI (development only) they follow the
+// Host header, which the caller controls - so it must be a CORS_ORIGIN host, or a phishing site's signature could be replayed here
+function siweOrigin(req) {
+  const host = req.get('host');
+  if (!(config.siwe.domain && config.siwe.uri)) {
+    const allowed = [config.cors.origin].flat();
+    const hostOf = (origin) => { try { return new URL(origin).host; } catch { return null; } };
+    if (!allowed.includes('*') && !allowed.some(o => hostOf(o) === host)) throw new AppError('Host is not an allowed origin', 400, 'INVALID_ORIGIN');
+  }
+  return { domain: config.siwe.domain || host, uri: config.siwe.uri || `${req.protocol}://${host}` };
+}
+
+router.get('/nonce', asyncHandler(async (req, res) => {
+  const { address } = req.query;
+  const chainId = parseInt(req.query.chainId || '1', 10);
+  
+  if (!address || !ADDRESS_RE.test(address)) return res.status(400).json({ error: 'Invalid address', code: 'INVALID_ADDRESS' });
+  if (isNaN(chainId) || chainId <= 0) return res.status(400).json({ error: 'Invalid chainId', code: 'INVALID_CHAIN' });
+  
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(await siweService.createChallenge({ address, chainId, ...siweOrigin(req) }));
+}));
 
 router.post('/connect', authLimiter, asyncHandler(async (req, res) => {
-  const { address, chainId } = req.body;
+  const { address, chainId, message, signature } = req.body;
   
-  if (!address || !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+  if (!address || !ADDRESS_RE.test(address)) {
     incrementCounter('auth_failure_total');
     return res.status(400).json({ error: 'Invalid address', code: 'INVALID_ADDRESS' });
   }
+  if (!message || !signature) {
+    incrementCounter('auth_failure_total');
+    return res.status(400).json({ error: 'Signed sign-in message required', code: 'SIGNATURE_REQUIRED' });
+  }
   
   try {
-    const result = await authService.authenticate(address, chainId || 1);
+    const verified = await siweService.verifyChallenge({ message, signature, address, chainId, ...siweOrigin(req) });
+    const result = await authService.authenticate(verified.address, verified.chainId, sessionMeta(req));
     incrementCounter('auth_success_total');
-    res.json(result);
+    sendAuth(req, res, result, { newSession: true });
   } catch (e) {
     incrementCounter('auth_failure_total');
-    res.status(401).json({ error: e.message || 'Auth failed', code: 'AUTH_FAILED' });
+    res.status(401).json({ error: e.message || 'Auth failed', code: e.isOperational ? e.code : 'AUTH_FAILED' });
+  }
+}));
+
+// Trade a refresh token for a new access/refresh pair - works after the access token has expired
+router.post('/refresh', authLimiter, asyncHandler(async (req, res) => {
+  const refreshToken = bodyOrCookieRefreshToken(req);
+  if (!refreshToken || typeof refreshToken !== 'string') return res.status(400).json({ error: 'Refresh token required', code: 'REFRESH_TOKEN_REQUIRED' });
+  
+  try {
+    sendAuth(req, res, await authService.refreshAuthorization(refreshToken, req.body?.chainId));
+  } catch (e) {
+    if (!e.isOperational) throw e;
+    if (cookieMode()) clearSessionCookies(res);
+    res.status(401).json({ error: e.message, code: e.code });
+  }
+}));
+
+// Ends the session named by the access token or, once that has expired, the refresh token
+router.post('/logout', optionalAuth, asyncHandler(async (req, res) => {
+  if (req.user?.sessionId) {
+    await sessionStore.revokeSession(req.user.sessionId, req.user.address);
+  } else if (bodyOrCookieRefreshToken(req)) {
+    const session = sessionStore.findSessionByRefreshToken(bodyOrCookieRefreshToken(req));
+    if (session) await sessionStore.revokeSession(session.id);
   }
+  if (cookieMode()) clearSessionCookies(res);
+  res.json({ success: true });
+}));
+
+router.get('/sessions', authenticateToken, (req, res) => {
+  res.json({ sessions: sessionStore.listSessions(req.user.address, req.user.sessionId) });
+});
+
+// Sign out everywhere else - the calling session stays valid
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await sessionStore.revokeAllForAddress(req.user.address, { except: req.user.sessionId });
+  res.json({ success: true, revoked: revoked.length });
 }));
 
-router.post('/refresh', authenticateToken, asyncHandler(async (req, res) => {
-  const result = await authService.refreshAuthorization(req.user.address, req.body.chainId || req.user.chainId);
-  res.json(result);
+router.delete('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const ok = await sessionStore.revokeSession(req.params.id, req.user.address);
+  if (!ok) return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+  res.json({ success: true, id: req.params.id });
 }));
 
 router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
-  res.json(authService.getUserProfile(req.user.address));
+  res.json(await authService.getUserProfile(req.user.address));
 }));
 
 router.get('/verify', authenticateToken, (req, res) => {
@@ -44,7 +127,8 @@ router.get('/verify', authenticateToken, (req, res) => {
     valid: true,
     address: req.user.address,
     isAuthorized: req.user.isAuthorized,
-    isAdmin: config.adminWallets.includes(req.user.address.toLowerCase()),
+    tier: describeTier(tierFor(req.user)),
+    ...rolesService.describe(req.user.address),
   });
 });
 
@@ -1,41 +1,121 @@
 /**
  * Canvas Routes
+ *
+ * Mounted as /api/canvas (the default canvas) and /api/canvases/:canvasId.
  */
 
-import { Router } from 'express';
-import { asyncHandler } from '../middleware/errorHandler.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import express, { Router } from 'express';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { authenticateToken, requirePermission, requireScope } from '../middleware/auth.js';
+import { timelapseLimiter } from '../middleware/rateLimit.js';
 import { validateCanvasImport } from '../middleware/validation.js';
+import { resolveCanvas } from '../middleware/canvas.js';
 import canvasService from '../services/canvas.js';
+import { canvasAt } from '../services/timeline.js';
+import { renderTimelapse } from '../services/timelapse.js';
+import { canvasPng, ogImage } from '../services/canvasImage.js';
+import imageImport from '../services/imageImport.js';
+import { broadcast } from '../websocket/index.js';
 
-const router = Router();
+const router = Router({ mergeParams: true });
 
-router.get('/', asyncHandler(async (req, res) => {
-  res.json(req.query.format === 'binary' ? canvasService.getCanvasBinary() : canvasService.getCanvas());
+router.use(resolveCanvas);
+
+// Answer If-None-Match from the image's ETag before it is drawn (req.fresh would give up on a request's no-cache)
+export function sendImage(req, res, image, cacheControl) {
+  res.setHeader('ETag', image.etag);
+  res.setHeader('Cache-Control', cacheControl);
+  const match = req.get('If-None-Match');
+  if (match && (match.trim() === '*' || match.split(',').map(t => t.trim().replace(/^W\//, '')).includes(image.etag))) return res.status(304).end();
+  res.type('png').send(image.png());
+}
+
+// Mounted as /api/canvas.png and /api/canvases/:canvasId.png by routes/index.js: ?x=&y=&w=&h= (region), ?scale=, ?grid=1
+export const canvasPngRoute = [resolveCanvas, requireScope('canvas:read'), asyncHandler(async (req, res) => {
+  sendImage(req, res, canvasPng(req.query, req.canvas.id), 'no-cache');
+})];
+
+router.get('/', requireScope('canvas:read'), asyncHandler(async (req, res) => {
+  res.json(req.query.format === 'binary' ? canvasService.getCanvasBinary(req.canvas.id) : canvasService.getCanvas(req.canvas.id));
 }));
 
-router.get('/config', (req, res) => res.json(canvasService.getConfig()));
+router.get('/config', (req, res) => res.json(canvasService.getConfig(req.canvas.id)));
 
-router.get('/export', asyncHandler(async (req, res) => {
+router.get('/export', requireScope('canvas:read'), asyncHandler(async (req, res) => {
   res.setHeader('Content-Type', 'application/json');
-  res.setHeader('Content-Disposition', `attachment; filename="canvas-${Date.now()}.json"`);
-  res.json(canvasService.exportCanvas());
+  res.setHeader('Content-Disposition', `attachment; filename="canvas-${req.canvas.id}-${Date.now()}.json"`);
+  res.json(canvasService.exportCanvas(req.canvas.id));
+}));
+
+router.post('/import', authenticateToken, requirePermission('canvas:import'), validateCanvasImport, asyncHandler(async (req, res) => {
+  res.json(canvasService.importCanvas(req.body.pixels, req.canvas.id));
+}));
+
+// PNG/JPEG as the request body (?x=&y=&mode=&dither=), or base64 `image` in a JSON body with the same fields.
+// Creates a pending import to preview, then apply or discard
+router.post('/import/image', authenticateToken, requirePermission('canvas:import'), express.raw({ type: ['image/png', 'image/jpeg'], limit: '5mb' }), asyncHandler(async (req, res) => {
+  const raw = Buffer.isBuffer(req.body);
+  const image = raw ? req.body : req.body?.image && Buffer.from(String(req.body.image).replace(/^data:[^,]*,/, ''), 'base64');
+  if (!image?.length) throw new AppError('PNG or JPEG image required', 400, 'INVALID_IMAGE');
+  res.status(201).json(imageImport.createImport(image, raw ? req.query : { ...req.query, ...req.body }, req.user.address, req.canvas.id));
+}));
+
+router.get('/import/image/:id', authenticateToken, requirePermission('canvas:import'), asyncHandler(async (req, res) => {
+  res.json(imageImport.getImport(req.params.id, req.canvas.id));
+}));
+
+router.get('/import/image/:id/preview.png', authenticateToken, requirePermission('canvas:import'), asyncHandler(async (req, res) => {
+  const scale = Math.min(Math.max(parseInt(req.query.scale || '1', 10) || 1, 1), 16);
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('png').send(imageImport.previewPng(req.params.id, scale, req.canvas.id));
+}));
+
+router.post('/import/image/:id/apply', authenticateToken, requirePermission('canvas:import'), asyncHandler(async (req, res) => {
+  const { result, pixels } = imageImport.applyImport(req.params.id, req.user.address, req.canvas.id);
+  if (pixels.length) broadcast('batch', pixels.map(p => ({ ...p, placedBy: null })), req.canvas.id);
+  res.json(result);
+}));
+
+router.delete('/import/image/:id', authenticateToken, requirePermission('canvas:import'), asyncHandler(async (req, res) => {
+  imageImport.discardImport(req.params.id, req.canvas.id);
+  res.json({ success: true });
 }));
 
-router.post('/import', authenticateToken, requireAdmin, validateCanvasImport, asyncHandler(async (req, res) => {
-  res.json(canvasService.importCanvas(req.body.pixels));
+router.get('/stats', requireScope('canvas:read'), asyncHandler(async (req, res) => res.json(canvasService.getStats(req.canvas.id))));
+
+router.get('/history', requireScope('history:read'), asyncHandler(async (req, res) => {
+  res.json(canvasService.getHistory(Math.min(parseInt(req.query.limit || '100', 10), 500), req.canvas.id));
 }));
 
-router.get('/stats', asyncHandler(async (req, res) => res.json(canvasService.getStats())));
+// The canvas as it was at ?ts= (ms or ISO 8601) or right after ?historyId=
+router.get('/at', requireScope('history:read'), asyncHandler(async (req, res) => {
+  res.json(canvasAt({ ts: req.query.ts, historyId: req.query.historyId }, req.canvas.id));
+}));
 
-router.get('/history', asyncHandler(async (req, res) => {
-  res.json(canvasService.getHistory(Math.min(parseInt(req.query.limit || '100', 10), 500)));
+// Animated history: ?from=&to= (ms or ISO), ?frames=, ?fps=, ?scale=, ?format=gif|apng|zip (PNG frames)
+router.get('/timelapse', requireScope('history:read'), timelapseLimiter, asyncHandler(async (req, res) => {
+  const { file, type, format, cached } = await renderTimelapse(req.query, req.canvas.id);
+  res.setHeader('Content-Type', type);
+  res.setHeader('X-Timelapse-Cache', cached ? 'hit' : 'miss');
+  if (format === 'zip') res.attachment('timelapse-frames.zip');
+  res.sendFile(file);
 }));
 
-router.get('/palette', (req, res) => res.json(canvasService.getPalette()));
+// Link preview for index.html's og:image
+router.get('/og.png', asyncHandler(async (req, res) => sendImage(req, res, ogImage(req.canvas.id), 'public, max-age=300')));
+
+router.get('/palette', (req, res) => res.json(canvasService.getPalette(req.canvas.id)));
+
+// { width, height, anchor } - the anchor edge or corner keeps its pixels in place
+router.post('/resize', authenticateToken, requirePermission('canvas:resize'), asyncHandler(async (req, res) => {
+  const result = canvasService.resizeCanvas(req.body || {}, req.canvas.id);
+  broadcast('resize', result, req.canvas.id);
+  broadcast('status', canvasService.getStatus(req.canvas.id), req.canvas.id);
+  res.json(result);
+}));
 
-router.delete('/', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
-  res.json(canvasService.clearCanvas());
+router.delete('/', authenticateToken, requirePermission('canvas:clear'), asyncHandler(async (req, res) => {
+  res.json(canvasService.clearCanvas(req.canvas.id));
 }));
 
 export default router;
@@ -4,20 +4,31 @@
 
 import { Router } from 'express';
 import authRoutes from './auth.js';
-import canvasRoutes from './canvas.js';
+import canvasRoutes, { canvasPngRoute } from './canvas.js';
 import pixelRoutes from './pixels.js';
+import adminRoutes from './admin.js';
+import seasonRoutes from './seasons.js';
 import { getPrometheusMetrics, getMetricsJSON } from '../services/metrics.js';
 import { getBackupStats, createBackup, listBackups } from '../services/backup.js';
-import { requireAdmin, authenticateToken } from '../middleware/auth.js';
+import { requirePermission, authenticateToken } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import canvasService from '../services/canvas.js';
+import { listRooms } from '../services/rooms.js';
 
 const router = Router();
 
 router.use('/auth', authRoutes);
+router.get('/canvas.png', canvasPngRoute);
 router.use('/canvas', canvasRoutes);
 router.use('/pixels', pixelRoutes);
 
+// Named canvases; /api/canvas and /api/pixels are the default one. Their own allowlists are admin-only (/api/admin/canvases)
+router.get('/canvases', (req, res) => res.json({ canvases: listRooms().map(({ allowlist, ...room }) => room) }));
+router.get('/canvases/:canvasId.png', canvasPngRoute);
+router.use('/canvases/:canvasId/pixels', pixelRoutes);
+router.use('/canvases/:canvasId', canvasRoutes);
+router.use('/seasons', seasonRoutes);
+
 router.get('/metrics', (req, res) => {
   const accept = req.get('Accept') || '';
   if (accept.includes('text/plain') || !accept.includes('application/json')) {
@@ -29,18 +40,20 @@ router.get('/metrics', (req, res) => {
 
 router.get('/metrics/json', (req, res) => res.json(getMetricsJSON()));
 
-router.get('/admin/backups', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.get('/admin/backups', authenticateToken, requirePermission('backups:manage'), asyncHandler(async (req, res) => {
   res.json({
     stats: getBackupStats(),
     backups: listBackups().map(b => ({ filename: b.filename, sizeMB: (b.size / 1024 / 1024).toFixed(2), created: b.created })),
   });
 }));
 
-router.post('/admin/backups', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+router.post('/admin/backups', authenticateToken, requirePermission('backups:manage'), asyncHandler(async (req, res) => {
   const path = createBackup();
   res.json(path ? { success: true, path } : { success: false, error: 'Backup failed' });
 }));
 
+router.use('/admin', adminRoutes);
+
 // Bootstrap endpoint - only works when database is empty (safe one-time import)
 router.post('/bootstrap', asyncHandler(async (req, res) => {
   const stats = canvasService.getStats();
@@ -0,0 +1,50 @@
+/**
+ * Season Routes - browse archived seasons, end the current one
+ *
+ * Seasons belong to a canvas (?canvas= or `canvas` in the body; the default canvas without it)
+ * but are looked up by id.
+ */
+
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { authenticateToken, requirePermission, requireScope } from '../middleware/auth.js';
+import seasonService from '../services/seasons.js';
+import canvasService from '../services/canvas.js';
+import { sendImage } from './canvas.js';
+import { broadcast } from '../websocket/index.js';
+
+const router = Router();
+
+router.get('/', requireScope('history:read'), asyncHandler(async (req, res) => {
+  const seasons = seasonService.listSeasons(req.query.canvas || undefined);
+  res.json({ canvas: seasons[0].canvas, seasons });
+}));
+
+// The season's final state (the live canvas while it runs); archived images never change
+router.get('/:id.png', requireScope('history:read'), asyncHandler(async (req, res) => {
+  const image = seasonService.seasonPng(req.params.id);
+  sendImage(req, res, image, image.archived ? 'public, max-age=86400' : 'no-cache');
+}));
+
+router.get('/:id', requireScope('history:read'), asyncHandler(async (req, res) => res.json(seasonService.getSeason(req.params.id))));
+
+// ?limit= (up to 1000) and ?offset=, oldest first
+router.get('/:id/history', requireScope('history:read'), asyncHandler(async (req, res) => {
+  res.json(seasonService.seasonHistory(req.params.id, req.query));
+}));
+
+router.patch('/:id', authenticateToken, requirePermission('seasons:manage'), asyncHandler(async (req, res) => {
+  res.json(seasonService.renameSeason(req.params.id, req.body?.name));
+}));
+
+// { canvas, name, width, height, palette } - ends the current season and opens the next
+router.post('/', authenticateToken, requirePermission('seasons:manage'), asyncHandler(async (req, res) => {
+  const { canvas, ...options } = req.body || {};
+  const result = seasonService.endSeason(options, req.user.address, canvas || undefined);
+  const id = result.started.canvas;
+  broadcast('season', { ...result, config: canvasService.getConfig(id) }, id);
+  broadcast('status', canvasService.getStatus(id), id);
+  res.status(201).json(result);
+}));
+
+export default router;
@@ -0,0 +1,98 @@
+/**
+ * Access Service - admin-managed allowlist and denylist
+ *
+ * Allowlisted wallets may draw without a gating NFT; denylisted wallets never
+ * may, whatever they hold or have been granted. Entries can expire. Like roles,
+ * the lists are read live, so changes apply to tokens that are already issued.
+ */
+
+import { isAddress } from 'ethers';
+import { databaseAPI } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parseCsv } from '../utils/csv.js';
+
+export const LISTS = ['allowlist', 'denylist'];
+
+const toSqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+
+function checkList(list) {
+  if (!LISTS.includes(list)) throw new AppError(`Unknown list: ${list}`, 400, 'INVALID_LIST');
+}
+
+// Expiry (ISO string or ms) as SQL time; null when there is none
+function parseExpiry(expiresAt) {
+  if (expiresAt == null || expiresAt === '') return null;
+  const ms = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+  if (isNaN(ms)) throw new AppError(`Invalid expiry: ${expiresAt}`, 400, 'INVALID_EXPIRY');
+  return toSqlTime(ms);
+}
+
+const format = (list, row) => ({ address: row.address, list, note: row.note, addedBy: row.added_by, addedAt: row.added_at, expiresAt: row.expires_at });
+
+const onList = (list, address) => typeof address === 'string' && !!databaseAPI.getAccessEntry(list, address.toLowerCase());
+export const isAllowlisted = (address) => onList('allowlist', address);
+export const isDenylisted = (address) => onList('denylist', address);
+
+// The list that applies to a wallet - the denylist wins - or null
+export function accessStatus(address) {
+  if (isDenylisted(address)) return 'denylist';
+  if (isAllowlisted(address)) return 'allowlist';
+  return null;
+}
+
+export function listEntries(list, { includeExpired = false } = {}) {
+  checkList(list);
+  return databaseAPI.listAccessEntries(list, includeExpired).map(r => format(list, r));
+}
+
+/**
+ * Add or update an entry; returns it with `created` set when the wallet wasn't already listed
+ */
+export function addEntry(list, address, { note = null, expiresAt = null, addedBy = null } = {}) {
+  checkList(list);
+  if (!isAddress(address)) throw new AppError('Invalid address', 400, 'INVALID_ADDRESS');
+  
+  const entry = { address: address.toLowerCase(), note, addedBy, expiresAt: parseExpiry(expiresAt) };
+  const created = !databaseAPI.getAccessEntry(list, entry.address);
+  databaseAPI.setAccessEntry(list, entry);
+  return { address: entry.address, list, note, addedBy, expiresAt: entry.expiresAt, created };
+}
+
+export function removeEntry(list, address) {
+  checkList(list);
+  return databaseAPI.removeAccessEntry(list, address.toLowerCase());
+}
+
+/**
+ * Import entries from CSV: `address[,expires_at[,note]]` per row, with an optional
+ * header row naming those columns in any order. Rows that don't parse are skipped
+ * and reported; the rest are written in one transaction.
+ */
+export function importCsv(list, text, addedBy = null) {
+  checkList(list);
+  const rows = parseCsv(String(text || ''));
+  
+  let columns = ['address', 'expires_at', 'note'];
+  const header = rows[0]?.map(h => h.toLowerCase().replace(/[^a-z]/g, '').replace('expiresat', 'expires_at'));
+  if (header?.includes('address')) {
+    columns = header;
+    rows.shift();
+  }
+  
+  const entries = [];
+  const skipped = [];
+  rows.forEach((fields, i) => {
+    const row = Object.fromEntries(columns.map((c, j) => [c, fields[j] || null]));
+    if (!isAddress(row.address)) return skipped.push({ row: i + 1, value: row.address, reason: 'Invalid address' });
+    try {
+      entries.push({ address: row.address.toLowerCase(), note: row.note, addedBy, expiresAt: parseExpiry(row.expires_at) });
+    } catch (e) {
+      skipped.push({ row: i + 1, value: row.expires_at, reason: e.message });
+    }
+  });
+  
+  databaseAPI.setAccessEntries(list, entries);
+  return { list, imported: entries.length, skipped };
+}
+
+export default { LISTS, isAllowlisted, isDenylisted, accessStatus, listEntries, addEntry, removeEntry, importCsv };
@@ -0,0 +1,79 @@
+/**
+ * API Key Service - admin-issued, scoped keys for bots and integrations
+ *
+ * Keys are shown once at creation and stored as SHA-256 hashes. Lookups hit
+ * SQLite every time so revocation is immediate; last-used writes are throttled.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { databaseAPI } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const SCOPES = ['canvas:read', 'history:read', 'pixels:write', 'admin:backup'];
+
+const KEY_PREFIX = 'rpk_';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const lastTouched = new Map(); // id -> ms
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+function toPublic(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at,
+  };
+}
+
+/**
+ * Issue a key. The raw `key` is only ever returned here.
+ */
+export function createApiKey({ name, scopes, rateLimit = null, createdBy = null }) {
+  if (!name || typeof name !== 'string' || name.length > 64) throw new AppError('Name required (max 64 chars)', 400, 'INVALID_NAME');
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !SCOPES.includes(s))) {
+    throw new AppError(`Scopes must be a non-empty subset of: ${SCOPES.join(', ')}`, 400, 'INVALID_SCOPES');
+  }
+  if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1)) throw new AppError('rateLimit must be a positive integer', 400, 'INVALID_RATE_LIMIT');
+  
+  const id = randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  databaseAPI.createApiKey({ id, name, keyHash: hashKey(key), prefix: key.slice(0, 12), scopes: [...new Set(scopes)], rateLimit, createdBy });
+  return { ...toPublic(databaseAPI.getApiKey(id)), key };
+}
+
+/**
+ * Resolve a raw key to its record; null when unknown or revoked
+ */
+export function resolveApiKey(key, ip = null) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  const row = databaseAPI.getApiKeyByHash(hashKey(key));
+  if (!row || row.revoked_at) return null;
+  
+  const now = Date.now();
+  if (now - (lastTouched.get(row.id) || 0) >= TOUCH_INTERVAL_MS) {
+    lastTouched.set(row.id, now);
+    databaseAPI.touchApiKey(row.id, ip);
+  }
+  return toPublic(row);
+}
+
+export function isActive(id) {
+  const row = databaseAPI.getApiKey(id);
+  return !!row && !row.revoked_at;
+}
+
+export const listApiKeys = () => databaseAPI.listApiKeys().map(toPublic);
+
+export function revokeApiKey(id) {
+  lastTouched.delete(id);
+  return databaseAPI.revokeApiKey(id);
+}
+
+export default { SCOPES, createApiKey, resolveApiKey, isActive, listApiKeys, revokeApiKey };
@@ -4,47 +4,76 @@
 
 import { generateToken } from '../middleware/auth.js';
 import { databaseAPI } from '../models/database.js';
-import { checkNFTAuthorization } from './nft.js';
+import { checkOwnership } from './ownership.js';
+import { createSession, rotateRefreshToken } from './sessions.js';
+import { describe as describeRoles } from './roles.js';
+import { tierFor, describeTier } from './tiers.js';
+import { accessStatus } from './access.js';
 import config from '../config/index.js';
 
-export async function authenticate(address, chainId) {
-  let isAuthorized = true;
-  if (config.nft.enabled) isAuthorized = await checkNFTAuthorization(address, chainId);
-  
-  const isAdmin = config.adminWallets.includes(address.toLowerCase());
-  databaseAPI.getUser(address);
-  
-  const token = generateToken({
-    address: address.toLowerCase(),
+// `tier` is the holdings tier id, used by instances that haven't verified the wallet themselves
+function issueAccessToken(sessionId, address, chainId, isAuthorized, isAdmin, tier) {
+  return generateToken({
+    sid: sessionId,
+    address,
     chainId,
     isAuthorized,
     isAdmin,
+    tier,
     iat: Math.floor(Date.now() / 1000),
   });
+}
+
+// The denylist overrides NFT ownership; the allowlist stands in for it
+const applyAccess = (authorized, access) => access !== 'denylist' && (authorized || access === 'allowlist');
+
+/**
+ * Start a session. `meta` carries request details (userAgent, ip) stored with it.
+ * `verification` is the ownership check's status: 'holder', 'not_holder' or 'unavailable'.
+ */
+export async function authenticate(address, chainId, meta = {}) {
+  const { authorized, status: verification, match: ownership } = await checkOwnership(address);
+  
+  address = address.toLowerCase();
+  const access = accessStatus(address);
+  const isAuthorized = applyAccess(authorized, access);
+  const roles = describeRoles(address);
+  const tier = tierFor({ address, isAuthorized });
+  databaseAPI.getUser(address);
   
-  return { token, address: address.toLowerCase(), isAuthorized, isAdmin, expiresIn: config.jwt.expiresIn };
+  const { sessionId, refreshToken } = createSession({ address, chainId, ...meta });
+  const token = issueAccessToken(sessionId, address, chainId, isAuthorized, roles.isAdmin, tier.id);
+  
+  return { token, refreshToken, address, isAuthorized, verification, ownership, access, tier: describeTier(tier), ...roles, expiresIn: config.jwt.expiresIn };
 }
 
-export async function refreshAuthorization(address, chainId) {
-  let isAuthorized = true;
-  if (config.nft.enabled) isAuthorized = await checkNFTAuthorization(address, chainId);
+/**
+ * Rotate a refresh token and re-check authorization for the new access token.
+ * `chainId` switches the session's chain (defaults to the one it signed in on).
+ */
+export async function refreshAuthorization(refreshToken, chainId = null) {
+  const { session, refreshToken: next } = await rotateRefreshToken(refreshToken);
+  const address = session.address;
+  chainId = chainId || session.chain_id;
   
-  const isAdmin = config.adminWallets.includes(address.toLowerCase());
-  const token = generateToken({
-    address: address.toLowerCase(),
-    chainId,
-    isAuthorized,
-    isAdmin,
-    iat: Math.floor(Date.now() / 1000),
-  });
+  const { authorized, status: verification, match: ownership } = await checkOwnership(address);
+  
+  const access = accessStatus(address);
+  const isAuthorized = applyAccess(authorized, access);
+  const roles = describeRoles(address);
+  const tier = tierFor({ address, isAuthorized });
+  const token = issueAccessToken(session.id, address, chainId, isAuthorized, roles.isAdmin, tier.id);
   
-  return { token, address: address.toLowerCase(), isAuthorized, isAdmin, expiresIn: config.jwt.expiresIn };
+  return { token, refreshToken: next, address, isAuthorized, verification, ownership, access, tier: describeTier(tier), ...roles, expiresIn: config.jwt.expiresIn };
 }
 
-export function getUserProfile(address) {
+// `ownership` is the contract/token that currently satisfies the NFT gate (null when gating is off or nothing does);
+// `vault` is the delegating wallet that holds it, when the gate was passed through a delegation
+export async function getUserProfile(address) {
   const user = databaseAPI.getUser(address);
   const history = databaseAPI.getUserHistory(address, 10);
-  return { address, pixelCount: user?.pixel_count || 0, firstSeen: user?.first_seen, lastSeen: user?.last_seen, recentPixels: history };
+  const { match: ownership } = await checkOwnership(address);
+  return { address, pixelCount: user?.pixel_count || 0, firstSeen: user?.first_seen, lastSeen: user?.last_seen, recentPixels: history, ownership, vault: ownership?.vault || null };
 }
 
 export default { authenticate, refreshAuthorization, getUserProfile };
@@ -2,69 +2,103 @@
  * Canvas Service
  * 
  * ALL PIXELS PERSIST FOREVER - no auto-clear, users draw over existing pixels
+ * Every function works on the default canvas unless given another canvas (room) id
  */
 
 import { databaseAPI } from '../models/database.js';
 import config from '../config/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRoom, parseSize, DEFAULT_CANVAS } from './rooms.js';
 import logger from '../utils/logger.js';
 
 export function setAutoClearCallback(cb) { /* No-op: auto-clear disabled */ }
-export function getTotalSlots() { return config.canvas.width * config.canvas.height; }
-export function isFull() { return databaseAPI.getPixelCount() >= getTotalSlots(); }
+export function getTotalSlots(id = DEFAULT_CANVAS) { const { width, height } = getRoom(id); return width * height; }
+export function isFull(id = DEFAULT_CANVAS) { return databaseAPI.canvas(id).getPixelCount() >= getTotalSlots(id); }
 
-export function getStatus() {
-  const count = databaseAPI.getPixelCount();
-  const total = getTotalSlots();
+export function getStatus(id = DEFAULT_CANVAS) {
+  const count = databaseAPI.canvas(id).getPixelCount();
+  const total = getTotalSlots(id);
   const full = count >= total;
   // No auto-clear - pixels persist forever, users draw over them
   return { pixelCount: count, totalSlots: total, isFull: full, clearAt: null, timeRemaining: null };
 }
 
-export function checkAndUpdateFullnessState() {
+export function checkAndUpdateFullnessState(id = DEFAULT_CANVAS) {
   // No auto-clear logic - pixels persist forever
   // Users can always draw over existing pixels
-  return { becameFull: false, status: getStatus() };
+  return { becameFull: false, status: getStatus(id) };
 }
 
-export function getCanvas() {
-  const pixels = databaseAPI.getAllPixels();
-  const status = getStatus();
-  return { version: 1, width: config.canvas.width, height: config.canvas.height, pixelCount: pixels.length, ...status, pixels };
+export function getCanvas(id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  const pixels = databaseAPI.canvas(id).getAllPixels();
+  const status = getStatus(id);
+  return { version: 1, canvas: id, width, height, pixelCount: pixels.length, ...status, pixels };
 }
 
-export function getCanvasBinary() {
-  return { version: 1, width: config.canvas.width, height: config.canvas.height, pixelCount: databaseAPI.getPixelCount(), format: 'binary', data: databaseAPI.getCanvasBinary() };
+export function getCanvasBinary(id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  const store = databaseAPI.canvas(id);
+  return { version: 1, canvas: id, width, height, pixelCount: store.getPixelCount(), format: 'binary', data: store.getCanvasBinary() };
 }
 
-export function exportCanvas() {
-  return { version: 1, width: config.canvas.width, height: config.canvas.height, timestamp: new Date().toISOString(), pixels: databaseAPI.getAllPixels() };
+export function exportCanvas(id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  return { version: 1, canvas: id, width, height, timestamp: new Date().toISOString(), pixels: databaseAPI.canvas(id).getAllPixels() };
 }
 
-export const getPixel = (x, y) => databaseAPI.getPixel(x, y);
-export const placePixel = (x, y, color, addr) => { databaseAPI.placePixel(x, y, color, addr); return { x, y, color, placedBy: addr }; };
-export const placePixelsBatch = (pixels, addr) => databaseAPI.placePixelsBatch(pixels, addr);
+export const getPixel = (x, y, id = DEFAULT_CANVAS) => databaseAPI.canvas(id).getPixel(x, y);
+export const placePixel = (x, y, color, addr, id = DEFAULT_CANVAS) => { databaseAPI.canvas(id).placePixel(x, y, color, addr); return { x, y, color, placedBy: addr }; };
+export const placePixelsBatch = (pixels, addr, id = DEFAULT_CANVAS) => databaseAPI.canvas(id).placePixelsBatch(pixels, addr);
+export const erasePixel = (x, y, admin, id = DEFAULT_CANVAS) => databaseAPI.canvas(id).erasePixel(x, y, admin);
 
-export function getStats() {
-  const stats = databaseAPI.getStats();
-  return { ...stats, canvasWidth: config.canvas.width, canvasHeight: config.canvas.height, totalPixelSlots: getTotalSlots(), fillPercentage: ((stats.total_pixels / getTotalSlots()) * 100).toFixed(2) };
+export function getStats(id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  const stats = databaseAPI.canvas(id).getStats();
+  return { ...stats, canvasWidth: width, canvasHeight: height, totalPixelSlots: width * height, fillPercentage: ((stats.total_pixels / (width * height)) * 100).toFixed(2) };
 }
 
-export const getHistory = (limit = 100) => databaseAPI.getRecentHistory(limit);
-export const getUserHistory = (addr, limit = 50) => databaseAPI.getUserHistory(addr, limit);
+export const getHistory = (limit = 100, id = DEFAULT_CANVAS) => databaseAPI.canvas(id).getRecentHistory(limit);
+export const getUserHistory = (addr, limit = 50, id = DEFAULT_CANVAS) => databaseAPI.canvas(id).getUserHistory(addr, limit);
 
-export function clearCanvas() {
-  databaseAPI.saveSnapshot();
-  databaseAPI.clearCanvas();
+export function clearCanvas(id = DEFAULT_CANVAS) {
+  const store = databaseAPI.canvas(id);
+  store.saveSnapshot();
+  store.clearCanvas();
   return { cleared: true, timestamp: new Date().toISOString() };
 }
 
-export function importCanvas(pixels) {
-  databaseAPI.saveSnapshot();
-  databaseAPI.bulkImport(pixels);
+export function importCanvas(pixels, id = DEFAULT_CANVAS) {
+  const store = databaseAPI.canvas(id);
+  store.saveSnapshot();
+  store.bulkImport(pixels);
   return { imported: pixels.length, timestamp: new Date().toISOString() };
 }
 
-export const getPalette = () => config.canvas.palette;
-export const getConfig = () => ({ width: config.canvas.width, height: config.canvas.height, palette: config.canvas.palette, nftGatingEnabled: config.nft.enabled });
+// Which edge or corner stays put when the canvas grows or shrinks
+export const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
 
-export default { getCanvas, getCanvasBinary, exportCanvas, getPixel, placePixel, placePixelsBatch, getStats, getHistory, getUserHistory, clearCanvas, importCanvas, getPalette, getConfig, getTotalSlots, isFull, getStatus, checkAndUpdateFullnessState, setAutoClearCallback };
+const anchorOffset = (anchor, start, end, delta) => (anchor.includes(start) ? 0 : anchor.includes(end) ? delta : Math.floor(delta / 2));
+
+export function resizeCanvas({ width, height, anchor = 'top-left' } = {}, id = DEFAULT_CANVAS) {
+  ({ width, height } = parseSize(width, height));
+  if (!ANCHORS.includes(anchor)) throw new AppError(`anchor must be one of: ${ANCHORS.join(', ')}`, 400, 'INVALID_ANCHOR');
+  
+  const room = getRoom(id);
+  const previous = { width: room.width, height: room.height };
+  const offset = { x: anchorOffset(anchor, 'left', 'right', width - previous.width), y: anchorOffset(anchor, 'top', 'bottom', height - previous.height) };
+  const store = databaseAPI.canvas(id);
+  store.saveSnapshot();
+  const { removed } = store.resizeCanvas(width, height, offset.x, offset.y);
+  logger.info({ canvas: id, previous, width, height, anchor, removed }, 'Canvas resized');
+  return { canvas: id, width, height, previous, anchor, offset, removed, timestamp: new Date().toISOString() };
+}
+
+export const getPalette = (id = DEFAULT_CANVAS) => getRoom(id).palette;
+
+export function getConfig(id = DEFAULT_CANVAS) {
+  const { name, width, height, palette, gating } = getRoom(id);
+  return { canvas: id, name, width, height, palette, gating, nftGatingEnabled: config.nft.enabled };
+}
+
+export default { getCanvas, getCanvasBinary, exportCanvas, getPixel, placePixel, placePixelsBatch, erasePixel, getStats, getHistory, getUserHistory, clearCanvas, importCanvas, resizeCanvas, getPalette, getConfig, getTotalSlots, isFull, getStatus, checkAndUpdateFullnessState, setAutoClearCallback };
@@ -0,0 +1,122 @@
+/**
+ * Canvas Image Service - PNG renders of the live canvas and its regions
+ *
+ * Rendered from the in-memory pixel cache. Each image is tagged with the canvas
+ * version it shows, so clients revalidate with If-None-Match and a render only
+ * happens once per version and set of options. Renders are cached per canvas.
+ */
+
+import { createHash } from 'crypto';
+import { databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { encodePng } from '../utils/png.js';
+import { buildPalette, EMPTY } from '../utils/palette.js';
+import { getRoom } from './rooms.js';
+
+const GRID = '#e0e0e0';
+const OG_BACKGROUND = '#0d0c0f'; // --color-bg in style.css
+const OG_WIDTH = 1200;
+const OG_HEIGHT = 630;
+const MAX_SIDE = 4096; // renders are synchronous and open to anyone, so keep them small
+const MAX_RENDERS = 20;
+
+const renders = new Map(); // canvas id -> { version, pngs: etag -> PNG }, for its current version only
+
+function intParam(value, name, fallback, min, max) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new AppError(`${name} must be an integer from ${min} to ${max}`, 400, 'INVALID_REQUEST');
+  return n;
+}
+
+// Query -> { x, y, w, h, scale, grid }; the region defaults to the whole canvas
+export function parseImageOptions(query = {}, id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  const x = intParam(query.x, 'x', 0, 0, width - 1);
+  const y = intParam(query.y, 'y', 0, 0, height - 1);
+  const w = intParam(query.w, 'w', width - x, 1, width);
+  const h = intParam(query.h, 'h', height - y, 1, height);
+  if (x + w > width || y + h > height) throw new AppError(`Region must lie within the ${width}x${height} canvas`, 400, 'INVALID_REGION');
+  
+  const scale = intParam(query.scale, 'scale', 1, 1, 64);
+  if (w * scale > MAX_SIDE || h * scale > MAX_SIDE) throw new AppError(`Images are at most ${MAX_SIDE}px a side; lower scale`, 400, 'IMAGE_TOO_LARGE');
+  return { x, y, w, h, scale, grid: query.grid === '1' || query.grid === 'true' };
+}
+
+// Palette indices for the region, each pixel scale x scale; grid lines (on each cell's top and left edge) need scale > 1
+function rasterize(store, { x, y, w, h, scale, grid }, indexOf, out = new Uint8Array(w * scale * h * scale), stride = w * scale, offset = 0) {
+  for (let j = 0; j < h; j++) {
+    const top = offset + j * scale * stride;
+    for (let i = 0; i < w; i++) out.fill(indexOf(store.getPixel(x + i, y + j)?.color || EMPTY), top + i * scale, top + (i + 1) * scale);
+    for (let k = 1; k < scale; k++) out.copyWithin(top + k * stride, top, top + w * scale);
+    if (grid && scale > 1) {
+      const line = indexOf(GRID);
+      out.fill(line, top, top + w * scale);
+      for (let k = 0; k < scale; k++) for (let i = 0; i < w; i++) out[top + k * stride + i * scale] = line;
+    }
+  }
+  return out;
+}
+
+const colours = (store) => store.getAllPixels().map(p => p.color);
+
+// Render once per canvas version and tag; `render` is only called on a miss
+function cached(id, tag, render) {
+  const version = databaseAPI.canvas(id).getCanvasVersion();
+  if (renders.get(id)?.version !== version) renders.set(id, { version, pngs: new Map() });
+  const { pngs } = renders.get(id);
+  const etag = `"${createHash('sha1').update(`${id}:${version}:${tag}`).digest('hex').slice(0, 20)}"`;
+  return {
+    etag,
+    png() {
+      if (!pngs.has(etag)) {
+        if (pngs.size >= MAX_RENDERS) pngs.delete(pngs.keys().next().value);
+        pngs.set(etag, render());
+      }
+      return pngs.get(etag);
+    },
+  };
+}
+
+/**
+ * The canvas, or a region of it, as a PNG. Returns { etag, png() } so callers can
+ * answer If-None-Match before anything is drawn.
+ */
+export function canvasPng(query, id = DEFAULT_CANVAS) {
+  const options = parseImageOptions(query, id);
+  const { w, h, scale } = options;
+  const store = databaseAPI.canvas(id);
+  return cached(id, JSON.stringify(options), () => {
+    const { palette, indexOf } = buildPalette(colours(store), options.grid ? [EMPTY, GRID] : [EMPTY]);
+    return encodePng(w * scale, h * scale, palette, rasterize(store, options, indexOf));
+  });
+}
+
+/**
+ * A 1200x630 link preview: the whole canvas, as large as fits, centred on the site background.
+ * Canvases larger than the card are sampled down (nearest pixel) rather than cropped.
+ */
+export function ogImage(id = DEFAULT_CANVAS) {
+  const { width, height } = getRoom(id);
+  const store = databaseAPI.canvas(id);
+  return cached(id, 'og', () => {
+    const fit = Math.min(OG_WIDTH / width, OG_HEIGHT / height);
+    const { palette, indexOf } = buildPalette(colours(store), [EMPTY, OG_BACKGROUND]);
+    const out = new Uint8Array(OG_WIDTH * OG_HEIGHT).fill(indexOf(OG_BACKGROUND));
+    if (fit >= 1) {
+      const scale = Math.floor(fit);
+      const left = Math.floor((OG_WIDTH - width * scale) / 2), top = Math.floor((OG_HEIGHT - height * scale) / 2);
+      rasterize(store, { x: 0, y: 0, w: width, h: height, scale, grid: false }, indexOf, out, OG_WIDTH, top * OG_WIDTH + left);
+    } else {
+      const w = Math.max(1, Math.floor(width * fit)), h = Math.max(1, Math.floor(height * fit));
+      const left = Math.floor((OG_WIDTH - w) / 2), top = Math.floor((OG_HEIGHT - h) / 2);
+      for (let j = 0; j < h; j++) {
+        const row = (top + j) * OG_WIDTH + left, y = Math.floor(j * height / h);
+        for (let i = 0; i < w; i++) out[row + i] = indexOf(store.getPixel(Math.floor(i * width / w), y)?.color || EMPTY);
+      }
+    }
+    return encodePng(OG_WIDTH, OG_HEIGHT, palette, out);
+  });
+}
+
+export default { parseImageOptions, canvasPng, ogImage };
@@ -0,0 +1,66 @@
+/**
+ * Contract Signature Service - EIP-1271 smart-contract wallets and
+ * EIP-6492 signatures from wallets that are not deployed yet
+ */
+
+import { AbiCoder, Interface, hashMessage } from 'ethers';
+import { hasRpc, ethCall, getCode, multicall, MULTICALL3 } from './rpc.js';
+import logger from '../utils/logger.js';
+
+export const EIP1271_MAGIC = '0x1626ba7e';
+export const EIP6492_SUFFIX = '6492649264926492649264926492649264926492649264926492649264926492';
+export { MULTICALL3 };
+
+const wallet = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+const coder = AbiCoder.defaultAbiCoder();
+
+const isMagic = (data) => typeof data === 'string' && data.slice(0, 10).toLowerCase() === EIP1271_MAGIC;
+
+export function isEip6492(signature) {
+  return typeof signature === 'string' && signature.toLowerCase().endsWith(EIP6492_SUFFIX);
+}
+
+// ERC-6492 wrapper: abi.encode(factory, factoryCalldata, innerSignature) ++ magic suffix
+export function unwrapEip6492(signature) {
+  const [factory, factoryCalldata, inner] = coder.decode(['address', 'bytes', 'bytes'], signature.slice(0, -EIP6492_SUFFIX.length));
+  return { factory, factoryCalldata, signature: inner };
+}
+
+async function isValidOnChain(address, hash, signature, chainId) {
+  const data = wallet.encodeFunctionData('isValidSignature', [hash, signature]);
+  return isMagic(await ethCall(chainId, address, data));
+}
+
+// Deploy-then-verify in one eth_call: Multicall3 runs the factory call first, so the
+// wallet exists by the time isValidSignature is called. Nothing is ever broadcast.
+async function isValidCounterfactual(address, hash, { factory, factoryCalldata, signature }, chainId) {
+  const [, check] = await multicall(chainId, [
+    { target: factory, callData: factoryCalldata },
+    { target: address, callData: wallet.encodeFunctionData('isValidSignature', [hash, signature]) },
+  ]);
+  return check.success && isMagic(check.returnData);
+}
+
+/**
+ * Check `signature` over the EIP-191 `message` against the contract at `address`.
+ * Returns false (never throws) when the chain has no RPC or the call fails.
+ */
+export async function verifyContractSignature(address, message, signature, chainId) {
+  if (!chainId || !hasRpc(chainId) || typeof signature !== 'string') return false;
+  const hash = hashMessage(message);
+  
+  try {
+    if (!isEip6492(signature)) return await isValidOnChain(address, hash, signature, chainId);
+    
+    const wrapped = unwrapEip6492(signature);
+    // Already deployed: the wrapper is just baggage, check the inner signature directly
+    const code = await getCode(chainId, address);
+    if (code && code !== '0x') return await isValidOnChain(address, hash, wrapped.signature, chainId);
+    return await isValidCounterfactual(address, hash, wrapped, chainId);
+  } catch (e) {
+    logger.warn({ err: e, address, chainId }, 'Contract signature check failed');
+    return false;
+  }
+}
+
+export default { verifyContractSignature, isEip6492, unwrapEip6492 };
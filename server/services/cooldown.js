@@ -0,0 +1,83 @@
+/**
+ * Cooldown Service - per-wallet wait between placements (r/place style)
+ *
+ * The wait is the wallet's tier cooldown, PIXEL_COOLDOWN_MS unless its tier
+ * sets one. REST and WebSocket placements both claim it here, and with Redis
+ * enabled the clock is kept there so it holds across instances.
+ */
+
+import { tierFor } from './tiers.js';
+import logger from '../utils/logger.js';
+
+const PRUNE_AT = 10000;
+const KEY_PREFIX = 'cooldown:';
+const nextAllowed = new Map(); // key -> ms
+let redisClient = null;
+
+export function setRedisClient(client) {
+  redisClient = client;
+}
+
+// A SET NX that loses only to an entry expiring in between takes the slot anyway
+async function claimShared(key, cooldownMs, now) {
+  const k = `${KEY_PREFIX}${key}`;
+  if (cooldownMs && await redisClient.set(k, String(now + cooldownMs), 'PX', cooldownMs, 'NX') === 'OK') return { ok: true, nextPlacementAt: now + cooldownMs };
+  
+  const ttl = await redisClient.pttl(k);
+  if (ttl > 0) return { ok: false, nextPlacementAt: now + ttl };
+  if (cooldownMs) await redisClient.set(k, String(now + cooldownMs), 'PX', cooldownMs);
+  return { ok: true, nextPlacementAt: now + cooldownMs };
+}
+
+function claimLocal(key, cooldownMs, now) {
+  const at = nextAllowed.get(key);
+  if (at > now) return { ok: false, nextPlacementAt: at };
+  if (!cooldownMs) return { ok: true, nextPlacementAt: now };
+  
+  if (nextAllowed.size >= PRUNE_AT) {
+    for (const [k, t] of nextAllowed) if (t <= now) nextAllowed.delete(k);
+  }
+  nextAllowed.set(key, now + cooldownMs);
+  return { ok: true, nextPlacementAt: now + cooldownMs };
+}
+
+/**
+ * Claim a placement for `user` under their tier cooldown, keyed by `key` (their
+ * address by default; the socket's IP for anonymous open-mode placements). A batch
+ * is one placement. Returns { ok, nextPlacementAt, retryAfterMs, cooldownMs }: when
+ * ok the clock has started, otherwise nothing changed and `retryAfterMs` is what's left.
+ */
+export async function claimPlacement(user, key = user?.address) {
+  const { cooldownMs } = tierFor(user);
+  const now = Date.now();
+  key = String(key).toLowerCase();
+  
+  let claimed = null;
+  if (redisClient) {
+    try {
+      claimed = await claimShared(key, cooldownMs, now);
+    } catch (e) {
+      logger.error({ err: e }, 'Redis cooldown claim failed');
+    }
+  }
+  claimed ||= claimLocal(key, cooldownMs, now);
+  return { ...claimed, retryAfterMs: claimed.ok ? 0 : claimed.nextPlacementAt - now, cooldownMs };
+}
+
+// When `key` may place next, in ms (now when it already may)
+export async function nextPlacementAt(key) {
+  key = String(key).toLowerCase();
+  const now = Date.now();
+  if (redisClient) {
+    try {
+      return now + Math.max(0, await redisClient.pttl(`${KEY_PREFIX}${key}`));
+    } catch (e) {
+      logger.error({ err: e }, 'Redis cooldown lookup failed');
+    }
+  }
+  return Math.max(now, nextAllowed.get(key) || 0);
+}
+
+export const clear = () => nextAllowed.clear();
+
+export default { setRedisClient, claimPlacement, nextPlacementAt, clear };
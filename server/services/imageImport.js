@@ -0,0 +1,221 @@
+/**
+ * Image Import Service - PNG/JPEG uploads quantized to the canvas palette
+ *
+ * An upload becomes a pending import: its pixels are quantized once (nearest
+ * colour or Floyd-Steinberg) and held for PENDING_TTL_MS, so an admin can look
+ * at a preview before applying it. The merge mode is worked out against the
+ * canvas as it is when previewed or applied. Each import belongs to the canvas
+ * (room) it was uploaded to.
+ */
+
+import { randomBytes } from 'crypto';
+import jpeg from 'jpeg-js';
+import config from '../config/index.js';
+import { databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { decodePng, isPng, encodePng } from '../utils/png.js';
+import { buildPalette, toRgb, EMPTY } from '../utils/palette.js';
+import canvasService from './canvas.js';
+import { getRoom } from './rooms.js';
+import logger from '../utils/logger.js';
+
+export const MODES = ['overwrite', 'fill-empty', 'skip-transparent'];
+export const DITHERS = ['none', 'floyd-steinberg'];
+
+const PENDING_TTL_MS = 15 * 60 * 1000;
+const MAX_PENDING = 20;
+const ALPHA_THRESHOLD = 128; // Below this a pixel counts as transparent
+
+const pending = new Map(); // id -> import
+
+const isJpeg = (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff;
+
+// PNG or JPEG -> { width, height, data (RGBA) }, refusing anything bigger than the canvas
+export function decodeImage(buf, { width: maxWidth, height: maxHeight } = config.canvas) {
+  let image;
+  try {
+    if (isPng(buf)) {
+      if (buf.readUInt32BE(16) > maxWidth || buf.readUInt32BE(20) > maxHeight) throw new AppError(`Image is larger than the ${maxWidth}x${maxHeight} canvas`, 400, 'IMAGE_TOO_LARGE');
+      image = decodePng(buf);
+    } else if (isJpeg(buf)) {
+      image = jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 16, maxMemoryUsageInMB: 128 });
+    } else {
+      throw new AppError('Only PNG and JPEG images can be imported', 415, 'UNSUPPORTED_IMAGE');
+    }
+  } catch (e) {
+    if (e instanceof AppError) throw e;
+    throw new AppError(`Could not decode image: ${e.message}`, 400, 'INVALID_IMAGE');
+  }
+  if (image.width > maxWidth || image.height > maxHeight) throw new AppError(`Image is larger than the ${maxWidth}x${maxHeight} canvas`, 400, 'IMAGE_TOO_LARGE');
+  return image;
+}
+
+/**
+ * RGBA -> one palette colour per pixel (null where transparent). Floyd-Steinberg
+ * spreads each pixel's error over its opaque neighbours; transparent ones take none.
+ */
+export function quantize({ width, height, data }, palette, dither = 'none') {
+  const rgb = palette.map(toRgb);
+  const nearest = (r, g, b) => {
+    let best = 0, bestDistance = Infinity;
+    for (let i = 0; i < rgb.length; i++) {
+      const d = (r - rgb[i][0]) ** 2 + (g - rgb[i][1]) ** 2 + (b - rgb[i][2]) ** 2;
+      if (d < bestDistance) { best = i; bestDistance = d; }
+    }
+    return best;
+  };
+  
+  const work = Float32Array.from({ length: width * height * 3 }, (_, i) => data[Math.floor(i / 3) * 4 + (i % 3)]);
+  const opaque = (i) => data[i * 4 + 3] >= ALPHA_THRESHOLD;
+  const spread = (x, y, err, weight) => {
+    if (x < 0 || x >= width || y >= height || !opaque(y * width + x)) return;
+    const o = (y * width + x) * 3;
+    for (let c = 0; c < 3; c++) work[o + c] += (err[c] * weight) / 16;
+  };
+  
+  const out = new Array(width * height).fill(null);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!opaque(i)) continue;
+      const value = [work[i * 3], work[i * 3 + 1], work[i * 3 + 2]].map(v => Math.max(0, Math.min(255, v)));
+      const best = nearest(...value);
+      out[i] = palette[best];
+      if (dither === 'floyd-steinberg') {
+        const err = value.map((v, c) => v - rgb[best][c]);
+        spread(x + 1, y, err, 7);
+        spread(x - 1, y + 1, err, 3);
+        spread(x, y + 1, err, 5);
+        spread(x + 1, y + 1, err, 1);
+      }
+    }
+  }
+  return out;
+}
+
+function prune() {
+  const now = Date.now();
+  for (const [id, entry] of pending) if (entry.expiresAt <= now) pending.delete(id);
+  while (pending.size > MAX_PENDING) pending.delete(pending.keys().next().value);
+}
+
+function option(value, allowed, name, fallback) {
+  if (value == null || value === '') return fallback;
+  if (!allowed.includes(value)) throw new AppError(`${name} must be one of ${allowed.join(', ')}`, 400, 'INVALID_REQUEST');
+  return value;
+}
+
+// The writes an import makes on the canvas as it is now; color null clears a pixel
+function plan({ canvasId, x: left, y: top, width, height, colours, mode }) {
+  const store = databaseAPI.canvas(canvasId);
+  const writes = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const colour = colours[y * width + x];
+      const at = { x: left + x, y: top + y };
+      const current = store.getPixel(at.x, at.y)?.color || null;
+      if (colour == null && mode !== 'overwrite') continue;
+      if (mode === 'fill-empty' && current) continue;
+      if (colour !== current) writes.push({ ...at, color: colour });
+    }
+  }
+  return writes;
+}
+
+function summary(entry) {
+  const writes = plan(entry);
+  const { id, canvasId, x, y, width, height, mode, dither, createdBy, expiresAt } = entry;
+  const base = canvasId === DEFAULT_CANVAS ? '/api/canvas' : `/api/canvases/${canvasId}`;
+  return {
+    id, canvas: canvasId, x, y, width, height, mode, dither, createdBy,
+    expiresAt: new Date(expiresAt).toISOString(),
+    changes: writes.length,
+    cleared: writes.filter(w => !w.color).length,
+    previewUrl: `${base}/import/image/${id}/preview.png`,
+  };
+}
+
+// Imports are only found through the canvas they were uploaded to
+function find(id, canvasId = DEFAULT_CANVAS) {
+  prune();
+  const entry = pending.get(id);
+  if (!entry || entry.canvasId !== canvasId) throw new AppError('Import not found or expired', 404, 'IMPORT_NOT_FOUND');
+  return entry;
+}
+
+// Checked again on apply, in case the canvas was resized in between
+function checkRegion({ x, y, width, height }, room) {
+  if (x + width > room.width || y + height > room.height) {
+    throw new AppError(`A ${width}x${height} image at (${x}, ${y}) runs off the ${room.width}x${room.height} canvas`, 400, 'INVALID_REGION');
+  }
+}
+
+/**
+ * Quantize an uploaded image placed at (x, y) of canvas `canvasId` and hold it as a
+ * pending import. options: { x, y, mode, dither } (strings, as from a query).
+ */
+export function createImport(buf, options, admin, canvasId = DEFAULT_CANVAS) {
+  const room = getRoom(canvasId);
+  const mode = option(options.mode, MODES, 'mode', 'overwrite');
+  const dither = option(options.dither, DITHERS, 'dither', 'none');
+  const x = Number(options.x ?? 0), y = Number(options.y ?? 0);
+  if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) throw new AppError('x and y must be non-negative integers', 400, 'INVALID_REQUEST');
+  
+  const image = decodeImage(buf, room);
+  checkRegion({ x, y, width: image.width, height: image.height }, room);
+  
+  prune();
+  const entry = {
+    id: randomBytes(12).toString('base64url'),
+    canvasId, x, y, width: image.width, height: image.height, mode, dither,
+    colours: quantize(image, room.palette, dither),
+    createdBy: admin,
+    expiresAt: Date.now() + PENDING_TTL_MS,
+  };
+  pending.set(entry.id, entry);
+  return summary(entry);
+}
+
+export const getImport = (id, canvasId) => summary(find(id, canvasId));
+
+// The import's region as it would look once applied, each pixel scale x scale
+export function previewPng(id, scale = 1, canvasId = DEFAULT_CANVAS) {
+  const entry = find(id, canvasId);
+  const store = databaseAPI.canvas(canvasId);
+  const changes = new Map(plan(entry).map(w => [`${w.x},${w.y}`, w.color]));
+  const colour = (x, y) => {
+    const key = `${x},${y}`;
+    return changes.has(key) ? changes.get(key) || EMPTY : store.getPixel(x, y)?.color || EMPTY;
+  };
+  
+  const { x: left, y: top, width, height } = entry;
+  const colours = [];
+  for (let y = 0; y < height; y++) for (let x = 0; x < width; x++) colours.push(colour(left + x, top + y));
+  const { palette, indexOf } = buildPalette(colours);
+  
+  const out = new Uint8Array(width * scale * height * scale);
+  const stride = width * scale;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) out.fill(indexOf(colours[y * width + x]), y * scale * stride + x * scale, y * scale * stride + (x + 1) * scale);
+    for (let k = 1; k < scale; k++) out.copyWithin((y * scale + k) * stride, y * scale * stride, (y * scale + 1) * stride);
+  }
+  return encodePng(width * scale, height * scale, palette, out);
+}
+
+/**
+ * Write a pending import to the canvas (snapshotting it first, like any import).
+ * Returns the result and the pixels written, for broadcasting.
+ */
+export function applyImport(id, admin, canvasId = DEFAULT_CANVAS) {
+  const entry = find(id, canvasId);
+  checkRegion(entry, getRoom(canvasId));
+  const writes = plan(entry);
+  pending.delete(id);
+  canvasService.importCanvas(writes, canvasId);
+  logger.info({ admin, canvas: canvasId, id, mode: entry.mode, dither: entry.dither, changes: writes.length }, 'Image imported');
+  return { result: { applied: true, id, changes: writes.length, cleared: writes.filter(w => !w.color).length, timestamp: new Date().toISOString() }, pixels: writes };
+}
+
+export const discardImport = (id, canvasId) => { find(id, canvasId); pending.delete(id); };
+
+export default { MODES, DITHERS, decodeImage, quantize, createImport, getImport, previewPng, applyImport, discardImport };
@@ -4,7 +4,23 @@
 
 export { default as authService } from './auth.js';
 export { default as canvasService } from './canvas.js';
+export { default as timeline } from './timeline.js';
+export { default as timelapse } from './timelapse.js';
+export { default as canvasImage } from './canvasImage.js';
+export { default as imageImport } from './imageImport.js';
 export { default as nftService } from './nft.js';
+export { default as traits } from './traits.js';
+export { default as ownership } from './ownership.js';
+export { default as tiers } from './tiers.js';
+export { default as cooldown } from './cooldown.js';
 export { default as nonceStore } from './nonceStore.js';
+export { default as siweService } from './siwe.js';
+export { default as sessionStore } from './sessions.js';
+export { default as rolesService } from './roles.js';
+export { default as accessService } from './access.js';
+export { default as apiKeyService } from './apiKeys.js';
+export { default as rpc } from './rpc.js';
+export { default as providers } from './providers.js';
+export { default as contractSignature } from './contractSignature.js';
 export { default as metrics } from './metrics.js';
 export { default as backup } from './backup.js';
@@ -15,10 +15,27 @@ const counters = {
   auth_success_total: 0,
   auth_failure_total: 0,
   websocket_messages_total: 0,
+  nft_verification_unavailable_total: 0,
 };
 
 const histograms = { http_request_duration_seconds: { sum: 0, count: 0 } };
 
+// Metrics with labels: name -> Map(label string -> { labels, value } or { labels, sum, count })
+const LABELED = {
+  nft_provider_requests_total: { type: 'counter', help: 'NFT verification provider calls by outcome' },
+  nft_provider_latency_seconds: { type: 'summary', help: 'NFT verification provider call latency' },
+  nft_provider_circuit_open: { type: 'gauge', help: 'Whether a provider circuit breaker is open (1) for a chain' },
+};
+const series = Object.fromEntries(Object.keys(LABELED).map(name => [name, new Map()]));
+
+const labelString = (labels) => Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(',');
+
+function seriesFor(name, labels, initial) {
+  const key = labelString(labels);
+  if (!series[name].has(key)) series[name].set(key, { labels, ...initial });
+  return series[name].get(key);
+}
+
 export function incrementCounter(name, value = 1) {
   if (counters[name] !== undefined) counters[name] += value;
 }
@@ -27,6 +44,47 @@ export function observeHistogram(name, value) {
   if (histograms[name]) { histograms[name].sum += value; histograms[name].count++; }
 }
 
+export function incrementLabeled(name, labels, value = 1) {
+  if (series[name]) seriesFor(name, labels, { value: 0 }).value += value;
+}
+
+export function observeLabeled(name, labels, value) {
+  if (!series[name]) return;
+  const s = seriesFor(name, labels, { sum: 0, count: 0 });
+  s.sum += value;
+  s.count++;
+}
+
+export function setLabeledGauge(name, labels, value) {
+  if (series[name]) seriesFor(name, labels, { value: 0 }).value = value;
+}
+
+function renderLabeled() {
+  return Object.entries(LABELED).map(([name, { type, help }]) => {
+    const lines = [...series[name].entries()].flatMap(([key, s]) => (type === 'summary'
+      ? [`${name}_sum{${key}} ${s.sum.toFixed(6)}`, `${name}_count{${key}} ${s.count}`]
+      : [`${name}{${key}} ${s.value}`]));
+    return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+// Per-provider summary for the JSON endpoint
+function providerStats() {
+  const stats = {};
+  const entry = (labels) => (stats[labels.provider] ||= { requests: {}, latencySeconds: { sum: 0, count: 0 }, openCircuits: [] });
+  for (const s of series.nft_provider_requests_total.values()) {
+    const requests = entry(s.labels).requests;
+    requests[s.labels.outcome] = (requests[s.labels.outcome] || 0) + s.value;
+  }
+  for (const s of series.nft_provider_latency_seconds.values()) {
+    const latency = entry(s.labels).latencySeconds;
+    latency.sum += s.sum;
+    latency.count += s.count;
+  }
+  for (const s of series.nft_provider_circuit_open.values()) if (s.value) entry(s.labels).openCircuits.push(Number(s.labels.chain));
+  return stats;
+}
+
 export function getPrometheusMetrics() {
   const mem = process.memoryUsage();
   const pixels = databaseAPI.getPixelCount();
@@ -65,6 +123,12 @@ auth_success_total ${counters.auth_success_total}
 # HELP nonce_store_size Nonce store size
 # TYPE nonce_store_size gauge
 nonce_store_size ${nonce.memoryStoreSize}
+
+# HELP nft_verification_unavailable_total Ownership checks that no provider could answer
+# TYPE nft_verification_unavailable_total counter
+nft_verification_unavailable_total ${counters.nft_verification_unavailable_total}
+
+${renderLabeled()}
 `;
 }
 
@@ -80,6 +144,7 @@ export function getMetricsJSON() {
     auth: { successTotal: counters.auth_success_total, failureTotal: counters.auth_failure_total },
     websocket: { connectionsCurrent: getClientCount(), messagesTotal: counters.websocket_messages_total },
     nonceStore: getNonceStats(),
+    nftProviders: { unavailableTotal: counters.nft_verification_unavailable_total, providers: providerStats() },
     timestamp: new Date().toISOString(),
   };
 }
@@ -94,4 +159,4 @@ export function metricsMiddleware(req, res, next) {
   next();
 }
 
-export default { incrementCounter, observeHistogram, getPrometheusMetrics, getMetricsJSON, metricsMiddleware };
+export default { incrementCounter, observeHistogram, incrementLabeled, observeLabeled, setLabeledGauge, getPrometheusMetrics, getMetricsJSON, metricsMiddleware };
@@ -1,53 +1,423 @@
 /**
- * NFT Verification Service - Alchemy API
+ * NFT Verification Service - ERC-721/ERC-20 balanceOf and ERC-1155 balanceOfBatch over plain eth_call
+ *
+ * Reads go through the verification providers (NFT_PROVIDERS) - plain JSON-RPC,
+ * Alchemy or a static snapshot - with fallback between them. Contracts on the same
+ * chain are batched through Multicall3, so a check costs one call per chain.
+ * ERC-721 entries restricted to token IDs, ranges or traits are checked with
+ * ownerOf per allowed token instead of balanceOf. ERC-20 entries gate on a
+ * minimum balance in whole tokens. Rules combine any-of or all-of (NFT_GATING_MODE).
+ * With NFT_DELEGATION_ENABLED, a wallet that fails on its own may pass through
+ * a vault that delegated to it in the delegate.xyz v2 registry.
+ * Results are cached per (chain, contract, wallet, call) - or per token for ownerOf - for NFT_CACHE_TTL_MS.
  */
 
+import { Interface, isAddress, parseUnits, formatUnits, keccak256, ZeroHash } from 'ethers';
 import config from '../config/index.js';
+import { callChain } from './providers.js';
+import { incrementCounter } from './metrics.js';
+import { tokensWithTraits } from './traits.js';
 import logger from '../utils/logger.js';
 
-const ALCHEMY_URLS = {
-  1: 'https://eth-mainnet.g.alchemy.com/nft/v3',
-  8453: 'https://base-mainnet.g.alchemy.com/nft/v3',
-  42161: 'https://arb-mainnet.g.alchemy.com/nft/v3',
-  10: 'https://opt-mainnet.g.alchemy.com/nft/v3',
-  137: 'https://polygon-mainnet.g.alchemy.com/nft/v3',
-};
+const erc721 = new Interface(['function balanceOf(address owner) view returns (uint256)', 'function ownerOf(uint256 tokenId) view returns (address)']);
+const erc20 = new Interface(['function balanceOf(address owner) view returns (uint256)', 'function decimals() view returns (uint8)']);
+const erc1155 = new Interface(['function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])']);
+const registry = new Interface(['function getIncomingDelegations(address to) view returns ((uint8 type_, address to, address from, bytes32 rights, address contract_, uint256 tokenId, uint256 amount)[] delegations)']);
+const cache = new Map(); // `${chainId}:${contract}:${wallet or #tokenId}:${hash of callData}` -> { value, expires }
+const MAX_ALLOWLIST = 10000; // ownerOf calls per contract
+const MAX_VAULTS = 10; // delegating vaults checked per wallet
 
-function getApiKey(chainId) {
-  const url = config.nft.rpcUrls[chainId];
-  if (!url) return null;
-  const match = url.match(/alchemy\.com\/(?:v2|nft\/v3)\/([^/]+)/);
-  return match ? match[1] : null;
+// delegate.xyz v2 - same address on every chain
+export const DELEGATE_REGISTRY = '0x00000000000000447e69651d841bD8D104Bed493';
+// DelegationType: ALL and CONTRACT lend whole contracts; ERC721 one token, ERC20 an amount, ERC1155 an amount of one token
+const DELEGATION = { ALL: 1n, CONTRACT: 2n, ERC721: 3n, ERC20: 4n, ERC1155: 5n };
+
+function groupByChain(items) {
+  const chains = new Map();
+  for (const item of items) {
+    const chainId = item.chainId || 1;
+    if (!chains.has(chainId)) chains.set(chainId, []);
+    chains.get(chainId).push(item);
+  }
+  return chains;
 }
 
-async function checkOwnership(contract, wallet, chainId) {
-  const key = getApiKey(chainId);
-  const base = ALCHEMY_URLS[chainId];
-  if (!key || !base) return false;
-  
+/**
+ * One Multicall3 round trip for a chain. Each check is { target, callData, decode, optional };
+ * reverted or undecodable calls come back as null, and the whole list is null when no provider can answer for the chain.
+ * Optional checks that no provider supports (e.g. the delegate registry on a snapshot) read as reverted instead.
+ */
+async function runChecks(chainId, checks) {
   try {
-    const res = await fetch(`${base}/${key}/isHolderOfContract?wallet=${wallet}&contractAddress=${contract}`);
-    if (!res.ok) return false;
-    const data = await res.json();
-    return data.isHolderOfContract === true;
+    const results = await callChain(chainId, checks.map(({ target, callData }) => ({ target, callData })));
+    return results.map(({ success, returnData }, i) => {
+      if (!success || returnData === '0x') return null;
+      try { return checks[i].decode(returnData); } catch { return null; }
+    });
   } catch (e) {
-    logger.error({ err: e, contract }, 'NFT check failed');
-    return false;
+    if (e.code === 'UNSUPPORTED' && checks.every(c => c.optional)) return checks.map(() => null);
+    logger.error({ err: e, chainId }, 'NFT check failed');
+    return null;
   }
 }
 
-export async function checkNFTAuthorization(address, chainId) {
-  if (!config.nft.enabled) return true;
+/**
+ * runChecks through the cache: only expired entries hit the chain. Values are
+ * undefined when their chain couldn't be queried, which is never cached.
+ * Checks with a `key` (ownerOf) are cached under it instead of the wallet. The call itself
+ * is part of the key too: two rules on one contract (e.g. ERC-1155 with different ids) ask different questions.
+ */
+async function cachedChecks(chainId, checks, wallet, fresh) {
+  const now = Date.now();
+  const keys = checks.map(c => `${chainId}:${c.target.toLowerCase()}:${c.key || wallet.toLowerCase()}:${keccak256(c.callData)}`);
+  const hits = keys.map(k => (fresh ? null : cache.get(k)));
+  const missing = checks.filter((_, i) => !(hits[i]?.expires > now));
+  const fetched = missing.length ? await runChecks(chainId, missing) : [];
+  
+  let j = 0;
+  return checks.map((_, i) => {
+    if (hits[i]?.expires > now) return hits[i].value;
+    if (!fetched) return undefined;
+    const value = fetched[j++];
+    cache.set(keys[i], { value, expires: now + config.nft.cacheTtlMs });
+    return value;
+  });
+}
+
+export function pruneCache() {
+  const now = Date.now();
+  for (const [key, entry] of cache) if (entry.expires <= now) cache.delete(key);
+}
+
+export const clearCache = () => cache.clear();
+
+const balanceOfCheck = (wallet, c) => ({
+  target: c.address,
+  callData: erc721.encodeFunctionData('balanceOf', [wallet]),
+  decode: (data) => erc721.decodeFunctionResult('balanceOf', data)[0],
+});
+
+// ERC-1155 `tokenIds` entries are an id or { id, minBalance }; the contract's minBalance is the default
+function tokensOf(c) {
+  const fallback = BigInt(c.minBalance ?? 1);
+  return (c.tokenIds || []).map(t => (typeof t === 'object'
+    ? { id: BigInt(t.id), minBalance: t.minBalance != null ? BigInt(t.minBalance) : fallback }
+    : { id: BigInt(t), minBalance: fallback }));
+}
+
+// Gates are { target, chainId, checks, read(values) -> { count, match } }; values line up with checks, null where a call reverted
+function erc721Gate(wallet, c) {
+  const minBalance = BigInt(c.minBalance ?? 1);
+  return {
+    target: c.address,
+    chainId: c.chainId,
+    checks: [balanceOfCheck(wallet, c)],
+    read([balance]) {
+      balance ??= 0n;
+      return { count: Number(balance), match: balance >= minBalance ? { standard: 'erc721', contract: c.address, name: c.name || null, chainId: c.chainId || 1, balance: balance.toString() } : null };
+    },
+  };
+}
+
+/**
+ * Allowed token IDs for a restricted ERC-721 entry: `tokenIds`, inclusive
+ * `tokenRanges` ([from, to]) and `traits` matched against its `metadata` file.
+ * Traits narrow the listed IDs, or stand alone to cover the whole file.
+ */
+function allowedIds(c) {
+  const tooLarge = () => {
+    logger.warn({ contract: c.address, max: MAX_ALLOWLIST }, 'Token allowlist too large, ignoring contract');
+    return [];
+  };
   
-  const contracts = config.nft.contracts.erc721 || [];
-  if (!contracts.length) return true;
+  const ids = new Set((c.tokenIds || []).map(id => BigInt(id).toString()));
+  for (const [from, to] of c.tokenRanges || []) {
+    for (let id = BigInt(from); id <= BigInt(to); id++) {
+      ids.add(id.toString());
+      if (ids.size > MAX_ALLOWLIST) return tooLarge();
+    }
+  }
   
-  for (const c of contracts) {
-    try {
-      if (await checkOwnership(c.address, address, c.chainId || 1)) return true;
-    } catch {}
+  const listed = c.tokenIds || c.tokenRanges;
+  const allowed = c.traits ? tokensWithTraits(c.metadata, c.traits).filter(id => !listed || ids.has(id)) : [...ids];
+  return allowed.length > MAX_ALLOWLIST ? tooLarge() : allowed;
+}
+
+const isRestricted = (c) => !!(c.tokenIds || c.tokenRanges || c.traits);
+
+const isTokenId = (id) => (Number.isSafeInteger(id) && id >= 0) || (typeof id === 'string' && /^\d+$/.test(id));
+
+/**
+ * Why a rule can't be checked, or null: token IDs and ranges must be non-negative
+ * integers (or decimal strings), and traits need a metadata file to match against.
+ */
+export function ruleProblem(kind, c) {
+  if (c.tokenIds !== undefined) {
+    const ids = Array.isArray(c.tokenIds) ? c.tokenIds.map(t => (kind === 'erc1155' && typeof t === 'object' && t ? t.id : t)) : null;
+    if (!ids?.every(isTokenId)) return 'tokenIds must be a list of token IDs';
+  }
+  if (c.tokenRanges !== undefined) {
+    const valid = Array.isArray(c.tokenRanges) && c.tokenRanges.every(r => Array.isArray(r) && r.length === 2 && r.every(isTokenId) && BigInt(r[0]) <= BigInt(r[1]));
+    if (!valid) return 'tokenRanges must be a list of [from, to] token IDs';
+  }
+  if (c.traits !== undefined) {
+    if (typeof c.traits !== 'object' || !c.traits || Array.isArray(c.traits)) return 'traits must map trait types to values';
+    if (typeof c.metadata !== 'string' || !c.metadata) return 'traits need a metadata file';
   }
-  return false;
+  return null;
+}
+
+// The rules ruleProblem accepts; the others are logged and left out
+export function validateContracts(contracts) {
+  return Object.fromEntries(Object.entries(contracts).map(([kind, rules]) => [kind, rules.filter((c) => {
+    const problem = ruleProblem(kind, c);
+    if (problem) logger.error({ contract: c.address, problem }, 'Invalid NFT rule, ignoring it');
+    return !problem;
+  })]));
+}
+
+function allowlistGate(wallet, c, ids = allowedIds(c)) {
+  const owner = wallet.toLowerCase();
+  const minBalance = Math.max(c.minBalance ?? 1, 1);
+  return {
+    target: c.address,
+    chainId: c.chainId,
+    checks: ids.map(id => ({
+      target: c.address,
+      key: `#${id}`,
+      callData: erc721.encodeFunctionData('ownerOf', [id]),
+      decode: (data) => erc721.decodeFunctionResult('ownerOf', data)[0].toLowerCase(),
+    })),
+    read(owners) {
+      const owned = ids.filter((_, i) => owners[i] === owner);
+      if (owned.length < minBalance) return { count: owned.length, match: null };
+      return { count: owned.length, match: { standard: 'erc721', contract: c.address, name: c.name || null, chainId: c.chainId || 1, tokenIds: owned, balance: String(owned.length) } };
+    },
+  };
+}
+
+// `caps` (token id -> amount, from ERC-1155 delegations) limits the gate to those tokens and balances
+function erc1155Gate(wallet, c, caps = null) {
+  const tokens = tokensOf(c).filter(t => !caps || caps.has(t.id.toString()));
+  if (!tokens.length) return null;
+  const cap = (b, t) => (caps && b > caps.get(t.id.toString()) ? caps.get(t.id.toString()) : b);
+  return {
+    target: c.address,
+    chainId: c.chainId,
+    checks: [{
+      target: c.address,
+      callData: erc1155.encodeFunctionData('balanceOfBatch', [tokens.map(() => wallet), tokens.map(t => t.id)]),
+      decode: (data) => erc1155.decodeFunctionResult('balanceOfBatch', data)[0],
+    }],
+    read([raw]) {
+      if (!raw) return { count: 0, match: null };
+      const balances = raw.map((b, i) => cap(b, tokens[i]));
+      const count = balances.reduce((sum, b) => sum + Number(b), 0);
+      const i = tokens.findIndex((t, j) => balances[j] >= t.minBalance);
+      if (i < 0) return { count, match: null };
+      return { count, match: { standard: 'erc1155', contract: c.address, name: c.name || null, chainId: c.chainId || 1, tokenId: tokens[i].id.toString(), balance: balances[i].toString() } };
+    },
+  };
+}
+
+/**
+ * ERC-20 rule: `minBalance` is in whole tokens ("2.5"), scaled by `decimals` -
+ * read from the contract (and cached like any other call) when not configured.
+ * Token balances don't count towards holdings. `cap` (an ERC-20 delegation's amount) limits the balance.
+ */
+function erc20Gate(wallet, c, cap = null) {
+  const checks = [{
+    target: c.address,
+    callData: erc20.encodeFunctionData('balanceOf', [wallet]),
+    decode: (data) => erc20.decodeFunctionResult('balanceOf', data)[0],
+  }];
+  if (c.decimals == null) {
+    checks.push({ target: c.address, key: 'decimals', callData: erc20.encodeFunctionData('decimals'), decode: (data) => Number(erc20.decodeFunctionResult('decimals', data)[0]) });
+  }
+  
+  return {
+    target: c.address,
+    chainId: c.chainId,
+    checks,
+    read([balance, decimals = c.decimals]) {
+      if (decimals == null) return { count: 0, match: null };
+      balance ??= 0n;
+      if (cap != null && balance > cap) balance = cap;
+      let minBalance;
+      try {
+        minBalance = parseUnits(String(c.minBalance ?? 0), decimals);
+      } catch {
+        logger.error({ contract: c.address, minBalance: c.minBalance, decimals }, 'Invalid ERC-20 minBalance');
+        return { count: 0, match: null };
+      }
+      if (balance < minBalance || balance === 0n) return { count: 0, match: null };
+      return { count: 0, match: { standard: 'erc20', contract: c.address, name: c.name || null, chainId: c.chainId || 1, balance: balance.toString(), formatted: formatUnits(balance, decimals) } };
+    },
+  };
+}
+
+/**
+ * balanceOf(wallet) for each ERC-721 contract on one chain, in order; null when the chain can't be queried
+ */
+export async function getBalances(wallet, contracts, chainId) {
+  const balances = await runChecks(chainId, contracts.map(c => balanceOfCheck(wallet, c)));
+  return balances && balances.map(b => b ?? 0n);
+}
+
+// In `all` mode a wallet needs a passing rule in every group; otherwise any passing rule will do
+function satisfied(results, groups) {
+  if (config.nft.mode !== 'all') return results.some(r => r.match);
+  return groups.every(g => results.some(r => r.group === g && r.match));
+}
+
+/**
+ * A rule's gate for `wallet`, within what a vault delegated to it (`scope`, see delegationsTo; 'all' for the
+ * wallet itself). Null when the delegation lends nothing the rule reads.
+ */
+function gateFor(kind, wallet, c, scope) {
+  if (!scope) return null;
+  const contract = c.address.toLowerCase();
+  const whole = scope === 'all' || scope.contracts.has(contract);
+  if (kind === 'erc721') {
+    if (whole) return isRestricted(c) ? allowlistGate(wallet, c) : erc721Gate(wallet, c);
+    // Only the delegated tokens (checked with ownerOf), and only those the rule allows
+    const delegated = scope.erc721.get(contract) || new Set();
+    const ids = (isRestricted(c) ? allowedIds(c) : [...delegated]).filter(id => delegated.has(id));
+    return ids.length ? allowlistGate(wallet, c, ids) : null;
+  }
+  if (kind === 'erc1155') {
+    if (whole) return erc1155Gate(wallet, c);
+    return scope.erc1155.has(contract) ? erc1155Gate(wallet, c, scope.erc1155.get(contract)) : null;
+  }
+  if (whole) return erc20Gate(wallet, c);
+  return scope.erc20.has(contract) ? erc20Gate(wallet, c, scope.erc20.get(contract)) : null;
+}
+
+/**
+ * Rules for `wallet` from `contracts`; `scopes` (chainId -> scope) limits them to what a vault delegated.
+ * An ERC-1155 entry without token IDs has nothing to check. Rules are grouped by `group`, defaulting to `nft` or `erc20`.
+ */
+function buildGates(wallet, contracts, scopes = null) {
+  const { erc721: nfts = [], erc1155: items = [], erc20: tokens = [] } = contracts;
+  const rules = [
+    ...nfts.map(c => ['erc721', c, 'nft']),
+    ...items.filter(c => c.tokenIds?.length).map(c => ['erc1155', c, 'nft']),
+    ...tokens.map(c => ['erc20', c, 'erc20']),
+  ];
+  return rules.flatMap(([kind, c, group]) => {
+    const gate = gateFor(kind, wallet, c, scopes ? scopes.get(c.chainId || 1) : 'all');
+    return gate ? [{ group: c.group || group, ...gate }] : [];
+  });
+}
+
+// Run a wallet's gates, one batch per chain; `groups` are every group the full config requires
+async function evaluate(wallet, gates, groups, fresh) {
+  let inconclusive = false;
+  const perChain = await Promise.all([...groupByChain(gates)].map(async ([chainId, list]) => {
+    const values = await cachedChecks(chainId, list.flatMap(gate => gate.checks), wallet, fresh);
+    if (values.includes(undefined)) inconclusive = true;
+    
+    let offset = 0;
+    return list.map((gate) => {
+      const own = values.slice(offset, offset += gate.checks.length);
+      const { count, match } = own.includes(undefined) ? { count: 0, match: null } : gate.read(own);
+      return { group: gate.group, count, match, contract: gate.target.toLowerCase(), chainId: gate.chainId || 1 };
+    });
+  }));
+  
+  const results = perChain.flat();
+  const authorized = satisfied(results, groups);
+  const match = results.map(r => r.match).find(Boolean) || null;
+  const holdings = results.filter(r => r.count > 0).map(({ contract, chainId, count }) => ({ contract, chainId, count }));
+  return { authorized, match, holdings, inconclusive: !authorized && inconclusive };
+}
+
+/**
+ * Vaults that delegated to `wallet` on the given chains, as vault -> chainId -> 'all' or a scope:
+ * { contracts: Set of whole contracts, erc721: contract -> Set of token ids, erc20: contract -> amount,
+ * erc1155: contract -> token id -> amount }. Amounts of several delegations add up.
+ * Only full-rights delegations count; `inconclusive` is set when a chain's registry couldn't be read.
+ */
+async function delegationsTo(wallet, chainIds, fresh) {
+  const vaults = new Map();
+  let inconclusive = false;
+  await Promise.all(chainIds.map(async (chainId) => {
+    const [delegations] = await cachedChecks(chainId, [{
+      target: DELEGATE_REGISTRY,
+      callData: registry.encodeFunctionData('getIncomingDelegations', [wallet]),
+      decode: (data) => registry.decodeFunctionResult('getIncomingDelegations', data)[0],
+      optional: true,
+    }], wallet, fresh);
+    if (delegations === undefined) inconclusive = true;
+    
+    for (const d of delegations || []) {
+      if (d.rights !== ZeroHash) continue;
+      const vault = d.from.toLowerCase();
+      if (!vaults.has(vault)) vaults.set(vault, new Map());
+      const scopes = vaults.get(vault);
+      if (d.type_ === DELEGATION.ALL) scopes.set(chainId, 'all');
+      if (scopes.get(chainId) === 'all') continue;
+      
+      if (!scopes.has(chainId)) scopes.set(chainId, { contracts: new Set(), erc721: new Map(), erc20: new Map(), erc1155: new Map() });
+      const scope = scopes.get(chainId);
+      const contract = d.contract_.toLowerCase();
+      const id = d.tokenId.toString();
+      if (d.type_ === DELEGATION.CONTRACT) scope.contracts.add(contract);
+      else if (d.type_ === DELEGATION.ERC721) scope.erc721.set(contract, (scope.erc721.get(contract) || new Set()).add(id));
+      else if (d.type_ === DELEGATION.ERC20) scope.erc20.set(contract, (scope.erc20.get(contract) || 0n) + d.amount);
+      else if (d.type_ === DELEGATION.ERC1155) {
+        const amounts = scope.erc1155.get(contract) || new Map();
+        scope.erc1155.set(contract, amounts.set(id, (amounts.get(id) || 0n) + d.amount));
+      }
+    }
+  }));
+  return { vaults: [...vaults].slice(0, MAX_VAULTS), inconclusive };
+}
+
+// The wallet on its own, then through any vaults that delegated to it
+async function checkWallet(address, contracts, fresh) {
+  const gates = buildGates(address, contracts);
+  const groups = [...new Set(gates.map(g => g.group))];
+  const own = await evaluate(address, gates, groups, fresh);
+  if (own.authorized || !config.nft.delegation) return own;
+  
+  const { vaults, inconclusive } = await delegationsTo(address, [...groupByChain(gates).keys()], fresh);
+  for (const [vault, scopes] of vaults) {
+    const result = await evaluate(vault, buildGates(vault, contracts, scopes), groups, fresh);
+    if (result.authorized) return { ...result, match: result.match && { ...result.match, vault } };
+  }
+  return { ...own, inconclusive: own.inconclusive || inconclusive };
+}
+
+/**
+ * Check the wallet against every configured contract. `match` names the first
+ * contract (with the ERC-1155 token, or the allowlisted ERC-721 `tokenIds` held)
+ * that satisfied its rule, in config order grouped by chain, plus the `vault`
+ * whose holdings counted when the wallet passed through a delegation.
+ * `holdings` counts the NFTs the wallet (or that vault) holds per contract (only non-zero entries).
+ * `inconclusive` is set when the wallet failed but some chain couldn't be queried.
+ * `status` tells a 'holder' from a 'not_holder' and from 'unavailable' (inconclusive);
+ * with NFT_FAIL_POLICY=open an unavailable wallet is authorized but stays inconclusive.
+ * `fresh` bypasses the cache; `contracts` replaces the configured ones (a canvas's own, see services/rooms.js).
+ */
+export async function verifyOwnership(address, { fresh = false, contracts = config.nft.contracts } = {}) {
+  if (!config.nft.enabled) return { authorized: true, status: 'holder', match: null, holdings: [], inconclusive: false };
+  
+  const { erc721: nfts = [], erc1155: items = [], erc20: tokens = [] } = contracts;
+  if (!nfts.length && !items.length && !tokens.length) return { authorized: true, status: 'holder', match: null, holdings: [], inconclusive: false };
+  if (!isAddress(address)) return { authorized: false, status: 'not_holder', match: null, holdings: [], inconclusive: false };
+  
+  const result = await checkWallet(address, contracts, fresh);
+  if (result.authorized) return { ...result, status: 'holder' };
+  if (!result.inconclusive) return { ...result, status: 'not_holder' };
+  
+  incrementCounter('nft_verification_unavailable_total');
+  logger.warn({ address, failPolicy: config.nft.failPolicy }, 'NFT verification unavailable');
+  return { ...result, authorized: config.nft.failPolicy === 'open', status: 'unavailable' };
+}
+
+export async function checkNFTAuthorization(address, chainId) {
+  return (await verifyOwnership(address)).authorized;
 }
 
-export default { checkNFTAuthorization };
+export default { checkNFTAuthorization, verifyOwnership, getBalances, pruneCache, clearCache, ruleProblem, validateContracts };
@@ -2,9 +2,11 @@
  * Nonce Store - Replay attack prevention
  */
 
+import { randomBytes } from 'crypto';
 import logger from '../utils/logger.js';
 
 const store = new Map();
+const issued = new Map();
 const TTL = 10 * 60 * 1000; // 10 min
 let redisClient = null;
 
@@ -40,18 +42,58 @@ export async function checkAndUseNonce(address, nonce, timestamp) {
   return { valid: true };
 }
 
+/**
+ * Issue a server-generated nonce for a sign-in challenge (EIP-4361 requires 8+ alphanumerics)
+ */
+export async function issueNonce() {
+  const nonce = randomBytes(12).toString('hex');
+  const now = Date.now();
+  
+  if (redisClient) {
+    try {
+      await redisClient.set(`nonce:issued:${nonce}`, now.toString(), 'PX', TTL);
+      return nonce;
+    } catch (e) {
+      logger.error({ err: e }, 'Redis nonce issue failed');
+    }
+  }
+  
+  issued.set(nonce, now);
+  return nonce;
+}
+
+/**
+ * Redeem an issued nonce - true only the first time, and only if it was issued here
+ */
+export async function consumeIssuedNonce(nonce) {
+  if (redisClient) {
+    try {
+      if (await redisClient.del(`nonce:issued:${nonce}`) === 1) return true;
+    } catch (e) {
+      logger.error({ err: e }, 'Redis nonce redeem failed');
+    }
+  }
+  
+  const ts = issued.get(nonce);
+  if (ts === undefined) return false;
+  issued.delete(nonce);
+  return Date.now() - ts <= TTL;
+}
+
 export function getStats() {
-  return { memoryStoreSize: store.size, usingRedis: redisClient !== null };
+  return { memoryStoreSize: store.size, issuedStoreSize: issued.size, usingRedis: redisClient !== null };
 }
 
 export function clear() {
   store.clear();
+  issued.clear();
 }
 
 // Cleanup expired nonces
 setInterval(() => {
   const now = Date.now();
   for (const [k, ts] of store) if (now - ts > TTL) store.delete(k);
+  for (const [k, ts] of issued) if (now - ts > TTL) issued.delete(k);
 }, 10 * 60 * 1000).unref?.();
 
-export default { checkAndUseNonce, setRedisClient, getStats, clear };
+export default { checkAndUseNonce, issueNonce, consumeIssuedNonce, setRedisClient, getStats, clear };
@@ -0,0 +1,151 @@
+/**
+ * Ownership Service - live NFT eligibility for active wallets
+ *
+ * Every verification is recorded here, and wallets seen recently are
+ * re-verified in the background as their cached balances expire. Losing
+ * eligibility applies at once: placements are refused and the wallet's
+ * sockets are told, on every instance when Redis is enabled. Canvases with
+ * contracts of their own are checked against those as wallets draw on them.
+ */
+
+import { isAddress } from 'ethers';
+import config from '../config/index.js';
+import { verifyOwnership, pruneCache } from './nft.js';
+import logger from '../utils/logger.js';
+
+const DEAUTH_CHANNEL = 'drawingboard:deauthorized';
+
+const eligible = new Map(); // address -> last conclusive result
+const holdingsByAddress = new Map(); // address -> [{ contract, chainId, count }] from that result
+const roomEligible = new Map(); // `${canvasId}:${address}` -> last result against that canvas's own contracts
+const lastActive = new Map(); // address -> ms
+let redisClient = null;
+let deauthorizedCallback = null;
+let reverifyInterval = null;
+let reverifying = false;
+
+export function setRedisClients(pub, sub) {
+  redisClient = pub;
+  
+  sub.subscribe(DEAUTH_CHANNEL);
+  sub.on('message', (ch, msg) => {
+    if (ch !== DEAUTH_CHANNEL) return;
+    try {
+      const { address } = JSON.parse(msg);
+      // Our own publish comes back too - it has already been applied
+      if (eligible.get(address) === false) return;
+      eligible.set(address, false);
+      holdingsByAddress.set(address, []);
+      deauthorizedCallback?.(address);
+    } catch {}
+  });
+}
+
+export function setDeauthorizedCallback(cb) { deauthorizedCallback = cb; }
+
+export function markActive(address) {
+  if (typeof address === 'string' && isAddress(address)) lastActive.set(address.toLowerCase(), Date.now());
+}
+
+/**
+ * Record a verification result. Inconclusive results (a chain RPC was down)
+ * keep the previous status rather than locking holders out.
+ */
+export function record(address, result) {
+  address = address.toLowerCase();
+  if (result.inconclusive) return;
+  
+  const was = eligible.get(address);
+  eligible.set(address, result.authorized);
+  holdingsByAddress.set(address, result.holdings || []);
+  if (was !== true || result.authorized) return;
+  
+  logger.info({ address }, 'Wallet lost NFT eligibility');
+  deauthorizedCallback?.(address);
+  redisClient?.publish(DEAUTH_CHANNEL, JSON.stringify({ address })).catch((err) => logger.error({ err }, 'Redis deauthorization publish failed'));
+}
+
+/**
+ * Verify a wallet and record the result; used at sign-in and refresh
+ */
+export async function checkOwnership(address) {
+  const result = await verifyOwnership(address);
+  if (isAddress(address)) {
+    markActive(address);
+    record(address, result);
+  }
+  return result;
+}
+
+/**
+ * Verify a wallet against a canvas's own contracts and record the result; a no-op
+ * for canvases using the configured ones. Balances come through the NFT cache, so
+ * the chain is only asked again once NFT_CACHE_TTL_MS has passed.
+ */
+export async function checkRoomOwnership(address, room) {
+  if (!room?.contracts || !isAddress(address)) return;
+  const key = `${room.id}:${address.toLowerCase()}`;
+  const result = await verifyOwnership(address, { contracts: room.contracts });
+  // As with record(), an inconclusive check keeps what was known (only NFT_FAIL_POLICY decides for a first one)
+  roomEligible.set(key, result.inconclusive ? roomEligible.get(key) ?? result.authorized : result.authorized);
+}
+
+/**
+ * Live NFT eligibility: the last recorded result, or `fallback` (the token's
+ * `isAuthorized` claim) for wallets this instance hasn't verified. On a `room`
+ * with contracts of its own, the last checkRoomOwnership result - there is no claim to fall back on.
+ */
+export function isEligible(address, fallback, room = null) {
+  if (typeof address !== 'string') return room?.contracts ? false : fallback;
+  if (room?.contracts) return roomEligible.get(`${room.id}:${address.toLowerCase()}`) ?? false;
+  return eligible.get(address.toLowerCase()) ?? fallback;
+}
+
+// Holdings from the last conclusive check, or null when this instance hasn't verified the wallet
+export const getHoldings = (address) => (typeof address === 'string' && holdingsByAddress.get(address.toLowerCase())) || null;
+
+export const isDeauthorized = (address) => typeof address === 'string' && eligible.get(address.toLowerCase()) === false;
+
+/**
+ * Re-verify wallets active within NFT_ACTIVE_WINDOW_MS. Only balances whose
+ * cache entry expired go back to the chain. Returns how many were checked.
+ */
+export async function reverifyActive() {
+  if (reverifying || !config.nft.enabled) return 0;
+  reverifying = true;
+  
+  try {
+    const cutoff = Date.now() - config.nft.activeWindowMs;
+    let checked = 0;
+    for (const [address, at] of lastActive) {
+      if (at < cutoff) {
+        lastActive.delete(address);
+        eligible.delete(address);
+        holdingsByAddress.delete(address);
+        for (const key of roomEligible.keys()) if (key.endsWith(`:${address}`)) roomEligible.delete(key);
+        continue;
+      }
+      record(address, await verifyOwnership(address));
+      checked++;
+    }
+    pruneCache();
+    return checked;
+  } finally {
+    reverifying = false;
+  }
+}
+
+export function startReverifier() {
+  if (reverifyInterval) return;
+  logger.info({ intervalMs: config.nft.reverifyIntervalMs }, 'Starting NFT re-verifier');
+  reverifyInterval = setInterval(() => {
+    reverifyActive().catch((err) => logger.error({ err }, 'NFT re-verification failed'));
+  }, config.nft.reverifyIntervalMs);
+  reverifyInterval.unref?.();
+}
+
+export function stopReverifier() {
+  if (reverifyInterval) { clearInterval(reverifyInterval); reverifyInterval = null; }
+}
+
+export default { setRedisClients, setDeauthorizedCallback, markActive, record, checkOwnership, checkRoomOwnership, isEligible, getHoldings, isDeauthorized, reverifyActive, startReverifier, stopReverifier };
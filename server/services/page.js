@@ -0,0 +1,24 @@
+/**
+ * Page Service - index.html with absolute link-preview URLs
+ *
+ * Open Graph and Twitter crawlers don't resolve relative URLs, so og:url, og:image
+ * and twitter:image are rewritten against PUBLIC_URL (the request's own origin
+ * without it). A page opened on another canvas (?canvas=) previews that canvas.
+ */
+
+import config from '../config/index.js';
+import { findRoom, DEFAULT_CANVAS } from './rooms.js';
+
+const META = /(<meta (?:property|name)="(og:url|og:image|twitter:image)" content=")[^"]*(")/g;
+const escapeAttr = (s) => s.replace(/[&"<>]/g, c => ({ '&': '&amp;', '"': '&quot;', '<': '&lt;', '>': '&gt;' }[c]));
+
+export const publicOrigin = (req) => (config.publicUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+export function renderPage(html, origin, canvasId = DEFAULT_CANVAS) {
+  const room = typeof canvasId === 'string' && canvasId !== DEFAULT_CANVAS ? findRoom(canvasId) : null;
+  const image = room ? `/api/canvases/${room.id}/og.png` : '/api/canvas/og.png';
+  const urls = { 'og:url': room ? `/?canvas=${room.id}` : '/', 'og:image': image, 'twitter:image': image };
+  return html.replace(META, (_, open, name, close) => `${open}${escapeAttr(origin + urls[name])}${close}`);
+}
+
+export default { publicOrigin, renderPage };
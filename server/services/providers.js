@@ -0,0 +1,216 @@
+/**
+ * Verification Providers - where NFT checks are read from, with fallback and circuit breakers
+ *
+ * A provider answers a Multicall3-style batch of view calls on one chain:
+ * `call(chainId, calls)` -> [{ success, returnData }]. NFT_PROVIDERS lists them
+ * in the order tried. A provider that fails or times out hands over to the next,
+ * and one that keeps failing on a chain is skipped until its breaker resets.
+ * A provider can also decline calls it has no data for (NOT_IN_SNAPSHOT), which is not a failure.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { Interface } from 'ethers';
+import config from '../config/index.js';
+import { multicall, MULTICALL_BATCH } from './rpc.js';
+import { incrementLabeled, observeLabeled, setLabeledGauge } from './metrics.js';
+import logger from '../utils/logger.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Alchemy JSON-RPC network slugs
+const ALCHEMY_NETWORKS = { 1: 'eth-mainnet', 10: 'opt-mainnet', 137: 'polygon-mainnet', 8453: 'base-mainnet', 42161: 'arb-mainnet', 11155111: 'eth-sepolia' };
+
+export class ProviderError extends Error {
+  constructor(message, code = 'PROVIDER_ERROR') {
+    super(message);
+    this.code = code;
+  }
+}
+
+const rpcProvider = {
+  name: 'rpc',
+  supports: (chainId) => !!config.nft.rpcUrls[chainId],
+  call: (chainId, calls) => multicall(chainId, calls, { timeoutMs: config.nft.providers.timeoutMs }),
+};
+
+const alchemyProvider = {
+  name: 'alchemy',
+  supports: (chainId) => !!(config.nft.providers.alchemyApiKey && ALCHEMY_NETWORKS[chainId]),
+  call: (chainId, calls) => multicall(chainId, calls, {
+    url: `https://${ALCHEMY_NETWORKS[chainId]}.g.alchemy.com/v2/${config.nft.providers.alchemyApiKey}`,
+    timeoutMs: config.nft.providers.timeoutMs,
+  }),
+};
+
+/**
+ * Static snapshot: `{ [chainId]: { [contract]: { balances, tokens, owners, decimals } } }` where
+ * `balances` is wallet -> balance (ERC-721/ERC-20), `tokens` is wallet -> { tokenId: balance }
+ * (ERC-1155) and `owners` is tokenId -> wallet. Calls it has no data for fail the whole batch,
+ * so a snapshot never answers for contracts it doesn't cover.
+ */
+const snapshotAbi = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function decimals() view returns (uint8)',
+]);
+let snapshot = { path: null, mtimeMs: 0, data: {} };
+
+function loadSnapshot() {
+  const path = resolve(ROOT, config.nft.providers.snapshotFile);
+  const { mtimeMs } = statSync(path);
+  if (snapshot.path !== path || snapshot.mtimeMs !== mtimeMs) {
+    const raw = JSON.parse(readFileSync(path, 'utf8'));
+    const data = {};
+    for (const [chainId, contracts] of Object.entries(raw)) {
+      data[chainId] = Object.fromEntries(Object.entries(contracts).map(([address, c]) => [address.toLowerCase(), {
+        ...c,
+        balances: c.balances && Object.fromEntries(Object.entries(c.balances).map(([w, v]) => [w.toLowerCase(), v])),
+        tokens: c.tokens && Object.fromEntries(Object.entries(c.tokens).map(([w, v]) => [w.toLowerCase(), v])),
+      }]));
+    }
+    snapshot = { path, mtimeMs, data };
+  }
+  return snapshot.data;
+}
+
+function answerFromSnapshot(contract, callData) {
+  let call;
+  try { call = snapshotAbi.parseTransaction({ data: callData }); } catch { call = null; }
+  if (!contract || !call) throw new ProviderError('Call not covered by snapshot', 'NOT_IN_SNAPSHOT');
+  
+  const [arg0, arg1] = call.args;
+  if (call.name === 'balanceOf' && contract.balances) {
+    return snapshotAbi.encodeFunctionResult('balanceOf', [BigInt(contract.balances[arg0.toLowerCase()] || 0)]);
+  }
+  if (call.name === 'balanceOfBatch' && contract.tokens) {
+    return snapshotAbi.encodeFunctionResult('balanceOfBatch', [arg0.map((w, i) => BigInt(contract.tokens[w.toLowerCase()]?.[arg1[i].toString()] || 0))]);
+  }
+  if (call.name === 'ownerOf' && contract.owners) {
+    const owner = contract.owners[arg0.toString()];
+    return owner ? snapshotAbi.encodeFunctionResult('ownerOf', [owner]) : null; // unminted: reverts
+  }
+  if (call.name === 'decimals' && contract.decimals != null) return snapshotAbi.encodeFunctionResult('decimals', [contract.decimals]);
+  throw new ProviderError('Call not covered by snapshot', 'NOT_IN_SNAPSHOT');
+}
+
+const snapshotProvider = {
+  name: 'snapshot',
+  supports(chainId) {
+    if (!config.nft.providers.snapshotFile) return false;
+    try { return !!loadSnapshot()[chainId]; } catch (e) {
+      logger.error({ err: e }, 'Failed to load ownership snapshot');
+      return false;
+    }
+  },
+  async call(chainId, calls) {
+    const contracts = loadSnapshot()[chainId];
+    return calls.map(({ target, callData }) => {
+      const returnData = answerFromSnapshot(contracts[target.toLowerCase()], callData);
+      return returnData ? { success: true, returnData } : { success: false, returnData: '0x' };
+    });
+  },
+};
+
+export const PROVIDERS = { rpc: rpcProvider, alchemy: alchemyProvider, snapshot: snapshotProvider };
+
+// Circuit breakers per provider and chain: open after `breakerThreshold` consecutive failures,
+// then let a single probe through once `breakerResetMs` has passed
+const breakers = new Map(); // `${provider}:${chainId}` -> { failures, openUntil, probing }
+
+function admit(provider, chainId) {
+  const b = breakers.get(`${provider}:${chainId}`);
+  if (!b || b.failures < config.nft.providers.breakerThreshold) return true;
+  if (b.openUntil > Date.now() || b.probing) return false;
+  b.probing = true;
+  return true;
+}
+
+function succeeded(provider, chainId) {
+  if (breakers.delete(`${provider}:${chainId}`)) setLabeledGauge('nft_provider_circuit_open', { provider, chain: chainId }, 0);
+}
+
+function failed(provider, chainId) {
+  const key = `${provider}:${chainId}`;
+  const b = breakers.get(key) || { failures: 0, openUntil: 0, probing: false };
+  b.failures++;
+  b.probing = false;
+  if (b.failures >= config.nft.providers.breakerThreshold) {
+    b.openUntil = Date.now() + config.nft.providers.breakerResetMs;
+    if (b.failures === config.nft.providers.breakerThreshold) logger.warn({ provider, chainId }, 'Verification provider circuit opened');
+    setLabeledGauge('nft_provider_circuit_open', { provider, chain: chainId }, 1);
+  }
+  breakers.set(key, b);
+}
+
+// A call that says nothing about the provider's health: a probe it carried doesn't count either way
+function released(provider, chainId) {
+  const b = breakers.get(`${provider}:${chainId}`);
+  if (b) b.probing = false;
+}
+
+export const breakerState = (provider, chainId) => {
+  const b = breakers.get(`${provider}:${chainId}`);
+  if (!b || b.failures < config.nft.providers.breakerThreshold) return 'closed';
+  return b.openUntil > Date.now() ? 'open' : 'half-open';
+};
+
+export const resetBreakers = () => breakers.clear();
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new ProviderError(`Timed out after ${ms}ms`, 'TIMEOUT')), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Configured providers that can serve `chainId`, in fallback order
+export const providersFor = (chainId) => config.nft.providers.order.map(name => PROVIDERS[name]).filter(p => p?.supports(chainId));
+
+/**
+ * Run a batch of view calls through the first provider that answers. Throws a
+ * ProviderError: UNSUPPORTED when every provider declined the calls, UNAVAILABLE when none
+ * could answer otherwise - including when none is configured for the chain.
+ * The timeout is per Multicall3 chunk, and a batch of several chunks failing doesn't count
+ * against the breaker: its size, not the provider, is the likelier cause.
+ */
+export async function callChain(chainId, calls) {
+  const providers = providersFor(chainId);
+  const chunks = Math.max(1, Math.ceil(calls.length / MULTICALL_BATCH));
+  let declined = 0;
+  for (const p of providers) {
+    const labels = { provider: p.name, chain: chainId };
+    if (!admit(p.name, chainId)) {
+      incrementLabeled('nft_provider_requests_total', { ...labels, outcome: 'skipped' });
+      continue;
+    }
+    
+    const start = process.hrtime.bigint();
+    try {
+      const results = await withTimeout(p.call(chainId, calls), config.nft.providers.timeoutMs * chunks);
+      observeLabeled('nft_provider_latency_seconds', labels, Number(process.hrtime.bigint() - start) / 1e9);
+      incrementLabeled('nft_provider_requests_total', { ...labels, outcome: 'success' });
+      succeeded(p.name, chainId);
+      return results;
+    } catch (e) {
+      if (e.code === 'NOT_IN_SNAPSHOT') {
+        incrementLabeled('nft_provider_requests_total', { ...labels, outcome: 'unsupported' });
+        released(p.name, chainId);
+        declined++;
+        continue;
+      }
+      
+      observeLabeled('nft_provider_latency_seconds', labels, Number(process.hrtime.bigint() - start) / 1e9);
+      const timedOut = e.code === 'TIMEOUT' || e.name === 'TimeoutError';
+      incrementLabeled('nft_provider_requests_total', { ...labels, outcome: timedOut ? 'timeout' : 'error' });
+      if (chunks === 1) failed(p.name, chainId);
+      else released(p.name, chainId);
+      logger.warn({ err: e, provider: p.name, chainId, calls: calls.length }, 'Verification provider failed');
+    }
+  }
+  if (providers.length && declined === providers.length) throw new ProviderError(`No verification provider supports these calls on chain ${chainId}`, 'UNSUPPORTED');
+  throw new ProviderError(providers.length ? `No verification provider answered for chain ${chainId}` : `No verification provider for chain ${chainId}`, 'UNAVAILABLE');
+}
+
+export default { PROVIDERS, callChain, providersFor, breakerState, resetBreakers };
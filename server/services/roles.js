@@ -0,0 +1,90 @@
+/**
+ * Roles Service - persistent roles and the permissions they grant
+ *
+ * Roles are looked up live on every check, so grants and revocations apply to
+ * tokens that are already issued. ADMIN_WALLETS stay admins regardless of the table.
+ */
+
+import { databaseAPI } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isEligible } from './ownership.js';
+import { isAllowlisted, isDenylisted } from './access.js';
+import config from '../config/index.js';
+
+export const PERMISSIONS = ['pixel:place', 'pixel:erase', 'canvas:clear', 'canvas:import', 'canvas:resize', 'canvases:manage', 'seasons:manage', 'backups:manage', 'sessions:manage', 'roles:manage', 'apikeys:manage', 'access:manage'];
+
+// `pixel:place` lets a wallet draw without holding a gating NFT; `banned` overrides everything
+export const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  moderator: ['pixel:erase', 'sessions:manage'],
+  trusted_artist: ['pixel:place'],
+  banned: [],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const isConfigAdmin = (address) => config.adminWallets.includes(address);
+
+export function getRoles(address) {
+  if (!address) return [];
+  address = address.toLowerCase();
+  const roles = databaseAPI.getRoles(address);
+  if (isConfigAdmin(address) && !roles.includes('admin')) roles.push('admin');
+  return roles;
+}
+
+export const hasRole = (address, role) => getRoles(address).includes(role);
+export const isBanned = (address) => hasRole(address, 'banned');
+
+export function getPermissions(address) {
+  const roles = getRoles(address);
+  if (roles.includes('banned')) return [];
+  return [...new Set(roles.flatMap(r => ROLE_PERMISSIONS[r] || []))];
+}
+
+export const hasPermission = (address, permission) => getPermissions(address).includes(permission);
+
+/**
+ * Whether `user` (req.user / ws.user) may place pixels on `room` (see services/rooms.js; null is the default canvas):
+ * NFT holders, allowlisted wallets and trusted artists, never banned or denylisted wallets. NFT eligibility is the
+ * live re-verified status, falling back to the token's claim. The room's gating `open` lets in any wallet and
+ * `allowlist` leaves NFT holders out; its own contracts and allowlist replace the configured ones.
+ */
+export function canPlace(user, room = null) {
+  if (!user) return false;
+  const roles = getRoles(user.address);
+  if (roles.includes('banned') || isDenylisted(user.address)) return false;
+  const gating = room?.gating || 'nft';
+  if (gating === 'open') return true;
+  const allowlisted = room?.allowlist ? room.allowlist.includes(String(user.address).toLowerCase()) : isAllowlisted(user.address);
+  return (gating === 'nft' && isEligible(user.address, user.isAuthorized, room)) || allowlisted || roles.some(r => ROLE_PERMISSIONS[r]?.includes('pixel:place'));
+}
+
+// Role summary handed to the client with auth responses
+export function describe(address) {
+  const roles = getRoles(address);
+  const permissions = getPermissions(address);
+  return { roles, permissions, isAdmin: roles.includes('admin') && !roles.includes('banned') };
+}
+
+export function listRoles(role = null) {
+  const rows = databaseAPI.listRoles(role).map(r => ({ address: r.address, role: r.role, grantedBy: r.granted_by, grantedAt: r.granted_at, source: 'database' }));
+  if (!role || role === 'admin') {
+    for (const address of config.adminWallets) rows.push({ address, role: 'admin', grantedBy: null, grantedAt: null, source: 'config' });
+  }
+  return rows;
+}
+
+export function grantRole(address, role, grantedBy = null) {
+  if (!ROLES.includes(role)) throw new AppError(`Unknown role: ${role}`, 400, 'INVALID_ROLE');
+  return databaseAPI.grantRole(address.toLowerCase(), role, grantedBy);
+}
+
+export function revokeRole(address, role) {
+  if (!ROLES.includes(role)) throw new AppError(`Unknown role: ${role}`, 400, 'INVALID_ROLE');
+  address = address.toLowerCase();
+  if (role === 'admin' && isConfigAdmin(address)) throw new AppError('Admin is set by ADMIN_WALLETS', 409, 'ROLE_FROM_CONFIG');
+  return databaseAPI.revokeRole(address, role);
+}
+
+export default { ROLES, PERMISSIONS, getRoles, hasRole, isBanned, getPermissions, hasPermission, canPlace, describe, listRoles, grantRole, revokeRole };
@@ -0,0 +1,158 @@
+/**
+ * Rooms Service - named canvases, each with its own size, palette, gating and history
+ *
+ * The `default` canvas holds everything from before rooms existed and is what
+ * /api/canvas, /api/pixels and a WebSocket without ?canvas= draw on. Its size
+ * comes from config.canvas (CANVAS_WIDTH/HEIGHT, then resizes). A room without
+ * a palette of its own uses the base palette, and one without gating contracts
+ * or an allowlist of its own uses the server's (ERC*_CONTRACTS, the access allowlist).
+ */
+
+import { isAddress } from 'ethers';
+import config from '../config/index.js';
+import { databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ruleProblem } from './nft.js';
+
+export { DEFAULT_CANVAS };
+
+// Who may draw: `nft` - NFT holders, allowlisted wallets and trusted artists (the default canvas's rules);
+// `open` - any signed-in wallet; `allowlist` - allowlisted wallets and trusted artists only
+export const GATING = ['nft', 'open', 'allowlist'];
+export const MAX_SIZE = 2048;
+const MAX_COLORS = 64;
+const MAX_RULES = 20;
+const MAX_ALLOWLIST = 1000; // larger lists belong in the access allowlist
+// Rule fields a canvas may set; trait rules read a local metadata file, which only the server config may name
+const RULE_FIELDS = ['address', 'name', 'chainId', 'minBalance', 'tokenIds', 'tokenRanges', 'group', 'decimals'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+function describe(row) {
+  const main = row.id === DEFAULT_CANVAS;
+  return {
+    id: row.id,
+    name: row.name,
+    width: main ? config.canvas.width : row.width,
+    height: main ? config.canvas.height : row.height,
+    palette: row.palette ? JSON.parse(row.palette) : config.canvas.palette,
+    gating: row.gating,
+    contracts: row.contracts ? JSON.parse(row.contracts) : null,
+    allowlist: row.allowlist ? JSON.parse(row.allowlist) : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+  };
+}
+
+export function findRoom(id) {
+  const row = databaseAPI.getRoom(id);
+  return row ? describe(row) : null;
+}
+
+export function getRoom(id = DEFAULT_CANVAS) {
+  const room = findRoom(id);
+  if (!room) throw new AppError(`Canvas not found: ${id}`, 404, 'CANVAS_NOT_FOUND');
+  return room;
+}
+
+export const listRooms = () => databaseAPI.listRooms().map(describe);
+
+export function parseSize(width, height) {
+  width = Number(width);
+  height = Number(height);
+  if (![width, height].every(n => Number.isInteger(n) && n >= 1 && n <= MAX_SIZE)) {
+    throw new AppError(`width and height must be integers from 1 to ${MAX_SIZE}`, 400, 'INVALID_SIZE');
+  }
+  return { width, height };
+}
+
+// null keeps (or goes back to) the base palette
+export function parsePalette(palette) {
+  if (palette == null) return null;
+  if (!Array.isArray(palette) || !palette.length || palette.length > MAX_COLORS || !palette.every(c => /^#[0-9A-Fa-f]{6}$/.test(c))) {
+    throw new AppError(`palette must be 1 to ${MAX_COLORS} #RRGGBB colors`, 400, 'INVALID_PALETTE');
+  }
+  return [...new Set(palette.map(c => c.toLowerCase()))];
+}
+
+function parseGating(gating) {
+  if (!GATING.includes(gating)) throw new AppError(`gating must be one of: ${GATING.join(', ')}`, 400, 'INVALID_GATING');
+  return gating;
+}
+
+/**
+ * null keeps (or goes back to) the server's contracts. Otherwise shaped like
+ * ERC721_CONTRACTS/ERC1155_CONTRACTS/ERC20_CONTRACTS: { erc721, erc1155, erc20 } lists of rules
+ */
+export function parseContracts(contracts) {
+  if (contracts == null) return null;
+  const invalid = (why) => new AppError(`contracts ${why}`, 400, 'INVALID_CONTRACTS');
+  if (typeof contracts !== 'object' || Array.isArray(contracts)) throw invalid('must be an object of erc721, erc1155 and erc20 rules');
+  
+  const parsed = {};
+  for (const [kind, rules] of Object.entries(contracts)) {
+    if (!['erc721', 'erc1155', 'erc20'].includes(kind) || !Array.isArray(rules)) throw invalid('must be an object of erc721, erc1155 and erc20 rules');
+    for (const rule of rules) {
+      if (typeof rule !== 'object' || !rule || !isAddress(rule.address)) throw invalid('rules need a contract address');
+      const unknown = Object.keys(rule).find(f => !RULE_FIELDS.includes(f));
+      if (unknown) throw invalid(`rules cannot set ${unknown}`);
+      if (rule.chainId !== undefined && !(Number.isInteger(rule.chainId) && rule.chainId > 0)) throw invalid('chainId must be a positive integer');
+      if (kind === 'erc1155' && !(Array.isArray(rule.tokenIds) && rule.tokenIds.length)) throw invalid('ERC-1155 rules need tokenIds');
+      const problem = ruleProblem(kind, rule);
+      if (problem) throw invalid(`rules: ${problem}`);
+    }
+    parsed[kind] = rules.map(rule => ({ ...rule, address: rule.address.toLowerCase() }));
+  }
+  const count = Object.values(parsed).flat().length;
+  if (!count || count > MAX_RULES) throw invalid(`must have 1 to ${MAX_RULES} rules`);
+  return parsed;
+}
+
+// null keeps (or goes back to) the server's allowlist
+export function parseAllowlist(allowlist) {
+  if (allowlist == null) return null;
+  if (!Array.isArray(allowlist) || allowlist.length > MAX_ALLOWLIST || !allowlist.every(a => isAddress(a))) {
+    throw new AppError(`allowlist must be up to ${MAX_ALLOWLIST} wallet addresses`, 400, 'INVALID_ALLOWLIST');
+  }
+  return [...new Set(allowlist.map(a => a.toLowerCase()))];
+}
+
+export function parseName(name) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) throw new AppError('name must be 1 to 64 characters', 400, 'INVALID_REQUEST');
+  return name.trim();
+}
+
+/**
+ * { id, name, width, height, palette, gating, contracts, allowlist }; the size defaults to the default canvas's
+ */
+export function createRoom({ id, name, width = config.canvas.width, height = config.canvas.height, palette = null, gating = 'nft', contracts = null, allowlist = null } = {}, createdBy = null) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new AppError('id must be 1 to 32 lowercase letters, digits or dashes, starting with a letter or digit', 400, 'INVALID_CANVAS_ID');
+  }
+  if (databaseAPI.getRoom(id)) throw new AppError(`Canvas already exists: ${id}`, 409, 'CANVAS_EXISTS');
+  
+  const room = { id, name: parseName(name ?? id), ...parseSize(width, height), palette: parsePalette(palette), gating: parseGating(gating), contracts: parseContracts(contracts), allowlist: parseAllowlist(allowlist), createdBy };
+  databaseAPI.createRoom(room);
+  return getRoom(id);
+}
+
+// Name, palette, gating, contracts and allowlist; the size changes through resizeCanvas
+export function updateRoom(id, changes = {}) {
+  const row = databaseAPI.getRoom(id);
+  if (!row) throw new AppError(`Canvas not found: ${id}`, 404, 'CANVAS_NOT_FOUND');
+  databaseAPI.updateRoom(id, {
+    name: 'name' in changes ? parseName(changes.name) : row.name,
+    palette: 'palette' in changes ? parsePalette(changes.palette) : row.palette && JSON.parse(row.palette),
+    gating: 'gating' in changes ? parseGating(changes.gating) : row.gating,
+    contracts: 'contracts' in changes ? parseContracts(changes.contracts) : row.contracts && JSON.parse(row.contracts),
+    allowlist: 'allowlist' in changes ? parseAllowlist(changes.allowlist) : row.allowlist && JSON.parse(row.allowlist),
+  });
+  return getRoom(id);
+}
+
+// Deletes the canvas with its pixels, history and snapshots
+export function deleteRoom(id) {
+  if (id === DEFAULT_CANVAS) throw new AppError('The default canvas cannot be deleted', 409, 'DEFAULT_CANVAS');
+  if (!databaseAPI.deleteRoom(id)) throw new AppError(`Canvas not found: ${id}`, 404, 'CANVAS_NOT_FOUND');
+}
+
+export default { DEFAULT_CANVAS, GATING, MAX_SIZE, findRoom, getRoom, listRooms, parseSize, parsePalette, parseContracts, parseAllowlist, parseName, createRoom, updateRoom, deleteRoom };
@@ -0,0 +1,58 @@
+/**
+ * RPC Service - minimal JSON-RPC client over the chain URLs in config.nft.rpcUrls
+ */
+
+import { Interface } from 'ethers';
+import config from '../config/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Same address on every major EVM chain
+export const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+export const MULTICALL_BATCH = 500;
+
+const TIMEOUT_MS = 5000;
+const aggregator = new Interface(['function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)']);
+let requestId = 0;
+
+export function hasRpc(chainId) {
+  return !!config.nft.rpcUrls[chainId];
+}
+
+// `url` overrides the chain's configured endpoint (e.g. a provider's own URL)
+export async function rpcCall(chainId, method, params = [], { url = config.nft.rpcUrls[chainId], timeoutMs = TIMEOUT_MS } = {}) {
+  if (!url) throw new AppError(`No RPC configured for chain ${chainId}`, 400, 'UNSUPPORTED_CHAIN');
+  
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`RPC HTTP ${res.status}`);
+  
+  const data = await res.json();
+  if (data.error) throw Object.assign(new Error(data.error.message || 'RPC error'), { rpcCode: data.error.code, data: data.error.data });
+  return data.result;
+}
+
+export const ethCall = (chainId, to, data, options) => rpcCall(chainId, 'eth_call', [{ to, data }, 'latest'], options);
+export const getCode = (chainId, address) => rpcCall(chainId, 'eth_getCode', [address, 'latest']);
+
+/**
+ * Run several view calls on one chain as a single eth_call through Multicall3
+ * (split every MULTICALL_BATCH calls to stay under node gas caps).
+ * `calls` are { target, callData, allowFailure = true }; results are { success, returnData } in order.
+ * `options` are passed to rpcCall.
+ */
+export async function multicall(chainId, calls, options) {
+  const out = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH) {
+    const batch = calls.slice(i, i + MULTICALL_BATCH);
+    const data = aggregator.encodeFunctionData('aggregate3', [batch.map(({ target, callData, allowFailure = true }) => ({ target, allowFailure, callData }))]);
+    const [results] = aggregator.decodeFunctionResult('aggregate3', await ethCall(chainId, MULTICALL3, data, options));
+    out.push(...results.map(({ success, returnData }) => ({ success, returnData })));
+  }
+  return out;
+}
+
+export default { hasRpc, rpcCall, ethCall, getCode, multicall };
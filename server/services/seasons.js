@@ -0,0 +1,100 @@
+/**
+ * Seasons Service - named stretches of a canvas's life, archived when they end
+ *
+ * Every canvas is always in a season. Ending it freezes the final pixels, a PNG
+ * and the season's slice of history into the archive (which history pruning
+ * never touches), empties the canvas and opens the next season, optionally at a
+ * new size and with a new palette. Archived seasons are read-only.
+ */
+
+import { databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRoom, parseSize, parsePalette, parseName } from './rooms.js';
+import { canvasPng } from './canvasImage.js';
+import logger from '../utils/logger.js';
+
+const MAX_HISTORY_PAGE = 1000;
+
+// The current season reads its size, palette and counts live from the canvas
+function describe(row) {
+  const current = !row.ended_at;
+  const room = current && getRoom(row.canvas_id);
+  const store = databaseAPI.canvas(row.canvas_id);
+  return {
+    id: row.id,
+    canvas: row.canvas_id,
+    number: row.number,
+    name: row.name,
+    current,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    endedBy: row.ended_by,
+    width: current ? room.width : row.width,
+    height: current ? room.height : row.height,
+    palette: current ? room.palette : JSON.parse(row.palette),
+    pixelCount: current ? store.getPixelCount() : row.pixel_count,
+    placements: current ? null : row.placements,
+    imageUrl: `/api/seasons/${row.id}.png`,
+  };
+}
+
+function find(id) {
+  const row = /^\d+$/.test(String(id)) && databaseAPI.getSeason(Number(id));
+  if (!row) throw new AppError(`Season not found: ${id}`, 404, 'SEASON_NOT_FOUND');
+  return row;
+}
+
+// Newest first
+export const listSeasons = (canvasId = DEFAULT_CANVAS) => databaseAPI.canvas(getRoom(canvasId).id).listSeasons().map(describe);
+
+export const getCurrentSeason = (canvasId = DEFAULT_CANVAS) => describe(databaseAPI.canvas(getRoom(canvasId).id).getCurrentSeason());
+
+// With its pixels: the final state of an ended season, the live canvas for the current one
+export function getSeason(id) {
+  const row = find(id);
+  return { ...describe(row), pixels: row.final ? JSON.parse(row.final) : databaseAPI.canvas(row.canvas_id).getAllPixels() };
+}
+
+/**
+ * An ended season's PNG never changes; the current season's is the live canvas.
+ * Returns { etag, png(), archived }.
+ */
+export function seasonPng(id) {
+  const row = find(id);
+  if (!row.ended_at) return { ...canvasPng({}, row.canvas_id), archived: false };
+  return { etag: `"season-${row.id}"`, png: () => databaseAPI.getSeasonPng(row.id), archived: true };
+}
+
+export function seasonHistory(id, { limit, offset } = {}) {
+  const row = find(id);
+  limit = Math.min(Math.max(parseInt(limit || '100', 10) || 100, 1), MAX_HISTORY_PAGE);
+  offset = Math.max(parseInt(offset || '0', 10) || 0, 0);
+  return { season: row.id, limit, offset, history: databaseAPI.getSeasonHistory(row, limit, offset) };
+}
+
+export function renameSeason(id, name) {
+  const row = find(id);
+  databaseAPI.renameSeason(row.id, parseName(name));
+  return describe(find(id));
+}
+
+/**
+ * End canvasId's current season and open the next.
+ * options: { name (of the next season), width, height, palette }; size and palette default to the current ones,
+ * palette null goes back to the base palette.
+ */
+export function endSeason(options = {}, endedBy = null, canvasId = DEFAULT_CANVAS) {
+  const room = getRoom(canvasId);
+  const next = {
+    name: options.name == null ? null : parseName(options.name),
+    ...parseSize(options.width ?? room.width, options.height ?? room.height),
+    palette: 'palette' in options ? parsePalette(options.palette) : undefined,
+  };
+  
+  const store = databaseAPI.canvas(room.id);
+  const { ended, started } = store.endSeason({ png: canvasPng({}, room.id).png(), palette: room.palette, endedBy, next });
+  logger.info({ canvas: room.id, ended, started, endedBy, width: next.width, height: next.height }, 'Season ended');
+  return { ended: describe(find(ended)), started: describe(find(started)) };
+}
+
+export default { listSeasons, getCurrentSeason, getSeason, seasonPng, seasonHistory, renameSeason, endSeason };
@@ -0,0 +1,181 @@
+/**
+ * Session Store - sign-in sessions, rotating refresh tokens and revocation
+ *
+ * A session is one sign-in: a family of single-use refresh tokens (stored as
+ * SHA-256 hashes) plus the short-lived access JWTs minted from them, which
+ * carry the session id as `sid`. Revoked session ids are held in memory so the
+ * middleware check stays synchronous. SQLite persists them across restarts and
+ * Redis (when enabled) fans revocations out to the other instances.
+ */
+
+import { createHash, createHmac, randomBytes, randomUUID } from 'crypto';
+import { databaseAPI } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const REVOKE_CHANNEL = 'drawingboard:revocations';
+const KEY_PREFIX = 'revoked:';
+
+const revoked = new Map(); // session id -> expiry (ms)
+let redisClient = null;
+let revokedCallback = null;
+
+// SQLite datetime('now') format, so expiry compares directly in SQL
+const toSqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTime = (s) => Date.parse(s.replace(' ', 'T') + 'Z');
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => randomBytes(32).toString('base64url');
+// A spent token's successor is derived from it, so a refresh retried within the grace window gets the same one back
+const successorOf = (token) => createHmac('sha256', config.jwt.secret).update(token).digest('base64url');
+
+export function setRedisClients(pub, sub) {
+  redisClient = pub;
+  
+  sub.subscribe(REVOKE_CHANNEL);
+  sub.on('message', (ch, msg) => {
+    if (ch !== REVOKE_CHANNEL) return;
+    try {
+      const { id, exp } = JSON.parse(msg);
+      // Our own publish comes back too - it has already been applied
+      if (revoked.has(id)) return;
+      revoked.set(id, exp);
+      revokedCallback?.(id);
+    } catch {}
+  });
+  
+  // Pick up revocations made by other instances before we started
+  const stream = pub.scanStream({ match: `${KEY_PREFIX}*`, count: 500 });
+  stream.on('data', async (keys) => {
+    for (const k of keys) {
+      try {
+        const ttl = await pub.pttl(k);
+        if (ttl > 0) revoked.set(k.slice(KEY_PREFIX.length), Date.now() + ttl);
+      } catch {}
+    }
+  });
+  stream.on('error', (err) => logger.error({ err }, 'Redis revocation scan failed'));
+  
+  logger.info('Session revocations using Redis');
+}
+
+// Called with each session id revoked here or on another instance, e.g. to drop it from open sockets
+export function setRevokedCallback(cb) { revokedCallback = cb; }
+
+export function isRevoked(sessionId) {
+  if (!sessionId) return false;
+  const exp = revoked.get(sessionId);
+  if (exp === undefined) return false;
+  if (exp <= Date.now()) { revoked.delete(sessionId); return false; }
+  return true;
+}
+
+async function markRevoked(id, exp) {
+  revoked.set(id, exp);
+  revokedCallback?.(id);
+  if (!redisClient) return;
+  try {
+    const ttl = exp - Date.now();
+    if (ttl > 0) await redisClient.set(`${KEY_PREFIX}${id}`, '1', 'PX', ttl);
+    await redisClient.publish(REVOKE_CHANNEL, JSON.stringify({ id, exp }));
+  } catch (e) {
+    logger.error({ err: e, session: id }, 'Redis revocation publish failed');
+  }
+}
+
+/**
+ * Load revocations persisted in SQLite (call once the database is initialized)
+ */
+export function loadRevoked() {
+  databaseAPI.pruneSessions();
+  for (const row of databaseAPI.getRevokedSessions()) {
+    revoked.set(row.id, fromSqlTime(row.expires_at));
+  }
+  logger.info({ revoked: revoked.size }, 'Session revocations loaded');
+}
+
+/**
+ * Start a session; returns its id and the first refresh token (shown to the client once)
+ */
+export function createSession({ address, chainId, userAgent, ip }) {
+  const id = randomUUID();
+  const refreshToken = newRefreshToken();
+  const expiresAt = toSqlTime(Date.now() + config.jwt.refreshTtlMs);
+  databaseAPI.createSession({ id, address, chainId, userAgent, ip, expiresAt, refreshHash: hashToken(refreshToken) });
+  return { sessionId: id, refreshToken };
+}
+
+/**
+ * Spend a refresh token and hand back its successor. Presenting an already-spent
+ * token means a copy is in someone else's hands, so the whole family is revoked -
+ * unless it was spent within the grace window, as when two tabs refresh at once.
+ * Those get the successor already issued, so a replay never starts a chain of its own.
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const row = typeof refreshToken === 'string' ? databaseAPI.getRefreshToken(hashToken(refreshToken)) : null;
+  if (!row) throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  
+  const session = databaseAPI.getSession(row.session_id);
+  if (!session || row.revoked_at || session.revoked_at) throw new AppError('Session revoked', 401, 'TOKEN_REVOKED');
+  if (fromSqlTime(row.expires_at) <= Date.now()) throw new AppError('Refresh token expired', 401, 'REFRESH_TOKEN_EXPIRED');
+  
+  const next = successorOf(refreshToken);
+  const expiresAt = toSqlTime(Date.now() + config.jwt.refreshTtlMs);
+  if (!databaseAPI.rotateRefreshToken(row.token_hash, hashToken(next), session.id, expiresAt, config.jwt.refreshGraceMs)) {
+    logger.warn({ session: session.id, address: session.address }, 'Refresh token reuse detected, revoking session');
+    await revokeSession(session.id);
+    throw new AppError('Refresh token reuse detected', 401, 'REFRESH_TOKEN_REUSED');
+  }
+  
+  return { session, refreshToken: next };
+}
+
+/**
+ * Resolve the session a refresh token belongs to, without spending it
+ */
+export function findSessionByRefreshToken(refreshToken) {
+  const row = typeof refreshToken === 'string' ? databaseAPI.getRefreshToken(hashToken(refreshToken)) : null;
+  return row ? databaseAPI.getSession(row.session_id) : null;
+}
+
+export function listSessions(address, currentId = null) {
+  return databaseAPI.getActiveSessions(address).map(s => ({
+    id: s.id,
+    chainId: s.chain_id,
+    userAgent: s.user_agent,
+    ip: s.ip,
+    createdAt: s.created_at,
+    expiresAt: s.expires_at,
+    current: s.id === currentId,
+  }));
+}
+
+/**
+ * Revoke one session. When `address` is given the session must belong to it.
+ */
+export async function revokeSession(id, address = null) {
+  const session = databaseAPI.getSession(id);
+  if (!session || (address && session.address !== address)) return false;
+  databaseAPI.revokeSession(id);
+  await markRevoked(id, fromSqlTime(session.expires_at));
+  return true;
+}
+
+export async function revokeAllForAddress(address, { except = null } = {}) {
+  const rows = databaseAPI.revokeSessionsForAddress(address, except);
+  for (const row of rows) await markRevoked(row.id, fromSqlTime(row.expires_at));
+  return rows.map(r => r.id);
+}
+
+export function getStats() {
+  return { revokedCount: revoked.size, usingRedis: redisClient !== null };
+}
+
+// Drop expired revocations from memory; tokens past the session expiry fail jwt.verify anyway
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, exp] of revoked) if (exp <= now) revoked.delete(id);
+}, 10 * 60 * 1000).unref?.();
+
+export default { setRedisClients, setRevokedCallback, isRevoked, loadRevoked, createSession, rotateRefreshToken, findSessionByRefreshToken, listSessions, revokeSession, revokeAllForAddress, getStats };
@@ -0,0 +1,71 @@
+/**
+ * SIWE Service - EIP-4361 Sign-In With Ethereum challenge/verify
+ */
+
+import { getAddress } from 'ethers';
+import { verifySignature } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { issueNonce, consumeIssuedNonce, checkAndUseNonce } from './nonceStore.js';
+import config from '../config/index.js';
+
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Subset of the EIP-4361 grammar we issue: no Not Before / Request ID / Resources
+const MESSAGE_RE = /^(?<domain>\S+) wants you to sign in with your Ethereum account:\n(?<address>0x[a-fA-F0-9]{40})\n\n(?:(?<statement>[^\n]+)\n\n)?URI: (?<uri>\S+)\nVersion: 1\nChain ID: (?<chainId>\d+)\nNonce: (?<nonce>[a-zA-Z0-9]{8,})\nIssued At: (?<issuedAt>\S+)(?:\nExpiration Time: (?<expirationTime>\S+))?$/;
+
+export function buildMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [`${domain} wants you to sign in with your Ethereum account:`, getAddress(address), ''];
+  if (statement) lines.push(statement, '');
+  lines.push(`URI: ${uri}`, 'Version: 1', `Chain ID: ${chainId}`, `Nonce: ${nonce}`, `Issued At: ${issuedAt}`);
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+}
+
+export function parseMessage(message) {
+  const match = typeof message === 'string' ? message.match(MESSAGE_RE) : null;
+  if (!match) return null;
+  const f = match.groups;
+  return { ...f, chainId: parseInt(f.chainId, 10), statement: f.statement || null, expirationTime: f.expirationTime || null };
+}
+
+/**
+ * Create a challenge for `address`; the client signs `message` verbatim
+ */
+export async function createChallenge({ address, chainId, domain, uri }) {
+  const nonce = await issueNonce();
+  const now = Date.now();
+  const issuedAt = new Date(now).toISOString();
+  const expirationTime = new Date(now + config.siwe.ttlMs).toISOString();
+  const message = buildMessage({ domain, address, statement: config.siwe.statement, uri, chainId, nonce, issuedAt, expirationTime });
+  return { message, nonce, issuedAt, expirationTime };
+}
+
+/**
+ * Verify a signed challenge and consume its nonce. Throws AppError (401) on failure.
+ */
+export async function verifyChallenge({ message, signature, address, chainId, domain, uri }) {
+  const fields = parseMessage(message);
+  if (!fields) throw new AppError('Malformed SIWE message', 401, 'INVALID_MESSAGE');
+
+  if (fields.domain !== domain) throw new AppError('Domain mismatch', 401, 'DOMAIN_MISMATCH');
+  if (fields.uri !== uri) throw new AppError('URI mismatch', 401, 'URI_MISMATCH');
+  if (fields.address.toLowerCase() !== address.toLowerCase()) throw new AppError('Address mismatch', 401, 'ADDRESS_MISMATCH');
+  if (chainId !== undefined && chainId !== null && Number(chainId) !== fields.chainId) throw new AppError('Chain mismatch', 401, 'CHAIN_MISMATCH');
+
+  const now = Date.now();
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (isNaN(issuedAt) || issuedAt > now + CLOCK_SKEW_MS) throw new AppError('Invalid issue time', 401, 'INVALID_MESSAGE');
+  if (fields.expirationTime && !(Date.parse(fields.expirationTime) > now)) throw new AppError('Sign-in message expired', 401, 'MESSAGE_EXPIRED');
+
+  if (!signature || !await verifySignature(fields.address, message, signature, fields.chainId)) {
+    throw new AppError('Invalid signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  if (!await consumeIssuedNonce(fields.nonce)) throw new AppError('Unknown or expired nonce', 401, 'INVALID_NONCE');
+  const use = await checkAndUseNonce(fields.address, fields.nonce, issuedAt);
+  if (!use.valid) throw new AppError(`Nonce rejected: ${use.reason}`, 401, 'INVALID_NONCE');
+
+  return { address: fields.address.toLowerCase(), chainId: fields.chainId };
+}
+
+export default { buildMessage, parseMessage, createChallenge, verifyChallenge };
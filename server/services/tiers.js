@@ -0,0 +1,64 @@
+/**
+ * Tier Service - holdings-based tiers that set cooldown, batch size, palette and rate limit
+ *
+ * Tiers come from TIERS, lowest first; a wallet gets the highest tier whose
+ * holdings requirement it meets. Everyone else - and every wallet that isn't
+ * NFT-eligible - is on the default tier, which keeps the pre-tier limits.
+ */
+
+import config from '../config/index.js';
+import { isEligible, getHoldings } from './ownership.js';
+
+function defaultTier() {
+  return { id: 'default', name: 'Default', minHoldings: 0, collections: null, cooldownMs: config.rateLimit.pixelCooldownMs, maxBatch: 10, extraColors: [], rateLimit: config.rateLimit.pixelMaxRequests };
+}
+
+// Configured tiers are filled in from the default, so each only needs what it changes
+export function getTiers() {
+  const base = defaultTier();
+  return [base, ...config.tiers.map(t => ({
+    ...base,
+    minHoldings: 1,
+    ...t,
+    collections: t.collections?.map(c => c.toLowerCase()) || null,
+    extraColors: (t.extraColors || []).map(c => c.toLowerCase()),
+  }))];
+}
+
+export const findTier = (id) => getTiers().find(t => t.id === id) || null;
+
+// `collections` narrows which contracts count towards minHoldings
+function qualifies(tier, holdings) {
+  const counted = tier.collections ? holdings.filter(h => tier.collections.includes(h.contract)) : holdings;
+  return counted.reduce((sum, h) => sum + h.count, 0) >= tier.minHoldings;
+}
+
+export function resolveTier(holdings) {
+  const tiers = getTiers();
+  for (let i = tiers.length - 1; i > 0; i--) if (qualifies(tiers[i], holdings)) return tiers[i];
+  return tiers[0];
+}
+
+/**
+ * Tier for req.user / ws.user: from live holdings when this instance has
+ * verified the wallet, otherwise from the `tier` claim in its token
+ */
+export function tierFor(user) {
+  if (!user || !isEligible(user.address, user.isAuthorized)) return defaultTier();
+  const holdings = getHoldings(user.address);
+  if (holdings) return resolveTier(holdings);
+  return findTier(user.tier) || defaultTier();
+}
+
+// `base` is the palette of the canvas being drawn on
+export const paletteFor = (tier, base = config.canvas.palette) => [...new Set([...base, ...tier.extraColors])];
+
+// Every color some tier may place
+export const fullPalette = (base = config.canvas.palette) => [...new Set([...base, ...getTiers().flatMap(t => t.extraColors)])];
+
+// Client-facing summary, returned with auth responses
+export function describeTier(tier) {
+  return { id: tier.id, name: tier.name, cooldownMs: tier.cooldownMs, maxBatch: tier.maxBatch, rateLimit: tier.rateLimit, extraColors: tier.extraColors };
+}
+
+export default { getTiers, findTier, resolveTier, tierFor, paletteFor, fullPalette, describeTier };
@@ -0,0 +1,130 @@
+/**
+ * Timelapse Service - animated canvas history as GIF, APNG or a ZIP of PNG frames
+ *
+ * Frames are spaced evenly in time from `from` to `to` and rendered in a worker
+ * thread, one render at a time. Output is cached on disk under a hash of the
+ * parameters and the history they cover, so repeat requests are served as files.
+ * Each queued render holds its slice of history, so the queue is bounded (TIMELAPSE_MAX_QUEUE)
+ * and checked before any history is loaded.
+ */
+
+import { Worker } from 'worker_threads';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import config from '../config/index.js';
+import { getDb, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { timelineSpan, timelineBetween, parseTimestamp, historyStart } from './timeline.js';
+import logger from '../utils/logger.js';
+
+export const FORMATS = {
+  gif: { ext: 'gif', type: 'image/gif' },
+  apng: { ext: 'png', type: 'image/apng' },
+  zip: { ext: 'zip', type: 'application/zip' },
+};
+
+const WORKER = new URL('../workers/timelapse.js', import.meta.url);
+
+const rendering = new Map(); // cache key -> Promise, running or queued
+let queue = Promise.resolve();
+
+function intParam(value, name, fallback, min, max) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new AppError(`${name} must be an integer from ${min} to ${max}`, 400, 'INVALID_REQUEST');
+  return n;
+}
+
+/**
+ * Query -> options; from defaults to the start of the canvas's surviving history, to to now.
+ * `live` is set when `to` is now (defaulted, or in the future).
+ */
+export function parseOptions(query = {}, id = DEFAULT_CANVAS) {
+  const format = query.format || 'gif';
+  if (!FORMATS[format]) throw new AppError(`format must be one of ${Object.keys(FORMATS).join(', ')}`, 400, 'INVALID_FORMAT');
+  
+  const now = Date.now();
+  const to = query.to != null && query.to !== '' ? parseTimestamp(query.to) : now;
+  const from = query.from != null && query.from !== '' ? parseTimestamp(query.from) : historyStart(id);
+  if (from > to) throw new AppError('from must not be after to', 400, 'INVALID_REQUEST');
+  
+  return {
+    format,
+    from,
+    to: Math.min(to, now),
+    live: to >= now,
+    fps: intParam(query.fps, 'fps', 10, 1, 50),
+    scale: intParam(query.scale, 'scale', 1, 1, 16),
+    frames: intParam(query.frames, 'frames', Math.min(100, config.timelapse.maxFrames), 1, config.timelapse.maxFrames),
+  };
+}
+
+function cacheDir() {
+  const dir = resolve(config.timelapse.cacheDir || join(dirname(getDb().name), 'timelapse'));
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function pruneCache(dir) {
+  const files = readdirSync(dir)
+    .filter(f => /^[0-9a-f]{32}\.(gif|png|zip)$/.test(f))
+    .map(f => ({ path: join(dir, f), mtime: statSync(join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  files.slice(config.timelapse.cacheSize).forEach(f => { try { unlinkSync(f.path); } catch {} });
+}
+
+function runWorker(workerData) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER, { workerData });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => { if (code !== 0) reject(new Error(`Timelapse worker exited with code ${code}`)); });
+  });
+}
+
+/**
+ * Render (or find in the cache) the timelapse a query asks for, of canvas `id`.
+ * A live one (see parseOptions) ends at the latest change rather than now, so it
+ * stays cached until the canvas changes. Resolves to { file, type, format, cached }.
+ */
+export async function renderTimelapse(query, id = DEFAULT_CANVAS) {
+  const { format, from, to, live, fps, scale, frames } = parseOptions(query, id);
+  const span = timelineSpan(from, to, id);
+  const start = Date.parse(span.from), end = Date.parse(live ? span.changedAt : span.to);
+  
+  const { width, height } = span.keyframes.reduce((max, k) => ({ width: Math.max(max.width, k.width), height: Math.max(max.height, k.height) }), span.start);
+  if (frames * width * height * scale * scale > config.timelapse.maxPixels) {
+    throw new AppError('Timelapse too large; lower frames or scale', 400, 'TIMELAPSE_TOO_LARGE');
+  }
+  
+  const key = createHash('sha256')
+    .update(JSON.stringify({ canvas: id, format, fps, scale, frames, start, end, toId: span.toId, keyframes: span.keyframes.map(k => k.id) }))
+    .digest('hex').slice(0, 32);
+  const dir = cacheDir();
+  const file = join(dir, `${key}.${FORMATS[format].ext}`);
+  const result = { file, type: FORMATS[format].type, format };
+  if (existsSync(file)) return { ...result, cached: true };
+  
+  if (!rendering.has(key)) {
+    if (rendering.size >= config.timelapse.maxQueue) throw new AppError('Too many timelapses rendering; try again shortly', 503, 'TIMELAPSE_BUSY');
+    const timeline = timelineBetween(from, to, id, span);
+    const frameTimes = Array.from({ length: frames }, (_, i) => {
+      const ms = frames === 1 ? end : start + Math.round(((end - start) * i) / (frames - 1));
+      return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+    });
+    const job = queue.then(async () => {
+      const began = Date.now();
+      await runWorker({ file, format, scale, fps, frameTimes, start: timeline.start, rows: timeline.rows, keyframes: timeline.keyframes });
+      logger.info({ canvas: id, format, frames, scale, rows: timeline.rows.length, ms: Date.now() - began }, 'Timelapse rendered');
+      pruneCache(dir);
+    }).finally(() => rendering.delete(key));
+    queue = job.catch(() => {});
+    rendering.set(key, job);
+  }
+  
+  await rendering.get(key);
+  return { ...result, cached: false };
+}
+
+export default { FORMATS, parseOptions, renderTimelapse };
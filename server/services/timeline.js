@@ -0,0 +1,105 @@
+/**
+ * Timeline Service - the canvas as it was at any point in its history
+ *
+ * A past state is rebuilt from the nearest keyframe (a canvas_snapshots row
+ * tagged with the last history row it includes) by replaying the pixel_history
+ * rows after it. Keyframes are written every CANVAS_KEYFRAME_INTERVAL rows and
+ * after clears and imports, so a replay never covers more than one interval.
+ * Each canvas (room) has its own keyframes and history rows.
+ */
+
+import { databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const toSqlTime = (ms) => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTime = (sql) => new Date(`${sql.replace(' ', 'T')}Z`).toISOString();
+
+// Milliseconds, or anything Date.parse reads (ISO 8601)
+export function parseTimestamp(ts) {
+  const ms = /^\d+$/.test(String(ts)) ? Number(ts) : Date.parse(ts);
+  if (isNaN(ms)) throw new AppError(`Invalid timestamp: ${ts}`, 400, 'INVALID_TIMESTAMP');
+  return ms;
+}
+
+function replay(store, keyframe, toId) {
+  // Pruning drops the keyframes whose following rows it removed, so any left can be replayed from
+  if (!keyframe) {
+    throw new AppError('Canvas history is not available that far back', 404, 'HISTORY_UNAVAILABLE');
+  }
+  
+  const pixels = new Map(keyframe.pixels.map(p => [`${p.x},${p.y}`, p]));
+  for (const { x, y, color } of store.getHistoryBetween(keyframe.historyId, toId)) {
+    if (color === 'ERASED') pixels.delete(`${x},${y}`);
+    else pixels.set(`${x},${y}`, { x, y, color });
+  }
+  return [...pixels.values()];
+}
+
+/**
+ * The canvas at `ts` (ms or ISO; the latest state at or before it, to the second)
+ * or right after history row `historyId`. Shaped like GET /api/canvas, plus the
+ * `timestamp` and `historyId` (last history row included) it was rebuilt to.
+ */
+export function canvasAt({ ts, historyId } = {}, id = DEFAULT_CANVAS) {
+  const store = databaseAPI.canvas(id);
+  let keyframe, toId, at;
+  if (historyId != null) {
+    toId = Number(historyId);
+    if (!Number.isInteger(toId) || toId < 1) throw new AppError(`Invalid history ID: ${historyId}`, 400, 'INVALID_HISTORY_ID');
+    const entry = store.getHistoryEntry(toId);
+    if (!entry) throw new AppError(`History entry ${toId} not found`, 404, 'HISTORY_NOT_FOUND');
+    // A keyframe at this very row may follow a later clear, so start from the one before it
+    keyframe = store.getKeyframeBefore(toId);
+    at = entry.placed_at;
+  } else if (ts != null) {
+    at = toSqlTime(Math.min(parseTimestamp(ts), Date.now()));
+    keyframe = store.getKeyframeAt(at);
+    toId = Math.max(store.getHistoryIdAt(at), keyframe?.historyId || 0);
+  } else {
+    throw new AppError('ts or historyId is required', 400, 'INVALID_REQUEST');
+  }
+  
+  const pixels = replay(store, keyframe, toId);
+  return { version: 1, canvas: id, width: keyframe.width, height: keyframe.height, timestamp: fromSqlTime(at), historyId: toId, pixelCount: pixels.length, pixels };
+}
+
+/**
+ * What timelineBetween covers, without loading it: the keyframe the start is rebuilt
+ * from and those after it ({ id, historyId, createdAt, width, height }), the last
+ * history row `toId`, and `changedAt`, when the latest change covered was made.
+ */
+export function timelineSpan(fromMs, toMs, id = DEFAULT_CANVAS) {
+  const store = databaseAPI.canvas(id);
+  const from = toSqlTime(Math.min(fromMs, Date.now()));
+  const to = toSqlTime(Math.min(toMs, Date.now()));
+  const start = store.getKeyframeInfoAt(from);
+  if (!start) throw new AppError('Canvas history is not available that far back', 404, 'HISTORY_UNAVAILABLE');
+  
+  const keyframes = store.getKeyframesInfoBetween(from, to);
+  const toId = Math.max(store.getHistoryIdAt(to), start.historyId, ...keyframes.map(k => k.historyId));
+  const placedAt = store.getHistoryEntry(toId)?.placed_at;
+  const changedAt = [from, ...keyframes.map(k => k.createdAt), ...(placedAt > from ? [placedAt] : [])].sort().at(-1);
+  return { from: fromSqlTime(from), to: fromSqlTime(to), start, keyframes, toId, changedAt: fromSqlTime(changedAt) };
+}
+
+/**
+ * What it takes to play the canvas forward from `fromMs` to `toMs`: the state at
+ * `fromMs`, then the history rows and keyframes after it, in order. Keyframes stand
+ * in for clears and imports; the periodic ones match the replay and change nothing.
+ * `span` (from timelineSpan) pins it to what was already looked up.
+ */
+export function timelineBetween(fromMs, toMs, id = DEFAULT_CANVAS, span = timelineSpan(fromMs, toMs, id)) {
+  const store = databaseAPI.canvas(id);
+  const start = canvasAt({ ts: fromMs }, id);
+  const ids = new Set(span.keyframes.map(k => k.id));
+  const keyframes = store.getKeyframesBetween(toSqlTime(Date.parse(span.from)), toSqlTime(Date.parse(span.to))).filter(k => ids.has(k.id));
+  return { start, to: span.to, toId: span.toId, rows: store.getHistoryBetween(start.historyId, span.toId), keyframes };
+}
+
+// When the canvas's oldest surviving keyframe was written, i.e. how far back its history reaches
+export function historyStart(id = DEFAULT_CANVAS) {
+  const at = databaseAPI.canvas(id).getFirstKeyframeTime();
+  return at ? Date.parse(fromSqlTime(at)) : Date.now();
+}
+
+export default { canvasAt, timelineSpan, timelineBetween, historyStart };
@@ -0,0 +1,66 @@
+/**
+ * Trait Service - token metadata from a local file, for trait-based gating
+ *
+ * A metadata file is a JSON object keyed by token ID, or an array of entries
+ * with `tokenId`, each carrying OpenSea-style `attributes: [{ trait_type, value }]`.
+ * Relative paths are resolved from the server directory. Files are re-read
+ * when they change on disk.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import logger from '../utils/logger.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const files = new Map(); // path -> { mtimeMs, tokens: Map<id, { trait: value }> }
+
+function parse(raw) {
+  const entries = Array.isArray(raw) ? raw.map(m => [m.tokenId ?? m.id, m]) : Object.entries(raw);
+  const tokens = new Map();
+  for (const [id, meta] of entries) {
+    if (id == null) continue;
+    const traits = {};
+    for (const a of meta?.attributes || []) if (a?.trait_type != null) traits[String(a.trait_type).toLowerCase()] = String(a.value).toLowerCase();
+    tokens.set(BigInt(id).toString(), traits);
+  }
+  return tokens;
+}
+
+/**
+ * Token ID -> lowercased traits for a metadata file; null when it can't be read
+ */
+export function loadMetadata(file) {
+  try {
+    const path = resolve(ROOT, file);
+    const { mtimeMs } = statSync(path);
+    const cached = files.get(path);
+    if (cached?.mtimeMs === mtimeMs) return cached.tokens;
+    
+    const tokens = parse(JSON.parse(readFileSync(path, 'utf8')));
+    files.set(path, { mtimeMs, tokens });
+    return tokens;
+  } catch (e) {
+    logger.error({ err: e, file }, 'Failed to load token metadata');
+    return null;
+  }
+}
+
+// Every trait in the rule must match; an array value matches any of its entries
+export function matchesTraits(traits, rule) {
+  return Object.entries(rule).every(([type, want]) => {
+    const have = traits[type.toLowerCase()];
+    return have !== undefined && [].concat(want).some(v => String(v).toLowerCase() === have);
+  });
+}
+
+/**
+ * IDs of tokens in `file` whose traits match `rule`, as strings
+ */
+export function tokensWithTraits(file, rule) {
+  const tokens = loadMetadata(file);
+  if (!tokens) return [];
+  return [...tokens].filter(([, traits]) => matchesTraits(traits, rule)).map(([id]) => id);
+}
+
+export default { loadMetadata, matchesTraits, tokensWithTraits };
@@ -0,0 +1,155 @@
+/**
+ * Access List Tests
+ * Tests for the admin allowlist and denylist, expiry, CSV import and enforcement
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+import WebSocket from 'ws';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-access-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { addEntry, accessStatus, isAllowlisted } from '../services/access.js';
+import { authenticate } from '../services/auth.js';
+import { canPlace, grantRole } from '../services/roles.js';
+import { initWebSocket } from '../websocket/index.js';
+import adminRoutes from '../routes/admin.js';
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const PARTNER = '0x2222222222222222222222222222222222222222';
+const SPAMMER = '0x3333333333333333333333333333333333333333';
+const USER = '0x4444444444444444444444444444444444444444';
+
+const tokenFor = (address) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false });
+
+describe('Access Lists', () => {
+  let saved;
+  let server;
+  let wss;
+  let baseUrl;
+
+  before(async () => {
+    await initDatabase();
+    saved = { adminWallets: config.adminWallets, nft: { ...config.nft, contracts: { ...config.nft.contracts } } };
+    config.adminWallets = [ADMIN];
+
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', adminRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.adminWallets = saved.adminWallets;
+    Object.assign(config.nft, saved.nft);
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const call = (method, path, { as = ADMIN, body, type = 'application/json' } = {}) => fetch(`${baseUrl}/admin${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${tokenFor(as)}`, 'Content-Type': type },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+
+  it('should add, update, list and remove entries', async () => {
+    let res = await call('PUT', `/access/allowlist/${ARTIST}`, { body: { note: 'Mural artist' } });
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual((await res.json()).addedBy, ADMIN);
+
+    res = await call('PUT', `/access/allowlist/${ARTIST}`, { body: { note: 'Mural artist', expiresAt: '2999-01-01T00:00:00Z' } });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).expiresAt, '2999-01-01 00:00:00');
+
+    const { allowlist, denylist } = await (await call('GET', '/access')).json();
+    assert.deepStrictEqual(allowlist.map(e => e.address), [ARTIST]);
+    assert.deepStrictEqual(denylist, []);
+
+    assert.strictEqual((await call('DELETE', `/access/allowlist/${ARTIST}`)).status, 200);
+    assert.strictEqual((await call('DELETE', `/access/allowlist/${ARTIST}`)).status, 404);
+  });
+
+  it('should reject unknown lists, bad expiries and non-admins', async () => {
+    assert.strictEqual((await (await call('GET', '/access/greylist')).json()).code, 'INVALID_LIST');
+    assert.strictEqual((await (await call('PUT', `/access/denylist/${USER}`, { body: { expiresAt: 'soon' } })).json()).code, 'INVALID_EXPIRY');
+    assert.strictEqual((await call('GET', '/access', { as: USER })).status, 403);
+  });
+
+  it('should ignore expired entries', () => {
+    addEntry('allowlist', USER, { expiresAt: Date.now() - 1000 });
+    assert.strictEqual(isAllowlisted(USER), false);
+  });
+
+  it('should import entries from CSV and report bad rows', async () => {
+    const csv = [
+      'Address,Note,Expires At',
+      `${PARTNER},"Partner, season one",2999-06-01`,
+      'not-an-address,Typo,',
+      `${SPAMMER},,never`,
+      `${ARTIST},,`,
+    ].join('\r\n');
+    const res = await call('POST', '/access/allowlist/import', { body: csv, type: 'text/csv' });
+    const result = await res.json();
+    assert.strictEqual(result.imported, 2);
+    assert.deepStrictEqual(result.skipped.map(s => s.row), [2, 3]);
+
+    const { entries } = await (await call('GET', '/access/allowlist')).json();
+    assert.strictEqual(entries.find(e => e.address === PARTNER).note, 'Partner, season one');
+
+    const plain = await call('POST', '/access/denylist/import', { body: { csv: `${SPAMMER}\n${USER},2999-01-01` } });
+    assert.strictEqual((await plain.json()).imported, 2);
+    assert.strictEqual(accessStatus(SPAMMER), 'denylist');
+  });
+
+  it('should consult both lists when signing in', async () => {
+    Object.assign(config.nft, { enabled: true, rpcUrls: {} });
+    config.nft.contracts.erc721 = [{ address: '0x9000000000000000000000000000000000000001', chainId: 999 }];
+
+    const partner = await authenticate(PARTNER, 1);
+    assert.strictEqual(partner.isAuthorized, true, 'Allowlisted without the NFT');
+    assert.strictEqual(partner.access, 'allowlist');
+
+    config.nft.enabled = false;
+    const spammer = await authenticate(SPAMMER, 1);
+    assert.strictEqual(spammer.isAuthorized, false, 'The denylist overrides an open gate');
+    assert.strictEqual(spammer.access, 'denylist');
+  });
+
+  it('should refuse denylisted wallets on every WebSocket placement', async () => {
+    grantRole(SPAMMER, 'trusted_artist');
+    assert.strictEqual(canPlace({ address: SPAMMER, isAuthorized: true }), false);
+    assert.strictEqual(canPlace({ address: PARTNER, isAuthorized: false }), true);
+
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?token=${tokenFor(SPAMMER)}`);
+    await new Promise((resolve) => ws.once('message', resolve));
+    const error = new Promise((resolve) => ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === 'error') resolve(msg.data);
+    }));
+    ws.send(JSON.stringify({ type: 'pixel', data: { x: 1, y: 1, color: config.canvas.palette[0] } }));
+    assert.strictEqual((await error).code, 'DENYLISTED');
+    ws.close();
+  });
+});
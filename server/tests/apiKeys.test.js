@@ -0,0 +1,129 @@
+/**
+ * API Key Tests
+ * Tests for scoped API keys, per-key rate limits and revocation
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-apikeys-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import { initDatabase, closeDatabase, databaseAPI } from '../models/database.js';
+import { apiKeyAuth, authenticateToken, requireAuthorization, requirePermission, requireScope } from '../middleware/auth.js';
+import { generalLimiter } from '../middleware/rateLimit.js';
+import { createApiKey, resolveApiKey, listApiKeys, revokeApiKey } from '../services/apiKeys.js';
+
+describe('API Keys', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await initDatabase();
+
+    const app = express();
+    app.use(apiKeyAuth, generalLimiter);
+    app.get('/canvas', requireScope('canvas:read'), (req, res) => res.json({ ok: true, key: req.apiKey?.id || null }));
+    app.post('/pixels', authenticateToken, requireScope('pixels:write'), requireAuthorization, (req, res) => res.json({ placedBy: req.user.address }));
+    app.get('/backups', authenticateToken, requirePermission('backups:manage'), (req, res) => res.json({ ok: true }));
+    app.get('/roles', authenticateToken, requirePermission('roles:manage'), (req, res) => res.json({ ok: true }));
+
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const call = (path, key, method = 'GET') => fetch(`${baseUrl}${path}`, { method, headers: key ? { 'X-API-Key': key } : {} });
+
+  it('should show the key once and store only its hash', () => {
+    const created = createApiKey({ name: 'archiver', scopes: ['canvas:read'], createdBy: '0xadmin' });
+
+    assert.ok(created.key.startsWith('rpk_'));
+    assert.strictEqual(created.prefix, created.key.slice(0, 12));
+    assert.ok(!JSON.stringify(databaseAPI.listApiKeys()).includes(created.key), 'Raw key must not be stored');
+    assert.ok(listApiKeys().every(k => k.key === undefined));
+    assert.strictEqual(resolveApiKey(created.key).id, created.id);
+  });
+
+  it('should reject unknown scopes and missing names', () => {
+    assert.throws(() => createApiKey({ name: 'bad', scopes: ['pixels:erase'] }), { code: 'INVALID_SCOPES' });
+    assert.throws(() => createApiKey({ name: '', scopes: ['canvas:read'] }), { code: 'INVALID_NAME' });
+    assert.throws(() => createApiKey({ name: 'bad', scopes: ['canvas:read'], rateLimit: 0 }), { code: 'INVALID_RATE_LIMIT' });
+  });
+
+  it('should enforce scopes on reads and writes', async () => {
+    const reader = createApiKey({ name: 'stats-bot', scopes: ['canvas:read'] });
+    const writer = createApiKey({ name: 'template-tool', scopes: ['pixels:write'] });
+
+    assert.strictEqual((await call('/canvas', reader.key)).status, 200);
+    assert.strictEqual((await call('/pixels', reader.key, 'POST')).status, 403);
+
+    const res = await call('/pixels', writer.key, 'POST');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).placedBy, `apikey:${writer.id}`);
+    assert.strictEqual((await call('/canvas', writer.key)).status, 403);
+  });
+
+  it('should leave requests without a key unaffected', async () => {
+    const res = await call('/canvas');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).key, null);
+  });
+
+  it('should reject invalid keys instead of falling back to anonymous', async () => {
+    const res = await call('/canvas', 'rpk_not-a-real-key');
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual((await res.json()).code, 'INVALID_API_KEY');
+  });
+
+  it('should map admin:backup to backup management only', async () => {
+    const ops = createApiKey({ name: 'backup-cron', scopes: ['admin:backup'] });
+
+    assert.strictEqual((await call('/backups', ops.key)).status, 200);
+    const res = await call('/roles', ops.key);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await res.json()).code, 'INSUFFICIENT_SCOPE');
+  });
+
+  it('should apply per-key rate limits', async () => {
+    const limited = createApiKey({ name: 'chatty', scopes: ['canvas:read'], rateLimit: 2 });
+    const other = createApiKey({ name: 'quiet', scopes: ['canvas:read'], rateLimit: 2 });
+
+    assert.strictEqual((await call('/canvas', limited.key)).status, 200);
+    assert.strictEqual((await call('/canvas', limited.key)).status, 200);
+    assert.strictEqual((await call('/canvas', limited.key)).status, 429);
+    assert.strictEqual((await call('/canvas', other.key)).status, 200, 'Limits should be tracked per key');
+  });
+
+  it('should track last use', async () => {
+    const key = createApiKey({ name: 'tracked', scopes: ['canvas:read'] });
+    assert.strictEqual(key.lastUsedAt, null);
+
+    await call('/canvas', key.key);
+    assert.ok(listApiKeys().find(k => k.id === key.id).lastUsedAt);
+  });
+
+  it('should stop accepting a key once revoked', async () => {
+    const key = createApiKey({ name: 'retired', scopes: ['canvas:read'] });
+    assert.strictEqual(revokeApiKey(key.id), true);
+    assert.strictEqual(revokeApiKey(key.id), false);
+
+    assert.strictEqual(resolveApiKey(key.key), null);
+    assert.strictEqual((await call('/canvas', key.key)).status, 401);
+  });
+});
@@ -5,7 +5,7 @@
 
 import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert';
-import { createServer } from 'http';
+import { createServer, request } from 'http';
 import express from 'express';
 
 // Mock config before importing other modules
@@ -16,6 +16,11 @@ process.env.DATABASE_PATH = ':memory:';
 // Import modules after setting env
 import { generateToken, verifySignature, authenticateToken } from '../middleware/auth.js';
 import { checkAndUseNonce, clear as clearNonces } from '../services/nonceStore.js';
+import { buildMessage, parseMessage, createChallenge, verifyChallenge } from '../services/siwe.js';
+import config from '../config/index.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import authRoutes from '../routes/auth.js';
+import { Wallet } from 'ethers';
 
 // Simple address validation helper for tests
 function validateAddress(addr) {
@@ -212,5 +217,157 @@ describe('Authentication', () => {
       assert.strictEqual(req.user.isAuthorized, payload.isAuthorized);
     });
   });
-});
 
+  describe('Sign-In With Ethereum', () => {
+    const origin = { domain: 'place.example', uri: 'https://place.example' };
+    const wallet = Wallet.createRandom();
+    let rpcUrls;
+
+    // No RPC: mismatched signatures must not fall through to a live EIP-1271 lookup
+    before(() => { rpcUrls = config.nft.rpcUrls; config.nft.rpcUrls = {}; });
+    after(() => { config.nft.rpcUrls = rpcUrls; });
+
+    it('should build messages that round-trip through the parser', () => {
+      const message = buildMessage({
+        ...origin,
+        address: wallet.address.toLowerCase(),
+        statement: 'Sign in',
+        chainId: 8453,
+        nonce: 'abcdef123456',
+        issuedAt: '2026-01-01T00:00:00.000Z',
+        expirationTime: '2026-01-01T00:05:00.000Z',
+      });
+      const fields = parseMessage(message);
+
+      assert.ok(message.includes(wallet.address), 'Address should be EIP-55 checksummed');
+      assert.strictEqual(fields.domain, origin.domain);
+      assert.strictEqual(fields.address, wallet.address);
+      assert.strictEqual(fields.chainId, 8453);
+      assert.strictEqual(fields.nonce, 'abcdef123456');
+      assert.strictEqual(fields.expirationTime, '2026-01-01T00:05:00.000Z');
+    });
+
+    it('should reject malformed messages', () => {
+      assert.strictEqual(parseMessage('hello world'), null);
+      assert.strictEqual(parseMessage(undefined), null);
+    });
+
+    it('should verify a signed challenge', async () => {
+      const { message } = await createChallenge({ ...origin, address: wallet.address, chainId: 1 });
+      const signature = await wallet.signMessage(message);
+
+      const result = await verifyChallenge({ ...origin, message, signature, address: wallet.address, chainId: 1 });
+
+      assert.strictEqual(result.address, wallet.address.toLowerCase());
+      assert.strictEqual(result.chainId, 1);
+    });
+
+    it('should reject a replayed challenge', async () => {
+      const { message } = await createChallenge({ ...origin, address: wallet.address, chainId: 1 });
+      const signature = await wallet.signMessage(message);
+      await verifyChallenge({ ...origin, message, signature, address: wallet.address });
+
+      await assert.rejects(
+        verifyChallenge({ ...origin, message, signature, address: wallet.address }),
+        (e) => e.code === 'INVALID_NONCE',
+      );
+    });
+
+    it('should reject nonces the server never issued', async () => {
+      const now = new Date();
+      const message = buildMessage({
+        ...origin,
+        address: wallet.address,
+        chainId: 1,
+        nonce: 'forgednonce123',
+        issuedAt: now.toISOString(),
+        expirationTime: new Date(now.getTime() + 60000).toISOString(),
+      });
+      const signature = await wallet.signMessage(message);
+
+      await assert.rejects(
+        verifyChallenge({ ...origin, message, signature, address: wallet.address }),
+        (e) => e.code === 'INVALID_NONCE',
+      );
+    });
+
+    it('should reject signatures from another wallet', async () => {
+      const { message } = await createChallenge({ ...origin, address: wallet.address, chainId: 1 });
+      const signature = await Wallet.createRandom().signMessage(message);
+
+      await assert.rejects(
+        verifyChallenge({ ...origin, message, signature, address: wallet.address }),
+        (e) => e.code === 'INVALID_SIGNATURE',
+      );
+    });
+
+    it('should reject messages signed for another domain', async () => {
+      const { message } = await createChallenge({ domain: 'evil.example', uri: 'https://evil.example', address: wallet.address, chainId: 1 });
+      const signature = await wallet.signMessage(message);
+
+      await assert.rejects(
+        verifyChallenge({ ...origin, message, signature, address: wallet.address }),
+        (e) => e.code === 'DOMAIN_MISMATCH',
+      );
+    });
+  });
+
+  describe('Sign-In Origin', () => {
+    const wallet = Wallet.createRandom();
+    let server;
+    let port;
+    let saved;
+
+    // fetch won't forge a Host header, so go through http.request
+    const send = (method, path, host, body) => new Promise((resolve, reject) => {
+      const req = request({ host: '127.0.0.1', port, method, path, headers: { Host: host, 'Content-Type': 'application/json' } }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body && JSON.stringify(body));
+    });
+
+    before(async () => {
+      saved = { siwe: { ...config.siwe }, cors: config.cors.origin, rpcUrls: config.nft.rpcUrls };
+      Object.assign(config.siwe, { domain: null, uri: null });
+      config.cors.origin = ['https://place.example'];
+      config.nft.rpcUrls = {};
+
+      const app = express();
+      app.use(express.json());
+      app.use('/auth', authRoutes);
+      app.use(errorHandler);
+      server = createServer(app);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    after(async () => {
+      Object.assign(config.siwe, saved.siwe);
+      config.cors.origin = saved.cors;
+      config.nft.rpcUrls = saved.rpcUrls;
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should issue challenges for allowed hosts only', async () => {
+      const ok = await send('GET', `/auth/nonce?address=${wallet.address}`, 'place.example');
+      assert.strictEqual(ok.status, 200);
+      assert.ok(ok.body.message.startsWith('place.example wants you to sign in'));
+
+      const spoofed = await send('GET', `/auth/nonce?address=${wallet.address}`, 'evil.example');
+      assert.deepStrictEqual([spoofed.status, spoofed.body.code], [400, 'INVALID_ORIGIN']);
+    });
+
+    it('should not accept a signature from another site by spoofing its Host', async () => {
+      // What a phishing site at evil.example would have the wallet sign
+      const { message } = await createChallenge({ domain: 'evil.example', uri: 'http://evil.example', address: wallet.address, chainId: 1 });
+      const signature = await wallet.signMessage(message);
+
+      const res = await send('POST', '/auth/connect', 'evil.example', { address: wallet.address, chainId: 1, message, signature });
+      assert.deepStrictEqual([res.status, res.body.code], [401, 'INVALID_ORIGIN']);
+      assert.strictEqual(res.body.token, undefined);
+    });
+  });
+});
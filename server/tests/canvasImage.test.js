@@ -0,0 +1,151 @@
+/**
+ * Canvas Image Tests
+ * Tests for /canvas.png renders of the canvas and its regions, their ETags, and the Open Graph preview
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-canvas-image-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import { createRoom } from '../services/rooms.js';
+import { ogImage } from '../services/canvasImage.js';
+import { renderPage } from '../services/page.js';
+import canvasRoutes, { canvasPngRoute } from '../routes/canvas.js';
+import { decodePng } from './helpers/png.js';
+
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const WHITE = [255, 255, 255];
+const RED = [255, 0, 0];
+const BLUE = [0, 0, 255];
+const GRID = [224, 224, 224];
+const BACKGROUND = [13, 12, 15];
+
+describe('Canvas Images', () => {
+  let server;
+  let baseUrl;
+
+  const get = async (path, headers = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, { headers });
+    return { res, body: Buffer.from(await res.arrayBuffer()) };
+  };
+
+  before(async () => {
+    await initDatabase();
+    canvasService.placePixel(0, 0, '#ff0000', ARTIST);
+    canvasService.placePixel(5, 4, '#0000ff', ARTIST);
+
+    const app = express();
+    app.get('/api/canvas.png', canvasPngRoute);
+    app.use('/api/canvas', canvasRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should render the whole canvas, unpainted pixels white', async () => {
+    const { res, body } = await get('/api/canvas.png');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'image/png');
+
+    const png = decodePng(body);
+    assert.deepStrictEqual([png.width, png.height], [config.canvas.width, config.canvas.height]);
+    assert.deepStrictEqual([png.at(0, 0), png.at(5, 4), png.at(1, 0)], [RED, BLUE, WHITE]);
+  });
+
+  it('should render regions, scaled, with an optional grid', async () => {
+    const region = decodePng((await get('/api/canvas.png?x=4&y=3&w=3&h=2&scale=4')).body);
+    assert.deepStrictEqual([region.width, region.height], [12, 8]);
+    assert.deepStrictEqual([region.at(4, 4), region.at(7, 7), region.at(8, 4)], [BLUE, BLUE, WHITE]);
+
+    const grid = decodePng((await get('/api/canvas.png?x=4&y=3&w=3&h=2&scale=4&grid=1')).body);
+    assert.deepStrictEqual([grid.at(4, 4), grid.at(4, 5), grid.at(5, 4), grid.at(5, 5)], [GRID, GRID, GRID, BLUE]);
+  });
+
+  it('should tag images with the canvas version and answer If-None-Match', async () => {
+    const first = await get('/api/canvas.png?scale=2');
+    const etag = first.res.headers.get('etag');
+    assert.ok(etag);
+    assert.strictEqual(first.res.headers.get('cache-control'), 'no-cache');
+
+    const again = await get('/api/canvas.png?scale=2', { 'If-None-Match': etag });
+    assert.strictEqual(again.res.status, 304);
+    assert.notStrictEqual((await get('/api/canvas.png?scale=3')).res.headers.get('etag'), etag, 'Options are part of the tag');
+
+    canvasService.placePixel(1, 1, '#ff0000', ARTIST);
+    const changed = await get('/api/canvas.png?scale=2', { 'If-None-Match': etag });
+    assert.strictEqual(changed.res.status, 200);
+    assert.notStrictEqual(changed.res.headers.get('etag'), etag);
+    assert.deepStrictEqual(decodePng(changed.body).at(2, 2), RED);
+  });
+
+  it('should serve a 1200x630 Open Graph preview', async () => {
+    const { res, body } = await get('/api/canvas/og.png');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'image/png');
+
+    const og = decodePng(body);
+    assert.deepStrictEqual([og.width, og.height], [1200, 630]);
+    const scale = Math.floor(Math.min(1200 / config.canvas.width, 630 / config.canvas.height));
+    const left = Math.floor((1200 - config.canvas.width * scale) / 2), top = Math.floor((630 - config.canvas.height * scale) / 2);
+    assert.deepStrictEqual([og.at(0, 0), og.at(left, top), og.at(left + 5 * scale, top + 4 * scale), og.at(left + scale, top)], [BACKGROUND, RED, BLUE, WHITE]);
+  });
+
+  it('should sample canvases larger than the preview down instead of cropping them', () => {
+    createRoom({ id: 'banner', width: 2000, height: 100 });
+    canvasService.placePixel(0, 0, '#ff0000', ARTIST, 'banner');
+    canvasService.placePixel(1998, 98, '#0000ff', ARTIST, 'banner');
+
+    // 0.6 of a canvas pixel per preview pixel: 1200x60, centred
+    const og = decodePng(ogImage('banner').png());
+    assert.deepStrictEqual([og.width, og.height], [1200, 630]);
+    const top = (630 - 60) / 2;
+    assert.deepStrictEqual([og.at(0, top), og.at(1199, top + 59), og.at(1, top), og.at(0, top - 1), og.at(0, top + 60)], [RED, BLUE, WHITE, BACKGROUND, BACKGROUND]);
+  });
+
+  it('should point the page\'s link previews at absolute URLs', () => {
+    const html = readFileSync(new URL('../../index.html', import.meta.url), 'utf8');
+    const meta = (page) => Object.fromEntries([...page.matchAll(/<meta (?:property|name)="(og:url|og:image|twitter:image)" content="([^"]*)"/g)].map(m => [m[1], m[2]]));
+
+    assert.deepStrictEqual(meta(renderPage(html, 'https://place.example')), {
+      'og:url': 'https://place.example/',
+      'og:image': 'https://place.example/api/canvas/og.png',
+      'twitter:image': 'https://place.example/api/canvas/og.png',
+    });
+
+    createRoom({ id: 'sketch', width: 4, height: 3 });
+    assert.strictEqual(meta(renderPage(html, 'https://place.example', 'sketch'))['og:image'], 'https://place.example/api/canvases/sketch/og.png');
+    assert.strictEqual(meta(renderPage(html, 'https://place.example', 'nowhere'))['og:url'], 'https://place.example/', 'Unknown canvases preview the default one');
+    assert.strictEqual(meta(renderPage(html, 'https://x.example/"><script>'))['og:url'], 'https://x.example/&quot;&gt;&lt;script&gt;/');
+  });
+
+  it('should reject regions outside the canvas and oversized images', async () => {
+    const error = async (query) => JSON.parse((await get(`/api/canvas.png${query}`)).body.toString());
+    assert.strictEqual((await error(`?x=${config.canvas.width - 2}&w=5`)).code, 'INVALID_REGION');
+    assert.strictEqual((await error('?x=-1')).code, 'INVALID_REQUEST');
+    assert.strictEqual((await error('?scale=0')).code, 'INVALID_REQUEST');
+    assert.strictEqual((await error('?scale=64')).code, 'IMAGE_TOO_LARGE');
+    assert.strictEqual((await error(`?scale=${Math.floor(4096 / config.canvas.width) + 1}`)).code, 'IMAGE_TOO_LARGE', 'At most 4096px a side');
+  });
+});
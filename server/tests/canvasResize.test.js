@@ -0,0 +1,119 @@
+/**
+ * Canvas Resize Tests
+ * Tests for growing and cropping the canvas live around an anchor, and persisting its size
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-canvas-resize-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, databaseAPI, getDb } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import { canvasAt } from '../services/timeline.js';
+import canvasRoutes from '../routes/canvas.js';
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const [RED, BLUE] = ['#ff0000', '#0000ff'];
+
+const tokenFor = (address) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false });
+const colourAt = (x, y) => databaseAPI.getPixel(x, y)?.color || null;
+const placedAt = (x, y) => getDb().prepare('SELECT placed_at FROM pixels WHERE x = ? AND y = ?').get(x, y).placed_at;
+
+describe('Canvas Resize', () => {
+  let saved;
+  let server;
+  let baseUrl;
+
+  const resize = (body, as = ADMIN) => fetch(`${baseUrl}/canvas/resize`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${tokenFor(as)}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  before(async () => {
+    saved = { adminWallets: config.adminWallets, width: config.canvas.width, height: config.canvas.height };
+    config.adminWallets = [ADMIN];
+    config.canvas.width = 10;
+    config.canvas.height = 8;
+    await initDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/canvas', canvasRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    Object.assign(config.canvas, { width: saved.width, height: saved.height });
+    config.adminWallets = saved.adminWallets;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should grow the canvas around its anchor, keeping every pixel', () => {
+    canvasService.placePixel(0, 0, RED, ARTIST);
+    canvasService.placePixel(9, 7, BLUE, ARTIST);
+    getDb().prepare(`UPDATE pixels SET placed_at = datetime(placed_at, '-1 hour')`).run();
+    const placed = placedAt(0, 0);
+
+    const result = canvasService.resizeCanvas({ width: 14, height: 10, anchor: 'bottom-right' });
+    assert.deepStrictEqual([result.previous, result.offset, result.removed], [{ width: 10, height: 8 }, { x: 4, y: 2 }, 0]);
+    assert.deepStrictEqual([config.canvas.width, config.canvas.height], [14, 10]);
+    assert.deepStrictEqual([colourAt(4, 2), colourAt(13, 9), colourAt(0, 0)], [RED, BLUE, null]);
+    assert.strictEqual(placedAt(4, 2), placed, 'Pixels keep when they were placed');
+
+    const saved = getDb().prepare("SELECT width, height FROM canvases WHERE id = 'default'").get();
+    assert.deepStrictEqual({ ...saved }, { width: 14, height: 10 }, 'The size outlives a restart');
+  });
+
+  it('should crop from the centre, dropping what falls off', () => {
+    const before = databaseAPI.getHistoryBounds().last;
+    const result = canvasService.resizeCanvas({ width: 8, height: 6, anchor: 'center' });
+    assert.deepStrictEqual([result.offset, result.removed], [{ x: -3, y: -2 }, 1]);
+    assert.deepStrictEqual([colourAt(1, 0), databaseAPI.getPixelCount()], [RED, 1]);
+    assert.deepStrictEqual(canvasService.getStatus().totalSlots, 48);
+
+    const past = canvasAt({ historyId: before });
+    assert.deepStrictEqual([past.width, past.height, past.pixelCount], [10, 8, 2], 'History before the resize keeps its own size');
+    assert.deepStrictEqual(canvasAt({ ts: Date.now() }).width, 8);
+  });
+
+  it('should resize over HTTP for wallets with canvas:resize', async () => {
+    const res = await resize({ width: 12, height: 6, anchor: 'left' });
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.deepStrictEqual([body.width, body.height, body.anchor, body.offset], [12, 6, 'left', { x: 0, y: 0 }]);
+    assert.deepStrictEqual(canvasService.getConfig().width, 12);
+
+    assert.strictEqual((await resize({ width: 12, height: 6 }, ARTIST)).status, 403);
+  });
+
+  it('should reject bad sizes and anchors', async () => {
+    for (const body of [{ width: 0, height: 6 }, { width: 12 }, { width: 2.5, height: 6 }, { width: 5000, height: 6 }]) {
+      const res = await resize(body);
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual((await res.json()).code, 'INVALID_SIZE');
+    }
+    assert.strictEqual((await (await resize({ width: 12, height: 6, anchor: 'middle' })).json()).code, 'INVALID_ANCHOR');
+    assert.deepStrictEqual([config.canvas.width, config.canvas.height], [12, 6], 'Nothing changed');
+  });
+});
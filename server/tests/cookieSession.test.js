@@ -0,0 +1,182 @@
+/**
+ * Cookie Session Tests
+ * Tests for HttpOnly cookie sessions, CSRF protection and cookie WebSocket auth
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+import WebSocket from 'ws';
+import { Wallet } from 'ethers';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-cookies-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { csrfProtection, originAllowed } from '../middleware/cookieSession.js';
+import { parseCookies, serializeCookie } from '../utils/cookies.js';
+import { initWebSocket } from '../websocket/index.js';
+import authRoutes from '../routes/auth.js';
+
+// Collect Set-Cookie headers into { name: { value, attrs } }
+function setCookies(res) {
+  const out = {};
+  for (const line of res.headers.getSetCookie()) {
+    const [pair, ...attrs] = line.split('; ');
+    const i = pair.indexOf('=');
+    out[pair.slice(0, i)] = { value: decodeURIComponent(pair.slice(i + 1)), attrs };
+  }
+  return out;
+}
+
+describe('Cookie Utilities', () => {
+  it('should parse and serialize cookies', () => {
+    assert.deepStrictEqual(parseCookies('a=1; b=hello%20world; a=2'), { a: '1', b: 'hello world' });
+    assert.deepStrictEqual(parseCookies(undefined), {});
+
+    const cookie = serializeCookie('rp_access', 'x y', { maxAge: 60000, httpOnly: true, secure: true, sameSite: 'strict' });
+    assert.strictEqual(cookie, 'rp_access=x%20y; Path=/; Max-Age=60; HttpOnly; Secure; SameSite=Strict');
+  });
+
+  it('should only allow configured or same-host origins', () => {
+    assert.strictEqual(originAllowed('http://place.example', 'place.example'), true);
+    assert.strictEqual(originAllowed('http://evil.example', 'place.example'), false);
+    assert.strictEqual(originAllowed(undefined, 'place.example'), false);
+  });
+});
+
+describe('Cookie Session Mode', () => {
+  const wallet = Wallet.createRandom();
+  let server;
+  let wss;
+  let baseUrl;
+  let host;
+  let cookies;
+  let mode;
+  let rpcUrls;
+
+  const cookieHeader = () => Object.entries(cookies).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('; ');
+  const call = (path, { method = 'GET', headers = {}, body } = {}) => fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: cookieHeader(), ...headers },
+    body: body && JSON.stringify(body),
+  });
+
+  function remember(res) {
+    for (const [name, { value }] of Object.entries(setCookies(res))) {
+      if (value) cookies[name] = value; else delete cookies[name];
+    }
+  }
+
+  before(async () => {
+    await initDatabase();
+    mode = config.session.mode;
+    config.session.mode = 'cookie';
+    rpcUrls = config.nft.rpcUrls;
+    config.nft.rpcUrls = {};
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', csrfProtection);
+    app.use('/api/auth', authRoutes);
+    server = createServer(app);
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    host = `127.0.0.1:${server.address().port}`;
+    baseUrl = `http://${host}`;
+    cookies = {};
+  });
+
+  after(async () => {
+    config.session.mode = mode;
+    config.nft.rpcUrls = rpcUrls;
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should sign in with HttpOnly cookies instead of body tokens', async () => {
+    const { message } = await (await call(`/auth/nonce?address=${wallet.address}&chainId=1`)).json();
+    const signature = await wallet.signMessage(message);
+    const res = await call('/auth/connect', { method: 'POST', body: { address: wallet.address, chainId: 1, message, signature } });
+    const body = await res.json();
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(body.token, undefined);
+    assert.strictEqual(body.refreshToken, undefined);
+    assert.strictEqual(body.sessionMode, 'cookie');
+
+    const set = setCookies(res);
+    assert.ok(set.rp_access.attrs.includes('HttpOnly'));
+    assert.ok(set.rp_access.attrs.includes('SameSite=Strict'));
+    assert.ok(set.rp_refresh.attrs.includes('Path=/api/auth'));
+    assert.ok(!set.rp_csrf.attrs.includes('HttpOnly'), 'CSRF cookie must be readable by the client');
+    assert.strictEqual(set.rp_csrf.value, body.csrfToken);
+    remember(res);
+  });
+
+  it('should authenticate reads from the cookie alone', async () => {
+    const res = await call('/auth/verify');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual((await res.json()).address, wallet.address.toLowerCase());
+  });
+
+  it('should reject cookie-authenticated writes without the CSRF header', async () => {
+    const denied = await call('/auth/sessions', { method: 'DELETE' });
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual((await denied.json()).code, 'CSRF_FAILED');
+
+    const forged = await call('/auth/sessions', { method: 'DELETE', headers: { 'X-CSRF-Token': 'guess' } });
+    assert.strictEqual(forged.status, 403);
+
+    const ok = await call('/auth/sessions', { method: 'DELETE', headers: { 'X-CSRF-Token': cookies.rp_csrf } });
+    assert.strictEqual(ok.status, 200);
+  });
+
+  it('should authenticate the WebSocket upgrade from the cookie for allowed origins', async () => {
+    const welcome = (origin) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://${host}/ws`, { headers: { Cookie: cookieHeader(), Origin: origin } });
+      ws.on('message', (raw) => { ws.close(); resolve(JSON.parse(raw.toString()).data); });
+      ws.on('error', reject);
+    });
+
+    assert.strictEqual((await welcome(baseUrl)).authenticated, true);
+    assert.strictEqual((await welcome('http://evil.example')).authenticated, false, 'Cross-site upgrades must not ride the cookie');
+  });
+
+  it('should refresh from the refresh cookie and keep the CSRF token', async () => {
+    const csrf = cookies.rp_csrf;
+    const refresh = cookies.rp_refresh;
+    const res = await call('/auth/refresh', { method: 'POST', headers: { 'X-CSRF-Token': csrf }, body: {} });
+
+    assert.strictEqual(res.status, 200);
+    remember(res);
+    assert.notStrictEqual(cookies.rp_refresh, refresh, 'Refresh cookie should rotate');
+    assert.ok(cookies.rp_access);
+    assert.strictEqual(cookies.rp_csrf, csrf);
+  });
+
+  it('should clear the cookies on logout', async () => {
+    const res = await call('/auth/logout', { method: 'POST', headers: { 'X-CSRF-Token': cookies.rp_csrf }, body: {} });
+    assert.strictEqual(res.status, 200);
+
+    const refreshToken = cookies.rp_refresh;
+    remember(res);
+    assert.deepStrictEqual(cookies, {});
+
+    // The session behind the old refresh cookie is gone too
+    const retry = await call('/auth/refresh', { method: 'POST', body: { refreshToken } });
+    assert.strictEqual(retry.status, 401);
+    assert.strictEqual((await retry.json()).code, 'TOKEN_REVOKED');
+  });
+});
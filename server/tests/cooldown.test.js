@@ -0,0 +1,179 @@
+/**
+ * Placement Cooldown Tests
+ * Tests for the per-wallet cooldown shared by REST and WebSocket placements, and its Redis store
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+import WebSocket from 'ws';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-cooldown-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { initWebSocket } from '../websocket/index.js';
+import { claimPlacement, setRedisClient, clear as clearCooldowns } from '../services/cooldown.js';
+import pixelRoutes from '../routes/pixels.js';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+const DAVE = '0x4444444444444444444444444444444444444444';
+
+const COOLDOWN_MS = 30000;
+
+const tokenFor = (address) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false });
+
+// Just enough of ioredis for SET PX NX and PTTL
+function fakeRedis() {
+  const expiries = new Map();
+  return {
+    expiries,
+    async set(key, value, px, ms, nx) {
+      if (nx === 'NX' && expiries.get(key) > Date.now()) return null;
+      expiries.set(key, Date.now() + ms);
+      return 'OK';
+    },
+    async pttl(key) {
+      const at = expiries.get(key);
+      return at > Date.now() ? at - Date.now() : -2;
+    },
+  };
+}
+
+describe('Placement Cooldown', () => {
+  let saved;
+  let server;
+  let wss;
+  let baseUrl;
+  const sockets = [];
+
+  const post = (path, address, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${tokenFor(address)}` },
+    body: JSON.stringify(body),
+  });
+  const pixel = (x) => ({ x, y: 3, color: config.canvas.palette[0] });
+
+  // Open an authenticated socket with a helper that resolves the next message of a type
+  async function open(address) {
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?token=${tokenFor(address)}`);
+    const queue = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      const i = waiters.findIndex(w => w.type === msg.type);
+      if (i >= 0) waiters.splice(i, 1)[0].resolve(msg.data);
+      else queue.push(msg);
+    });
+    const next = (type) => {
+      const i = queue.findIndex(m => m.type === type);
+      if (i >= 0) return Promise.resolve(queue.splice(i, 1)[0].data);
+      return new Promise((resolve) => waiters.push({ type, resolve }));
+    };
+    sockets.push(ws);
+    await next('welcome');
+    return { ws, next, send: (type, data) => ws.send(JSON.stringify({ type, data })) };
+  }
+
+  before(async () => {
+    await initDatabase();
+    saved = config.rateLimit.pixelCooldownMs;
+    config.rateLimit.pixelCooldownMs = COOLDOWN_MS;
+
+    const app = express();
+    app.use(express.json());
+    app.use('/pixels', pixelRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.rateLimit.pixelCooldownMs = saved;
+    setRedisClient(null);
+    sockets.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => clearCooldowns());
+
+  it('should apply PIXEL_COOLDOWN_MS and report the next placement time', async () => {
+    const placed = await post('/pixels', ALICE, pixel(1));
+    assert.strictEqual(placed.status, 201);
+    const { nextPlacementAt } = await placed.json();
+    assert.ok(Math.abs(nextPlacementAt - (Date.now() + COOLDOWN_MS)) < 1000);
+
+    const res = await post('/pixels/batch', ALICE, { pixels: [pixel(2)] });
+    assert.strictEqual(res.status, 429);
+    const body = await res.json();
+    assert.strictEqual(body.code, 'COOLDOWN');
+    assert.strictEqual(body.nextPlacementAt, nextPlacementAt);
+
+    const status = await (await fetch(`${baseUrl}/pixels/cooldown`, { headers: { Authorization: `Bearer ${tokenFor(ALICE)}` } })).json();
+    assert.deepStrictEqual(status, { nextPlacementAt, cooldownMs: COOLDOWN_MS });
+  });
+
+  it('should tell sockets when they may place next', async () => {
+    const { send, next } = await open(CAROL);
+    send('pixel', pixel(4));
+    const cooldown = await next('cooldown');
+    assert.strictEqual(cooldown.cooldownMs, COOLDOWN_MS);
+    assert.ok(cooldown.nextPlacementAt > Date.now() + COOLDOWN_MS - 1000);
+
+    send('batch', { pixels: [pixel(5), pixel(6)] });
+    const error = await next('error');
+    assert.strictEqual(error.code, 'COOLDOWN');
+    assert.strictEqual(error.nextPlacementAt, cooldown.nextPlacementAt);
+    assert.ok(error.retryAfterMs > 0 && error.retryAfterMs <= COOLDOWN_MS);
+  });
+
+  it('should share one cooldown between REST and WebSocket placements', async () => {
+    assert.strictEqual((await post('/pixels', BOB, pixel(7))).status, 201);
+
+    const { send, next } = await open(BOB);
+    const cooldown = await next('cooldown');
+    assert.ok(cooldown.nextPlacementAt > Date.now(), 'Sent on connect while a cooldown runs');
+
+    send('pixel', pixel(8));
+    assert.strictEqual((await next('error')).code, 'COOLDOWN');
+  });
+
+  it('should keep cooldowns in Redis when it is enabled', async () => {
+    const redis = fakeRedis();
+    setRedisClient(redis);
+    try {
+      const user = { address: DAVE, isAuthorized: true };
+      assert.strictEqual((await claimPlacement(user)).ok, true);
+      assert.ok(redis.expiries.has(`cooldown:${DAVE}`));
+
+      clearCooldowns();
+      const again = await claimPlacement(user);
+      assert.strictEqual(again.ok, false, 'Another instance sees the same clock');
+      assert.ok(again.retryAfterMs > 0);
+
+      setRedisClient({ set: async () => { throw new Error('connection lost'); }, pttl: async () => { throw new Error('connection lost'); } });
+      assert.strictEqual((await claimPlacement(user)).ok, true, 'Falls back to this instance');
+      assert.strictEqual((await claimPlacement(user)).ok, false);
+    } finally {
+      setRedisClient(null);
+    }
+  });
+});
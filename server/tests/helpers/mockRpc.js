@@ -0,0 +1,54 @@
+/**
+ * Local JSON-RPC stand-in for tests
+ * `handler(method, params)` returns the result; throwing answers with a JSON-RPC error.
+ */
+
+import { createServer } from 'http';
+import { Interface } from 'ethers';
+
+const MULTICALL3 = '0xca11bde05977b3631167028862be2a173976ca11';
+const aggregator = new Interface(['function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)']);
+
+export async function startMockRpc(handler) {
+  const calls = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+      let reply;
+      try {
+        reply = { jsonrpc: '2.0', id, result: await handler(method, params) };
+      } catch (e) {
+        reply = { jsonrpc: '2.0', id, error: { code: e.code || -32000, message: e.message } };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Handler for startMockRpc that serves eth_call, unpacking Multicall3 batches.
+ * `contract(target, callData)` returns the call's returnData; throwing marks it as reverted.
+ */
+export function contractHandler(contract) {
+  return (method, [tx]) => {
+    if (method !== 'eth_call') throw new Error(`unexpected ${method}`);
+    if (tx.to.toLowerCase() !== MULTICALL3) return contract(tx.to.toLowerCase(), tx.data);
+
+    const [calls] = aggregator.decodeFunctionData('aggregate3', tx.data);
+    const results = calls.map(c => {
+      try { return [true, contract(c.target.toLowerCase(), c.callData)]; } catch { return [false, '0x']; }
+    });
+    return aggregator.encodeFunctionResult('aggregate3', [results]);
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Minimal PNG reading for tests - chunks (CRC-checked) and indexed still images
+ */
+
+import assert from 'node:assert';
+import { inflateSync } from 'zlib';
+import { crc32 } from '../../utils/crc32.js';
+
+export function pngChunks(buf) {
+  const chunks = [];
+  for (let p = 8; p < buf.length;) {
+    const length = buf.readUInt32BE(p);
+    const type = buf.toString('ascii', p + 4, p + 8);
+    assert.strictEqual(buf.readUInt32BE(p + 8 + length), crc32(buf.subarray(p + 4, p + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data: buf.subarray(p + 8, p + 8 + length) });
+    p += 12 + length;
+  }
+  return chunks;
+}
+
+// Still PNGs only: the first IDAT image, with at(x, y) -> [r, g, b]
+export function decodePng(buf) {
+  const chunks = pngChunks(buf);
+  const ihdr = chunks.find(c => c.type === 'IHDR').data;
+  const width = ihdr.readUInt32BE(0), height = ihdr.readUInt32BE(4);
+  const plte = chunks.find(c => c.type === 'PLTE').data;
+  const raw = inflateSync(Buffer.concat(chunks.filter(c => c.type === 'IDAT').map(c => c.data)));
+  const at = (x, y) => { const i = raw[y * (width + 1) + 1 + x]; return [...plte.subarray(i * 3, i * 3 + 3)]; };
+  return { width, height, at };
+}
@@ -0,0 +1,190 @@
+/**
+ * Image Import Tests
+ * Tests for decoding PNG/JPEG uploads, palette quantization and dithering, and the preview/apply flow
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { deflateSync } from 'zlib';
+import express from 'express';
+import jpeg from 'jpeg-js';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-image-import-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, databaseAPI } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import { decodeImage, quantize } from '../services/imageImport.js';
+import { crc32 } from '../utils/crc32.js';
+import canvasRoutes from '../routes/canvas.js';
+import { decodePng } from './helpers/png.js';
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const [RED, BLUE, BLACK, WHITE] = ['#ff0000', '#0000ff', '#000000', '#ffffff'];
+
+const tokenFor = (address) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false });
+
+// An 8-bit RGBA PNG of `pixels` ([r, g, b, a] rows)
+function rgbaPng(pixels) {
+  const chunk = (type, data) => {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'ascii');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+  };
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(pixels[0].length, 0);
+  ihdr.writeUInt32BE(pixels.length, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const raw = Buffer.concat(pixels.map(row => Buffer.from([0, ...row.flat()])));
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), chunk('IHDR', ihdr), chunk('IDAT', deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+describe('Image Quantization', () => {
+  const grey = (size) => ({ width: size, height: size, data: new Uint8Array(size * size * 4).map((_, i) => (i % 4 === 3 ? 255 : 128)) });
+
+  it('should map each pixel to the nearest palette colour, transparent ones to null', () => {
+    const image = decodeImage(rgbaPng([[[250, 10, 10, 255], [20, 20, 200, 255]], [[0, 0, 0, 0], [30, 30, 30, 255]]]));
+    assert.deepStrictEqual(quantize(image, config.canvas.palette), [RED, BLUE, null, BLACK]);
+  });
+
+  it('should dither with Floyd-Steinberg so flat midtones keep their average', () => {
+    const image = grey(16);
+    const flat = quantize(image, [BLACK, WHITE]);
+    assert.ok(flat.every(c => c === WHITE), 'Nearest colour turns 50% grey all white');
+
+    const dithered = quantize(image, [BLACK, WHITE], 'floyd-steinberg');
+    const whites = dithered.filter(c => c === WHITE).length;
+    assert.ok(Math.abs(whites - 128) <= 8, `About half white, got ${whites}/256`);
+    assert.notStrictEqual(dithered[0], dithered[1], 'Neighbours alternate');
+  });
+
+  it('should decode JPEGs and refuse other formats and oversized images', () => {
+    const data = Buffer.alloc(8 * 8 * 4);
+    for (let i = 0; i < 64; i++) data.set([255, 0, 0, 255], i * 4);
+    const image = decodeImage(jpeg.encode({ width: 8, height: 8, data }, 90).data);
+    assert.deepStrictEqual([image.width, image.height], [8, 8]);
+    assert.ok(quantize(image, config.canvas.palette).every(c => c === RED));
+
+    assert.throws(() => decodeImage(Buffer.from('GIF89a...')), { code: 'UNSUPPORTED_IMAGE' });
+    assert.throws(() => decodeImage(Buffer.concat([rgbaPng([[[0, 0, 0, 255]]]).subarray(0, 40), Buffer.alloc(4)])), { code: 'INVALID_IMAGE' });
+    const wide = [Array.from({ length: config.canvas.width + 1 }, () => [0, 0, 0, 255])];
+    assert.throws(() => decodeImage(rgbaPng(wide)), { code: 'IMAGE_TOO_LARGE' });
+  });
+});
+
+describe('Image Import', () => {
+  let saved;
+  let server;
+  let baseUrl;
+
+  const call = (method, path, { as = ADMIN, body, type = 'application/json' } = {}) => fetch(`${baseUrl}/canvas${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${tokenFor(as)}`, 'Content-Type': type },
+    body: body === undefined ? undefined : Buffer.isBuffer(body) ? body : JSON.stringify(body),
+  });
+  const upload = (png, query = '') => call('POST', `/import/image${query}`, { body: png, type: 'image/png' });
+
+  // 2x2: red, transparent / blue, white
+  const image = rgbaPng([[[255, 0, 0, 255], [0, 0, 0, 0]], [[0, 0, 255, 255], [255, 255, 255, 255]]]);
+
+  before(async () => {
+    await initDatabase();
+    saved = config.adminWallets;
+    config.adminWallets = [ADMIN];
+
+    const app = express();
+    app.use(express.json());
+    app.use('/canvas', canvasRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.adminWallets = saved;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should preview an import before anything changes, then apply it', async () => {
+    canvasService.placePixel(11, 10, '#00ff00', ARTIST);
+    const res = await upload(image, '?x=10&y=10&mode=overwrite');
+    assert.strictEqual(res.status, 201);
+    const pending = await res.json();
+    assert.deepStrictEqual([pending.x, pending.y, pending.width, pending.height, pending.mode, pending.dither], [10, 10, 2, 2, 'overwrite', 'none']);
+    assert.deepStrictEqual([pending.changes, pending.cleared], [4, 1], 'Overwrite clears under transparent pixels');
+    assert.strictEqual(databaseAPI.getPixel(10, 10), null, 'Nothing written yet');
+
+    const preview = await call('GET', pending.previewUrl.replace('/api/canvas', '') + '?scale=2');
+    assert.strictEqual(preview.headers.get('content-type'), 'image/png');
+    const png = decodePng(Buffer.from(await preview.arrayBuffer()));
+    assert.deepStrictEqual([png.width, png.height], [4, 4]);
+    assert.deepStrictEqual([png.at(0, 0), png.at(2, 0), png.at(0, 2)], [[255, 0, 0], [255, 255, 255], [0, 0, 255]]);
+
+    const applied = await (await call('POST', `/import/image/${pending.id}/apply`)).json();
+    assert.deepStrictEqual([applied.applied, applied.changes], [true, 4]);
+    assert.deepStrictEqual([10, 11].flatMap(y => [10, 11].map(x => databaseAPI.getPixel(x, y)?.color || null)), [RED, null, BLUE, WHITE]);
+
+    assert.strictEqual((await call('POST', `/import/image/${pending.id}/apply`)).status, 404, 'Applied imports are gone');
+  });
+
+  it('should merge by mode: fill-empty and skip-transparent', async () => {
+    canvasService.clearCanvas();
+    canvasService.placePixel(0, 0, BLACK, ARTIST);
+    canvasService.placePixel(1, 0, BLACK, ARTIST);
+
+    const fill = await (await upload(image, '?mode=fill-empty')).json();
+    assert.strictEqual(fill.changes, 2, 'Only the empty, opaque pixels');
+    await call('POST', `/import/image/${fill.id}/apply`);
+    assert.deepStrictEqual([[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => databaseAPI.getPixel(x, y)?.color || null), [BLACK, BLACK, BLUE, WHITE]);
+
+    const skip = await (await upload(image, '?mode=skip-transparent')).json();
+    await call('POST', `/import/image/${skip.id}/apply`);
+    assert.deepStrictEqual([[0, 0], [1, 0]].map(([x, y]) => databaseAPI.getPixel(x, y)?.color || null), [RED, BLACK], 'Transparent pixels leave the canvas alone');
+  });
+
+  it('should take base64 images in JSON, and discard pending imports', async () => {
+    const res = await call('POST', '/import/image', { body: { image: `data:image/png;base64,${image.toString('base64')}`, x: 5, dither: 'floyd-steinberg' } });
+    assert.strictEqual(res.status, 201);
+    const pending = await res.json();
+    assert.deepStrictEqual([pending.x, pending.dither], [5, 'floyd-steinberg']);
+
+    assert.strictEqual((await call('DELETE', `/import/image/${pending.id}`)).status, 200);
+    assert.strictEqual((await call('GET', `/import/image/${pending.id}`)).status, 404);
+  });
+
+  it('should reject bad uploads and non-admins', async () => {
+    assert.strictEqual((await (await upload(image, '?mode=replace')).json()).code, 'INVALID_REQUEST');
+    assert.strictEqual((await (await upload(image, `?x=${config.canvas.width - 1}`)).json()).code, 'INVALID_REGION');
+    assert.strictEqual((await (await call('POST', '/import/image', { body: {} })).json()).code, 'INVALID_IMAGE');
+    assert.strictEqual((await call('POST', '/import/image', { as: ARTIST, body: image, type: 'image/png' })).status, 403);
+  });
+
+  it('should check JSON imports against the palette', async () => {
+    const res = await call('POST', '/import', { body: { pixels: [{ x: 1, y: 1, color: '#123456' }] } });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'COLOR_NOT_IN_PALETTE');
+
+    const ok = await call('POST', '/import', { body: { pixels: [{ x: 1, y: 1, color: '#FF0000' }] } });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(databaseAPI.getPixel(1, 1).color, RED);
+  });
+});
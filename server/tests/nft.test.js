@@ -0,0 +1,458 @@
+/**
+ * NFT Verification Tests
+ * Tests for on-chain ERC-721 and ERC-1155 balance checks batched through Multicall3
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Interface } from 'ethers';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-nft-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { checkNFTAuthorization, getBalances, verifyOwnership, clearCache, validateContracts, DELEGATE_REGISTRY } from '../services/nft.js';
+import { authenticate, getUserProfile } from '../services/auth.js';
+import { MULTICALL3 } from '../services/rpc.js';
+import { startMockRpc, contractHandler } from './helpers/mockRpc.js';
+
+const PUNKS = '0x1000000000000000000000000000000000000001';
+const APES = '0x1000000000000000000000000000000000000002';
+const BASE_PASS = '0x2000000000000000000000000000000000000001';
+const BROKEN = '0x1000000000000000000000000000000000000003';
+const ITEMS = '0x1000000000000000000000000000000000000004';
+const GENESIS = '0x1000000000000000000000000000000000000005';
+const TOKEN = '0x1000000000000000000000000000000000000006';
+const HOLDER = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BASE_HOLDER = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const NOBODY = '0xcccccccccccccccccccccccccccccccccccccccc';
+const COLLECTOR = '0xdddddddddddddddddddddddddddddddddddddddd';
+const HOT = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const HOT_SCOPED = '0xffffffffffffffffffffffffffffffffffffffff';
+const HOT_LIMITED = '0x9999999999999999999999999999999999999999';
+const HOT_CONTRACT = '0x7000000000000000000000000000000000000001';
+const HOT_TOKEN = '0x7000000000000000000000000000000000000002';
+const HOT_OTHER_TOKEN = '0x7000000000000000000000000000000000000003';
+const HOT_APE = '0x7000000000000000000000000000000000000004';
+const HOT_AMOUNT = '0x7000000000000000000000000000000000000005';
+const HOT_AMOUNTS = '0x7000000000000000000000000000000000000006';
+const HOT_ITEM = '0x7000000000000000000000000000000000000007';
+const HOT_ITEMS = '0x7000000000000000000000000000000000000008';
+
+const erc721 = new Interface(['function balanceOf(address owner) view returns (uint256)', 'function ownerOf(uint256 tokenId) view returns (address)']);
+const erc20 = new Interface(['function balanceOf(address owner) view returns (uint256)', 'function decimals() view returns (uint8)']);
+const erc1155 = new Interface(['function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])']);
+
+// contract -> owner -> balance
+const ledger = {
+  [APES]: { [HOLDER]: 2n },
+  [BASE_PASS]: { [BASE_HOLDER]: 1n },
+};
+
+// ERC-1155: owner -> token id -> balance
+const items = {
+  [NOBODY]: { 2: 3n },
+  [BASE_HOLDER]: { 2: 5n },
+  [COLLECTOR]: { 1: 1n, 2: 4n },
+};
+
+// GENESIS: token id -> owner; other ids don't exist
+const genesis = { 3: HOLDER, 7: HOLDER, 12: COLLECTOR };
+
+// delegate.xyz v2: hot wallet -> incoming delegations as (type, to, from, rights, contract, tokenId, amount)
+const registry = new Interface(['function getIncomingDelegations(address to) view returns ((uint8 type_, address to, address from, bytes32 rights, address contract_, uint256 tokenId, uint256 amount)[] delegations)']);
+const NO_CONTRACT = '0x0000000000000000000000000000000000000000';
+const ALL_RIGHTS = `0x${'0'.repeat(64)}`;
+const delegations = {
+  [HOT]: [[1, HOT, HOLDER, ALL_RIGHTS, NO_CONTRACT, 0, 0]],
+  [HOT_SCOPED]: [[2, HOT_SCOPED, HOLDER, ALL_RIGHTS, PUNKS, 0, 0]],
+  [HOT_LIMITED]: [[1, HOT_LIMITED, HOLDER, `0x${'ab'.repeat(32)}`, NO_CONTRACT, 0, 0]],
+  [HOT_CONTRACT]: [[2, HOT_CONTRACT, HOLDER, ALL_RIGHTS, APES, 0, 0]],
+  [HOT_TOKEN]: [[3, HOT_TOKEN, HOLDER, ALL_RIGHTS, GENESIS, 7, 0]],
+  [HOT_OTHER_TOKEN]: [[3, HOT_OTHER_TOKEN, HOLDER, ALL_RIGHTS, GENESIS, 12, 0]],
+  [HOT_APE]: [[3, HOT_APE, HOLDER, ALL_RIGHTS, APES, 1, 0]],
+  [HOT_AMOUNT]: [[4, HOT_AMOUNT, HOLDER, ALL_RIGHTS, TOKEN, 0, 1000000]],
+  [HOT_AMOUNTS]: [[4, HOT_AMOUNTS, HOLDER, ALL_RIGHTS, TOKEN, 0, 1000000], [4, HOT_AMOUNTS, HOLDER, ALL_RIGHTS, TOKEN, 0, 2000000]],
+  [HOT_ITEM]: [[5, HOT_ITEM, BASE_HOLDER, ALL_RIGHTS, ITEMS, 2, 1], [5, HOT_ITEM, BASE_HOLDER, ALL_RIGHTS, ITEMS, 1, 10]],
+  [HOT_ITEMS]: [[5, HOT_ITEMS, BASE_HOLDER, ALL_RIGHTS, ITEMS, 2, 5]],
+};
+
+// TOKEN: six decimals, owner -> raw balance
+const tokenBalances = { [HOLDER]: 3000000n, [NOBODY]: 2000000n, [COLLECTOR]: 10000000n };
+
+function balanceOf(target, data) {
+  if (target === BROKEN) throw new Error('execution reverted');
+  if (target === DELEGATE_REGISTRY.toLowerCase()) {
+    const [to] = registry.decodeFunctionData('getIncomingDelegations', data);
+    return registry.encodeFunctionResult('getIncomingDelegations', [delegations[to.toLowerCase()] || []]);
+  }
+  if (target === TOKEN) {
+    const call = erc20.parseTransaction({ data });
+    if (call.name === 'decimals') return erc20.encodeFunctionResult('decimals', [6]);
+    return erc20.encodeFunctionResult('balanceOf', [tokenBalances[call.args[0].toLowerCase()] || 0n]);
+  }
+  if (target === GENESIS) {
+    const [id] = erc721.decodeFunctionData('ownerOf', data);
+    if (!genesis[id]) throw new Error('execution reverted');
+    return erc721.encodeFunctionResult('ownerOf', [genesis[id]]);
+  }
+  if (target === ITEMS) {
+    const [accounts, ids] = erc1155.decodeFunctionData('balanceOfBatch', data);
+    return erc1155.encodeFunctionResult('balanceOfBatch', [accounts.map((a, i) => items[a.toLowerCase()]?.[ids[i]] || 0n)]);
+  }
+  if (!ledger[target] && target !== PUNKS) return '0x';
+  const [owner] = erc721.decodeFunctionData('balanceOf', data);
+  return erc721.encodeFunctionResult('balanceOf', [ledger[target]?.[owner.toLowerCase()] || 0n]);
+}
+
+describe('NFT Verification', () => {
+  let mainnet;
+  let base;
+  let saved;
+  let failing;
+
+  before(async () => {
+    const handler = contractHandler(balanceOf);
+    mainnet = await startMockRpc((method, params) => {
+      if (failing) throw new Error('header not found');
+      return handler(method, params);
+    });
+    base = await startMockRpc(handler);
+    await initDatabase();
+
+    saved = { enabled: config.nft.enabled, rpcUrls: config.nft.rpcUrls, erc721: config.nft.contracts.erc721 };
+    config.nft.enabled = true;
+    config.nft.rpcUrls = { 1: mainnet.url, 8453: base.url };
+    config.nft.contracts.erc721 = [
+      { address: PUNKS, chainId: 1 },
+      { address: BROKEN, chainId: 1 },
+      { address: APES, chainId: 1 },
+      { address: BASE_PASS, chainId: 8453 },
+    ];
+  });
+
+  after(async () => {
+    config.nft.enabled = saved.enabled;
+    config.nft.rpcUrls = saved.rpcUrls;
+    config.nft.contracts.erc721 = saved.erc721;
+    await mainnet.close();
+    await base.close();
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearCache();
+    failing = false;
+    mainnet.calls.length = 0;
+    base.calls.length = 0;
+  });
+
+  it('should batch every contract on a chain into one Multicall3 eth_call', async () => {
+    assert.strictEqual(await checkNFTAuthorization(HOLDER, 1), true);
+
+    assert.strictEqual(mainnet.calls.length, 1);
+    assert.strictEqual(mainnet.calls[0].method, 'eth_call');
+    assert.strictEqual(mainnet.calls[0].params[0].to.toLowerCase(), MULTICALL3.toLowerCase());
+    assert.strictEqual(base.calls.length, 1);
+  });
+
+  it('should authorize holders on any configured chain', async () => {
+    assert.strictEqual(await checkNFTAuthorization(BASE_HOLDER, 1), true);
+    assert.strictEqual(await checkNFTAuthorization(NOBODY, 1), false);
+  });
+
+  it('should treat reverted calls as zero without failing the batch', async () => {
+    assert.deepStrictEqual(await getBalances(HOLDER, [{ address: PUNKS }, { address: BROKEN }, { address: APES }], 1), [0n, 0n, 2n]);
+  });
+
+  it('should deny rather than throw when a chain RPC fails', async () => {
+    failing = true;
+    assert.strictEqual(await getBalances(HOLDER, [{ address: APES }], 1), null);
+    assert.strictEqual(await checkNFTAuthorization(HOLDER, 1), false);
+    assert.strictEqual(await checkNFTAuthorization(BASE_HOLDER, 1), true, 'Other chains still count');
+  });
+
+  it('should skip chains without an RPC URL', async () => {
+    assert.strictEqual(await getBalances(HOLDER, [{ address: APES }], 137), null);
+  });
+
+  it('should allow everyone when gating is off or no contracts are configured', async () => {
+    const contracts = config.nft.contracts.erc721;
+    config.nft.contracts.erc721 = [];
+    assert.strictEqual(await checkNFTAuthorization(NOBODY, 1), true);
+    config.nft.contracts.erc721 = contracts;
+
+    config.nft.enabled = false;
+    assert.strictEqual(await checkNFTAuthorization(NOBODY, 1), true);
+    config.nft.enabled = true;
+  });
+
+  describe('ERC-1155', () => {
+    before(() => {
+      config.nft.contracts.erc1155 = [{ address: ITEMS, name: 'Badges', chainId: 1, tokenIds: [{ id: 2, minBalance: 5 }, 1] }];
+    });
+
+    after(() => {
+      config.nft.contracts.erc1155 = [];
+    });
+
+    it('should enforce per-token minimum balances', async () => {
+      const { authorized, match, holdings } = await verifyOwnership(NOBODY);
+      assert.strictEqual(authorized, false, 'Three of token 2 is below its minimum');
+      assert.strictEqual(match, null);
+      assert.deepStrictEqual(holdings, [{ contract: ITEMS, chainId: 1, count: 3 }]);
+      assert.strictEqual(mainnet.calls.length, 1, 'ERC-721 and ERC-1155 checks share the chain batch');
+    });
+
+    it('should report which token satisfied the gate', async () => {
+      const { match } = await verifyOwnership(BASE_HOLDER);
+      assert.deepStrictEqual(match, { standard: 'erc1155', contract: ITEMS, name: 'Badges', chainId: 1, tokenId: '2', balance: '5' });
+      assert.strictEqual((await verifyOwnership(COLLECTOR)).match.tokenId, '1', 'Token 1 uses the default minimum of one');
+    });
+
+    it('should keep two rules on the same contract apart in the cache', async () => {
+      const badges = config.nft.contracts.erc1155;
+      config.nft.contracts.erc1155 = [
+        { address: ITEMS, name: 'Gold', chainId: 1, tokenIds: [{ id: 2, minBalance: 5 }] },
+        { address: ITEMS, name: 'Silver', chainId: 1, tokenIds: [1] },
+      ];
+      try {
+        for (let i = 0; i < 2; i++) {
+          const { authorized, match } = await verifyOwnership(BASE_HOLDER);
+          assert.strictEqual(authorized, true, i ? 'From the cache' : 'From the chain');
+          assert.deepStrictEqual([match.name, match.tokenId], ['Gold', '2']);
+        }
+        assert.strictEqual(mainnet.calls.length, 1, 'The second check was served from the cache');
+      } finally {
+        config.nft.contracts.erc1155 = badges;
+      }
+    });
+
+    it('should include the satisfying contract in auth and profile responses', async () => {
+      const result = await authenticate(HOLDER, 1);
+      assert.strictEqual(result.isAuthorized, true);
+      assert.deepStrictEqual(result.ownership, { standard: 'erc721', contract: APES, name: null, chainId: 1, balance: '2' });
+
+      const profile = await getUserProfile(HOLDER.toLowerCase());
+      assert.strictEqual(profile.ownership.contract, APES);
+      assert.strictEqual((await getUserProfile(NOBODY)).ownership, null);
+    });
+  });
+
+  describe('Delegation', () => {
+    before(() => {
+      config.nft.delegation = true;
+    });
+
+    after(() => {
+      config.nft.delegation = false;
+    });
+
+    it('should pass a hot wallet through a vault that delegated everything', async () => {
+      const { authorized, match, holdings } = await verifyOwnership(HOT);
+      assert.strictEqual(authorized, true);
+      assert.strictEqual(match.contract, APES);
+      assert.strictEqual(match.vault, HOLDER);
+      assert.deepStrictEqual(holdings, [{ contract: APES, chainId: 1, count: 2 }]);
+    });
+
+    it('should only count the contracts a delegation names', async () => {
+      assert.strictEqual(await checkNFTAuthorization(HOT_SCOPED, 1), false, 'Delegated for PUNKS, which the vault does not hold');
+    });
+
+    it('should count a contract delegation for the whole contract', async () => {
+      const { authorized, match } = await verifyOwnership(HOT_CONTRACT);
+      assert.strictEqual(authorized, true);
+      assert.strictEqual(match.contract, APES);
+      assert.strictEqual(match.vault, HOLDER);
+    });
+
+    it('should only count the token an ERC-721 delegation names', async () => {
+      const contracts = { erc721: [{ address: GENESIS, chainId: 1 }] };
+      const { authorized, match } = await verifyOwnership(HOT_TOKEN, { contracts });
+      assert.strictEqual(authorized, true);
+      assert.deepStrictEqual(match.tokenIds, ['7']);
+      assert.strictEqual(match.vault, HOLDER);
+
+      assert.strictEqual((await verifyOwnership(HOT_OTHER_TOKEN, { contracts })).authorized, false, 'Token 12 is not the vault\'s');
+      assert.strictEqual((await verifyOwnership(HOT_TOKEN, { contracts: { erc721: [{ address: GENESIS, chainId: 1, minBalance: 2 }] } })).authorized, false, 'The vault\'s token 3 was not delegated');
+      assert.strictEqual((await verifyOwnership(HOT_TOKEN, { contracts: { erc721: [{ address: GENESIS, chainId: 1, tokenIds: [3, 12] }] } })).authorized, false, 'Token 7 is not allowed');
+      assert.strictEqual(await checkNFTAuthorization(HOT_APE, 1), false, 'One APES token does not lend the vault\'s balance');
+    });
+
+    it('should cap an ERC-20 delegation at its amount', async () => {
+      const contracts = { erc20: [{ address: TOKEN, chainId: 1, minBalance: '2.5' }] };
+      assert.strictEqual((await verifyOwnership(HOT_AMOUNT, { contracts })).authorized, false, 'The vault holds 3 but lent 1');
+
+      const { authorized, match } = await verifyOwnership(HOT_AMOUNTS, { contracts });
+      assert.strictEqual(authorized, true);
+      assert.strictEqual(match.vault, HOLDER);
+    });
+
+    it('should cap an ERC-1155 delegation at its token and amount', async () => {
+      const contracts = { erc1155: [{ address: ITEMS, chainId: 1, tokenIds: [{ id: 2, minBalance: 5 }] }] };
+      assert.strictEqual((await verifyOwnership(HOT_ITEM, { contracts })).authorized, false, 'The vault holds 5 of token 2 but lent 1');
+
+      const { authorized, match } = await verifyOwnership(HOT_ITEMS, { contracts });
+      assert.strictEqual(authorized, true);
+      assert.strictEqual(match.tokenId, '2');
+      assert.strictEqual(match.vault, BASE_HOLDER);
+    });
+
+    it('should ignore delegations limited to specific rights', async () => {
+      assert.strictEqual(await checkNFTAuthorization(HOT_LIMITED, 1), false);
+    });
+
+    it('should not read the registry for wallets that pass on their own or when disabled', async () => {
+      assert.strictEqual((await verifyOwnership(HOLDER)).match.vault, undefined);
+      assert.strictEqual(mainnet.calls.length, 1);
+
+      config.nft.delegation = false;
+      assert.strictEqual(await checkNFTAuthorization(HOT, 1), false);
+      config.nft.delegation = true;
+    });
+
+    it('should show the vault on the profile', async () => {
+      const profile = await getUserProfile(HOT);
+      assert.strictEqual(profile.vault, HOLDER);
+      assert.strictEqual(profile.ownership.vault, HOLDER);
+    });
+  });
+
+  describe('ERC-20 rules', () => {
+    let contracts;
+
+    before(() => {
+      contracts = config.nft.contracts.erc721;
+      config.nft.contracts.erc721 = [{ address: APES, chainId: 1 }];
+      config.nft.contracts.erc20 = [{ address: TOKEN, name: 'REMI', chainId: 1, minBalance: '2.5' }];
+    });
+
+    after(() => {
+      config.nft.contracts.erc721 = contracts;
+      config.nft.contracts.erc20 = [];
+      config.nft.mode = 'any';
+    });
+
+    it('should compare balances in whole tokens using the contract decimals', async () => {
+      config.nft.contracts.erc721 = [];
+      const { authorized, match, holdings } = await verifyOwnership(HOLDER);
+      assert.strictEqual(authorized, true);
+      assert.deepStrictEqual(match, { standard: 'erc20', contract: TOKEN, name: 'REMI', chainId: 1, balance: '3000000', formatted: '3.0' });
+      assert.deepStrictEqual(holdings, [], 'Tokens are not NFT holdings');
+      assert.strictEqual(await checkNFTAuthorization(NOBODY, 1), false, '2.0 is below 2.5');
+
+      config.nft.contracts.erc20 = [{ address: TOKEN, chainId: 1, minBalance: 2, decimals: 6 }];
+      assert.strictEqual(await checkNFTAuthorization(NOBODY, 1), true, 'Configured decimals skip the lookup');
+      config.nft.contracts.erc20 = [{ address: TOKEN, name: 'REMI', chainId: 1, minBalance: '2.5' }];
+      config.nft.contracts.erc721 = [{ address: APES, chainId: 1 }];
+    });
+
+    it('should accept either rule in any mode', async () => {
+      assert.strictEqual(await checkNFTAuthorization(HOLDER, 1), true);
+      assert.strictEqual(await checkNFTAuthorization(COLLECTOR, 1), true, 'Tokens alone');
+    });
+
+    it('should require the NFT and the tokens in all mode', async () => {
+      config.nft.mode = 'all';
+      assert.strictEqual(await checkNFTAuthorization(HOLDER, 1), true);
+      assert.strictEqual(await checkNFTAuthorization(COLLECTOR, 1), false, 'No NFT');
+
+      config.nft.contracts.erc20 = [{ address: TOKEN, chainId: 1, minBalance: '2.5', group: 'nft' }];
+      assert.strictEqual(await checkNFTAuthorization(COLLECTOR, 1), true, 'Rules sharing a group are any-of');
+      config.nft.contracts.erc20 = [{ address: TOKEN, name: 'REMI', chainId: 1, minBalance: '2.5' }];
+      config.nft.mode = 'any';
+    });
+  });
+
+  describe('Token allowlists', () => {
+    let contracts;
+    const gate = (rule) => { config.nft.contracts.erc721 = [{ address: GENESIS, chainId: 1, ...rule }]; };
+
+    before(() => {
+      contracts = config.nft.contracts.erc721;
+      writeFileSync(join(testDir, 'genesis.json'), JSON.stringify({
+        3: { attributes: [{ trait_type: 'Edition', value: 'Genesis' }] },
+        7: { attributes: [{ trait_type: 'Edition', value: 'Standard' }] },
+        12: { attributes: [{ trait_type: 'Edition', value: 'genesis' }, { trait_type: 'Background', value: 'Gold' }] },
+      }));
+    });
+
+    after(() => {
+      config.nft.contracts.erc721 = contracts;
+    });
+
+    it('should check ownerOf for each ID in the ranges and lists', async () => {
+      gate({ tokenRanges: [[1, 10]] });
+      const { match, holdings } = await verifyOwnership(HOLDER);
+      assert.deepStrictEqual(match.tokenIds, ['3', '7']);
+      assert.strictEqual(match.balance, '2');
+      assert.deepStrictEqual(holdings, [{ contract: GENESIS, chainId: 1, count: 2 }]);
+      assert.strictEqual(await checkNFTAuthorization(COLLECTOR, 1), false, 'Token 12 is outside the range');
+
+      gate({ tokenIds: [12], tokenRanges: [[1, 2]] });
+      assert.deepStrictEqual((await verifyOwnership(COLLECTOR)).match.tokenIds, ['12']);
+    });
+
+    it('should gate on a trait cohort from the metadata file', async () => {
+      gate({ metadata: join(testDir, 'genesis.json'), traits: { Edition: 'Genesis' } });
+      assert.deepStrictEqual((await verifyOwnership(HOLDER)).match.tokenIds, ['3']);
+      assert.deepStrictEqual((await verifyOwnership(COLLECTOR)).match.tokenIds, ['12']);
+
+      gate({ metadata: join(testDir, 'genesis.json'), traits: { Edition: 'Genesis', Background: ['Gold', 'Silver'] }, tokenRanges: [[1, 10]] });
+      assert.strictEqual(await checkNFTAuthorization(COLLECTOR, 1), false, 'Traits narrow the listed IDs');
+    });
+
+    it('should not throw for a trait rule without a metadata file', async () => {
+      gate({ traits: { Edition: 'Genesis' } });
+      assert.strictEqual((await verifyOwnership(HOLDER)).status, 'not_holder');
+    });
+
+    it('should drop malformed rules when the config loads', () => {
+      const valid = { address: GENESIS, tokenIds: [3, '12'], tokenRanges: [[1, 10]] };
+      const contracts = validateContracts({
+        erc721: [valid, { address: GENESIS, traits: { Edition: 'Genesis' } }, { address: GENESIS, tokenIds: ['#3'] }, { address: GENESIS, tokenRanges: [[10, 1]] }, { address: GENESIS, tokenRanges: [5] }],
+        erc1155: [{ address: ITEMS, tokenIds: [{ id: 2, minBalance: 5 }] }, { address: ITEMS, tokenIds: [{ id: -1 }] }],
+        erc20: [{ address: TOKEN, minBalance: '2.5' }],
+      });
+      assert.deepStrictEqual(contracts.erc721, [valid]);
+      assert.strictEqual(contracts.erc1155.length, 1);
+      assert.strictEqual(contracts.erc20.length, 1);
+    });
+
+    it('should require minBalance allowlisted tokens', async () => {
+      gate({ tokenRanges: [[1, 10]], minBalance: 3 });
+      const { authorized, holdings } = await verifyOwnership(HOLDER);
+      assert.strictEqual(authorized, false);
+      assert.strictEqual(holdings[0].count, 2);
+    });
+
+    it('should cache ownerOf per token across wallets', async () => {
+      gate({ tokenIds: [3, 12] });
+      await verifyOwnership(HOLDER);
+      await verifyOwnership(COLLECTOR);
+      assert.strictEqual(mainnet.calls.length, 1);
+    });
+
+    it('should split large allowlists across Multicall3 batches', async () => {
+      gate({ tokenRanges: [[1, 600]] });
+      assert.deepStrictEqual((await verifyOwnership(COLLECTOR)).match.tokenIds, ['12']);
+      assert.strictEqual(mainnet.calls.length, 2);
+    });
+
+    it('should ignore allowlists over the size limit', async () => {
+      gate({ tokenRanges: [[0, 20000]] });
+      assert.strictEqual(await checkNFTAuthorization(HOLDER, 1), false);
+      assert.strictEqual(mainnet.calls.length, 0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Ownership Tests
+ * Tests for the ownership cache, background re-verification and de-authorization
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Interface } from 'ethers';
+import WebSocket from 'ws';
+import jwt from 'jsonwebtoken';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-ownership-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { verifyOwnership, clearCache } from '../services/nft.js';
+import { checkOwnership, reverifyActive, markActive, isEligible } from '../services/ownership.js';
+import { canPlace, grantRole } from '../services/roles.js';
+import { initWebSocket } from '../websocket/index.js';
+import { startMockRpc, contractHandler } from './helpers/mockRpc.js';
+
+const PASS = '0x3000000000000000000000000000000000000001';
+const SELLER = '0x4444444444444444444444444444444444444444';
+const KEEPER = '0x5555555555555555555555555555555555555555';
+const ARTIST = '0x6666666666666666666666666666666666666666';
+
+const erc721 = new Interface(['function balanceOf(address owner) view returns (uint256)']);
+const holders = new Set();
+
+describe('Ownership Re-verification', () => {
+  let rpc;
+  let failing;
+  let saved;
+  let server;
+  let wss;
+  let url;
+
+  before(async () => {
+    const handler = contractHandler((target, data) => {
+      const [owner] = erc721.decodeFunctionData('balanceOf', data);
+      return erc721.encodeFunctionResult('balanceOf', [holders.has(owner.toLowerCase()) ? 1n : 0n]);
+    });
+    rpc = await startMockRpc((method, params) => {
+      if (failing) throw new Error('header not found');
+      return handler(method, params);
+    });
+
+    saved = { ...config.nft, contracts: { ...config.nft.contracts } };
+    Object.assign(config.nft, { enabled: true, rpcUrls: { 1: rpc.url }, cacheTtlMs: 60000, activeWindowMs: 60000 });
+    config.nft.contracts.erc721 = [{ address: PASS, chainId: 1 }];
+    config.nft.contracts.erc1155 = [];
+
+    await initDatabase();
+    server = createServer();
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  after(async () => {
+    Object.assign(config.nft, saved);
+    wss.clients.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    await rpc.close();
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    failing = false;
+    rpc.calls.length = 0;
+  });
+
+  it('should serve repeat checks from the cache until the TTL lapses', async () => {
+    holders.add(KEEPER);
+    assert.strictEqual((await verifyOwnership(KEEPER)).authorized, true);
+    assert.strictEqual((await verifyOwnership(KEEPER)).authorized, true);
+    assert.strictEqual(rpc.calls.length, 1);
+
+    config.nft.cacheTtlMs = 20;
+    await verifyOwnership(KEEPER, { fresh: true });
+    config.nft.cacheTtlMs = 60000;
+    assert.strictEqual(rpc.calls.length, 2);
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    await verifyOwnership(KEEPER);
+    assert.strictEqual(rpc.calls.length, 3);
+  });
+
+  it('should de-authorize a wallet that sold its NFT and tell its sockets', async () => {
+    holders.add(SELLER);
+    assert.strictEqual((await checkOwnership(SELLER)).authorized, true);
+
+    const token = jwt.sign({ address: SELLER, chainId: 1, isAuthorized: true, isAdmin: false, sid: 'seller' }, config.jwt.secret, { expiresIn: '15m' });
+    const ws = new WebSocket(`${url}?token=${token}`);
+    const messages = [];
+    ws.on('message', (raw) => messages.push(JSON.parse(raw.toString())));
+    await new Promise((resolve) => ws.once('message', resolve));
+
+    holders.delete(SELLER);
+    clearCache();
+    await reverifyActive();
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(messages.find(m => m.type === 'deauthorized')?.data.code, 'DEAUTHORIZED');
+    assert.strictEqual(canPlace({ address: SELLER, isAuthorized: true }), false, 'The token claim no longer counts');
+
+    ws.send(JSON.stringify({ type: 'pixel', data: { x: 1, y: 1, color: '#ff0000' } }));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(messages.find(m => m.type === 'error')?.data.code, 'DEAUTHORIZED');
+    ws.close();
+  });
+
+  it('should keep the last status when the RPC is down', async () => {
+    holders.add(KEEPER);
+    await checkOwnership(KEEPER);
+
+    failing = true;
+    clearCache();
+    await reverifyActive();
+    assert.strictEqual(isEligible(KEEPER, false), true);
+  });
+
+  it('should still let roles draw after losing the NFT', async () => {
+    holders.add(ARTIST);
+    await checkOwnership(ARTIST);
+    grantRole(ARTIST, 'trusted_artist');
+
+    holders.delete(ARTIST);
+    clearCache();
+    await reverifyActive();
+    assert.strictEqual(isEligible(ARTIST, true), false);
+    assert.strictEqual(canPlace({ address: ARTIST, isAuthorized: true }), true);
+  });
+
+  it('should forget wallets once they go quiet', async () => {
+    const quiet = '0x7777777777777777777777777777777777777777';
+    markActive(quiet);
+    await reverifyActive();
+    assert.strictEqual(isEligible(quiet, 'unknown'), false);
+
+    config.nft.activeWindowMs = -1;
+    await reverifyActive();
+    config.nft.activeWindowMs = 60000;
+    assert.strictEqual(isEligible(quiet, 'unknown'), 'unknown');
+  });
+});
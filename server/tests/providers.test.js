@@ -0,0 +1,227 @@
+/**
+ * Verification Provider Tests
+ * Tests for provider fallback, timeouts, circuit breakers, snapshots and the fail policy
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { Interface, getAddress } from 'ethers';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-providers-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { verifyOwnership, clearCache } from '../services/nft.js';
+import { breakerState, resetBreakers } from '../services/providers.js';
+import { getMetricsJSON, getPrometheusMetrics } from '../services/metrics.js';
+import { startMockRpc, contractHandler } from './helpers/mockRpc.js';
+
+const APES = '0x1000000000000000000000000000000000000002';
+const GENESIS = '0x1000000000000000000000000000000000000005';
+const UNLISTED = '0x1000000000000000000000000000000000000007';
+const HOLDER = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const NOBODY = '0xcccccccccccccccccccccccccccccccccccccccc';
+
+const erc721 = new Interface(['function balanceOf(address owner) view returns (uint256)']);
+
+// The chain says HOLDER has two APES; the snapshot, taken earlier, says one
+const snapshot = {
+  1: {
+    [APES]: { balances: { [getAddress(HOLDER)]: 1 } },
+    [GENESIS]: { owners: { 3: HOLDER } },
+  },
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Verification Providers', () => {
+  let rpc;
+  let saved;
+  let failing;
+  let delayMs;
+
+  before(async () => {
+    const handler = contractHandler((target, data) => {
+      const [owner] = erc721.decodeFunctionData('balanceOf', data);
+      return erc721.encodeFunctionResult('balanceOf', [target === APES && owner.toLowerCase() === HOLDER ? 2n : 0n]);
+    });
+    rpc = await startMockRpc(async (method, params) => {
+      if (delayMs) await sleep(delayMs);
+      if (failing) throw new Error('header not found');
+      return handler(method, params);
+    });
+    await initDatabase();
+
+    const snapshotFile = join(testDir, 'snapshot.json');
+    writeFileSync(snapshotFile, JSON.stringify(snapshot));
+
+    saved = { enabled: config.nft.enabled, rpcUrls: config.nft.rpcUrls, erc721: config.nft.contracts.erc721, providers: config.nft.providers, failPolicy: config.nft.failPolicy };
+    config.nft.enabled = true;
+    config.nft.rpcUrls = { 1: rpc.url };
+    config.nft.contracts.erc721 = [{ address: APES, chainId: 1 }];
+    config.nft.providers = { order: ['rpc', 'snapshot'], alchemyApiKey: null, snapshotFile, timeoutMs: 1000, breakerThreshold: 2, breakerResetMs: 50 };
+  });
+
+  after(async () => {
+    Object.assign(config.nft, { enabled: saved.enabled, rpcUrls: saved.rpcUrls, providers: saved.providers, failPolicy: saved.failPolicy });
+    config.nft.contracts.erc721 = saved.erc721;
+    await rpc.close();
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearCache();
+    resetBreakers();
+    failing = false;
+    delayMs = 0;
+    rpc.calls.length = 0;
+    config.nft.providers.order = ['rpc', 'snapshot'];
+    config.nft.failPolicy = 'closed';
+  });
+
+  it('should answer from the first provider that works, in order', async () => {
+    const live = await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(live.status, 'holder');
+    assert.deepStrictEqual(live.holdings, [{ contract: APES, chainId: 1, count: 2 }]);
+
+    failing = true;
+    const fallback = await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(fallback.status, 'holder');
+    assert.deepStrictEqual(fallback.holdings, [{ contract: APES, chainId: 1, count: 1 }], 'Answered by the snapshot');
+  });
+
+  it('should fall back when a provider times out', async () => {
+    config.nft.providers.timeoutMs = 50;
+    delayMs = 200;
+    try {
+      const before = getMetricsJSON().nftProviders.providers.rpc?.requests.timeout || 0;
+      const { status, holdings } = await verifyOwnership(HOLDER, { fresh: true });
+      assert.strictEqual(status, 'holder');
+      assert.strictEqual(holdings[0].count, 1);
+      assert.strictEqual(getMetricsJSON().nftProviders.providers.rpc.requests.timeout, before + 1);
+    } finally {
+      config.nft.providers.timeoutMs = 1000;
+    }
+  });
+
+  it('should open a circuit after repeated failures and probe again after the reset', async () => {
+    failing = true;
+    await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(breakerState('rpc', 1), 'closed');
+    await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(breakerState('rpc', 1), 'open');
+    assert.strictEqual(rpc.calls.length, 2);
+
+    const { status } = await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(status, 'holder');
+    assert.strictEqual(rpc.calls.length, 2, 'An open circuit skips the provider');
+    assert.deepStrictEqual(getMetricsJSON().nftProviders.providers.rpc.openCircuits, [1]);
+
+    failing = false;
+    await sleep(60);
+    assert.strictEqual(breakerState('rpc', 1), 'half-open');
+    const { holdings } = await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(holdings[0].count, 2, 'The probe went to the chain');
+    assert.strictEqual(breakerState('rpc', 1), 'closed');
+    assert.deepStrictEqual(getMetricsJSON().nftProviders.providers.rpc.openCircuits, []);
+  });
+
+  it('should tell an unavailable check from a wallet that holds nothing', async () => {
+    config.nft.providers.order = ['rpc'];
+    assert.deepStrictEqual(await verifyOwnership(NOBODY, { fresh: true }), { authorized: false, status: 'not_holder', match: null, holdings: [], inconclusive: false });
+
+    failing = true;
+    const before = getMetricsJSON().nftProviders.unavailableTotal;
+    const result = await verifyOwnership(HOLDER, { fresh: true });
+    assert.strictEqual(result.status, 'unavailable');
+    assert.strictEqual(result.authorized, false, 'Fails closed by default');
+    assert.strictEqual(result.inconclusive, true);
+    assert.strictEqual(getMetricsJSON().nftProviders.unavailableTotal, before + 1);
+  });
+
+  it('should let wallets through while unavailable when failing open', async () => {
+    config.nft.providers.order = ['rpc'];
+    config.nft.failPolicy = 'open';
+    failing = true;
+    const result = await verifyOwnership(NOBODY, { fresh: true });
+    assert.strictEqual(result.status, 'unavailable');
+    assert.strictEqual(result.authorized, true);
+    assert.strictEqual(result.inconclusive, true, 'Not recorded as a conclusive result');
+
+    failing = false;
+    assert.strictEqual((await verifyOwnership(NOBODY, { fresh: true })).authorized, false, 'Conclusive answers still apply');
+  });
+
+  it('should serve ownerOf from a snapshot and refuse contracts it does not cover', async () => {
+    config.nft.providers.order = ['snapshot'];
+    const contracts = config.nft.contracts.erc721;
+    config.nft.contracts.erc721 = [{ address: GENESIS, chainId: 1, tokenIds: [3, 4] }];
+    try {
+      const { status, match } = await verifyOwnership(HOLDER, { fresh: true });
+      assert.strictEqual(status, 'holder');
+      assert.deepStrictEqual(match.tokenIds, ['3']);
+      assert.strictEqual((await verifyOwnership(NOBODY, { fresh: true })).status, 'not_holder');
+
+      config.nft.contracts.erc721 = [{ address: UNLISTED, chainId: 1 }];
+      assert.strictEqual((await verifyOwnership(HOLDER, { fresh: true })).status, 'unavailable');
+      assert.strictEqual(rpc.calls.length, 0);
+    } finally {
+      config.nft.contracts.erc721 = contracts;
+    }
+  });
+
+  it('should give a batch of several chunks a timeout per chunk', async () => {
+    config.nft.providers.order = ['rpc'];
+    delayMs = 500;
+    const contracts = { erc721: [{ address: GENESIS, chainId: 1, tokenRanges: [[1, 1200]] }] };
+    const { status } = await verifyOwnership(HOLDER, { fresh: true, contracts });
+    assert.strictEqual(status, 'not_holder', 'Three chunks of 500ms fit in three timeouts of 1000ms');
+    assert.strictEqual(rpc.calls.length, 3);
+  });
+
+  it('should not open a circuit for failing batches of several chunks', async () => {
+    config.nft.providers.order = ['rpc'];
+    failing = true;
+    const contracts = { erc721: [{ address: GENESIS, chainId: 1, tokenRanges: [[1, 1200]] }] };
+    for (let i = 0; i < 3; i++) assert.strictEqual((await verifyOwnership(HOLDER, { fresh: true, contracts })).status, 'unavailable');
+    assert.strictEqual(breakerState('rpc', 1), 'closed');
+  });
+
+  it('should not count calls a snapshot has no data for as failures', async () => {
+    config.nft.providers.order = ['snapshot'];
+    const contracts = { erc721: [{ address: UNLISTED, chainId: 1 }] };
+    for (let i = 0; i < 3; i++) assert.strictEqual((await verifyOwnership(HOLDER, { fresh: true, contracts })).status, 'unavailable');
+    assert.strictEqual(breakerState('snapshot', 1), 'closed');
+    assert.ok(getMetricsJSON().nftProviders.providers.snapshot.requests.unsupported >= 3);
+  });
+
+  it('should read no delegations from a snapshot instead of failing the check', async () => {
+    config.nft.providers.order = ['snapshot'];
+    config.nft.delegation = true;
+    try {
+      const result = await verifyOwnership(NOBODY, { fresh: true, contracts: { erc721: [{ address: GENESIS, chainId: 1, tokenIds: [3] }] } });
+      assert.strictEqual(result.status, 'not_holder');
+      assert.strictEqual(result.inconclusive, false);
+      assert.strictEqual(breakerState('snapshot', 1), 'closed');
+    } finally {
+      config.nft.delegation = false;
+    }
+  });
+
+  it('should export per-provider latency and outcome series', async () => {
+    await verifyOwnership(HOLDER, { fresh: true });
+    const text = getPrometheusMetrics();
+    assert.match(text, /nft_provider_requests_total\{provider="rpc",chain="1",outcome="success"\} \d+/);
+    assert.match(text, /nft_provider_latency_seconds_count\{provider="rpc",chain="1"\} \d+/);
+    assert.match(text, /nft_verification_unavailable_total \d+/);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Role Tests
+ * Tests for persistent roles, permission checks and live lookups
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-roles-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { generateToken, authenticateToken, requirePermission, requireAuthorization } from '../middleware/auth.js';
+import { getRoles, getPermissions, hasPermission, canPlace, grantRole, revokeRole, listRoles } from '../services/roles.js';
+
+const ENV_ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const MOD = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const ARTIST = '0xcccccccccccccccccccccccccccccccccccccccc';
+const USER = '0xdddddddddddddddddddddddddddddddddddddddd';
+
+// Run the middleware chain for `token` and report whether it reached the handler
+function run(token, ...middleware) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+  };
+  let passed = true;
+  for (const mw of middleware) {
+    let nextCalled = false;
+    mw(req, res, () => { nextCalled = true; });
+    if (!nextCalled) { passed = false; break; }
+  }
+  return { req, res, passed };
+}
+
+const tokenFor = (address, claims = {}) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false, ...claims });
+
+describe('Roles', () => {
+  let adminWallets;
+
+  before(async () => {
+    await initDatabase();
+    adminWallets = config.adminWallets;
+    config.adminWallets = [ENV_ADMIN];
+  });
+
+  after(() => {
+    config.adminWallets = adminWallets;
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should treat ADMIN_WALLETS as admins with every permission', () => {
+    assert.deepStrictEqual(getRoles(ENV_ADMIN), ['admin']);
+    assert.ok(hasPermission(ENV_ADMIN, 'roles:manage'));
+    assert.ok(hasPermission(ENV_ADMIN, 'pixel:erase'));
+  });
+
+  it('should grant and revoke roles', () => {
+    assert.strictEqual(grantRole(MOD, 'moderator', ENV_ADMIN), true);
+    assert.strictEqual(grantRole(MOD, 'moderator', ENV_ADMIN), false, 'Granting twice is a no-op');
+
+    assert.ok(hasPermission(MOD, 'pixel:erase'));
+    assert.ok(!hasPermission(MOD, 'roles:manage'));
+    assert.ok(listRoles('moderator').some(r => r.address === MOD && r.grantedBy === ENV_ADMIN));
+
+    assert.strictEqual(revokeRole(MOD, 'moderator'), true);
+    assert.deepStrictEqual(getPermissions(MOD), []);
+  });
+
+  it('should reject unknown roles', () => {
+    assert.throws(() => grantRole(USER, 'overlord'), { code: 'INVALID_ROLE' });
+  });
+
+  it('should not revoke admin granted by config', () => {
+    assert.throws(() => revokeRole(ENV_ADMIN, 'admin'), { code: 'ROLE_FROM_CONFIG' });
+  });
+
+  it('should ignore the isAdmin claim and check permissions live', () => {
+    const token = tokenFor(USER, { isAdmin: true });
+    const guard = requirePermission('pixel:erase');
+
+    const denied = run(token, authenticateToken, guard);
+    assert.strictEqual(denied.passed, false);
+    assert.strictEqual(denied.res.statusCode, 403);
+    assert.strictEqual(denied.res.body.code, 'FORBIDDEN');
+
+    grantRole(USER, 'moderator');
+    assert.ok(run(token, authenticateToken, guard).passed, 'Grant should apply to an existing token');
+
+    revokeRole(USER, 'moderator');
+    assert.strictEqual(run(token, authenticateToken, guard).passed, false, 'Revocation should apply to an existing token');
+  });
+
+  it('should let trusted artists place pixels without the NFT', () => {
+    const token = tokenFor(ARTIST, { isAuthorized: false });
+    assert.strictEqual(run(token, authenticateToken, requireAuthorization).res.body.code, 'NOT_AUTHORIZED');
+
+    grantRole(ARTIST, 'trusted_artist');
+    assert.ok(run(token, authenticateToken, requireAuthorization).passed);
+    assert.ok(canPlace({ address: ARTIST, isAuthorized: false }));
+  });
+
+  it('should block banned wallets regardless of other roles', () => {
+    const banned = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+    grantRole(banned, 'moderator');
+    grantRole(banned, 'banned');
+
+    const { res, passed } = run(tokenFor(banned), authenticateToken, requireAuthorization);
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.body.code, 'BANNED');
+    assert.deepStrictEqual(getPermissions(banned), []);
+    assert.strictEqual(canPlace({ address: banned, isAuthorized: true }), false);
+  });
+});
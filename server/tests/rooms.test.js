@@ -0,0 +1,289 @@
+/**
+ * Rooms Tests
+ * Tests for named canvases: migrating an existing database into the default canvas,
+ * managing canvases, and keeping their pixels, history, rules and broadcasts apart
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import Database from 'better-sqlite3';
+import { Interface } from 'ethers';
+import express from 'express';
+import WebSocket from 'ws';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-rooms-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, databaseAPI, getDb } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { addEntry } from '../services/access.js';
+import { canvasAt } from '../services/timeline.js';
+import { initWebSocket, broadcast } from '../websocket/index.js';
+import routes from '../routes/index.js';
+import { startMockRpc, contractHandler } from './helpers/mockRpc.js';
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const HOLDER = '0x1111111111111111111111111111111111111111';
+const VISITOR = '0x2222222222222222222222222222222222222222';
+const BADGE = '0x3000000000000000000000000000000000000001';
+const [RED, BLACK, WHITE] = ['#ff0000', '#000000', '#ffffff'];
+
+const tokenFor = (address, isAuthorized = true) => generateToken({ address, chainId: 1, isAuthorized, isAdmin: false });
+
+// A database from before rooms: one canvas, its size in canvas_settings
+function legacyDatabase(path) {
+  const db = new Database(path);
+  db.exec(`
+    CREATE TABLE pixels (x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')), PRIMARY KEY (x, y));
+    CREATE TABLE pixel_history (id INTEGER PRIMARY KEY AUTOINCREMENT, x INTEGER NOT NULL, y INTEGER NOT NULL, color TEXT NOT NULL, placed_by TEXT, placed_at TEXT DEFAULT (datetime('now')));
+    CREATE TABLE canvas_snapshots (id INTEGER PRIMARY KEY AUTOINCREMENT, data TEXT NOT NULL, created_at TEXT DEFAULT (datetime('now')), history_id INTEGER);
+    CREATE TABLE canvas_settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    INSERT INTO pixels (x, y, color, placed_by) VALUES (1, 1, '${RED}', '${HOLDER}');
+    INSERT INTO pixel_history (x, y, color, placed_by) VALUES (1, 1, '${RED}', '${HOLDER}');
+    INSERT INTO canvas_settings (key, value) VALUES ('width', '12'), ('height', '9');
+  `);
+  db.close();
+}
+
+describe('Rooms', () => {
+  let saved;
+  let server;
+  let wss;
+  let baseUrl;
+  const sockets = [];
+
+  const call = (method, path, { as = ADMIN, authorized = true, body } = {}) => fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${tokenFor(as, authorized)}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const place = (canvas, pixel, as, authorized = true) => call('POST', canvas ? `/canvases/${canvas}/pixels` : '/pixels', { as, authorized, body: pixel });
+
+  // Open a socket; next(type) resolves with its first message of a type, closed with its close code
+  function open(query) {
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws${query}`);
+    sockets.push(ws);
+    const messages = [];
+    ws.on('message', (raw) => messages.push(JSON.parse(raw.toString())));
+    const next = (type) => new Promise((resolve) => {
+      const check = () => {
+        const msg = messages.find(m => m.type === type);
+        if (msg) return resolve(msg.data);
+        setTimeout(check, 10);
+      };
+      check();
+    });
+    const closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+    return { ws, next, closed, messages };
+  }
+
+  before(async () => {
+    saved = { adminWallets: config.adminWallets, width: config.canvas.width, height: config.canvas.height, historyMaxEntries: config.canvas.historyMaxEntries };
+    config.adminWallets = [ADMIN];
+    legacyDatabase(process.env.DATABASE_PATH);
+    await initDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+    app.use(errorHandler);
+    server = createServer(app);
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    sockets.forEach(ws => ws.terminate());
+    wss.close();
+    Object.assign(config.canvas, { width: saved.width, height: saved.height, historyMaxEntries: saved.historyMaxEntries });
+    config.adminWallets = saved.adminWallets;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should move an existing canvas into the default room', async () => {
+    const { canvases } = await (await call('GET', '/canvases')).json();
+    assert.deepStrictEqual(canvases.map(c => [c.id, c.name, c.width, c.height, c.gating]), [['default', 'Main', 12, 9, 'nft']]);
+    assert.deepStrictEqual([config.canvas.width, config.canvas.height], [12, 9]);
+    assert.strictEqual(databaseAPI.getPixel(1, 1).color, RED);
+    assert.strictEqual(databaseAPI.getRecentHistory(10).length, 1);
+    assert.strictEqual(getDb().prepare("SELECT name FROM sqlite_master WHERE name = 'canvas_settings'").get(), undefined);
+
+    const res = await call('GET', '/canvas');
+    assert.deepStrictEqual((await res.json()).pixels.map(p => p.color), [RED], '/api/canvas is still the default canvas');
+  });
+
+  it('should create canvases with their own size, palette and gating', async () => {
+    const res = await call('POST', '/admin/canvases', { body: { id: 'sketch', name: 'Sketchpad', width: 4, height: 3, palette: [BLACK, '#FFFFFF'], gating: 'open' } });
+    assert.strictEqual(res.status, 201);
+    const { createdAt, ...room } = await res.json();
+    assert.deepStrictEqual(room, { id: 'sketch', name: 'Sketchpad', width: 4, height: 3, palette: [BLACK, WHITE], gating: 'open', contracts: null, allowlist: null, createdBy: ADMIN });
+    assert.ok(createdAt);
+
+    const configRes = await (await call('GET', '/canvases/sketch/config')).json();
+    assert.deepStrictEqual([configRes.canvas, configRes.width, configRes.palette], ['sketch', 4, [BLACK, WHITE]]);
+
+    assert.strictEqual((await call('POST', '/admin/canvases', { body: { id: 'sketch' } })).status, 409);
+    const invalid = [
+      [{ id: 'Bad Id' }, 'INVALID_CANVAS_ID'], [{ id: 'big', width: 5000 }, 'INVALID_SIZE'], [{ id: 'odd', palette: ['red'] }, 'INVALID_PALETTE'], [{ id: 'vip', gating: 'vip' }, 'INVALID_GATING'],
+      [{ id: 'club', allowlist: ['nobody'] }, 'INVALID_ALLOWLIST'], [{ id: 'guild', contracts: { erc721: [{ address: 'nowhere' }] } }, 'INVALID_CONTRACTS'],
+      [{ id: 'guild', contracts: { erc721: [{ address: BADGE, metadata: '/etc/passwd', traits: { Edition: 'Genesis' } }] } }, 'INVALID_CONTRACTS'],
+      [{ id: 'guild', contracts: { erc721: [{ address: BADGE, tokenIds: ['one'] }] } }, 'INVALID_CONTRACTS'],
+      [{ id: 'guild', contracts: { erc721: [{ address: BADGE, tokenRanges: [[1, 'x']] }] } }, 'INVALID_CONTRACTS'],
+    ];
+    for (const [body, code] of invalid) {
+      assert.strictEqual((await (await call('POST', '/admin/canvases', { body })).json()).code, code);
+    }
+    assert.strictEqual((await call('POST', '/admin/canvases', { as: HOLDER, body: { id: 'mine' } })).status, 403);
+  });
+
+  it('should keep pixels and history apart per canvas', async () => {
+    assert.strictEqual((await place('sketch', { x: 1, y: 1, color: BLACK }, VISITOR, false)).status, 201, 'Open canvases take any wallet');
+    assert.strictEqual((await place(null, { x: 2, y: 2, color: RED }, VISITOR, false)).status, 403, 'The default canvas still needs the NFT');
+
+    assert.strictEqual((await (await place('sketch', { x: 0, y: 0, color: RED }, VISITOR, false)).json()).code, 'COLOR_NOT_IN_PALETTE');
+    assert.strictEqual((await (await place('sketch', { x: 5, y: 0, color: BLACK }, VISITOR, false)).json()).code, 'OUT_OF_BOUNDS');
+
+    assert.strictEqual(databaseAPI.getPixel(1, 1).color, RED);
+    assert.strictEqual(databaseAPI.canvas('sketch').getPixel(1, 1).color, BLACK);
+    const history = await (await call('GET', '/canvases/sketch/history')).json();
+    assert.deepStrictEqual(history.map(h => [h.x, h.y, h.color]), [[1, 1, BLACK]]);
+    assert.strictEqual(databaseAPI.getRecentHistory(10).length, 1);
+
+    assert.deepStrictEqual(canvasAt({ ts: Date.now() }, 'sketch').pixels.map(p => p.color), [BLACK]);
+    assert.deepStrictEqual(canvasAt({ ts: Date.now() }).pixels.map(p => p.color), [RED]);
+
+    const png = await call('GET', '/canvases/sketch.png');
+    assert.deepStrictEqual([png.status, png.headers.get('content-type')], [200, 'image/png']);
+  });
+
+  it('should switch a canvas to allowlist-only gating', async () => {
+    const res = await call('PATCH', '/admin/canvases/sketch', { body: { gating: 'allowlist', name: 'Invite only' } });
+    const updated = await res.json();
+    assert.deepStrictEqual([updated.name, updated.gating], ['Invite only', 'allowlist']);
+
+    const denied = await place('sketch', { x: 2, y: 2, color: WHITE }, HOLDER);
+    assert.strictEqual(denied.status, 403, 'Holding the NFT is not enough');
+    assert.strictEqual((await denied.json()).code, 'NOT_AUTHORIZED');
+
+    addEntry('allowlist', VISITOR);
+    assert.strictEqual((await place('sketch', { x: 2, y: 2, color: WHITE }, VISITOR, false)).status, 201);
+  });
+
+  it('should gate a canvas on its own allowlist instead of the server\'s', async () => {
+    const res = await call('POST', '/admin/canvases', { body: { id: 'club', gating: 'allowlist', allowlist: [HOLDER.toUpperCase().replace('0X', '0x'), HOLDER] } });
+    assert.deepStrictEqual((await res.json()).allowlist, [HOLDER]);
+
+    assert.strictEqual((await place('club', { x: 0, y: 0, color: RED }, HOLDER, false)).status, 201);
+    const denied = await place('club', { x: 0, y: 0, color: RED }, VISITOR, false);
+    assert.deepStrictEqual([denied.status, (await denied.json()).code], [403, 'NOT_AUTHORIZED'], 'The server allowlist does not reach this canvas');
+    assert.strictEqual((await place(null, { x: 2, y: 2, color: RED }, VISITOR, false)).status, 201, 'It still does on the default canvas');
+
+    const listed = (await (await call('GET', '/canvases')).json()).canvases.find(c => c.id === 'club');
+    assert.ok(!('allowlist' in listed), 'Only admins see who is on it');
+    const managed = (await (await call('GET', '/admin/canvases')).json()).canvases.find(c => c.id === 'club');
+    assert.deepStrictEqual(managed.allowlist, [HOLDER]);
+
+    await call('PATCH', '/admin/canvases/club', { body: { allowlist: null } });
+    assert.strictEqual((await place('club', { x: 1, y: 0, color: RED }, VISITOR, false)).status, 201, 'Without its own list the server\'s applies');
+  });
+
+  it('should gate a canvas on its own contracts, over HTTP and WebSocket', async () => {
+    const erc721 = new Interface(['function balanceOf(address owner) view returns (uint256)']);
+    const rpc = await startMockRpc(contractHandler((target, data) => {
+      const [owner] = erc721.decodeFunctionData('balanceOf', data);
+      return erc721.encodeFunctionResult('balanceOf', [target === BADGE && owner.toLowerCase() === VISITOR ? 1n : 0n]);
+    }));
+    const nft = { ...config.nft };
+    Object.assign(config.nft, { enabled: true, rpcUrls: { 1: rpc.url } });
+
+    try {
+      const res = await call('POST', '/admin/canvases', { body: { id: 'guild', contracts: { erc721: [{ address: BADGE, chainId: 1 }] } } });
+      assert.deepStrictEqual((await res.json()).contracts, { erc721: [{ address: BADGE, chainId: 1 }] });
+
+      assert.strictEqual((await place('guild', { x: 0, y: 0, color: RED }, VISITOR, false)).status, 201, 'The canvas\'s badge is enough');
+      const denied = await place('guild', { x: 1, y: 0, color: RED }, HOLDER);
+      assert.deepStrictEqual([denied.status, (await denied.json()).code], [403, 'NOT_AUTHORIZED'], 'The server\'s NFT claim is not');
+
+      const holder = open(`?canvas=guild&token=${tokenFor(HOLDER)}`);
+      assert.strictEqual((await holder.next('welcome')).authenticated, true);
+      holder.ws.send(JSON.stringify({ type: 'pixel', data: { x: 2, y: 0, color: RED } }));
+      assert.strictEqual((await holder.next('error')).code, 'NOT_AUTHORIZED');
+
+      const badge = open(`?canvas=guild&token=${tokenFor(VISITOR, false)}`);
+      assert.strictEqual((await badge.next('welcome')).authenticated, true);
+      badge.ws.send(JSON.stringify({ type: 'pixel', data: { x: 3, y: 0, color: RED } }));
+      assert.strictEqual((await badge.next('pixel')).x, 3);
+      assert.strictEqual(databaseAPI.canvas('guild').getPixel(3, 0).color, RED);
+    } finally {
+      Object.assign(config.nft, nft);
+      await rpc.close();
+    }
+  });
+
+  it('should only broadcast to sockets on the same canvas', async () => {
+    const main = open('');
+    const sketch = open('?canvas=sketch');
+    assert.strictEqual((await sketch.next('welcome')).canvas, 'sketch');
+    assert.strictEqual((await main.next('welcome')).canvas, 'default');
+
+    broadcast('pixel', { x: 3, y: 0, color: BLACK, placedBy: ADMIN }, 'sketch');
+    assert.deepStrictEqual((await sketch.next('pixel')).x, 3);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(!main.messages.some(m => m.type === 'pixel'), 'The default canvas hears nothing');
+
+    assert.strictEqual(await open('?canvas=nowhere').closed, 4404);
+  });
+
+  it('should delete canvases, but never the default one', async () => {
+    const res = await call('DELETE', '/admin/canvases/sketch');
+    assert.strictEqual(res.status, 200);
+    const missing = await call('GET', '/canvases/sketch');
+    assert.deepStrictEqual([missing.status, (await missing.json()).code], [404, 'CANVAS_NOT_FOUND']);
+    assert.strictEqual(getDb().prepare("SELECT COUNT(*) AS n FROM pixel_history WHERE canvas_id = 'sketch'").get().n, 0);
+
+    assert.strictEqual((await (await call('DELETE', '/admin/canvases/default')).json()).code, 'DEFAULT_CANVAS');
+    assert.strictEqual(databaseAPI.getPixel(1, 1).color, RED);
+  });
+
+  it('should prune history per canvas, keeping the keyframes each one can still replay from', () => {
+    const main = databaseAPI.canvas();
+    const quiet = databaseAPI.canvas('quiet');
+    const keyframes = (id) => getDb().prepare('SELECT id, history_id FROM canvas_snapshots WHERE canvas_id = ? AND history_id IS NOT NULL ORDER BY id').all(id);
+    config.canvas.historyMaxEntries = Infinity;
+    databaseAPI.createRoom({ id: 'quiet', name: 'Quiet', width: 4, height: 4, gating: 'open' });
+
+    quiet.placePixel(0, 0, RED, HOLDER);
+    quiet.saveKeyframe();
+    const replayFrom = keyframes('quiet').at(-1);
+    main.placePixelsBatch(Array.from({ length: 1100 }, (_, i) => ({ x: i % 12, y: i % 9, color: i % 2 ? BLACK : WHITE })), HOLDER);
+    quiet.placePixel(1, 0, BLACK, HOLDER);
+    const lastQuietRow = quiet.getRecentHistory(1)[0].id;
+    quiet.saveKeyframe();
+    const mainKeyframes = keyframes('default').map(k => k.id);
+
+    // The busy canvas's rows push the quiet canvas's first row out; its later one survives
+    config.canvas.historyMaxEntries = 1000;
+    for (let i = 0; i < 500; i++) main.placePixel(i % 12, 0, RED, HOLDER);
+    assert.deepStrictEqual(quiet.getRecentHistory(10).map(h => h.id), [lastQuietRow]);
+
+    assert.deepStrictEqual(keyframes('quiet')[0], replayFrom, 'Nothing after its keyframe was pruned');
+    assert.deepStrictEqual(canvasAt({ historyId: lastQuietRow }, 'quiet').pixels.map(p => [p.x, p.y, p.color]), [[0, 0, RED], [1, 0, BLACK]]);
+
+    assert.ok(keyframes('default').every(k => !mainKeyframes.includes(k.id)), 'Keyframes the busy canvas lost rows after are gone');
+    const colors = (pixels) => Object.fromEntries(pixels.map(p => [`${p.x},${p.y}`, p.color]));
+    assert.deepStrictEqual(colors(canvasAt({ ts: Date.now() }).pixels), colors(main.getAllPixels()));
+  });
+});
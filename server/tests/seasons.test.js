@@ -0,0 +1,142 @@
+/**
+ * Seasons Tests
+ * Tests for ending a canvas's season: archiving its final pixels, PNG and history,
+ * opening the next one at a new size and palette, and browsing past seasons
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-seasons-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, databaseAPI, getDb } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import routes from '../routes/index.js';
+import { decodePng } from './helpers/png.js';
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const [RED, BLUE, BLACK, WHITE] = ['#ff0000', '#0000ff', '#000000', '#ffffff'];
+
+const tokenFor = (address) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false });
+
+describe('Seasons', () => {
+  let saved;
+  let server;
+  let baseUrl;
+
+  const call = (method, path, { as = ADMIN, body } = {}) => fetch(`${baseUrl}/api${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${tokenFor(as)}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  before(async () => {
+    saved = { adminWallets: config.adminWallets, width: config.canvas.width, height: config.canvas.height };
+    config.adminWallets = [ADMIN];
+    config.canvas.width = 6;
+    config.canvas.height = 4;
+    await initDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', routes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    Object.assign(config.canvas, { width: saved.width, height: saved.height });
+    config.adminWallets = saved.adminWallets;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should start every canvas in its first season', async () => {
+    const { canvas, seasons } = await (await call('GET', '/seasons')).json();
+    assert.strictEqual(canvas, 'default');
+    assert.deepStrictEqual(seasons.map(s => [s.number, s.name, s.current, s.width, s.height]), [[1, 'Season 1', true, 6, 4]]);
+    assert.strictEqual(seasons[0].endedAt, null);
+  });
+
+  it('should archive the season and open the next at a new size and palette', async () => {
+    canvasService.placePixel(0, 0, RED, ARTIST);
+    canvasService.placePixel(5, 3, BLUE, ARTIST);
+    canvasService.placePixel(0, 0, BLUE, ARTIST);
+
+    assert.strictEqual((await call('POST', '/seasons', { as: ARTIST, body: {} })).status, 403);
+
+    const res = await call('POST', '/seasons', { body: { name: 'Winter', width: 3, height: 2, palette: [BLACK, '#FFFFFF'] } });
+    assert.strictEqual(res.status, 201);
+    const { ended, started } = await res.json();
+    assert.deepStrictEqual([ended.number, ended.current, ended.endedBy, ended.width, ended.height, ended.pixelCount, ended.placements], [1, false, ADMIN, 6, 4, 2, 3]);
+    assert.ok(ended.palette.includes(RED), 'The archive keeps the palette it was drawn with');
+    assert.deepStrictEqual([started.number, started.name, started.current, started.width, started.height, started.palette], [2, 'Winter', true, 3, 2, [BLACK, WHITE]]);
+
+    assert.deepStrictEqual([config.canvas.width, config.canvas.height, databaseAPI.getPixelCount()], [3, 2, 0], 'The canvas starts over');
+    assert.strictEqual((await (await call('POST', '/pixels', { as: ARTIST, body: { x: 0, y: 0, color: RED } })).json()).code, 'COLOR_NOT_IN_PALETTE');
+    canvasService.placePixel(2, 1, WHITE, ARTIST);
+
+    const { seasons } = await (await call('GET', '/seasons')).json();
+    assert.deepStrictEqual(seasons.map(s => [s.name, s.current]), [['Winter', true], ['Season 1', false]]);
+  });
+
+  it('should serve an archived season\'s final pixels, PNG and history', async () => {
+    const [, first] = (await (await call('GET', '/seasons')).json()).seasons;
+    // Pruning or clearing live history leaves the archive alone
+    getDb().prepare('DELETE FROM pixel_history').run();
+
+    const season = await (await call('GET', `/seasons/${first.id}`)).json();
+    assert.deepStrictEqual(season.pixels.map(p => [p.x, p.y, p.color]).sort(), [[0, 0, BLUE], [5, 3, BLUE]]);
+
+    const res = await call('GET', `/seasons/${first.id}.png`);
+    assert.deepStrictEqual([res.status, res.headers.get('content-type')], [200, 'image/png']);
+    const png = decodePng(Buffer.from(await res.arrayBuffer()));
+    assert.deepStrictEqual([png.width, png.height, png.at(0, 0), png.at(5, 3)], [6, 4, [0, 0, 255], [0, 0, 255]]);
+    const etag = res.headers.get('etag');
+    assert.strictEqual((await fetch(`${baseUrl}/api/seasons/${first.id}.png`, { headers: { 'If-None-Match': etag } })).status, 304);
+
+    const history = await (await call('GET', `/seasons/${first.id}/history?limit=2`)).json();
+    assert.deepStrictEqual(history.history.map(h => [h.x, h.y, h.color]), [[0, 0, RED], [5, 3, BLUE]]);
+    const rest = await (await call('GET', `/seasons/${first.id}/history?offset=2`)).json();
+    assert.deepStrictEqual(rest.history.map(h => h.color), [BLUE]);
+  });
+
+  it('should show the current season live', async () => {
+    const { seasons: [current] } = await (await call('GET', '/seasons')).json();
+    assert.deepStrictEqual([current.pixelCount, current.placements], [1, null]);
+    const season = await (await call('GET', `/seasons/${current.id}`)).json();
+    assert.deepStrictEqual(season.pixels.map(p => p.color), [WHITE]);
+
+    const renamed = await call('PATCH', `/seasons/${current.id}`, { body: { name: 'Deep winter' } });
+    assert.strictEqual((await renamed.json()).name, 'Deep winter');
+  });
+
+  it('should reject unknown seasons and canvases, and bad sizes', async () => {
+    for (const path of ['/seasons/999', '/seasons/abc', '/seasons/999.png']) {
+      const res = await call('GET', path);
+      assert.deepStrictEqual([res.status, (await res.json()).code], [404, 'SEASON_NOT_FOUND'], path);
+    }
+    assert.strictEqual((await (await call('GET', '/seasons?canvas=nowhere')).json()).code, 'CANVAS_NOT_FOUND');
+
+    const res = await call('POST', '/seasons', { body: { width: 5000 } });
+    assert.deepStrictEqual([res.status, (await res.json()).code], [400, 'INVALID_SIZE']);
+    assert.strictEqual((await (await call('GET', '/seasons')).json()).seasons.length, 2, 'Nothing ended');
+  });
+});
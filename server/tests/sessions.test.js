@@ -0,0 +1,183 @@
+/**
+ * Session Tests
+ * Tests for session tracking, refresh token rotation and revocation
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-sessions-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import { initDatabase, closeDatabase, getDb } from '../models/database.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { authenticate, refreshAuthorization } from '../services/auth.js';
+import { listSessions, revokeSession, revokeAllForAddress, isRevoked, loadRevoked } from '../services/sessions.js';
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+
+function runAuth(token) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+  };
+  let nextCalled = false;
+  authenticateToken(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+describe('Sessions', () => {
+  before(async () => {
+    await initDatabase();
+  });
+
+  after(() => {
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should record a session for every issued token', async () => {
+    const { token } = await authenticate(ADDRESS, 1, { userAgent: 'test-agent', ip: '127.0.0.1' });
+    const { req, nextCalled } = runAuth(token);
+
+    assert.ok(nextCalled, 'Fresh token should authenticate');
+    const sessions = listSessions(ADDRESS, req.user.sessionId);
+    const current = sessions.find(s => s.current);
+    assert.ok(current, 'Current session should be listed');
+    assert.strictEqual(current.userAgent, 'test-agent');
+  });
+
+  it('should reject a token once its session is revoked', async () => {
+    const { token } = await authenticate(ADDRESS, 1);
+    const { req } = runAuth(token);
+
+    assert.strictEqual(await revokeSession(req.user.sessionId, ADDRESS), true);
+
+    const { res, nextCalled } = runAuth(token);
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.code, 'TOKEN_REVOKED');
+  });
+
+  it('should treat revoked tokens as anonymous in optionalAuth', async () => {
+    const { token } = await authenticate(ADDRESS, 1);
+    const { req: authed } = runAuth(token);
+    await revokeSession(authed.user.sessionId);
+
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    optionalAuth(req, {}, () => {});
+    assert.strictEqual(req.user, null);
+  });
+
+  it('should not revoke sessions belonging to another address', async () => {
+    const { token } = await authenticate(ADDRESS, 1);
+    const { req } = runAuth(token);
+
+    assert.strictEqual(await revokeSession(req.user.sessionId, '0x2222222222222222222222222222222222222222'), false);
+    assert.strictEqual(isRevoked(req.user.sessionId), false);
+  });
+
+  it('should revoke all sessions for an address except the one kept', async () => {
+    const { token: keep } = await authenticate(ADDRESS, 1);
+    const { token: other } = await authenticate(ADDRESS, 8453);
+    const keepId = runAuth(keep).req.user.sessionId;
+
+    const revoked = await revokeAllForAddress(ADDRESS, { except: keepId });
+
+    assert.ok(revoked.length >= 1);
+    assert.ok(runAuth(keep).nextCalled, 'Kept session should stay valid');
+    assert.strictEqual(runAuth(other).res.body.code, 'TOKEN_REVOKED');
+    assert.deepStrictEqual(listSessions(ADDRESS).map(s => s.id), [keepId]);
+  });
+
+  it('should reload revocations from the database', async () => {
+    const { token } = await authenticate(ADDRESS, 1);
+    const id = runAuth(token).req.user.sessionId;
+    await revokeSession(id);
+
+    loadRevoked();
+    assert.strictEqual(isRevoked(id), true);
+  });
+
+  it('should rotate refresh tokens within the same session', async () => {
+    const first = await authenticate(ADDRESS, 1);
+    const sessionId = runAuth(first.token).req.user.sessionId;
+
+    const second = await refreshAuthorization(first.refreshToken);
+    assert.notStrictEqual(second.refreshToken, first.refreshToken);
+    assert.strictEqual(second.address, ADDRESS.toLowerCase());
+
+    const { req, nextCalled } = runAuth(second.token);
+    assert.ok(nextCalled);
+    assert.strictEqual(req.user.sessionId, sessionId);
+  });
+
+  it('should switch chain on refresh when asked', async () => {
+    const { refreshToken } = await authenticate(ADDRESS, 1);
+    const result = await refreshAuthorization(refreshToken, 8453);
+    assert.strictEqual(runAuth(result.token).req.user.chainId, 8453);
+  });
+
+  it('should revoke the whole session when a spent refresh token is reused', async () => {
+    const first = await authenticate(ADDRESS, 1);
+    const second = await refreshAuthorization(first.refreshToken);
+    // Past the grace window for concurrent refreshes
+    getDb().prepare(`UPDATE refresh_tokens SET used_at = datetime('now', '-1 minute') WHERE used_at IS NOT NULL`).run();
+
+    await assert.rejects(refreshAuthorization(first.refreshToken), { code: 'REFRESH_TOKEN_REUSED' });
+    await assert.rejects(refreshAuthorization(second.refreshToken), { code: 'TOKEN_REVOKED' });
+    assert.strictEqual(runAuth(second.token).res.body.code, 'TOKEN_REVOKED');
+  });
+
+  it('should let two tabs refresh with the same token at once', async () => {
+    const first = await authenticate(ADDRESS, 1);
+    const sessionId = runAuth(first.token).req.user.sessionId;
+
+    const [a, b] = await Promise.all([refreshAuthorization(first.refreshToken), refreshAuthorization(first.refreshToken)]);
+    assert.strictEqual(isRevoked(sessionId), false);
+    for (const pair of [a, b]) assert.strictEqual(runAuth(pair.token).req.user.sessionId, sessionId);
+    assert.strictEqual(a.refreshToken, b.refreshToken, 'Both get the one successor');
+
+    // The successor still rotates once, and only once
+    await refreshAuthorization(b.refreshToken);
+    getDb().prepare(`UPDATE refresh_tokens SET used_at = datetime('now', '-1 minute') WHERE used_at IS NOT NULL`).run();
+    await assert.rejects(refreshAuthorization(a.refreshToken), { code: 'REFRESH_TOKEN_REUSED' });
+  });
+
+  it('should not start a second chain for a token replayed within the grace window', async () => {
+    const first = await authenticate(ADDRESS, 1);
+    const sessionId = runAuth(first.token).req.user.sessionId;
+    const owner = await refreshAuthorization(first.refreshToken);
+
+    const replay = await refreshAuthorization(first.refreshToken);
+    assert.strictEqual(replay.refreshToken, owner.refreshToken, 'The replay gets what the owner already holds');
+    assert.strictEqual(getDb().prepare('SELECT COUNT(*) AS n FROM refresh_tokens WHERE session_id = ?').get(sessionId).n, 2);
+
+    // Whichever of them rotates it second is caught once the window has passed
+    await refreshAuthorization(owner.refreshToken);
+    getDb().prepare(`UPDATE refresh_tokens SET used_at = datetime('now', '-1 minute') WHERE used_at IS NOT NULL`).run();
+    await assert.rejects(refreshAuthorization(replay.refreshToken), { code: 'REFRESH_TOKEN_REUSED' });
+    assert.strictEqual(isRevoked(sessionId), true);
+  });
+
+  it('should reject unknown refresh tokens', async () => {
+    await assert.rejects(refreshAuthorization('not-a-real-token'), { code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  it('should stop refreshing once the session is revoked', async () => {
+    const { token, refreshToken } = await authenticate(ADDRESS, 1);
+    await revokeSession(runAuth(token).req.user.sessionId);
+
+    await assert.rejects(refreshAuthorization(refreshToken), { code: 'TOKEN_REVOKED' });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Signature Tests
+ * Tests for EOA, EIP-1271 and EIP-6492 signature verification
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { AbiCoder, Interface, Wallet, concat, hashMessage, recoverAddress } from 'ethers';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+import config from '../config/index.js';
+import { verifySignature } from '../middleware/auth.js';
+import { EIP1271_MAGIC, EIP6492_SUFFIX, MULTICALL3 } from '../services/contractSignature.js';
+import { createChallenge, verifyChallenge } from '../services/siwe.js';
+import { clear as clearNonces } from '../services/nonceStore.js';
+import { startMockRpc } from './helpers/mockRpc.js';
+
+const CHAIN = 1;
+const SAFE = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+const FACTORY = '0xfac7000000000000000000000000000000000001';
+const DEPLOY_CALLDATA = '0xdeadbeef';
+
+const walletAbi = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+const multicallAbi = new Interface(['function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)']);
+const coder = AbiCoder.defaultAbiCoder();
+
+const owner = Wallet.createRandom();
+const stranger = Wallet.createRandom();
+
+// A single-owner contract wallet: valid when the signature recovers to `owner`
+function safeCall(data) {
+  const [hash, signature] = walletAbi.decodeFunctionData('isValidSignature', data);
+  let signer = null;
+  try { signer = recoverAddress(hash, signature); } catch {}
+  return walletAbi.encodeFunctionResult('isValidSignature', [signer === owner.address ? EIP1271_MAGIC : '0xffffffff']);
+}
+
+function wrap6492(signature, calldata = DEPLOY_CALLDATA) {
+  return concat([coder.encode(['address', 'bytes', 'bytes'], [FACTORY, calldata, signature]), '0x' + EIP6492_SUFFIX]);
+}
+
+describe('Signature Verification', () => {
+  let rpc;
+  let deployed;
+  let failing;
+  let rpcUrls;
+
+  before(async () => {
+    rpc = await startMockRpc((method, [tx]) => {
+      if (failing) throw new Error('header not found');
+      if (method === 'eth_getCode') return deployed && tx.toLowerCase() === SAFE ? '0x6080' : '0x';
+      if (method !== 'eth_call') throw new Error(`unexpected ${method}`);
+
+      const to = tx.to.toLowerCase();
+      if (to === SAFE) return deployed ? safeCall(tx.data) : '0x';
+      if (to === MULTICALL3.toLowerCase()) {
+        // Simulate the factory deploying SAFE within the same call
+        const [calls] = multicallAbi.decodeFunctionData('aggregate3', tx.data);
+        let live = deployed;
+        const results = calls.map(c => {
+          if (c.target.toLowerCase() === FACTORY && c.callData === DEPLOY_CALLDATA) { live = true; return [true, '0x']; }
+          if (c.target.toLowerCase() === SAFE && live) return [true, safeCall(c.callData)];
+          return [c.target.toLowerCase() === SAFE, '0x'];
+        });
+        return multicallAbi.encodeFunctionResult('aggregate3', [results]);
+      }
+      return '0x';
+    });
+    rpcUrls = config.nft.rpcUrls;
+    config.nft.rpcUrls = { [CHAIN]: rpc.url };
+  });
+
+  after(async () => {
+    config.nft.rpcUrls = rpcUrls;
+    await rpc.close();
+  });
+
+  beforeEach(() => {
+    deployed = true;
+    failing = false;
+    rpc.calls.length = 0;
+    clearNonces();
+  });
+
+  it('should verify EOA signatures without touching the RPC', async () => {
+    const message = 'hello';
+    const signature = await owner.signMessage(message);
+
+    assert.strictEqual(await verifySignature(owner.address, message, signature, CHAIN), true);
+    assert.strictEqual(rpc.calls.length, 0);
+  });
+
+  it('should accept an EIP-1271 signature from a contract wallet', async () => {
+    const message = 'sign in as the safe';
+    const signature = await owner.signMessage(message);
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature, CHAIN), true);
+    assert.strictEqual(rpc.calls[0].method, 'eth_call');
+  });
+
+  it('should reject a contract wallet signature from a non-owner', async () => {
+    const message = 'sign in as the safe';
+    const signature = await stranger.signMessage(message);
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature, CHAIN), false);
+  });
+
+  it('should not fall back to EIP-1271 without a chain or RPC', async () => {
+    const message = 'no rpc';
+    const signature = await owner.signMessage(message);
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature), false);
+    assert.strictEqual(await verifySignature(SAFE, message, signature, 8453), false);
+    assert.strictEqual(rpc.calls.length, 0);
+  });
+
+  it('should accept an EIP-6492 signature from an undeployed wallet', async () => {
+    deployed = false;
+    const message = 'counterfactual';
+    const signature = wrap6492(await owner.signMessage(message));
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature, CHAIN), true);
+    assert.ok(rpc.calls.some(c => c.params[0].to?.toLowerCase() === MULTICALL3.toLowerCase()), 'Should deploy and check via Multicall3');
+  });
+
+  it('should reject an EIP-6492 signature whose factory call does not deploy the wallet', async () => {
+    deployed = false;
+    const message = 'counterfactual';
+    const signature = wrap6492(await owner.signMessage(message), '0x12345678');
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature, CHAIN), false);
+  });
+
+  it('should unwrap EIP-6492 signatures for wallets that are already deployed', async () => {
+    const message = 'deployed since';
+    const signature = wrap6492(await owner.signMessage(message));
+
+    assert.strictEqual(await verifySignature(SAFE, message, signature, CHAIN), true);
+    assert.ok(!rpc.calls.some(c => c.params[0].to?.toLowerCase() === MULTICALL3.toLowerCase()));
+  });
+
+  it('should treat RPC failures as an invalid signature', async () => {
+    failing = true;
+    const signature = await owner.signMessage('offline');
+
+    assert.strictEqual(await verifySignature(SAFE, 'offline', signature, CHAIN), false);
+  });
+
+  it('should sign in a contract wallet with SIWE', async () => {
+    const origin = { domain: 'place.example', uri: 'https://place.example' };
+    const { message } = await createChallenge({ address: SAFE, chainId: CHAIN, ...origin });
+    const signature = await owner.signMessage(message);
+
+    const result = await verifyChallenge({ message, signature, address: SAFE, chainId: CHAIN, ...origin });
+    assert.strictEqual(result.address, SAFE);
+  });
+
+  it('should hash messages with EIP-191 before asking the wallet', async () => {
+    const message = 'hash check';
+    await verifySignature(SAFE, message, await owner.signMessage(message), CHAIN);
+
+    const [hash] = walletAbi.decodeFunctionData('isValidSignature', rpc.calls[0].params[0].data);
+    assert.strictEqual(hash, hashMessage(message));
+  });
+});
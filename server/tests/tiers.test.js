@@ -0,0 +1,144 @@
+/**
+ * Tier Tests
+ * Tests for holdings-based tiers: resolution, palette, batch size, cooldown and rate limit
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-tiers-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { generateToken } from '../middleware/auth.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { record } from '../services/ownership.js';
+import { resolveTier, tierFor } from '../services/tiers.js';
+import { clear as clearCooldowns } from '../services/cooldown.js';
+import pixelRoutes from '../routes/pixels.js';
+import authRoutes from '../routes/auth.js';
+
+const PASS = '0x3000000000000000000000000000000000000001';
+const GENESIS = '0x3000000000000000000000000000000000000002';
+const HOLDER = '0x1111111111111111111111111111111111111111';
+const COLLECTOR = '0x2222222222222222222222222222222222222222';
+const WHALE = '0x3333333333333333333333333333333333333333';
+const FOUNDER = '0x4444444444444444444444444444444444444444';
+const SELLER = '0x5555555555555555555555555555555555555555';
+
+const TIERS = [
+  { id: 'holder', name: 'Holder', cooldownMs: 60000 },
+  { id: 'collector', name: 'Collector', minHoldings: 5, maxBatch: 25, extraColors: ['#123456'], rateLimit: 3 },
+  { id: 'founder', name: 'Founder', collections: [GENESIS], maxBatch: 50, extraColors: ['#123456', '#ABCDEF'] },
+];
+
+const tokenFor = (address, claims = {}) => generateToken({ address, chainId: 1, isAuthorized: true, isAdmin: false, ...claims });
+
+describe('Holdings Tiers', () => {
+  let saved;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await initDatabase();
+    saved = config.tiers;
+    config.tiers = TIERS;
+
+    record(HOLDER, { authorized: true, holdings: [{ contract: PASS, chainId: 1, count: 1 }] });
+    record(COLLECTOR, { authorized: true, holdings: [{ contract: PASS, chainId: 1, count: 5 }] });
+    record(WHALE, { authorized: true, holdings: [{ contract: PASS, chainId: 1, count: 9 }] });
+    record(FOUNDER, { authorized: true, holdings: [{ contract: GENESIS, chainId: 1, count: 1 }] });
+    record(SELLER, { authorized: false, holdings: [] });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/pixels', pixelRoutes);
+    app.use('/auth', authRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.tiers = saved;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => clearCooldowns());
+
+  const post = (path, address, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${tokenFor(address)}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  it('should pick the highest tier the holdings qualify for', () => {
+    assert.strictEqual(resolveTier([]).id, 'default');
+    assert.strictEqual(resolveTier([{ contract: PASS, chainId: 1, count: 4 }]).id, 'holder');
+    assert.strictEqual(resolveTier([{ contract: PASS, chainId: 1, count: 3 }, { contract: GENESIS, chainId: 1, count: 2 }]).id, 'founder');
+    assert.strictEqual(resolveTier([{ contract: PASS, chainId: 1, count: 5 }]).id, 'collector', 'Only GENESIS counts towards founder');
+  });
+
+  it('should keep ineligible wallets on the default tier whatever their token says', () => {
+    assert.strictEqual(tierFor({ address: SELLER, isAuthorized: true, tier: 'founder' }).id, 'default');
+    assert.strictEqual(tierFor(null).id, 'default');
+
+    const stranger = '0x6666666666666666666666666666666666666666';
+    assert.strictEqual(tierFor({ address: stranger, isAuthorized: true, tier: 'collector' }).id, 'collector', 'Unverified wallets use the token claim');
+    assert.strictEqual(tierFor({ address: stranger, isAuthorized: true, tier: 'retired' }).id, 'default');
+  });
+
+  it('should report the tier from /auth/verify', async () => {
+    const res = await fetch(`${baseUrl}/auth/verify`, { headers: { Authorization: `Bearer ${tokenFor(FOUNDER)}` } });
+    const { tier } = await res.json();
+    assert.deepStrictEqual(tier, { id: 'founder', name: 'Founder', cooldownMs: 0, maxBatch: 50, rateLimit: config.rateLimit.pixelMaxRequests, extraColors: ['#123456', '#abcdef'] });
+  });
+
+  it('should only accept extra colors from tiers that unlock them', async () => {
+    assert.strictEqual((await post('/pixels', COLLECTOR, { x: 1, y: 1, color: '#123456' })).status, 201);
+    assert.strictEqual((await post('/pixels', FOUNDER, { x: 2, y: 1, color: '#abcdef' })).status, 201);
+
+    const res = await post('/pixels', HOLDER, { x: 3, y: 1, color: '#123456' });
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'COLOR_NOT_IN_PALETTE');
+  });
+
+  it('should cap batches at the tier size', async () => {
+    const batch = (n) => ({ pixels: Array.from({ length: n }, (_, i) => ({ x: i, y: 5, color: '#123456' })) });
+    assert.strictEqual((await post('/pixels/batch', COLLECTOR, batch(20))).status, 201);
+
+    const res = await post('/pixels/batch', HOLDER, batch(11));
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'BATCH_TOO_LARGE');
+  });
+
+  it('should enforce the tier cooldown between placements', async () => {
+    assert.strictEqual((await post('/pixels', HOLDER, { x: 4, y: 1, color: config.canvas.palette[0] })).status, 201);
+
+    const res = await post('/pixels/batch', HOLDER, { pixels: [{ x: 5, y: 1, color: config.canvas.palette[0] }] });
+    assert.strictEqual(res.status, 429);
+    assert.strictEqual(res.headers.get('retry-after'), '60');
+    const body = await res.json();
+    assert.strictEqual(body.code, 'COOLDOWN');
+    assert.ok(body.retryAfterMs > 59000 && body.retryAfterMs <= 60000);
+  });
+
+  it('should apply the tier rate limit', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) statuses.push((await post('/pixels', WHALE, { x: i, y: 9, color: config.canvas.palette[0] })).status);
+    assert.deepStrictEqual(statuses, [201, 201, 201, 429]);
+  });
+});
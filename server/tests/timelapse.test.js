@@ -0,0 +1,297 @@
+/**
+ * Timelapse Tests
+ * Tests for the PNG/APNG, GIF and ZIP encoders and the rendered, cached /canvas/timelapse endpoint
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-timelapse-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, getDb, databaseAPI, DEFAULT_CANVAS } from '../models/database.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import { renderTimelapse } from '../services/timelapse.js';
+import canvasRoutes from '../routes/canvas.js';
+import { crc32 } from '../utils/crc32.js';
+import { encodePng, createApng } from '../utils/png.js';
+import { createGif } from '../utils/gif.js';
+import { createZip } from '../utils/zip.js';
+import { pngChunks, decodePng } from './helpers/png.js';
+
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const PALETTE = [[255, 255, 255], [255, 0, 0], [0, 255, 0], [0, 0, 255]];
+const [WHITE, RED, GREEN, BLUE] = PALETTE;
+
+function lzwDecode(data, minCodeSize, count) {
+  const clearCode = 1 << minCodeSize;
+  const out = [];
+  let table, size, prev;
+  const reset = () => { table = Array.from({ length: clearCode + 2 }, (_, i) => [i]); size = minCodeSize + 1; prev = null; };
+  reset();
+  for (let pos = 0, bits = 0, n = 0; out.length < count || pos < data.length;) {
+    while (n < size) { bits |= (data[pos++] ?? 0) << n; n += 8; }
+    const code = bits & ((1 << size) - 1);
+    bits >>>= size;
+    n -= size;
+    if (code === clearCode) { reset(); continue; }
+    if (code === clearCode + 1) break;
+    const entry = code < table.length ? table[code] : [...prev, prev[0]];
+    out.push(...entry);
+    if (prev) table.push([...prev, entry[0]]);
+    prev = entry;
+    if (table.length === 1 << size && size < 12) size++;
+  }
+  return out;
+}
+
+function decodeGif(buf) {
+  assert.strictEqual(buf.toString('ascii', 0, 6), 'GIF89a');
+  const width = buf.readUInt16LE(6), height = buf.readUInt16LE(8);
+  const colours = 2 << (buf[10] & 7);
+  const palette = Array.from({ length: colours }, (_, i) => [...buf.subarray(13 + i * 3, 16 + i * 3)]);
+  const frames = [];
+  let p = 13 + colours * 3;
+  let delay = null;
+  while (buf[p] !== 0x3b) {
+    if (buf[p] === 0x21) {
+      if (buf[p + 1] === 0xf9) delay = buf.readUInt16LE(p + 4);
+      p += 2;
+      while (buf[p]) p += buf[p] + 1;
+      p++;
+      continue;
+    }
+    const [x, y, w, h] = [1, 3, 5, 7].map(o => buf.readUInt16LE(p + o));
+    const minCodeSize = buf[p + 10];
+    p += 11;
+    const data = [];
+    while (buf[p]) { data.push(...buf.subarray(p + 1, p + 1 + buf[p])); p += buf[p] + 1; }
+    p++;
+    frames.push({ x, y, w, h, delay, indices: lzwDecode(data, minCodeSize, w * h) });
+  }
+  return { width, height, palette, frames };
+}
+
+function readZip(buf) {
+  const entries = [];
+  for (let p = 0; buf.readUInt32LE(p) === 0x04034b50;) {
+    const size = buf.readUInt32LE(p + 18), nameLength = buf.readUInt16LE(p + 26);
+    const data = buf.subarray(p + 30 + nameLength, p + 30 + nameLength + size);
+    assert.strictEqual(buf.readUInt32LE(p + 14), crc32(data));
+    entries.push({ name: buf.toString('utf8', p + 30, p + 30 + nameLength), data });
+    p += 30 + nameLength + size;
+  }
+  return entries;
+}
+
+// Age everything recorded so far, so later writes land at a distinct time
+function backdate(seconds) {
+  getDb().prepare(`UPDATE pixel_history SET placed_at = datetime(placed_at, '-${seconds} seconds')`).run();
+  getDb().prepare(`UPDATE canvas_snapshots SET created_at = datetime(created_at, '-${seconds} seconds')`).run();
+}
+
+describe('Timelapse Encoders', () => {
+  it('should write valid indexed PNGs and APNGs', () => {
+    const png = decodePng(encodePng(3, 2, PALETTE, Uint8Array.from([0, 1, 2, 3, 2, 1])));
+    assert.deepStrictEqual([png.width, png.height], [3, 2]);
+    assert.deepStrictEqual([png.at(1, 0), png.at(0, 1), png.at(2, 1)], [RED, BLUE, RED]);
+
+    const apng = createApng(4, 4, PALETTE, 12);
+    apng.addFrame(0, 0, 4, 4, new Uint8Array(16));
+    apng.addFrame(1, 2, 2, 1, Uint8Array.from([1, 1]));
+    const chunks = pngChunks(apng.finish());
+    assert.deepStrictEqual(chunks.map(c => c.type), ['IHDR', 'PLTE', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+    assert.strictEqual(chunks[2].data.readUInt32BE(0), 2, 'Frame count');
+    const second = chunks[5].data;
+    assert.deepStrictEqual([0, 4, 8, 12, 16].map(o => second.readUInt32BE(o)), [1, 2, 1, 1, 2], 'Sequence, size and offset');
+    assert.strictEqual(second.readUInt16BE(22), 12);
+    assert.strictEqual(chunks[6].data.readUInt32BE(0), 2, 'fdAT carries the next sequence number');
+  });
+
+  it('should LZW-encode GIF frames that decode back exactly', () => {
+    // Noisy enough to fill the code table and force clear codes
+    let seed = 7;
+    const noise = Uint8Array.from({ length: 120 * 90 }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) % 4);
+    const gif = createGif(120, 90, PALETTE, 25);
+    gif.addFrame(0, 0, 120, 90, noise);
+    gif.addFrame(10, 20, 3, 1, Uint8Array.from([3, 3, 1]));
+
+    const decoded = decodeGif(gif.finish());
+    assert.deepStrictEqual([decoded.width, decoded.height], [120, 90]);
+    assert.deepStrictEqual(decoded.palette, PALETTE);
+    assert.deepStrictEqual(decoded.frames[0].indices, [...noise]);
+    assert.deepStrictEqual(decoded.frames[1], { x: 10, y: 20, w: 3, h: 1, delay: 4, indices: [3, 3, 1] });
+  });
+
+  it('should store files in a ZIP with their CRCs', () => {
+    const files = [{ name: 'a.txt', data: Buffer.from('hello') }, { name: 'b/c.bin', data: Buffer.from([0, 1, 2]) }];
+    const zip = createZip(files);
+    assert.deepStrictEqual(readZip(zip), files);
+    const end = zip.subarray(zip.length - 22);
+    assert.strictEqual(end.readUInt32LE(0), 0x06054b50);
+    assert.strictEqual(end.readUInt16LE(10), 2);
+    assert.strictEqual(zip.readUInt32LE(end.readUInt32LE(16)), 0x02014b50, 'Central directory offset');
+  });
+});
+
+describe('Canvas Timelapse', () => {
+  let server;
+  let baseUrl;
+  let from;
+  let to;
+  let rateLimit;
+
+  const get = async (query) => {
+    const res = await fetch(`${baseUrl}/canvas/timelapse${query}`);
+    return { res, body: Buffer.from(await res.arrayBuffer()) };
+  };
+
+  before(async () => {
+    await initDatabase();
+    // These tests ask for more timelapses than one client gets per window
+    rateLimit = config.timelapse.rateLimit;
+    config.timelapse.rateLimit = 1000;
+
+    // Red 200s ago, blue 100s ago, green now
+    canvasService.placePixel(0, 0, '#ff0000', ARTIST);
+    backdate(100);
+    canvasService.placePixel(1, 0, '#0000ff', ARTIST);
+    backdate(100);
+    canvasService.placePixel(2, 0, '#00ff00', ARTIST);
+    to = Date.now();
+    from = to - 150000;
+
+    const app = express();
+    app.use(express.json());
+    app.use('/canvas', canvasRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.timelapse.rateLimit = rateLimit;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should render frames evenly spaced from `from` to `to` as a ZIP of PNGs', async () => {
+    const { res, body } = await get(`?from=${from}&to=${to}&frames=3&scale=2&format=zip`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'application/zip');
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="timelapse-frames.zip"/);
+
+    const entries = readZip(body);
+    assert.deepStrictEqual(entries.map(e => e.name), ['frame-0001.png', 'frame-0002.png', 'frame-0003.png']);
+    const frames = entries.map(e => decodePng(e.data));
+    assert.deepStrictEqual([frames[0].width, frames[0].height], [config.canvas.width * 2, config.canvas.height * 2]);
+    assert.deepStrictEqual(frames.map(f => [f.at(0, 0), f.at(2, 0), f.at(4, 0)]), [
+      [RED, WHITE, WHITE],
+      [RED, BLUE, WHITE],
+      [RED, BLUE, GREEN],
+    ]);
+    assert.deepStrictEqual(frames[2].at(1, 1), RED, 'Each pixel is scale x scale');
+  });
+
+  it('should render GIFs frame by frame, redrawing only what changed', async () => {
+    const { res, body } = await get(`?from=${from}&to=${to}&frames=3&fps=20`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'image/gif');
+
+    const gif = decodeGif(body);
+    assert.deepStrictEqual([gif.width, gif.height], [config.canvas.width, config.canvas.height]);
+    assert.deepStrictEqual(gif.frames.map(f => [f.x, f.y, f.w, f.h]), [[0, 0, config.canvas.width, config.canvas.height], [1, 0, 1, 1], [2, 0, 1, 1]]);
+    assert.deepStrictEqual(gif.frames.slice(1).map(f => gif.palette[f.indices[0]]), [BLUE, GREEN]);
+    assert.strictEqual(gif.frames[0].delay, 5);
+  });
+
+  it('should serve APNGs as image/apng', async () => {
+    const { res, body } = await get(`?from=${from}&to=${to}&frames=4&format=apng`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'image/apng');
+    const chunks = pngChunks(body);
+    assert.strictEqual(chunks.find(c => c.type === 'acTL').data.readUInt32BE(0), 4);
+    assert.strictEqual(chunks.filter(c => c.type === 'fcTL').length, 4);
+  });
+
+  it('should cache renders on disk until the history they cover changes', async () => {
+    const query = `?from=${from}&to=${to}&frames=3&fps=20`;
+    const again = await get(query);
+    assert.strictEqual(again.res.headers.get('x-timelapse-cache'), 'hit');
+    const files = readdirSync(join(testDir, 'timelapse'));
+    assert.strictEqual(files.length, 3, 'One file per distinct render');
+
+    canvasService.clearCanvas();
+    const cleared = await get(`?from=${from}&frames=2&format=zip`);
+    assert.strictEqual(cleared.res.headers.get('x-timelapse-cache'), 'miss');
+    const last = decodePng(readZip(cleared.body)[1].data);
+    assert.deepStrictEqual([last.at(0, 0), last.at(2, 0)], [WHITE, WHITE], 'Clears show up via their keyframe');
+  });
+
+  it('should keep a timelapse without `to` cached until the canvas changes', async () => {
+    const query = '?frames=2&format=zip';
+    assert.strictEqual((await get(query)).res.headers.get('x-timelapse-cache'), 'miss');
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.strictEqual((await get(query)).res.headers.get('x-timelapse-cache'), 'hit', 'Nothing changed since');
+
+    canvasService.placePixel(3, 0, '#ff0000', ARTIST);
+    const changed = await get(query);
+    assert.strictEqual(changed.res.headers.get('x-timelapse-cache'), 'miss');
+    assert.deepStrictEqual(decodePng(readZip(changed.body)[1].data).at(3, 0), RED, 'The last frame shows the latest change');
+  });
+
+  it('should reject bad parameters', async () => {
+    const error = async (query) => JSON.parse((await get(query)).body.toString());
+    assert.strictEqual((await error('?format=webm')).code, 'INVALID_FORMAT');
+    assert.strictEqual((await error('?frames=0')).code, 'INVALID_REQUEST');
+    assert.strictEqual((await error('?fps=2.5')).code, 'INVALID_REQUEST');
+    assert.strictEqual((await error(`?from=${to}&to=${from}`)).code, 'INVALID_REQUEST');
+    assert.strictEqual((await error('?from=yesterday')).code, 'INVALID_TIMESTAMP');
+    assert.strictEqual((await error(`?from=${from - 86400000}`)).code, 'HISTORY_UNAVAILABLE');
+    assert.strictEqual((await error(`?scale=16&frames=${config.timelapse.maxFrames}`)).code, 'TIMELAPSE_TOO_LARGE');
+  });
+
+  it('should refuse new renders while the queue is full', async () => {
+    const maxQueue = config.timelapse.maxQueue;
+    config.timelapse.maxQueue = 1;
+    try {
+      const query = { from, to, frames: 5, format: 'zip' };
+      const first = renderTimelapse(query);
+      const store = databaseAPI.canvas(DEFAULT_CANVAS);
+      const load = store.getHistoryBetween;
+      let loads = 0;
+      store.getHistoryBetween = (...args) => { loads++; return load(...args); };
+      try {
+        await assert.rejects(renderTimelapse({ ...query, frames: 6 }), { statusCode: 503, code: 'TIMELAPSE_BUSY' });
+      } finally {
+        store.getHistoryBetween = load;
+      }
+      assert.strictEqual(loads, 0, 'Refused before any history was loaded');
+      const [a, b] = await Promise.all([first, renderTimelapse(query)]);
+      assert.strictEqual(a.file, b.file, 'The same render is shared, not queued twice');
+      assert.strictEqual((await renderTimelapse({ ...query, frames: 6 })).cached, false, 'Room again once it is done');
+    } finally {
+      config.timelapse.maxQueue = maxQueue;
+    }
+  });
+
+  it('should rate-limit timelapse requests per client', async () => {
+    config.timelapse.rateLimit = 1;
+    const { res, body } = await get(`?from=${from}&to=${to}&frames=3&fps=20`);
+    assert.strictEqual(res.status, 429);
+    assert.strictEqual(JSON.parse(body.toString()).code, 'RATE_LIMITED');
+  });
+});
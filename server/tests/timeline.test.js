@@ -0,0 +1,144 @@
+/**
+ * Timeline Tests
+ * Tests for rebuilding past canvas states from keyframes and pixel history
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import express from 'express';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-timeline-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase, databaseAPI, getDb } from '../models/database.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import canvasService from '../services/canvas.js';
+import { canvasAt } from '../services/timeline.js';
+import canvasRoutes from '../routes/canvas.js';
+
+const ARTIST = '0x1111111111111111111111111111111111111111';
+const [RED, GREEN, BLUE] = ['#ff0000', '#00ff00', '#0000ff'];
+
+const lastHistoryId = () => databaseAPI.getHistoryBounds().last;
+const sorted = (pixels) => pixels.map(({ x, y, color }) => ({ x, y, color })).sort((a, b) => a.y - b.y || a.x - b.x);
+
+// Age everything recorded so far, so later writes land at a distinct time
+function backdate(seconds) {
+  getDb().prepare(`UPDATE pixel_history SET placed_at = datetime(placed_at, '-${seconds} seconds')`).run();
+  getDb().prepare(`UPDATE canvas_snapshots SET created_at = datetime(created_at, '-${seconds} seconds')`).run();
+}
+
+describe('Canvas Timeline', () => {
+  let saved;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    saved = config.canvas.keyframeInterval;
+    config.canvas.keyframeInterval = 10;
+    await initDatabase();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/canvas', canvasRoutes);
+    app.use(errorHandler);
+    server = createServer(app);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    config.canvas.keyframeInterval = saved;
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should rebuild the canvas right after any history row', () => {
+    canvasService.placePixel(0, 0, RED, ARTIST);
+    canvasService.placePixel(1, 0, BLUE, ARTIST);
+    const placed = lastHistoryId();
+    databaseAPI.erasePixel(1, 0, ARTIST);
+
+    const before = canvasAt({ historyId: placed });
+    assert.strictEqual(before.historyId, placed);
+    assert.deepStrictEqual(sorted(before.pixels), [{ x: 0, y: 0, color: RED }, { x: 1, y: 0, color: BLUE }]);
+    assert.deepStrictEqual(sorted(canvasAt({ historyId: placed + 1 }).pixels), [{ x: 0, y: 0, color: RED }], 'The erase is replayed');
+    assert.strictEqual(before.width, config.canvas.width);
+  });
+
+  it('should rebuild the canvas at a timestamp', () => {
+    backdate(60);
+    const then = Date.now() - 30000;
+    canvasService.placePixel(0, 0, GREEN, ARTIST);
+
+    const past = canvasAt({ ts: then });
+    assert.deepStrictEqual(sorted(past.pixels), [{ x: 0, y: 0, color: RED }]);
+    assert.strictEqual(past.historyId, lastHistoryId() - 1);
+    assert.strictEqual(Date.parse(past.timestamp), Math.floor(then / 1000) * 1000);
+
+    assert.deepStrictEqual(sorted(canvasAt({ ts: new Date(then).toISOString() }).pixels), sorted(past.pixels), 'ISO timestamps work too');
+    assert.deepStrictEqual(sorted(canvasAt({ ts: Date.now() + 60000 }).pixels), sorted(databaseAPI.getAllPixels()), 'The future is now');
+  });
+
+  it('should replay from the nearest keyframe', () => {
+    canvasService.placePixelsBatch(Array.from({ length: 25 }, (_, i) => ({ x: i, y: 1, color: i % 2 ? RED : BLUE })), ARTIST);
+    for (let i = 0; i < 12; i++) canvasService.placePixel(i, 2, GREEN, ARTIST);
+    const target = lastHistoryId() - 5;
+
+    const keyframe = databaseAPI.getKeyframeBefore(target);
+    assert.ok(target - keyframe.historyId <= 10, 'Only rows since the last keyframe are replayed');
+
+    const rebuilt = canvasAt({ historyId: target });
+    assert.strictEqual(rebuilt.pixels.filter(p => p.y === 2).length, 7);
+    assert.strictEqual(rebuilt.pixels.filter(p => p.y === 1).length, 25);
+    assert.deepStrictEqual(sorted(canvasAt({ historyId: lastHistoryId() }).pixels), sorted(databaseAPI.getAllPixels()));
+  });
+
+  it('should see across clears and imports, which leave no history', () => {
+    const beforeClear = lastHistoryId();
+    const full = sorted(databaseAPI.getAllPixels());
+    canvasService.clearCanvas();
+    canvasService.placePixel(5, 5, BLUE, ARTIST);
+
+    assert.deepStrictEqual(sorted(canvasAt({ historyId: beforeClear }).pixels), full);
+    assert.deepStrictEqual(sorted(canvasAt({ historyId: beforeClear + 1 }).pixels), [{ x: 5, y: 5, color: BLUE }]);
+    assert.deepStrictEqual(sorted(canvasAt({ ts: Date.now() }).pixels), [{ x: 5, y: 5, color: BLUE }]);
+
+    canvasService.importCanvas([{ x: 9, y: 9, color: RED }]);
+    canvasService.placePixel(6, 5, GREEN, ARTIST);
+    assert.deepStrictEqual(sorted(canvasAt({ historyId: lastHistoryId() }).pixels), [{ x: 5, y: 5, color: BLUE }, { x: 6, y: 5, color: GREEN }, { x: 9, y: 9, color: RED }]);
+  });
+
+  it('should serve GET /canvas/at and reject bad queries', async () => {
+    const get = async (query) => {
+      const res = await fetch(`${baseUrl}/canvas/at${query}`);
+      return { status: res.status, body: await res.json() };
+    };
+
+    const ok = await get(`?historyId=${lastHistoryId()}`);
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(ok.body.pixelCount, 3);
+
+    assert.strictEqual((await get('')).body.code, 'INVALID_REQUEST');
+    assert.strictEqual((await get('?ts=yesterday')).body.code, 'INVALID_TIMESTAMP');
+    assert.strictEqual((await get('?historyId=abc')).body.code, 'INVALID_HISTORY_ID');
+
+    const missing = await get('?historyId=999999');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'HISTORY_NOT_FOUND');
+
+    const tooEarly = await get(`?ts=${Date.now() - 86400000}`);
+    assert.strictEqual(tooEarly.status, 404);
+    assert.strictEqual(tooEarly.body.code, 'HISTORY_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * WebSocket Auth Tests
+ * Tests for in-band authentication, re-authentication and token expiry on live sockets
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import WebSocket from 'ws';
+import jwt from 'jsonwebtoken';
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key-that-is-long-enough-for-testing';
+
+const testDir = mkdtempSync(join(tmpdir(), 'drawingboard-test-wsauth-'));
+process.env.DATABASE_PATH = join(testDir, 'canvas.db');
+
+import config from '../config/index.js';
+import { initDatabase, closeDatabase } from '../models/database.js';
+import { createSession, revokeSession } from '../services/sessions.js';
+import { initWebSocket } from '../websocket/index.js';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const tokenFor = (address, expiresIn = '15m') => jwt.sign({ address, chainId: 1, isAuthorized: true, isAdmin: false, sid: `s-${address}` }, config.jwt.secret, { expiresIn });
+
+describe('WebSocket In-Band Auth', () => {
+  let server;
+  let wss;
+  let url;
+  const sockets = [];
+
+  // Open a socket and return it with a helper that resolves the next message of a type
+  async function open(query = '') {
+    const ws = new WebSocket(`${url}${query}`);
+    const queue = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+      const msg = JSON.parse(raw.toString());
+      const i = waiters.findIndex(w => w.type === msg.type);
+      if (i >= 0) waiters.splice(i, 1)[0].resolve(msg.data);
+      else queue.push(msg);
+    });
+    const next = (type) => {
+      const i = queue.findIndex(m => m.type === type);
+      if (i >= 0) return Promise.resolve(queue.splice(i, 1)[0].data);
+      return new Promise((resolve) => waiters.push({ type, resolve }));
+    };
+    const auth = (token) => {
+      ws.send(JSON.stringify({ type: 'auth', data: { token } }));
+      return next('auth_result');
+    };
+    sockets.push(ws);
+    const welcome = await next('welcome');
+    return { ws, next, auth, welcome };
+  }
+
+  before(async () => {
+    await initDatabase();
+    server = createServer();
+    wss = initWebSocket(server);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+  });
+
+  after(async () => {
+    sockets.forEach(ws => ws.terminate());
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+    closeDatabase();
+    rmSync(testDir, { recursive: true, force: true });
+  });
+
+  it('should attach an identity to an anonymous socket', async () => {
+    const { auth, welcome } = await open();
+    assert.strictEqual(welcome.authenticated, false);
+
+    const result = await auth(tokenFor(ALICE));
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.authenticated, true);
+    assert.strictEqual(result.address, ALICE);
+    assert.ok(result.expiresAt > Date.now());
+  });
+
+  it('should switch wallets on the same connection', async () => {
+    const { auth, welcome } = await open(`?token=${tokenFor(ALICE)}`);
+    assert.strictEqual(welcome.authenticated, true);
+
+    const result = await auth(tokenFor(BOB));
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.address, BOB);
+  });
+
+  it('should drop the identity on a null token', async () => {
+    const { ws, auth, next } = await open(`?token=${tokenFor(ALICE)}`);
+
+    assert.deepStrictEqual(await auth(null), { ok: true, authenticated: false });
+    ws.send(JSON.stringify({ type: 'batch', data: { pixels: [{ x: 0, y: 0, color: '#ff0000' }] } }));
+    assert.strictEqual((await next('error')).code, 'AUTH_REQUIRED');
+  });
+
+  it('should reject bad tokens and drop the previous identity', async () => {
+    const { auth } = await open(`?token=${tokenFor(ALICE)}`);
+
+    const invalid = await auth('not-a-jwt');
+    assert.strictEqual(invalid.ok, false);
+    assert.strictEqual(invalid.authenticated, false);
+    assert.strictEqual(invalid.code, 'INVALID_TOKEN');
+
+    const expired = await auth(tokenFor(ALICE, -10));
+    assert.strictEqual(expired.code, 'TOKEN_EXPIRED');
+  });
+
+  it('should send auth_expired when the token lapses on a live socket', async () => {
+    const { ws, next } = await open(`?token=${tokenFor(ALICE, 2)}`);
+
+    const expired = await next('auth_expired');
+    assert.strictEqual(expired.code, 'TOKEN_EXPIRED');
+    assert.strictEqual(ws.readyState, WebSocket.OPEN, 'The socket stays open as an anonymous viewer');
+
+    ws.send(JSON.stringify({ type: 'batch', data: { pixels: [{ x: 0, y: 0, color: '#ff0000' }] } }));
+    assert.strictEqual((await next('error')).code, 'AUTH_REQUIRED');
+  });
+
+  it('should re-arm the expiry when a fresh token arrives', async () => {
+    const { next, auth } = await open(`?token=${tokenFor(ALICE, 2)}`);
+    await auth(tokenFor(ALICE));
+
+    const outcome = await Promise.race([
+      next('auth_expired').then(() => 'expired'),
+      new Promise((resolve) => setTimeout(() => resolve('still valid'), 2500)),
+    ]);
+    assert.strictEqual(outcome, 'still valid');
+  });
+
+  it('should drop the identity of open sockets when their session is revoked', async () => {
+    const { sessionId } = createSession({ address: ALICE, chainId: 1 });
+    const token = jwt.sign({ address: ALICE, chainId: 1, isAuthorized: true, isAdmin: false, sid: sessionId }, config.jwt.secret, { expiresIn: '15m' });
+    const revokedSocket = await open(`?token=${token}`);
+    const other = await open(`?token=${tokenFor(BOB)}`);
+    assert.strictEqual(revokedSocket.welcome.authenticated, true);
+
+    await revokeSession(sessionId);
+    const dropped = await revokedSocket.next('auth_expired');
+    assert.strictEqual(dropped.code, 'TOKEN_REVOKED');
+    assert.strictEqual(revokedSocket.ws.readyState, WebSocket.OPEN, 'The socket stays open as an anonymous viewer');
+
+    revokedSocket.ws.send(JSON.stringify({ type: 'batch', data: { pixels: [{ x: 0, y: 0, color: '#ff0000' }] } }));
+    assert.strictEqual((await revokedSocket.next('error')).code, 'AUTH_REQUIRED');
+    const outcome = await Promise.race([
+      other.next('auth_expired').then(() => 'dropped'),
+      new Promise((resolve) => setTimeout(() => resolve('still signed in'), 200)),
+    ]);
+    assert.strictEqual(outcome, 'still signed in', 'Other sessions are untouched');
+  });
+});
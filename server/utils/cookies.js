@@ -0,0 +1,37 @@
+/**
+ * Cookie helpers - parse the Cookie header and build Set-Cookie values
+ */
+
+export function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      cookies[name] = part.slice(i + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+export function serializeCookie(name, value, { maxAge, path = '/', httpOnly = false, secure = false, sameSite } = {}) {
+  let cookie = `${name}=${encodeURIComponent(value)}; Path=${path}`;
+  if (maxAge !== undefined) cookie += `; Max-Age=${Math.max(0, Math.floor(maxAge / 1000))}`;
+  if (httpOnly) cookie += '; HttpOnly';
+  if (secure) cookie += '; Secure';
+  if (sameSite) cookie += `; SameSite=${sameSite[0].toUpperCase()}${sameSite.slice(1)}`;
+  return cookie;
+}
+
+// Append rather than overwrite so several cookies can be set on one response
+export function appendCookie(res, cookie) {
+  const prev = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', prev ? [].concat(prev, cookie) : cookie);
+}
+
+export default { parseCookies, serializeCookie, appendCookie };
@@ -0,0 +1,107 @@
+/**
+ * GIF encoding - endlessly looping GIF89a animations
+ *
+ * Like utils/png.js, frames are palette indices into one global colour table
+ * of at most 256 [r, g, b] entries.
+ */
+
+const MAX_CODE = 4096;
+
+// Variable-width LZW, emitting a clear code whenever the 12-bit table fills up
+function lzw(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = Buffer.alloc(Math.ceil(indices.length * 1.5) + 16);
+  let length = 0;
+  let bits = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out[length++] = bits & 0xff;
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) out[length++] = bits & 0xff;
+  return out.subarray(0, length);
+}
+
+// Data sub-blocks: up to 255 bytes each behind a length byte, then a 0 terminator
+function subBlocks(data) {
+  const blocks = [];
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.subarray(i, i + 255);
+    blocks.push(Buffer.from([block.length]), block);
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Built a frame at a time. The first frame covers the whole image; later ones
+ * may cover any region of it and are drawn over what came before.
+ */
+export function createGif(width, height, palette, fps) {
+  const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const minCodeSize = Math.max(2, tableBits);
+  const delay = Math.max(2, Math.round(100 / fps)); // centiseconds; most viewers treat less than 2 as 10
+  
+  const screen = Buffer.alloc(13);
+  screen.write('GIF89a', 0, 'ascii');
+  screen.writeUInt16LE(width, 6);
+  screen.writeUInt16LE(height, 8);
+  screen[10] = 0x80 | ((tableBits - 1) << 4) | (tableBits - 1); // global colour table of 2^tableBits entries
+  const colours = Buffer.alloc(3 << tableBits);
+  palette.forEach((rgb, i) => colours.set(rgb, i * 3));
+  const loop = Buffer.concat([Buffer.from([0x21, 0xff, 0x0b]), Buffer.from('NETSCAPE2.0', 'ascii'), Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00])]);
+  const parts = [screen, colours, loop];
+  
+  return {
+    addFrame(x, y, w, h, indices) {
+      // Graphic control: disposal 1 (leave in place), the frame delay, no transparency
+      parts.push(Buffer.from([0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00]));
+      const descriptor = Buffer.alloc(10);
+      descriptor[0] = 0x2c;
+      descriptor.writeUInt16LE(x, 1);
+      descriptor.writeUInt16LE(y, 3);
+      descriptor.writeUInt16LE(w, 5);
+      descriptor.writeUInt16LE(h, 7);
+      parts.push(descriptor, Buffer.from([minCodeSize]), subBlocks(lzw(indices, minCodeSize)));
+    },
+    
+    finish() {
+      return Buffer.concat([...parts, Buffer.from([0x3b])]);
+    },
+  };
+}
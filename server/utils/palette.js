@@ -0,0 +1,44 @@
+/**
+ * Palettes for indexed images - canvas hex colours down to at most 256 [r, g, b] entries
+ */
+
+export const EMPTY = '#ffffff'; // Unpainted pixels, as the client draws them
+const MAX_COLOURS = 256;
+
+export const toRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) || 0);
+
+/**
+ * `colours` (repeats welcome; ERASED and empty are skipped) -> { palette, indexOf }.
+ * `fixed` colours come first, in order; the rest follow most used first, and any
+ * past 256 map to the nearest kept one. Unknown and missing colours index as fixed[0].
+ */
+export function buildPalette(colours, fixed = [EMPTY]) {
+  const counts = new Map(fixed.map(c => [c, Infinity]));
+  for (const colour of colours) {
+    if (!colour || colour === 'ERASED') continue;
+    const c = colour.toLowerCase();
+    counts.set(c, (counts.get(c) || 0) + 1);
+  }
+  
+  const kept = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)).slice(0, MAX_COLOURS);
+  const palette = kept.map(toRgb);
+  const index = new Map(kept.map((c, i) => [c, i]));
+  
+  return {
+    palette,
+    indexOf(colour) {
+      if (!colour || colour === 'ERASED') return 0;
+      const c = colour.toLowerCase();
+      if (!index.has(c)) {
+        const [r, g, b] = toRgb(c);
+        let best = 0, bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], i) => {
+          const d = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+          if (d < bestDistance) { best = i; bestDistance = d; }
+        });
+        index.set(c, best);
+      }
+      return index.get(c);
+    },
+  };
+}
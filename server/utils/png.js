@@ -0,0 +1,187 @@
+/**
+ * PNG encoding - 8-bit indexed stills and APNG animations - and decoding to RGBA
+ *
+ * Encoded images are palette indices (one byte per pixel, row-major) plus a
+ * palette of at most 256 [r, g, b] entries.
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+import { crc32 } from './crc32.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const IEND = chunk('IEND', Buffer.alloc(0));
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+function header(width, height, palette) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 3; // indexed colour
+  return [chunk('IHDR', ihdr), chunk('PLTE', Buffer.from(palette.flat()))];
+}
+
+// Scanlines, each behind a filter-type 0 (none) byte, deflated
+function imageData(width, height, indices) {
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) raw.set(indices.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  return deflateSync(raw);
+}
+
+export function encodePng(width, height, palette, indices) {
+  return Buffer.concat([SIGNATURE, ...header(width, height, palette), chunk('IDAT', imageData(width, height, indices)), IEND]);
+}
+
+/**
+ * An endlessly looping APNG, built a frame at a time. The first frame covers the
+ * whole image; later ones may cover any region of it and replace what is there.
+ */
+export function createApng(width, height, palette, fps) {
+  const chunks = [];
+  let sequence = 0;
+  let frames = 0;
+  
+  return {
+    addFrame(x, y, w, h, indices) {
+      const fctl = Buffer.alloc(26);
+      fctl.writeUInt32BE(sequence++, 0);
+      fctl.writeUInt32BE(w, 4);
+      fctl.writeUInt32BE(h, 8);
+      fctl.writeUInt32BE(x, 12);
+      fctl.writeUInt32BE(y, 16);
+      fctl.writeUInt16BE(1, 20); // delay = 1 / fps seconds
+      fctl.writeUInt16BE(fps, 22);
+      chunks.push(chunk('fcTL', fctl)); // dispose_op and blend_op 0: keep the frame, overwrite the region
+      
+      const data = imageData(w, h, indices);
+      if (frames++ === 0) {
+        chunks.push(chunk('IDAT', data));
+      } else {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++, 0);
+        chunks.push(chunk('fdAT', Buffer.concat([seq, data])));
+      }
+    },
+    
+    finish() {
+      const actl = Buffer.alloc(8);
+      actl.writeUInt32BE(frames, 0); // num_plays 0 = loop forever
+      return Buffer.concat([SIGNATURE, ...header(width, height, palette), chunk('acTL', actl), ...chunks, IEND]);
+    },
+  };
+}
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // by colour type: grey, RGB, indexed, grey + alpha, RGBA
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+export const isPng = (buf) => buf.length > 8 && buf.subarray(0, 8).equals(SIGNATURE);
+
+function paeth(a, b, c) {
+  const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undo the per-scanline filters of one (sub)image starting at `offset`
+function unfilter(data, offset, width, height, bitsPerPixel) {
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++, offset += stride + 1) {
+    const filter = data[offset];
+    const line = data.subarray(offset + 1, offset + 1 + stride);
+    if (line.length < stride) throw new Error('PNG data is truncated');
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : null;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? row[i - bpp] : 0, b = prev ? prev[i] : 0, c = prev && i >= bpp ? prev[i - bpp] : 0;
+      if (filter === 0) row[i] = line[i];
+      else if (filter === 1) row[i] = line[i] + a;
+      else if (filter === 2) row[i] = line[i] + b;
+      else if (filter === 3) row[i] = line[i] + ((a + b) >> 1);
+      else if (filter === 4) row[i] = line[i] + paeth(a, b, c);
+      else throw new Error(`Unknown PNG filter ${filter}`);
+    }
+  }
+  return { rows, stride, offset };
+}
+
+/**
+ * Any standard PNG (all colour types and bit depths, tRNS, Adam7) ->
+ * { width, height, data } with data as RGBA bytes. Throws on malformed input.
+ */
+export function decodePng(buf) {
+  if (!isPng(buf)) throw new Error('Not a PNG');
+  let ihdr, plte, trns;
+  const idat = [];
+  for (let p = 8; p + 8 <= buf.length;) {
+    const length = buf.readUInt32BE(p);
+    const type = buf.toString('ascii', p + 4, p + 8);
+    const data = buf.subarray(p + 8, p + 8 + length);
+    if (type === 'IHDR') ihdr = data;
+    else if (type === 'PLTE') plte = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    p += 12 + length;
+  }
+  if (!ihdr || !idat.length) throw new Error('PNG is missing IHDR or IDAT');
+  
+  const width = ihdr.readUInt32BE(0), height = ihdr.readUInt32BE(4);
+  const bitDepth = ihdr[8], colourType = ihdr[9], interlaced = ihdr[12] === 1;
+  if (!CHANNELS[colourType] || ![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error('Unsupported PNG format');
+  if (colourType === 3 && !plte) throw new Error('Indexed PNG without a palette');
+  
+  const data = inflateSync(Buffer.concat(idat));
+  const out = new Uint8Array(width * height * 4);
+  const channels = CHANNELS[colourType];
+  const maxSample = (1 << bitDepth) - 1;
+  
+  // Sample n of a row, at its original depth
+  const sample = (row, n) => {
+    if (bitDepth === 16) return (row[n * 2] << 8) | row[n * 2 + 1];
+    if (bitDepth === 8) return row[n];
+    return (row[(n * bitDepth) >> 3] >> (8 - bitDepth - ((n * bitDepth) & 7))) & maxSample;
+  };
+  const to8 = (v) => (bitDepth === 16 ? v >> 8 : bitDepth === 8 ? v : Math.round((v * 255) / maxSample));
+  const key = (n) => (trns && trns.length >= n * 2 ? trns.readUInt16BE((n - 1) * 2) : -1); // tRNS transparent sample
+  
+  const put = (row, x, o) => {
+    const s = x * channels;
+    if (colourType === 3) {
+      const i = sample(row, x);
+      out.set(plte.subarray(i * 3, i * 3 + 3), o);
+      out[o + 3] = trns && i < trns.length ? trns[i] : 255;
+    } else if (colourType === 0 || colourType === 4) {
+      const g = sample(row, s);
+      out.fill(to8(g), o, o + 3);
+      out[o + 3] = colourType === 4 ? to8(sample(row, s + 1)) : g === key(1) ? 0 : 255;
+    } else {
+      const [r, g, b] = [sample(row, s), sample(row, s + 1), sample(row, s + 2)];
+      out[o] = to8(r);
+      out[o + 1] = to8(g);
+      out[o + 2] = to8(b);
+      out[o + 3] = colourType === 6 ? to8(sample(row, s + 3)) : r === key(1) && g === key(2) && b === key(3) ? 0 : 255;
+    }
+  };
+  
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of interlaced ? ADAM7 : [[0, 0, 1, 1]]) {
+    const w = Math.ceil((width - x0) / dx), h = Math.ceil((height - y0) / dy);
+    if (w <= 0 || h <= 0) continue;
+    const pass = unfilter(data, offset, w, h, channels * bitDepth);
+    offset = pass.offset;
+    for (let y = 0; y < h; y++) {
+      const row = pass.rows.subarray(y * pass.stride, (y + 1) * pass.stride);
+      for (let x = 0; x < w; x++) put(row, x, ((y0 + y * dy) * width + x0 + x * dx) * 4);
+    }
+  }
+  return { width, height, data: out };
+}
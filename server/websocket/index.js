@@ -1,23 +1,37 @@
 /**
  * WebSocket Server - Real-time pixel broadcast
+ *
+ * Each socket draws on one canvas (room), picked with ?canvas= (the default canvas
+ * without it), and only hears that canvas's broadcasts.
  */
 
 import { WebSocketServer, WebSocket } from 'ws';
 import Redis from 'ioredis';
 import jwt from 'jsonwebtoken';
 import canvasService from '../services/canvas.js';
-import { databaseAPI } from '../models/database.js';
+import { findRoom, DEFAULT_CANVAS } from '../services/rooms.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { incrementCounter } from '../services/metrics.js';
 import { setRedisClient as setNonceRedisClient } from '../services/nonceStore.js';
+import { setRedisClients as setSessionRedisClients, setRevokedCallback, isRevoked } from '../services/sessions.js';
+import { isBanned, canPlace, hasPermission } from '../services/roles.js';
+import { resolveApiKey, isActive as isApiKeyActive } from '../services/apiKeys.js';
+import { setRedisClients as setOwnershipRedisClients, setDeauthorizedCallback, markActive, isDeauthorized, checkRoomOwnership } from '../services/ownership.js';
+import { tierFor, paletteFor } from '../services/tiers.js';
+import { isDenylisted } from '../services/access.js';
+import { setRedisClient as setCooldownRedisClient, claimPlacement, nextPlacementAt } from '../services/cooldown.js';
+import { apiKeyUser } from '../middleware/auth.js';
+import { cookieMode, originAllowed, ACCESS_COOKIE } from '../middleware/cookieSession.js';
+import { parseCookies } from '../utils/cookies.js';
 
 let wss = null;
 let redisPub = null, redisSub = null;
-const CHANNEL = 'drawingboard:broadcast';
+const CHANNEL = 'drawingboard:broadcast'; // One channel per canvas: `${CHANNEL}:${canvasId}`
 const MAX_PER_IP = parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP || '10', 10);
 const MAX_TOTAL = parseInt(process.env.WS_MAX_TOTAL_CONNECTIONS || '10000', 10);
 const connsByIP = new Map();
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 function initRedis() {
   if (!config.redis.enabled) return;
@@ -28,13 +42,16 @@ function initRedis() {
     redisPub = new Redis(opts);
     redisSub = new Redis(opts);
     setNonceRedisClient(redisPub);
+    setSessionRedisClients(redisPub, redisSub);
+    setOwnershipRedisClients(redisPub, redisSub);
+    setCooldownRedisClient(redisPub);
     
-    redisSub.subscribe(CHANNEL);
-    redisSub.on('message', (ch, msg) => {
-      if (ch !== CHANNEL) return;
+    redisSub.psubscribe(`${CHANNEL}:*`);
+    redisSub.on('pmessage', (pattern, ch, msg) => {
+      if (pattern !== `${CHANNEL}:*`) return;
       try {
         const { type, data, origin } = JSON.parse(msg);
-        if (origin !== getInstanceId()) broadcastLocal(type, data);
+        if (origin !== getInstanceId()) broadcastLocal(type, data, ch.slice(CHANNEL.length + 1));
       } catch {}
     });
     
@@ -56,6 +73,52 @@ function canConnect(ip) {
   return { ok: true };
 }
 
+// Browsers attach cookies to cross-site upgrades too, so the session cookie only counts from an allowed Origin
+function sessionCookieToken(req) {
+  if (!cookieMode() || !originAllowed(req.headers.origin, req.headers.host)) return null;
+  return parseCookies(req.headers.cookie)[ACCESS_COOKIE] || null;
+}
+
+// Verify an access token for a socket: { user, exp } or { error, code } with the HTTP middleware's codes
+function verifySocketToken(token) {
+  let d;
+  try {
+    d = jwt.verify(token, config.jwt.secret);
+  } catch (e) {
+    return e.name === 'TokenExpiredError' ? { error: 'Token expired', code: 'TOKEN_EXPIRED' } : { error: 'Invalid token', code: 'INVALID_TOKEN' };
+  }
+  if (isRevoked(d.sid)) return { error: 'Token revoked', code: 'TOKEN_REVOKED' };
+  return { user: { address: d.address, chainId: d.chainId, isAuthorized: d.isAuthorized, isAdmin: d.isAdmin || false, sessionId: d.sid, tier: d.tier }, exp: d.exp };
+}
+
+/**
+ * Attach (or drop, with null) a socket's identity. Token identities get a timer
+ * that drops them again when the JWT lapses, so long-lived sockets can't outlive it.
+ */
+function setSocketUser(ws, user, exp = null) {
+  clearTimeout(ws.authTimer);
+  ws.user = user;
+  ws.authExp = exp;
+  if (exp) armExpiry(ws);
+}
+
+// A wallet that (re)connects mid-cooldown - placed from another tab or instance - learns when it may place
+async function sendCooldown(ws) {
+  if (!ws.user) return;
+  const at = await nextPlacementAt(ws.user.address);
+  if (at > Date.now()) send(ws, 'cooldown', { nextPlacementAt: at, cooldownMs: tierFor(ws.user).cooldownMs });
+}
+
+function armExpiry(ws) {
+  const ms = ws.authExp * 1000 - Date.now();
+  ws.authTimer = setTimeout(() => {
+    // setTimeout caps out around 24.8 days - re-arm until the token really lapses
+    if (Date.now() < ws.authExp * 1000) return armExpiry(ws);
+    setSocketUser(ws, null);
+    send(ws, 'auth_expired', { message: 'Token expired', code: 'TOKEN_EXPIRED' });
+  }, Math.min(Math.max(ms, 0), MAX_TIMER_MS));
+}
+
 export function initWebSocket(server) {
   initRedis();
   wss = new WebSocketServer({ server, path: '/ws' });
@@ -65,32 +128,58 @@ export function initWebSocket(server) {
     broadcast('status', canvasService.getStatus());
   });
   
+  // Ownership fans deauthorizations out across instances itself, so this only reaches local sockets
+  setDeauthorizedCallback((address) => {
+    const payload = JSON.stringify({ type: 'deauthorized', data: { message: 'NFT no longer held', code: 'DEAUTHORIZED' } });
+    wss.clients.forEach(c => { if (c.user?.address === address && c.readyState === WebSocket.OPEN) c.send(payload); });
+  });
+  
+  // Sessions fan revocations out the same way; sockets signed in with a revoked session drop back to viewers
+  setRevokedCallback((sessionId) => {
+    wss.clients.forEach(c => {
+      if (c.user?.sessionId !== sessionId) return;
+      setSocketUser(c, null);
+      send(c, 'auth_expired', { message: 'Session revoked', code: 'TOKEN_REVOKED' });
+    });
+  });
+  
   wss.on('connection', (ws, req) => {
     const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress;
     const url = new URL(req.url, `http://${req.headers.host}`);
-    const token = url.searchParams.get('token');
+    const token = url.searchParams.get('token') || sessionCookieToken(req);
+    const apiKey = req.headers['x-api-key'] || url.searchParams.get('apiKey');
+    const canvasId = url.searchParams.get('canvas') || DEFAULT_CANVAS;
     
     const check = canConnect(ip);
     if (!check.ok) { ws.close(1013, check.reason); return; }
+    if (!findRoom(canvasId)) { ws.close(4404, 'Unknown canvas'); return; }
     
     if (!connsByIP.has(ip)) connsByIP.set(ip, new Set());
     connsByIP.get(ip).add(ws);
     ws.clientIP = ip;
+    ws.canvasId = canvasId;
     
-    let user = null;
-    if (token) {
-      try {
-        const d = jwt.verify(token, config.jwt.secret);
-        user = { address: d.address, chainId: d.chainId, isAuthorized: d.isAuthorized, isAdmin: d.isAdmin || false };
-        ws.user = user;
-      } catch {
+    ws.user = null;
+    if (apiKey) {
+      const key = resolveApiKey(apiKey, ip);
+      if (!key) {
+        connsByIP.get(ip)?.delete(ws);
+        ws.close(1008, 'Invalid API key');
+        return;
+      }
+      setSocketUser(ws, apiKeyUser(key));
+    } else if (token) {
+      const result = verifySocketToken(token);
+      if (result.error) {
         connsByIP.get(ip)?.delete(ws);
-        ws.close(1008, 'Invalid token');
+        ws.close(1008, result.error);
         return;
       }
+      setSocketUser(ws, result.user, result.exp);
     }
     
-    send(ws, 'welcome', { message: 'Connected', clients: wss.clients.size, status: canvasService.getStatus(), authenticated: !!user });
+    send(ws, 'welcome', { message: 'Connected', canvas: canvasId, clients: wss.clients.size, status: canvasService.getStatus(canvasId), authenticated: !!ws.user });
+    sendCooldown(ws);
     
     ws.on('message', (raw) => {
       try {
@@ -104,6 +193,7 @@ export function initWebSocket(server) {
     });
     
     ws.on('close', () => {
+      clearTimeout(ws.authTimer);
       connsByIP.get(ws.clientIP)?.delete(ws);
       if (!connsByIP.get(ws.clientIP)?.size) connsByIP.delete(ws.clientIP);
     });
@@ -148,65 +238,152 @@ function handleMessage(ws, type, data) {
     // Echo back timestamp for latency measurement
     return send(ws, 'pong', { ts: data?.ts, serverTs: Date.now() });
   }
+  if (type === 'auth') return handleAuth(ws, data);
   if (type === 'pixel') return handlePixel(ws, data);
   if (type === 'batch') return handleBatch(ws, data);
 }
 
-function handlePixel(ws, data) {
+/**
+ * In-band auth: `{ token }` attaches or replaces the socket's identity, `{ token: null }` drops it.
+ * A rejected token also drops the old identity so the socket never keeps acting for a wallet the client has left.
+ */
+function handleAuth(ws, data) {
+  if (!data || !('token' in data)) return send(ws, 'auth_result', { ok: false, authenticated: !!ws.user, error: 'Token required', code: 'NO_TOKEN' });
+  
+  if (data.token === null) {
+    setSocketUser(ws, null);
+    return send(ws, 'auth_result', { ok: true, authenticated: false });
+  }
+  
+  const result = typeof data.token === 'string' ? verifySocketToken(data.token) : { error: 'Invalid token', code: 'INVALID_TOKEN' };
+  if (result.error) {
+    setSocketUser(ws, null);
+    return send(ws, 'auth_result', { ok: false, authenticated: false, error: result.error, code: result.code });
+  }
+  
+  setSocketUser(ws, result.user, result.exp);
+  send(ws, 'auth_result', { ok: true, authenticated: true, address: result.user.address, isAuthorized: result.user.isAuthorized, expiresAt: result.exp ? result.exp * 1000 : null });
+  sendCooldown(ws);
+}
+
+// Roles are checked live so bans and grants apply to sockets that are already open; gating,
+// contracts and allowlist are the canvas's
+async function placementDenied(ws, room) {
+  if (ws.user?.apiKey && !isApiKeyActive(ws.user.apiKey.id)) return { message: 'API key revoked', code: 'API_KEY_REVOKED' };
+  if (ws.user?.apiKey && !ws.user.apiKey.scopes.includes('pixels:write')) return { message: 'API key scope required', code: 'INSUFFICIENT_SCOPE' };
+  if (ws.user && isBanned(ws.user.address)) return { message: 'Wallet is banned', code: 'BANNED' };
+  if (ws.user && isDenylisted(ws.user.address)) return { message: 'Wallet is denylisted', code: 'DENYLISTED' };
+  if (ws.user) markActive(ws.user.address);
+  if (config.openMode) return null;
+  if (ws.user && room.contracts) await checkRoomOwnership(ws.user.address, room);
+  if (!canPlace(ws.user, room)) {
+    if (ws.user && room.gating === 'allowlist') return { message: 'This canvas is allowlist-only', code: 'NOT_AUTHORIZED' };
+    if (ws.user && room.contracts) return { message: 'NFT required', code: 'NOT_AUTHORIZED' };
+    return ws.user && isDeauthorized(ws.user.address) ? { message: 'NFT no longer held', code: 'DEAUTHORIZED' } : { message: 'Auth required', code: 'AUTH_REQUIRED' };
+  }
+  return null;
+}
+
+// Tier batch size, and palette on top of the canvas's
+function tierDenied(ws, pixels, room) {
+  const tier = tierFor(ws.user);
+  if (pixels.length > tier.maxBatch) return { message: `Max ${tier.maxBatch} pixels per batch`, code: 'BATCH_TOO_LARGE' };
+  const palette = paletteFor(tier, room.palette);
+  if (pixels.some(p => !palette.includes(String(p.color).toLowerCase()))) return { message: 'Color not in palette', code: 'COLOR_NOT_IN_PALETTE' };
+  return null;
+}
+
+// Claim the placement cooldown last, so only placements that go ahead start it; the client is told when it may place next
+async function cooldownDenied(ws) {
+  const claimed = await claimPlacement(ws.user, ws.user?.address || ws.clientIP);
+  if (claimed.cooldownMs || !claimed.ok) send(ws, 'cooldown', { nextPlacementAt: claimed.nextPlacementAt, cooldownMs: claimed.cooldownMs });
+  return claimed.ok ? null : { message: 'Cooldown active', code: 'COOLDOWN', retryAfterMs: claimed.retryAfterMs, nextPlacementAt: claimed.nextPlacementAt };
+}
+
+// Checked live: the canvas can be resized under a connected client
+const inBounds = (room, x, y) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < room.width && y < room.height;
+
+// The socket's canvas as it is now; it may have been deleted since the socket connected
+function roomOf(ws) {
+  const room = findRoom(ws.canvasId);
+  if (!room) send(ws, 'error', { message: 'Canvas not found', code: 'CANVAS_NOT_FOUND' });
+  return room;
+}
+
+async function handlePixel(ws, data) {
   if (!data || typeof data.x !== 'number' || typeof data.y !== 'number') return send(ws, 'error', { message: 'Invalid data' });
-  if (!config.openMode && (!ws.user || !ws.user.isAuthorized)) return send(ws, 'error', { message: 'Auth required', code: 'AUTH_REQUIRED' });
+  const room = roomOf(ws);
+  if (!room) return;
+  if (!inBounds(room, data.x, data.y)) return send(ws, 'error', { message: 'Out of bounds', code: 'OUT_OF_BOUNDS' });
   
   const { x, y, color } = data;
   const user = ws.user?.address || (config.openMode ? 'anonymous' : null);
   
   try {
     if (!color) {
-      if (!ws.user?.isAdmin) return send(ws, 'error', { message: 'Admin required', code: 'NOT_ADMIN' });
-      databaseAPI.erasePixel(x, y, user);
-      broadcast('pixel', { x, y, color: null, placedBy: user });
+      if (!ws.user || !hasPermission(ws.user.address, 'pixel:erase')) return send(ws, 'error', { message: 'Permission required', code: 'FORBIDDEN' });
+      canvasService.erasePixel(x, y, user, room.id);
+      broadcast('pixel', { x, y, color: null, placedBy: user }, room.id);
     } else {
-      canvasService.placePixel(x, y, color, user);
-      broadcast('pixel', { x, y, color, placedBy: user });
+      const denied = await placementDenied(ws, room) || tierDenied(ws, [data], room) || await cooldownDenied(ws);
+      if (denied) return send(ws, 'error', denied);
+      canvasService.placePixel(x, y, color, user, room.id);
+      broadcast('pixel', { x, y, color, placedBy: user }, room.id);
     }
     
-    const state = canvasService.checkAndUpdateFullnessState();
-    if (state.becameFull || state.status) broadcast('status', state.status);
+    const state = canvasService.checkAndUpdateFullnessState(room.id);
+    if (state.becameFull || state.status) broadcast('status', state.status, room.id);
   } catch (err) {
     send(ws, 'error', { message: err.message });
   }
 }
 
-function handleBatch(ws, data) {
+async function handleBatch(ws, data) {
   if (!data?.pixels?.length) return send(ws, 'error', { message: 'Invalid batch' });
-  if (!config.openMode && (!ws.user || !ws.user.isAuthorized)) return send(ws, 'error', { message: 'Auth required', code: 'AUTH_REQUIRED' });
+  const room = roomOf(ws);
+  if (!room) return;
   
   try {
+    const denied = await placementDenied(ws, room);
+    if (denied) return send(ws, 'error', denied);
+    
     const user = ws.user?.address || (config.openMode ? 'anonymous' : null);
-    const valid = data.pixels.filter(p => typeof p.x === 'number' && typeof p.y === 'number' && p.color);
+    const valid = data.pixels.filter(p => inBounds(room, p.x, p.y) && p.color);
+    
+    const limited = valid.length && (tierDenied(ws, valid, room) || await cooldownDenied(ws));
+    if (limited) return send(ws, 'error', limited);
     
     if (valid.length) {
-      canvasService.placePixelsBatch(valid, user);
-      broadcast('batch', valid.map(p => ({ ...p, placedBy: user })));
+      canvasService.placePixelsBatch(valid, user, room.id);
+      broadcast('batch', valid.map(p => ({ ...p, placedBy: user })), room.id);
       
-      const state = canvasService.checkAndUpdateFullnessState();
-      if (state.becameFull || state.status) broadcast('status', state.status);
+      const state = canvasService.checkAndUpdateFullnessState(room.id);
+      if (state.becameFull || state.status) broadcast('status', state.status, room.id);
     }
   } catch (err) {
     send(ws, 'error', { message: err.message });
   }
 }
 
-function broadcastLocal(type, data) {
+function broadcastLocal(type, data, canvasId) {
   if (!wss) return 0;
   const msg = JSON.stringify({ type, data });
   let count = 0;
-  wss.clients.forEach(c => { if (c.readyState === WebSocket.OPEN) { c.send(msg); count++; } });
+  wss.clients.forEach(c => { if (c.canvasId === canvasId && c.readyState === WebSocket.OPEN) { c.send(msg); count++; } });
   return count;
 }
 
-export function broadcast(type, data) {
-  broadcastLocal(type, data);
-  if (redisPub) redisPub.publish(CHANNEL, JSON.stringify({ type, data, origin: getInstanceId() })).catch(() => {});
+// To the sockets on canvas `canvasId`, here and on every other instance
+export function broadcast(type, data, canvasId = DEFAULT_CANVAS) {
+  broadcastLocal(type, data, canvasId);
+  if (redisPub) redisPub.publish(`${CHANNEL}:${canvasId}`, JSON.stringify({ type, data, origin: getInstanceId() })).catch(() => {});
+}
+
+// Close sockets opened with a revoked API key; returns how many were closed
+export function disconnectApiKey(id) {
+  let count = 0;
+  wss?.clients.forEach(c => { if (c.user?.apiKey?.id === id) { c.close(1008, 'API key revoked'); count++; } });
+  return count;
 }
 
 export function getClientCount() { return wss?.clients.size || 0; }
@@ -217,4 +394,4 @@ export function closeAll() {
   redisSub?.quit().catch(() => {});
 }
 
-export default { initWebSocket, broadcast, getClientCount, closeAll };
+export default { initWebSocket, broadcast, disconnectApiKey, getClientCount, closeAll };
@@ -0,0 +1,101 @@
+/**
+ * Timelapse Worker - plays canvas history forward and encodes the frames
+ *
+ * workerData: { file, format, scale, fps, frameTimes (SQL times, ascending),
+ * start, rows, keyframes } as gathered by services/timeline.js timelineBetween().
+ * Writes the output to `file` and posts { file } when done.
+ */
+
+import { parentPort, workerData, threadId } from 'worker_threads';
+import { writeFileSync, renameSync } from 'fs';
+import { createGif } from '../utils/gif.js';
+import { createApng, encodePng } from '../utils/png.js';
+import { createZip } from '../utils/zip.js';
+import { buildPalette } from '../utils/palette.js';
+
+function* coloursOf({ start, rows, keyframes }) {
+  for (const p of start.pixels) yield p.color;
+  for (const r of rows) yield r.color;
+  for (const k of keyframes) for (const p of k.pixels) yield p.color;
+}
+
+// A region of the canvas, each pixel blown up to scale x scale
+function crop(state, width, x, y, w, h, scale) {
+  const rowLength = w * scale;
+  const out = new Uint8Array(rowLength * h * scale);
+  for (let j = 0; j < h; j++) {
+    const top = j * scale * rowLength;
+    for (let i = 0; i < w; i++) out.fill(state[(y + j) * width + x + i], top + i * scale, top + (i + 1) * scale);
+    for (let k = 1; k < scale; k++) out.copyWithin(top + k * rowLength, top, top + rowLength);
+  }
+  return out;
+}
+
+function render({ format, scale, fps, frameTimes, start, rows, keyframes }) {
+  const width = Math.max(start.width, ...keyframes.map(k => k.width));
+  const height = Math.max(start.height, ...keyframes.map(k => k.height));
+  const { palette, indexOf } = buildPalette(coloursOf({ start, rows, keyframes }));
+  const state = new Uint8Array(width * height);
+  
+  // Bounding box of the pixels changed since the last frame
+  let dirty = null;
+  const touch = (x, y) => {
+    if (!dirty) dirty = { minX: x, minY: y, maxX: x, maxY: y };
+    else Object.assign(dirty, { minX: Math.min(dirty.minX, x), minY: Math.min(dirty.minY, y), maxX: Math.max(dirty.maxX, x), maxY: Math.max(dirty.maxY, y) });
+  };
+  const paint = (x, y, color) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    state[y * width + x] = indexOf(color);
+    touch(x, y);
+  };
+  const load = (pixels) => {
+    state.fill(0);
+    pixels.forEach(p => paint(p.x, p.y, p.color));
+    touch(0, 0);
+    touch(width - 1, height - 1);
+  };
+  
+  const encoder = format === 'gif' ? createGif(width * scale, height * scale, palette, fps)
+    : format === 'apng' ? createApng(width * scale, height * scale, palette, fps)
+      : null;
+  const pngs = [];
+  const digits = Math.max(4, String(frameTimes.length).length);
+  
+  load(start.pixels);
+  let r = 0;
+  let k = 0;
+  frameTimes.forEach((time, n) => {
+    // A keyframe goes after the history row it was taken at and before the next one
+    for (;;) {
+      const keyframe = keyframes[k], row = rows[r];
+      if (keyframe && (!row || keyframe.historyId < row.id)) {
+        if (keyframe.createdAt > time) break;
+        load(keyframe.pixels);
+        k++;
+      } else if (row) {
+        if (row.placed_at > time) break;
+        paint(row.x, row.y, row.color);
+        r++;
+      } else {
+        break;
+      }
+    }
+    
+    if (!encoder) {
+      pngs.push({ name: `frame-${String(n + 1).padStart(digits, '0')}.png`, data: encodePng(width * scale, height * scale, palette, crop(state, width, 0, 0, width, height, scale)) });
+    } else {
+      // Only what changed; an unchanged frame still needs something to carry its delay
+      const { minX, minY, maxX, maxY } = n === 0 ? { minX: 0, minY: 0, maxX: width - 1, maxY: height - 1 } : dirty || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+      const w = maxX - minX + 1, h = maxY - minY + 1;
+      encoder.addFrame(minX * scale, minY * scale, w * scale, h * scale, crop(state, width, minX, minY, w, h, scale));
+    }
+    dirty = null;
+  });
+  
+  return encoder ? encoder.finish() : createZip(pngs);
+}
+
+const tmp = `${workerData.file}.${threadId}.tmp`;
+writeFileSync(tmp, render(workerData));
+renameSync(tmp, workerData.file);
+parentPort.postMessage({ file: workerData.file });